@@ -0,0 +1,42 @@
+// Directories the tools may read from by path - isolated file system I/O
+//
+// Paths in tool arguments come from the client, which may be remote with the HTTP transport, so
+// files are only read below directories the server was started with. Roots and paths are compared
+// by their real path, so a symlink cannot reach outside the roots.
+import { realpath } from "node:fs/promises";
+import { resolve, sep } from "node:path";
+
+// Resolves configured directories to real paths; `label` names the option in errors
+export async function resolveRoots(paths, label) {
+    return Promise.all(
+        paths.map(async (path) => {
+            try {
+                return await realpath(resolve(path));
+            } catch (error) {
+                throw new Error(`Invalid ${label} ${path}: ${error.message}`);
+            }
+        }),
+    );
+}
+
+// Returns the real path of `path` when it lies within one of `roots` (from resolveRoots). Paths
+// outside the roots are rejected before anything is read, so their existence is not revealed.
+// `what` names the file in errors, e.g. "API definition".
+export async function resolveAllowedPath(path, roots, what) {
+    const resolved = resolve(path);
+    const real = await realpath(resolved).catch(() => null);
+    if (!isWithinRoots(real ?? resolved, roots)) {
+        throw new Error(
+            `${what} ${resolved} is outside the directories the server may read. ` +
+                `Start the server with --allow-read <directory> to allow it, or pass the content directly`,
+        );
+    }
+    if (!real) {
+        throw new Error(`${what} not found: ${resolved}`);
+    }
+    return real;
+}
+
+function isWithinRoots(path, roots) {
+    return roots.some((root) => path === root || path.startsWith(root.endsWith(sep) ? root : `${root}${sep}`));
+}
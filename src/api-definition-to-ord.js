@@ -0,0 +1,144 @@
+// OpenAPI / AsyncAPI definition to ORD resource skeleton - pure logic, no I/O
+import { parse as parseYaml } from "yaml";
+
+import { ORD_CONCEPTS, getConceptProperties } from "./ord-concepts.js";
+
+const MAX_SHORT_DESCRIPTION_LENGTH = 255;
+const SEMVER_CORE = /^(0|[1-9]\d*)(?:\.(0|[1-9]\d*))?(?:\.(0|[1-9]\d*))?/;
+
+// Definition format -> ORD concept and resource definition type
+const DEFINITION_FORMATS = Object.freeze([
+    { field: "openapi", versions: /^3\.0(\.|$)/, concept: "APIResource", type: "openapi-v3" },
+    { field: "openapi", versions: /^3\.[1-9]/, concept: "APIResource", type: "openapi-v3.1+" },
+    { field: "swagger", versions: /^2\.0$/, concept: "APIResource", type: "openapi-v2" },
+    { field: "asyncapi", versions: /^2\./, concept: "EventResource", type: "asyncapi-v2" },
+]);
+
+// Accepts JSON or YAML text, or an already parsed object; returns { definition, mediaType }
+export function parseApiDefinition(input) {
+    if (input && typeof input === "object" && !Array.isArray(input)) {
+        return { definition: input, mediaType: "application/json" };
+    }
+    if (typeof input !== "string" || !input.trim()) {
+        throw new Error("Invalid API definition: expected JSON or YAML text or an object");
+    }
+
+    const json = input.trim().startsWith("{");
+    let definition;
+    try {
+        definition = json ? JSON.parse(input) : parseYaml(input);
+    } catch (error) {
+        throw new Error(`Invalid API definition: not valid ${json ? "JSON" : "YAML"} (${error.message})`);
+    }
+    if (!definition || typeof definition !== "object" || Array.isArray(definition)) {
+        throw new Error("Invalid API definition: expected an object at the top level");
+    }
+    return { definition, mediaType: json ? "application/json" : "text/yaml" };
+}
+
+// Returns { concept, documentArray, resource, missing, notes }. OpenAPI yields an APIResource and
+// AsyncAPI an EventResource. `missing` lists the MANDATORY properties of the concept that could not
+// be inferred, so the skeleton can be completed before it goes into an ORD document.
+export function generateOrdResourceFromDefinition(
+    definition,
+    { mediaType = "application/json", url, namespace, packageOrdId, resourceName } = {},
+) {
+    const format = DEFINITION_FORMATS.find(
+        (candidate) =>
+            typeof definition[candidate.field] === "string" && candidate.versions.test(definition[candidate.field]),
+    );
+    if (!format) {
+        const found = ["openapi", "swagger", "asyncapi"].find((field) => definition[field] !== undefined);
+        throw new Error(
+            `Unsupported API definition${found ? `: ${found} ${definition[found]}` : ""}. Expected OpenAPI 2 / 3 or AsyncAPI 2`,
+        );
+    }
+
+    const notes = [];
+    const info = definition.info ?? {};
+    const version = toSemanticVersion(info.version, notes);
+    const name = resourceName ?? toResourceName(info.title);
+    const ordType = format.concept === "APIResource" ? "apiResource" : "eventResource";
+
+    const resource = {
+        ...(namespace && name && version ? { ordId: `${namespace}:${ordType}:${name}:v${version.split(".")[0]}` } : {}),
+        ...(info.title ? { title: info.title } : {}),
+        ...describe(info),
+        ...(version ? { version } : {}),
+        ...(packageOrdId ? { partOfPackage: packageOrdId } : {}),
+        ...(format.concept === "APIResource" ? { apiProtocol: "rest" } : {}),
+        ...entryPoints(definition, format, notes),
+        resourceDefinitions: [
+            {
+                type: format.type,
+                mediaType,
+                ...(url ? { url } : {}),
+                accessStrategies: [{ type: "open" }],
+            },
+        ],
+    };
+    if (!url) {
+        notes.push("resourceDefinitions[0].url: the definition was passed inline, so there is no URL to point at");
+    }
+    if (!namespace) {
+        notes.push("ordId: pass a namespace to build the ORD ID");
+    }
+
+    const missing = getConceptProperties(format.concept)
+        .filter((property) => property.requirement === "MANDATORY" && resource[property.name] === undefined)
+        .map(({ name: property, description }) => ({ property, description }));
+
+    return {
+        concept: format.concept,
+        documentArray: ORD_CONCEPTS[format.concept].documentArray,
+        resource,
+        missing,
+        notes,
+    };
+}
+
+// ORD wants the full SemVer string; "2" and "2.1" are padded, anything else is left for the author
+function toSemanticVersion(version, notes) {
+    const match = typeof version === "string" ? version.trim().match(SEMVER_CORE) : null;
+    if (!match) {
+        notes.push(`version: info.version ${JSON.stringify(version)} is not a semantic version`);
+        return null;
+    }
+    const full = `${match[1]}.${match[2] ?? 0}.${match[3] ?? 0}`;
+    if (full !== version.trim()) {
+        notes.push(`version: info.version ${version} was read as ${full}`);
+    }
+    return full;
+}
+
+function describe(info) {
+    const description = typeof info.description === "string" ? info.description.trim() : "";
+    const summary = typeof info.summary === "string" ? info.summary : description.split(/\r?\n/)[0];
+    return {
+        ...(summary ? { shortDescription: summary.slice(0, MAX_SHORT_DESCRIPTION_LENGTH) } : {}),
+        ...(description ? { description } : {}),
+    };
+}
+
+// OpenAPI servers are entry points; templated URLs need their variables filled in first
+function entryPoints(definition, format, notes) {
+    if (format.concept !== "APIResource") {
+        return {};
+    }
+    const servers =
+        format.type === "openapi-v2"
+            ? definition.host
+                ? [`${definition.schemes?.[0] ?? "https"}://${definition.host}${definition.basePath ?? ""}`]
+                : []
+            : (definition.servers ?? []).map((server) => server.url).filter(Boolean);
+    const concrete = servers.filter((server) => !server.includes("{"));
+    if (concrete.length < servers.length) {
+        notes.push("entryPoints: server URLs with variables were left out");
+    }
+    return concrete.length > 0 ? { entryPoints: [...new Set(concrete)] } : {};
+}
+
+function toResourceName(title) {
+    const name = typeof title === "string" ? title.replace(/[^a-zA-Z0-9._-]/g, "") : "";
+    return name || null;
+}
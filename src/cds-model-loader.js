@@ -0,0 +1,89 @@
+// Loads the compiled CDS model (CSN) of a CAP project from disk
+import { execFile } from "node:child_process";
+import { readFile, stat } from "node:fs/promises";
+import { join } from "node:path";
+import { promisify } from "node:util";
+
+import { resolveAllowedPath } from "./allowed-paths.js";
+import { REQUEST_TIMEOUT_MS } from "./constants.js";
+
+const execFileAsync = promisify(execFile);
+
+// Where `cds build` and `cds compile --to json` usually leave the model
+const COMPILED_CSN_PATHS = Object.freeze(["gen/srv/srv/csn.json", "gen/srv/csn.json", "srv/csn.json", "csn.json"]);
+// Compiling a larger model takes a few seconds, more than a network request
+const CDS_COMPILE_TIMEOUT_MS = 6 * REQUEST_TIMEOUT_MS;
+const MAX_CSN_BYTES = 64 * 1024 * 1024;
+
+// Returns { csn, source, packageJson }. `path` is a CSN file or a project directory with a compiled
+// model, and must lie within `readRoots` or `compileRoots` (both from resolveRoots). Compiling CDS
+// sources runs the project's `cds` CLI, so it is only done for projects that are one of
+// `compileRoots`, and always with the CLI of that configured root.
+export async function loadCdsProject(path, { readRoots = [], compileRoots = [], run = execFileAsync } = {}) {
+    const root = await resolveAllowedPath(path, [...readRoots, ...compileRoots], "CDS project");
+    const info = await stat(root);
+    if (info.isFile()) {
+        return { csn: await readCsnFile(root), source: root, packageJson: null };
+    }
+
+    const packageJson = await readJson(join(root, "package.json")).catch(() => null);
+    for (const candidate of COMPILED_CSN_PATHS) {
+        const file = join(root, candidate);
+        if (await stat(file).catch(() => null)) {
+            return { csn: await readCsnFile(file), source: file, packageJson };
+        }
+    }
+
+    if (!compileRoots.includes(root)) {
+        throw new Error(
+            `No compiled CSN found in ${root}. Run \`cds compile '*' --to json > csn.json\` in the project and ` +
+                `pass that file, or start the server with --allow-cds-compile ${root} to compile it on demand`,
+        );
+    }
+    return compileCdsProject(root, packageJson, run);
+}
+
+// Accepts CSN as JSON text or as an already parsed object
+export function parseCsn(input, source = "CSN") {
+    if (typeof input === "string") {
+        try {
+            input = JSON.parse(input);
+        } catch (error) {
+            throw new Error(`Invalid CSN in ${source}: not valid JSON (${error.message})`);
+        }
+    }
+    if (!input || typeof input !== "object" || !input.definitions) {
+        throw new Error(`Invalid CSN in ${source}: expected an object with definitions`);
+    }
+    return input;
+}
+
+async function compileCdsProject(root, packageJson, run) {
+    const cli = join(root, "node_modules", ".bin", "cds");
+    if (!(await stat(cli).catch(() => null))) {
+        throw new Error(
+            `No compiled CSN found in ${root} and @sap/cds is not installed there. ` +
+                `Run \`npm install\` in the project, or \`cds compile '*' --to json > csn.json\`, or pass the CSN directly`,
+        );
+    }
+
+    let stdout;
+    try {
+        ({ stdout } = await run(cli, ["compile", "*", "--to", "json"], {
+            cwd: root,
+            timeout: CDS_COMPILE_TIMEOUT_MS,
+            maxBuffer: MAX_CSN_BYTES,
+        }));
+    } catch (error) {
+        throw new Error(`cds compile failed in ${root}: ${error.stderr?.trim() || error.message}`);
+    }
+    return { csn: parseCsn(stdout, `cds compile output in ${root}`), source: `cds compile in ${root}`, packageJson };
+}
+
+async function readCsnFile(file) {
+    return parseCsn(await readFile(file, "utf8"), file);
+}
+
+async function readJson(file) {
+    return JSON.parse(await readFile(file, "utf8"));
+}
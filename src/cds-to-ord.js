@@ -0,0 +1,296 @@
+// SAP CAP model (CSN) to ORD document mapping - pure logic, no I/O
+import { ORD_CONCEPTS, getConceptProperties } from "./ord-concepts.js";
+
+const DEFAULT_VENDOR = "customer:vendor:Customer:";
+const DEFAULT_VERSION = "1.0.0";
+const MAX_SHORT_DESCRIPTION_LENGTH = 255;
+const METADATA_PATH = "/.well-known/open-resource-discovery/v1/api-metadata";
+const OPEN_ACCESS = Object.freeze([{ type: "open" }]);
+
+// CAP @protocol -> ORD apiProtocol and the URL prefix CAP serves it under
+const CAP_PROTOCOLS = Object.freeze({
+    "odata": { apiProtocol: "odata-v4", prefix: "/odata/v4" },
+    "odata-v4": { apiProtocol: "odata-v4", prefix: "/odata/v4" },
+    "odata-v2": { apiProtocol: "odata-v2", prefix: "/odata/v2" },
+    "rest": { apiProtocol: "rest", prefix: "/rest" },
+    "graphql": { apiProtocol: "graphql", prefix: "/graphql" },
+});
+
+// Generated by the CDS compiler or shipped with @sap/cds, not part of the application's own model
+const INTERNAL_DEFINITION = /^(?:DRAFT|sap\.common)\.|\.texts$|\.DraftAdministrativeData$/;
+
+// Returns { document, notes }. Services become APIResources, their events EventResources (one per
+// service) and domain entities EntityTypes; everything goes into an API and an event package, and
+// the APIs into one consumption bundle. `notes` lists what was assumed rather than read from the model.
+export function generateOrdFromCsn(
+    csn,
+    { appName, namespace, vendor = DEFAULT_VENDOR, version = DEFAULT_VERSION } = {},
+) {
+    if (!csn || typeof csn !== "object" || !csn.definitions || typeof csn.definitions !== "object") {
+        throw new Error("Invalid CSN: expected an object with definitions");
+    }
+
+    const name = toResourceName(appName ?? csn.namespace ?? "app");
+    const ordNamespace = namespace ?? `customer.${name.toLowerCase().replace(/[^a-z0-9]/g, "")}`;
+    if (!/^[a-z0-9]+(?:[.][a-z0-9]+)*$/.test(ordNamespace)) {
+        throw new Error(`Invalid namespace: ${ordNamespace}. Expected lowercase segments separated by dots`);
+    }
+
+    const context = { namespace: ordNamespace, vendor, version, notes: [] };
+    const model = readModel(csn.definitions);
+    const ids = {
+        apiPackage: `${ordNamespace}:package:${name}-api:v1`,
+        eventPackage: `${ordNamespace}:package:${name}-event:v1`,
+        bundle: `${ordNamespace}:consumptionBundle:${name}:v1`,
+    };
+
+    const entityTypes = model.entities.map((entity) => toEntityType(entity, model, ids.apiPackage, context));
+    const apiResources = model.services.map((service) => toApiResource(service, model, ids, context)).filter(Boolean);
+    const eventResources = [...groupEvents(model.events)].map(([group, events]) =>
+        toEventResource(group, events, ids.eventPackage, context),
+    );
+
+    const packages = [];
+    if (apiResources.length > 0 || entityTypes.length > 0) {
+        packages.push(toPackage(ids.apiPackage, `${name} APIs`, "APIs and entity types", context));
+    }
+    if (eventResources.length > 0) {
+        packages.push(toPackage(ids.eventPackage, `${name} Events`, "events", context));
+    }
+
+    const documentProperties = ORD_CONCEPTS.DocumentProperties;
+    const ordVersions = documentProperties.keyProperties.find((property) => property.name === "openResourceDiscovery");
+    const document = {
+        $schema: documentProperties.example.$schema,
+        openResourceDiscovery: ordVersions.enum[ordVersions.enum.length - 1],
+        description: `ORD document for ${name}, generated from its CDS model`,
+        policyLevel: "none",
+        packages,
+        consumptionBundles:
+            apiResources.length > 0
+                ? [{ ordId: ids.bundle, title: `${name} APIs`, version, visibility: "public" }]
+                : [],
+        apiResources,
+        eventResources,
+        entityTypes,
+    };
+
+    checkMandatoryProperties(document, context.notes);
+    return { document, notes: context.notes };
+}
+
+// Sorts definitions by kind; services own the definitions prefixed with their name
+function readModel(definitions) {
+    const services = Object.entries(definitions)
+        .filter(([, definition]) => definition.kind === "service")
+        .map(([name, definition]) => ({ name, definition }));
+    const serviceOf = (name) =>
+        services
+            .filter((service) => name.startsWith(`${service.name}.`))
+            .sort((a, b) => b.name.length - a.name.length)[0];
+
+    const entities = [];
+    const events = [];
+    const exposed = new Map(services.map((service) => [service.name, []]));
+    for (const [name, definition] of Object.entries(definitions)) {
+        if (INTERNAL_DEFINITION.test(name)) {
+            continue;
+        }
+        const service = serviceOf(name);
+        if (definition.kind === "event") {
+            events.push({ name, definition, service: service?.name });
+        } else if (definition.kind === "entity" && service) {
+            exposed.get(service.name).push({ name, definition });
+        } else if (definition.kind === "entity") {
+            entities.push({ name, definition });
+        }
+    }
+
+    const compositionTargets = new Set(
+        entities.flatMap(({ definition }) =>
+            Object.values(definition.elements ?? {})
+                .filter((element) => element.type === "cds.Composition")
+                .map((element) => element.target),
+        ),
+    );
+    return { services, entities, events, exposed, compositionTargets, definitions };
+}
+
+function toApiResource({ name, definition }, model, ids, context) {
+    const protocols = [definition["@protocol"] ?? "odata"].flat();
+    if (protocols.includes("none")) {
+        context.notes.push(`${name}: skipped, @protocol is none`);
+        return null;
+    }
+    const protocol = CAP_PROTOCOLS[protocols.find((candidate) => CAP_PROTOCOLS[candidate])];
+    if (!protocol || !allowedValue("APIResource", "apiProtocol", protocol.apiProtocol)) {
+        context.notes.push(`${name}: skipped, @protocol ${protocols.join(", ")} has no ORD apiProtocol`);
+        return null;
+    }
+
+    const path = definition["@path"] ?? kebabCase(localName(name).replace(/Service$/, ""));
+    const resourceDefinitions = [
+        {
+            type: "openapi-v3",
+            mediaType: "application/json",
+            url: `${METADATA_PATH}/${name}.oas3.json`,
+            accessStrategies: OPEN_ACCESS,
+        },
+    ];
+    if (protocol.apiProtocol.startsWith("odata")) {
+        resourceDefinitions.push({
+            type: "edmx",
+            mediaType: "application/xml",
+            url: `${METADATA_PATH}/${name}.edmx`,
+            accessStrategies: OPEN_ACCESS,
+        });
+    }
+
+    const exposedEntityTypes = model.exposed
+        .get(name)
+        .map(({ definition: entity }) => projectionSource(entity))
+        .filter((source) => source && model.entities.some((entity) => entity.name === source))
+        .map((source) => ({ ordId: entityTypeId(source, context) }));
+
+    return {
+        ordId: `${context.namespace}:apiResource:${name}:v1`,
+        title: definition["@title"] ?? splitWords(localName(name)),
+        ...describe(name, definition, context),
+        version: context.version,
+        visibility: "public",
+        releaseStatus: "active",
+        partOfPackage: ids.apiPackage,
+        partOfConsumptionBundles: [{ ordId: ids.bundle }],
+        apiProtocol: protocol.apiProtocol,
+        entryPoints: [path.startsWith("/") ? path : `${protocol.prefix}/${path}`],
+        resourceDefinitions,
+        ...(exposedEntityTypes.length > 0 ? { exposedEntityTypes: dedupe(exposedEntityTypes) } : {}),
+        extensible: { supported: "no" },
+    };
+}
+
+function toEventResource(group, events, partOfPackage, context) {
+    const eventNames = events.map((event) => localName(event.name)).join(", ");
+    return {
+        ordId: `${context.namespace}:eventResource:${group}:v1`,
+        title: `${splitWords(localName(group))} Events`,
+        shortDescription: `Events of ${group}: ${eventNames}`.slice(0, MAX_SHORT_DESCRIPTION_LENGTH),
+        description: events
+            .map((event) => `- \`${event.name}\`${event.definition.doc ? `: ${event.definition.doc}` : ""}`)
+            .join("\n"),
+        version: context.version,
+        visibility: "public",
+        releaseStatus: "active",
+        partOfPackage,
+        resourceDefinitions: [
+            {
+                type: "asyncapi-v2",
+                mediaType: "application/json",
+                url: `${METADATA_PATH}/${group}.asyncapi2.json`,
+                accessStrategies: OPEN_ACCESS,
+            },
+        ],
+        extensible: { supported: "no" },
+    };
+}
+
+function toEntityType({ name, definition }, model, partOfPackage, context) {
+    return {
+        ordId: entityTypeId(name, context),
+        localId: localName(name),
+        level: model.compositionTargets.has(name) ? "sub-entity" : "aggregate",
+        title: definition["@title"] ?? splitWords(localName(name)),
+        ...describe(name, definition, context),
+        version: context.version,
+        visibility: "public",
+        releaseStatus: "active",
+        partOfPackage,
+    };
+}
+
+function toPackage(ordId, title, contents, context) {
+    return {
+        ordId,
+        title,
+        shortDescription: `${title} generated from the CDS model`,
+        description: `Contains the ${contents} described by the CDS model.`,
+        version: context.version,
+        vendor: context.vendor,
+    };
+}
+
+// Events of a service are one resource; events outside services are grouped by their CDS namespace
+function groupEvents(events) {
+    const groups = new Map();
+    for (const event of events) {
+        const group = event.service ?? (event.name.includes(".") ? event.name.replace(/\.[^.]+$/, "") : "Events");
+        groups.set(group, [...(groups.get(group) ?? []), event]);
+    }
+    return groups;
+}
+
+// shortDescription and description from @Core.Description or the doc comment, generated otherwise
+function describe(name, definition, context) {
+    const text = definition["@Core.Description"] ?? definition["@description"] ?? definition.doc;
+    if (!text) {
+        context.notes.push(`${name}: no doc comment or @Core.Description, descriptions were generated`);
+        return {
+            shortDescription: `${splitWords(localName(name))} from the CDS model`,
+            description: `Generated from the CDS definition \`${name}\`.`,
+        };
+    }
+    return {
+        shortDescription: text.split(/\r?\n/)[0].slice(0, MAX_SHORT_DESCRIPTION_LENGTH),
+        description: text,
+    };
+}
+
+// The rules in ORD_CONCEPTS are the safety net: anything MANDATORY that ended up missing is reported
+function checkMandatoryProperties(document, notes) {
+    for (const [concept, { documentArray }] of Object.entries(ORD_CONCEPTS)) {
+        const mandatory = getConceptProperties(concept).filter((property) => property.requirement === "MANDATORY");
+        for (const entity of document[documentArray] ?? []) {
+            const missing = mandatory.filter((property) => entity[property.name] === undefined);
+            if (missing.length > 0) {
+                notes.push(`${entity.ordId}: missing MANDATORY ${missing.map((property) => property.name).join(", ")}`);
+            }
+        }
+    }
+}
+
+function allowedValue(concept, propertyName, value) {
+    const property = getConceptProperties(concept).find((candidate) => candidate.name === propertyName);
+    return !property?.enum || property.enum.includes(value);
+}
+
+// `entity X as projection on Y` and `as select from Y` both name the source in a ref
+function projectionSource(definition) {
+    return (definition.projection ?? definition.query?.SELECT)?.from?.ref?.[0] ?? null;
+}
+
+function entityTypeId(name, context) {
+    return `${context.namespace}:entityType:${name}:v1`;
+}
+
+function dedupe(references) {
+    return [...new Map(references.map((reference) => [reference.ordId, reference])).values()];
+}
+
+function localName(name) {
+    return name.split(".").pop();
+}
+
+function toResourceName(name) {
+    return name
+        .split("/")
+        .pop()
+        .replace(/[^a-zA-Z0-9._-]/g, "-");
+}
+
+function kebabCase(name) {
+    return name.replace(/([a-z0-9])([A-Z])/g, "$1-$2").toLowerCase();
+}
+
+function splitWords(name) {
+    return name.replace(/([a-z0-9])([A-Z])/g, "$1 $2").replace(/_/g, " ");
+}
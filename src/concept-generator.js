@@ -0,0 +1,220 @@
+// Builds ORD concept definitions from the ORD Document JSON schema - pure logic, no I/O
+
+// Schema keyword -> constraint name in the generated property metadata
+const CONSTRAINT_KEYWORDS = Object.freeze({
+    "format": "format",
+    "minLength": "minLength",
+    "maxLength": "maxLength",
+    "minItems": "minItems",
+    "maxItems": "maxItems",
+    "default": "default",
+    "x-introduced-in-version": "introducedInVersion",
+    "x-feature-status": "featureStatus",
+});
+
+// Concept name -> schema definition; DocumentProperties describes the schema root
+export const CONCEPT_SCHEMA_DEFINITIONS = Object.freeze({
+    DocumentProperties: null,
+    Product: "Product",
+    Package: "Package",
+    ConsumptionBundle: "ConsumptionBundle",
+    APIResource: "ApiResource",
+    EventResource: "EventResource",
+    EntityType: "EntityType",
+    Capability: "Capability",
+    DataProduct: "DataProduct",
+    Vendor: "Vendor",
+    Group: "Group",
+    GroupType: "GroupType",
+    IntegrationDependency: "IntegrationDependency",
+    Tombstone: "Tombstone",
+});
+
+// Returns { [conceptName]: { description, documentArray?, example, keyProperties } } in the shape of
+// ORD_CONCEPTS. Every key property is { name, description, requirement, type } plus, where the schema
+// has them, enum, enumDescriptions, pattern, constraints, relatedConcepts, structure, example and
+// details. Concepts the schema does not define (older releases) are left out. `examples` maps
+// concept names to curated examples; concepts without one get an example built from the schema.
+export function generateOrdConcepts(schema, { examples = {} } = {}) {
+    if (!schema || typeof schema !== "object" || !schema.definitions || !schema.properties) {
+        throw new Error("Invalid schema: expected the ORD Document JSON schema");
+    }
+
+    const documentArrays = new Map(
+        Object.entries(schema.properties)
+            .map(([name, property]) => [refName(property.items?.$ref), name])
+            .filter(([definition]) => definition),
+    );
+
+    const concepts = {};
+    for (const [name, definitionName] of Object.entries(CONCEPT_SCHEMA_DEFINITIONS)) {
+        const definition = definitionName ? schema.definitions[definitionName] : rootDefinition(schema, documentArrays);
+        if (!definition?.properties) {
+            continue;
+        }
+
+        const keyProperties = describeProperties(definition, schema);
+        concepts[name] = {
+            description: leadingSentences(definition.description ?? definition.title ?? name, 2),
+            ...(definitionName && documentArrays.has(definitionName)
+                ? { documentArray: documentArrays.get(definitionName) }
+                : {}),
+            example: examples[name] ?? buildExample(definition),
+            keyProperties,
+        };
+    }
+    return concepts;
+}
+
+// JavaScript source of the static fallback module
+export function renderConceptsModule(concepts, { source }) {
+    return [
+        `// Generated by \`npm run refresh-concepts\` from ${source} - do not edit by hand.`,
+        "// Static fallback for when the ORD Document schema of the selected version cannot be fetched.",
+        "",
+        `export const ORD_CONCEPTS = Object.freeze(${JSON.stringify(concepts, null, 4)});`,
+        "",
+    ].join("\n");
+}
+
+// The root lists document metadata; the entity arrays are concepts of their own
+function rootDefinition(schema, documentArrays) {
+    const arrays = new Set(documentArrays.values());
+    return {
+        "description": schema.description,
+        "required": schema.required,
+        "x-recommended": schema["x-recommended"],
+        "properties": Object.fromEntries(Object.entries(schema.properties).filter(([name]) => !arrays.has(name))),
+    };
+}
+
+// Nested object properties (`structure`) are described one level deep
+function describeProperties(definition, schema, { nested = false } = {}) {
+    const required = new Set(definition.required ?? []);
+    const recommended = new Set(definition["x-recommended"] ?? []);
+
+    return Object.entries(definition.properties).map(([name, property]) => {
+        const referenced = schema.definitions[refName(property.$ref ?? property.items?.$ref)];
+        const items = property.items ?? {};
+        const alternatives = [property, items].flatMap((node) => [...(node.oneOf ?? []), ...(node.anyOf ?? [])]);
+        const constants = alternatives.filter((alternative) => "const" in alternative);
+        const allowedValues = [...(property.enum ?? items.enum ?? []), ...constants.map(({ const: value }) => value)];
+        const pattern =
+            property.pattern ?? items.pattern ?? alternatives.find((alternative) => alternative.pattern)?.pattern;
+        const text = property.description ?? referenced?.description ?? referenced?.title ?? name;
+
+        const described = {
+            name,
+            description: leadingSentences(text, 1),
+            requirement: required.has(name) ? "MANDATORY" : recommended.has(name) ? "RECOMMENDED" : "OPTIONAL",
+            type: describeType(property),
+            ...(allowedValues.length > 0 ? { enum: allowedValues } : {}),
+            ...(pattern ? { pattern } : {}),
+        };
+        if (nested) {
+            return described;
+        }
+
+        const details = stripLinks(text);
+        const enumDescriptions = Object.fromEntries(
+            constants
+                .filter((alternative) => alternative.description)
+                .map((alternative) => [alternative.const, leadingSentences(alternative.description, 1)]),
+        );
+        const constraints = describeConstraints(property);
+        const relatedConcepts = findRelatedConcepts(property, referenced);
+        const example = property.examples?.[0] ?? items.examples?.[0];
+
+        return {
+            ...described,
+            ...(details !== described.description ? { details } : {}),
+            ...(Object.keys(enumDescriptions).length > 0 ? { enumDescriptions } : {}),
+            ...(Object.keys(constraints).length > 0 ? { constraints } : {}),
+            ...(relatedConcepts.length > 0 ? { relatedConcepts } : {}),
+            ...(referenced?.properties ? { structure: describeProperties(referenced, schema, { nested: true }) } : {}),
+            ...(example !== undefined ? { example } : {}),
+        };
+    });
+}
+
+// Validation keywords and ORD extensions; item keywords are prefixed with "items."
+function describeConstraints(property) {
+    const constraints = {};
+    for (const [node, prefix] of [
+        [property, ""],
+        [property.items ?? {}, "items."],
+    ]) {
+        for (const [keyword, name] of Object.entries(CONSTRAINT_KEYWORDS)) {
+            if (node[keyword] !== undefined) {
+                constraints[`${prefix}${name}`] = node[keyword];
+            }
+        }
+    }
+    return constraints;
+}
+
+// Concepts the property points at, via x-association-target on the property or the referenced object
+function findRelatedConcepts(property, referenced) {
+    const targets = [property, property.items ?? {}, ...Object.values(referenced?.properties ?? {})].flatMap(
+        (node) => node["x-association-target"] ?? [],
+    );
+    const concepts = targets
+        .map((target) => target.split("/")[2])
+        .map((definition) =>
+            Object.keys(CONCEPT_SCHEMA_DEFINITIONS).find((name) => CONCEPT_SCHEMA_DEFINITIONS[name] === definition),
+        )
+        .filter(Boolean);
+    return [...new Set(concepts)];
+}
+
+// "string", "array<string>", "Labels", "array<ConsumptionBundleReference>"
+function describeType(property) {
+    if (property.$ref) {
+        return refName(property.$ref);
+    }
+    if (property.type === "array") {
+        const items = property.items ?? {};
+        return `array<${items.$ref ? refName(items.$ref) : (items.type ?? "any")}>`;
+    }
+    return property.type ?? "any";
+}
+
+// Mandatory properties with their first schema example; a starting point, not a valid document
+function buildExample(definition) {
+    return Object.fromEntries(
+        (definition.required ?? [])
+            .map((name) => [name, definition.properties[name]?.examples?.[0]])
+            .filter(([, example]) => example !== undefined),
+    );
+}
+
+function refName(ref) {
+    return typeof ref === "string" ? ref.replace("#/definitions/", "") : null;
+}
+
+function firstParagraph(text) {
+    return stripMarkdown(text.split(/\n\s*\n/)[0]);
+}
+
+function leadingSentences(text, count) {
+    return firstParagraph(text)
+        .split(/(?<=[.!?])\s+/)
+        .slice(0, count)
+        .join(" ");
+}
+
+// Full description with paragraphs kept; relative links of the spec site are reduced to their text
+function stripLinks(text) {
+    return text
+        .replace(/!?\[([^\]]*)\]\([^)]*\)/g, "$1")
+        .replace(/[ \t]+\n/g, "\n")
+        .trim();
+}
+
+function stripMarkdown(text) {
+    return text
+        .replace(/!?\[([^\]]*)\]\([^)]*\)/g, "$1")
+        .replace(/\*\*([^*]+)\*\*/g, "$1")
+        .replace(/\s+/g, " ")
+        .trim();
+}
@@ -0,0 +1,161 @@
+// Relationship graph of ORD concepts or of the entities of one document - pure logic, no I/O
+//
+// Edges come from the reference properties of ORD_CONCEPTS, i.e. those with `relatedConcepts`
+// (partOfPackage, exposedEntityTypes, partOfGroups, ...). A graph is
+//   { kind, nodes: [{ id, concept, label, missing? }], edges: [{ from, to, property, requirement }] }
+// with `kind` "concepts" for the abstract model and "document" for the entities of a document.
+import { getConceptProperties } from "./ord-concepts.js";
+import { ENTITY_CONCEPTS, findEntityConcept } from "./ord-catalog.js";
+
+export const GRAPH_FORMATS = Object.freeze(["json", "mermaid", "dot"]);
+
+// Tombstones may point at any concept, which says nothing about how the concepts relate
+const DEFAULT_EXCLUDED = new Set(["Tombstone"]);
+
+const GRAPH_CONCEPTS = ENTITY_CONCEPTS.map((concept) => concept.name);
+
+// `concepts` limits the graph to some concepts and the edges between them
+export function buildConceptGraph({ concepts } = {}) {
+    const included = selectConcepts(concepts);
+    const edges = included.flatMap((concept) =>
+        referenceProperties(concept).flatMap((property) =>
+            property.relatedConcepts
+                .filter((target) => included.includes(target))
+                .map((target) => ({
+                    from: concept,
+                    to: target,
+                    property: property.name,
+                    requirement: property.requirement,
+                })),
+        ),
+    );
+    return {
+        kind: "concepts",
+        nodes: included.map((concept) => ({ id: concept, concept, label: concept })),
+        edges,
+    };
+}
+
+// Nodes are the entities of the document; referenced IDs it does not define are added as
+// `missing` nodes so that the gaps show up in the picture
+export function buildDocumentGraph(document, { concepts } = {}) {
+    const included = selectConcepts(concepts);
+    const nodes = new Map();
+    const edges = [];
+
+    for (const concept of included) {
+        const { documentArray, identity } = findEntityConcept(concept);
+        const list = Array.isArray(document[documentArray]) ? document[documentArray] : [];
+        for (const entity of list) {
+            const id = entity?.[identity];
+            if (typeof id === "string" && !nodes.has(id)) {
+                nodes.set(id, { id, concept, label: typeof entity.title === "string" ? entity.title : id });
+            }
+        }
+    }
+
+    for (const node of [...nodes.values()]) {
+        const entity = findEntity(document, node);
+        for (const property of referenceProperties(node.concept)) {
+            const targetConcepts = property.relatedConcepts.filter((target) => included.includes(target));
+            if (targetConcepts.length === 0) {
+                continue;
+            }
+            for (const target of referencedIds(entity[property.name])) {
+                if (!nodes.has(target)) {
+                    nodes.set(target, { id: target, concept: targetConcepts[0], label: target, missing: true });
+                }
+                edges.push({ from: node.id, to: target, property: property.name, requirement: property.requirement });
+            }
+        }
+    }
+
+    return { kind: "document", nodes: [...nodes.values()], edges };
+}
+
+export function renderGraph(graph, format = "mermaid") {
+    switch (format) {
+        case "json":
+            return JSON.stringify(graph, null, 2);
+        case "mermaid":
+            return renderMermaid(graph);
+        case "dot":
+            return renderDot(graph);
+        default:
+            throw new Error(`Unknown graph format: ${format}. Use one of: ${GRAPH_FORMATS.join(", ")}`);
+    }
+}
+
+function selectConcepts(concepts) {
+    if (concepts === undefined) {
+        return GRAPH_CONCEPTS.filter((concept) => !DEFAULT_EXCLUDED.has(concept));
+    }
+    const unknown = concepts.filter((concept) => !GRAPH_CONCEPTS.includes(concept));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown concept(s): ${unknown.join(", ")}. Available concepts: ${GRAPH_CONCEPTS.join(", ")}`);
+    }
+    return GRAPH_CONCEPTS.filter((concept) => concepts.includes(concept));
+}
+
+function referenceProperties(concept) {
+    return getConceptProperties(concept).filter((property) => Array.isArray(property.relatedConcepts));
+}
+
+function findEntity(document, node) {
+    const { documentArray, identity } = findEntityConcept(node.concept);
+    return document[documentArray].find((entity) => entity?.[identity] === node.id);
+}
+
+// References are IDs, lists of IDs or lists of { ordId } objects
+function referencedIds(value) {
+    return (Array.isArray(value) ? value : [value])
+        .map((item) => (typeof item === "string" ? item : item?.ordId))
+        .filter((id) => typeof id === "string");
+}
+
+// Optional references are drawn dashed; missing entities get a dashed outline
+function renderMermaid({ kind, nodes, edges }) {
+    // Mermaid node IDs cannot hold the colons of ORD IDs
+    const key = new Map(nodes.map((node, index) => [node.id, kind === "concepts" ? node.id : `n${index}`]));
+    const lines = ["flowchart LR"];
+    for (const node of nodes) {
+        const label = node.label === node.id ? node.id : `${node.label}<br/>${node.id}`;
+        lines.push(`    ${key.get(node.id)}["${escapeMermaid(label)}"]${node.missing ? ":::missing" : ""}`);
+    }
+    for (const edge of edges) {
+        const arrow = edge.requirement === "MANDATORY" ? "-->" : "-.->";
+        lines.push(`    ${key.get(edge.from)} ${arrow}|${escapeMermaid(edge.property)}| ${key.get(edge.to)}`);
+    }
+    if (nodes.some((node) => node.missing)) {
+        lines.push("    classDef missing stroke-dasharray: 5 5");
+    }
+    return lines.join("\n");
+}
+
+function renderDot({ kind, nodes, edges }) {
+    const lines = [
+        `digraph ${kind === "concepts" ? "ORDConcepts" : "ORDDocument"} {`,
+        "    rankdir=LR;",
+        "    node [shape=box];",
+    ];
+    for (const node of nodes) {
+        const label = node.label === node.id ? escapeDot(node.id) : `${escapeDot(node.label)}\\n${escapeDot(node.id)}`;
+        lines.push(`    "${escapeDot(node.id)}" [label="${label}"${node.missing ? ", style=dashed" : ""}];`);
+    }
+    for (const edge of edges) {
+        const style = edge.requirement === "MANDATORY" ? "" : ", style=dashed";
+        lines.push(
+            `    "${escapeDot(edge.from)}" -> "${escapeDot(edge.to)}" [label="${escapeDot(edge.property)}"${style}];`,
+        );
+    }
+    lines.push("}");
+    return lines.join("\n");
+}
+
+function escapeMermaid(text) {
+    return text.replace(/"/g, "#quot;").replace(/\|/g, "#124;");
+}
+
+function escapeDot(text) {
+    return text.replace(/\\/g, "\\\\").replace(/"/g, '\\"');
+}
@@ -1,4 +1,43 @@
 // Configuration constants and URLs
-export const ORD_SPEC_URL =
-    "https://raw.githubusercontent.com/open-resource-discovery/specification/main/docs/spec-v1/index.md";
+import { homedir } from "node:os";
+import { join } from "node:path";
+import { fileURLToPath } from "node:url";
+
+// Specification releases are git tags on the specification repository; "latest" is main
+export const ORD_SPEC_REPOSITORY = "open-resource-discovery/specification";
+export const ORD_SPEC_PATH = "docs/spec-v1/index.md";
+export const ORD_SPEC_URL = `https://raw.githubusercontent.com/${ORD_SPEC_REPOSITORY}/main/${ORD_SPEC_PATH}`;
+export const ORD_SPEC_TAGS_URL = `https://api.github.com/repos/${ORD_SPEC_REPOSITORY}/tags?per_page=100`;
 export const REQUEST_TIMEOUT_MS = 10000;
+
+// ORD discovery: providers publish their configuration, listing the ORD documents, here
+export const ORD_WELL_KNOWN_PATH = "/.well-known/open-resource-discovery";
+
+// HTTP transport defaults; overridden by --host/--port or ORD_MCP_HOST/ORD_MCP_PORT
+export const DEFAULT_HTTP_HOST = "127.0.0.1";
+export const DEFAULT_HTTP_PORT = 3000;
+// How long shutdown waits for running requests before the remaining sessions are cut off
+export const HTTP_SHUTDOWN_TIMEOUT_MS = 10000;
+
+// Same schema as referenced by ORD_CONCEPTS.DocumentProperties.example.$schema
+export const ORD_DOCUMENT_SCHEMA_URL =
+    "https://sap.github.io/open-resource-discovery/spec-v1/interfaces/Document.schema.json";
+// Location of the generated schema within the specification repository, for release tags
+export const ORD_DOCUMENT_SCHEMA_PATH = "static/spec-v1/interfaces/Document.schema.json";
+// Offline copy, taken from the @open-resource-discovery/specification 1.13.0 npm package
+export const BUNDLED_DOCUMENT_SCHEMA_PATH = fileURLToPath(
+    new URL("../data/schemas/Document.schema.json", import.meta.url),
+);
+
+// Static ORD_CONCEPTS fallback, rewritten by --refresh-concepts
+export const ORD_CONCEPTS_DATA_PATH = fileURLToPath(new URL("./ord-concepts-data.js", import.meta.url));
+
+// Spec cache: fresh entries are served without a request; older ones are revalidated
+export const SPEC_CACHE_DIR = process.env.ORD_SPEC_CACHE_DIR || join(homedir(), ".cache", "ord-mcp-server");
+// ORD_SPEC_CACHE_TTL_MS=0 turns the freshness window off, so every read revalidates
+export const SPEC_CACHE_TTL_MS = parseTtl(process.env.ORD_SPEC_CACHE_TTL_MS, 60 * 60 * 1000);
+
+function parseTtl(value, fallback) {
+    const ttl = value?.trim() ? Number(value) : NaN;
+    return Number.isFinite(ttl) && ttl >= 0 ? ttl : fallback;
+}
@@ -0,0 +1,201 @@
+// Deprecation and sunset planning for ORD resources - pure logic, no I/O
+//
+// Retiring a resource takes two document changes: at the deprecation date it gets
+// `releaseStatus: "deprecated"` with its `deprecationDate`, `sunsetDate` and `successors`; at the
+// sunset date it is removed and a `tombstones` entry takes its place. Both documents are planned
+// at once so that the dates and successor links can be checked together.
+import { ORD_CONCEPTS, getConceptProperties } from "./ord-concepts.js";
+import { checkOrdReferences } from "./reference-checker.js";
+import { parseSemanticVersion, toTimestamp } from "./ord-values.js";
+
+const RFC3339_DATE_TIME = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(?:\.\d+)?(?:Z|[+-]\d{2}:\d{2})$/i;
+const RETIRED_STATUSES = new Set(["deprecated", "sunset"]);
+
+// Concepts that have a release status and can therefore be deprecated
+const RETIRABLE_CONCEPTS = Object.entries(ORD_CONCEPTS)
+    .filter(([, concept]) => concept.documentArray)
+    .map(([name, concept]) => ({
+        name,
+        documentArray: concept.documentArray,
+        properties: new Set(getConceptProperties(name).map((property) => property.name)),
+    }))
+    .filter((concept) => concept.properties.has("releaseStatus"));
+
+// Returns { resource: { ordId, concept, path, version, deprecationDate, sunsetDate, successors }, valid,
+// issues, deprecated, sunset } where `deprecated` and `sunset` are patched copies of the document for
+// the two dates and issues are { kind, message } with kind "date", "successor" or "reference".
+// Without a `deprecationDate`, the one already set on the resource is kept, else `now` is used.
+// Deprecating is a minor change, so the deprecated copy gets the next minor `version` (null when the
+// resource has no semantic version) and a changelog entry for it.
+export function planOrdDeprecation(
+    document,
+    { ordId, deprecationDate, sunsetDate, successors = [], now = new Date() },
+) {
+    const located = locateResource(document, ordId);
+    if (!located) {
+        throw new Error(
+            `Resource not found: ${ordId}. Only ${RETIRABLE_CONCEPTS.map((concept) => concept.name).join(", ")} can be deprecated`,
+        );
+    }
+    const { concept, index, entity } = located;
+    const deprecatedOn = parseDate("deprecationDate", deprecationDate ?? entity.deprecationDate ?? toTimestamp(now));
+    const sunsetOn = parseDate("sunsetDate", sunsetDate);
+    const successorIds = [...new Set([...(Array.isArray(entity.successors) ? entity.successors : []), ...successors])];
+
+    const issues = [
+        ...checkDates(entity, deprecatedOn, sunsetOn),
+        ...checkSuccessors(document, concept, ordId, successorIds, sunsetOn),
+    ];
+
+    const replacement = successorIds.length > 0 ? ` Use ${successorIds.join(", ")} instead.` : "";
+    const deprecatedEntity = { ...entity, releaseStatus: "deprecated" };
+    const set = (property, value) => {
+        if (concept.properties.has(property)) {
+            deprecatedEntity[property] = value;
+        }
+    };
+    set("deprecationDate", deprecatedOn.text);
+    set("sunsetDate", sunsetOn.text);
+    if (successorIds.length > 0) {
+        set("successors", successorIds);
+    }
+    if (entity.lastUpdate !== undefined) {
+        set("lastUpdate", deprecatedOn.text);
+    }
+    const version = nextMinorVersion(entity.version);
+    if (version) {
+        deprecatedEntity.version = version;
+    }
+    if (version && concept.properties.has("changelogEntries")) {
+        deprecatedEntity.changelogEntries = [
+            ...(Array.isArray(entity.changelogEntries) ? entity.changelogEntries : []),
+            {
+                version,
+                releaseStatus: "deprecated",
+                date: deprecatedOn.text.slice(0, 10),
+                description: `Deprecated, to be removed on ${sunsetOn.text.slice(0, 10)}.${replacement}`,
+            },
+        ];
+    }
+
+    const deprecated = {
+        ...document,
+        [concept.documentArray]: document[concept.documentArray].map((item, position) =>
+            position === index ? deprecatedEntity : item,
+        ),
+    };
+    const sunset = {
+        ...document,
+        [concept.documentArray]: document[concept.documentArray].filter((item, position) => position !== index),
+        tombstones: [
+            ...(Array.isArray(document.tombstones) ? document.tombstones : []).filter(
+                (tombstone) => tombstone?.ordId !== ordId,
+            ),
+            {
+                ordId,
+                removalDate: sunsetOn.text,
+                description: `Removed on ${sunsetOn.text.slice(0, 10)}.${replacement}`,
+            },
+        ],
+    };
+    issues.push(...checkRemainingReferences(sunset, ordId));
+
+    return {
+        resource: {
+            ordId,
+            concept: concept.name,
+            path: `/${concept.documentArray}/${index}`,
+            version,
+            deprecationDate: deprecatedOn.text,
+            sunsetDate: sunsetOn.text,
+            successors: successorIds,
+        },
+        valid: issues.length === 0,
+        issues,
+        deprecated,
+        sunset,
+    };
+}
+
+function locateResource(document, ordId) {
+    for (const concept of RETIRABLE_CONCEPTS) {
+        const list = Array.isArray(document[concept.documentArray]) ? document[concept.documentArray] : [];
+        const index = list.findIndex((entity) => entity?.ordId === ordId);
+        if (index !== -1) {
+            return { concept, index, entity: list[index] };
+        }
+    }
+    return null;
+}
+
+function nextMinorVersion(version) {
+    const parsed = parseSemanticVersion(version);
+    return parsed ? `${parsed.major}.${parsed.minor + 1}.0` : null;
+}
+
+function parseDate(name, value) {
+    const time = typeof value === "string" && RFC3339_DATE_TIME.test(value) ? Date.parse(value) : NaN;
+    if (Number.isNaN(time)) {
+        throw new Error(`Invalid ${name}: ${value}. Expected an RFC 3339 date-time such as 2026-01-31T00:00:00Z`);
+    }
+    return { text: value, time };
+}
+
+function checkDates(entity, deprecatedOn, sunsetOn) {
+    const issues = [];
+    const issue = (message) => issues.push({ kind: "date", message });
+    if (sunsetOn.time <= deprecatedOn.time) {
+        issue(`sunsetDate ${sunsetOn.text} must be after deprecationDate ${deprecatedOn.text}`);
+    }
+    const lastUpdate = typeof entity.lastUpdate === "string" ? Date.parse(entity.lastUpdate) : NaN;
+    if (lastUpdate > deprecatedOn.time) {
+        issue(`deprecationDate ${deprecatedOn.text} is before the lastUpdate ${entity.lastUpdate} of the resource`);
+    }
+    if (entity.releaseStatus === "sunset") {
+        issue("The resource is already sunset");
+    }
+    return issues;
+}
+
+// Successors must be resources of the same kind in the document that outlive the retired one
+function checkSuccessors(document, concept, ordId, successorIds, sunsetOn) {
+    const issues = [];
+    const issue = (message) => issues.push({ kind: "successor", message });
+    if (successorIds.length > 0 && !concept.properties.has("successors")) {
+        issue(`${concept.name} has no successors property; name the successors in the tombstone description instead`);
+    }
+
+    for (const successorId of successorIds) {
+        if (successorId === ordId) {
+            issue(`${ordId} cannot be its own successor`);
+            continue;
+        }
+        const successor = locateResource(document, successorId);
+        if (!successor) {
+            issue(`Successor ${successorId} is not defined in the document`);
+            continue;
+        }
+        if (successor.concept.name !== concept.name) {
+            issue(`Successor ${successorId} is of type ${successor.concept.name}, expected ${concept.name}`);
+        }
+        if (RETIRED_STATUSES.has(successor.entity.releaseStatus)) {
+            issue(`Successor ${successorId} is ${successor.entity.releaseStatus} itself`);
+        }
+        const successorSunset =
+            typeof successor.entity.sunsetDate === "string" ? Date.parse(successor.entity.sunsetDate) : NaN;
+        if (successorSunset <= sunsetOn.time) {
+            issue(`Successor ${successorId} is sunset on ${successor.entity.sunsetDate}, before ${ordId}`);
+        }
+    }
+    return issues;
+}
+
+// References to the removed resource would dangle once it is replaced by its tombstone
+function checkRemainingReferences(sunset, ordId) {
+    return checkOrdReferences([sunset])
+        .issues.danglingReferences.filter((reference) => reference.id === ordId)
+        .map((reference) => ({
+            kind: "reference",
+            message: `${reference.path} (${reference.field}) still references ${ordId}; update it before the sunset date`,
+        }));
+}
@@ -0,0 +1,173 @@
+// Step-by-step assembly of an ORD document - pure logic, no I/O
+//
+// Every operation returns a new document and leaves the given one alone, so a failed step never
+// leaves a half-applied change behind. Entities are addressed by their identifier (`ordId`, or
+// `groupId` / `groupTypeId` for groups) and stored in the top-level array of their concept.
+import { getConceptProperties } from "./ord-concepts.js";
+import { ENTITY_CONCEPTS, findEntityConcept, listDocumentEntities } from "./ord-catalog.js";
+import { checkOrdReferences } from "./reference-checker.js";
+
+const ORD_VERSIONS = getConceptProperties("DocumentProperties").find(
+    (property) => property.name === "openResourceDiscovery",
+).enum;
+
+const DOCUMENT_ARRAYS = new Set(ENTITY_CONCEPTS.map((concept) => concept.documentArray));
+
+export const BUILDER_CONCEPTS = Object.freeze(ENTITY_CONCEPTS.map((concept) => concept.name));
+
+// Returns a new document with the given top-level properties; `openResourceDiscovery` defaults to
+// the latest version. Entity arrays in `properties` are kept, so a draft can be resumed.
+export function startOrdDocument(properties = {}) {
+    const document = { openResourceDiscovery: ORD_VERSIONS[ORD_VERSIONS.length - 1], ...properties };
+    if (!ORD_VERSIONS.includes(document.openResourceDiscovery)) {
+        throw new Error(
+            `Unsupported openResourceDiscovery version: ${document.openResourceDiscovery}. Use one of: ${ORD_VERSIONS.join(", ")}`,
+        );
+    }
+    return document;
+}
+
+// Returns { document, concept, path, id }
+export function addOrdEntity(document, conceptName, entity) {
+    const concept = findEntityConcept(conceptName);
+    if (!concept) {
+        throw new Error(`Cannot add ${conceptName} entities. Available concepts: ${BUILDER_CONCEPTS.join(", ")}`);
+    }
+    if (!entity || typeof entity !== "object" || Array.isArray(entity)) {
+        throw new Error("entity must be an object");
+    }
+    const id = entity[concept.identity];
+    if (typeof id !== "string" || !id) {
+        throw new Error(`The ${conceptName} has no ${concept.identity}`);
+    }
+    const existing = findEntity(document, id);
+    if (existing) {
+        throw new Error(`${id} already exists at ${existing.path}; use ord_builder_update_entity to change it`);
+    }
+
+    const list = Array.isArray(document[concept.documentArray]) ? document[concept.documentArray] : [];
+    return {
+        document: { ...document, [concept.documentArray]: [...list, entity] },
+        concept: conceptName,
+        path: `/${concept.documentArray}/${list.length}`,
+        id,
+    };
+}
+
+// Merges `properties` into the entity with the given identifier, or into the document itself
+// without one; a null value removes the property. Returns { document, concept, path, id }.
+export function updateOrdEntity(document, id, properties) {
+    if (!properties || typeof properties !== "object" || Array.isArray(properties)) {
+        throw new Error("properties must be an object");
+    }
+
+    if (id === undefined) {
+        const arrays = Object.keys(properties).filter((name) => DOCUMENT_ARRAYS.has(name));
+        if (arrays.length > 0) {
+            throw new Error(`${arrays.join(", ")} hold entities; use ord_builder_add_entity to add them`);
+        }
+        return { document: startOrdDocument(merge(document, properties)), concept: "DocumentProperties", path: "", id };
+    }
+
+    const found = findEntity(document, id);
+    if (!found) {
+        throw new Error(`No entity with ID ${id} in the document`);
+    }
+    const { identity, documentArray } = findEntityConcept(found.concept);
+    if (Object.hasOwn(properties, identity) && properties[identity] !== id) {
+        throw new Error(`${identity} cannot be changed; remove ${id} and add the entity under its new ID`);
+    }
+    return {
+        document: {
+            ...document,
+            [documentArray]: document[documentArray].map((entity, index) =>
+                index === found.index ? merge(entity, properties) : entity,
+            ),
+        },
+        concept: found.concept,
+        path: found.path,
+        id,
+    };
+}
+
+// Returns { document, concept, path, entity } with the removed entity
+export function removeOrdEntity(document, id) {
+    const found = findEntity(document, id);
+    if (!found) {
+        throw new Error(`No entity with ID ${id} in the document`);
+    }
+    const { documentArray } = findEntityConcept(found.concept);
+    const remaining = document[documentArray].filter((entity, index) => index !== found.index);
+    const { [documentArray]: removed, ...rest } = document;
+    return {
+        document: remaining.length > 0 ? { ...rest, [documentArray]: remaining } : rest,
+        concept: found.concept,
+        path: found.path,
+        entity: removed[found.index],
+    };
+}
+
+// Checks a draft against the key properties of ORD_CONCEPTS: missing MANDATORY properties, values
+// outside the allowed ones, and references to IDs the document does not define (yet). Returns
+// { complete, issues: [{ path, id, message }] } where id is the entity with the issue, or the ID a
+// reference could not resolve.
+export function checkOrdDocumentDraft(document) {
+    const issues = listDocumentEntities(document).flatMap(({ concept, path, entity }) => {
+        const id = concept === "DocumentProperties" ? null : (entity[findEntityConcept(concept).identity] ?? null);
+        return getConceptProperties(concept).flatMap((property) => {
+            const value = entity[property.name];
+            const pointer = `${path}/${property.name}`;
+            if (property.requirement === "MANDATORY" && value === undefined) {
+                return [{ path: pointer, id, message: `Missing MANDATORY ${property.name}: ${property.description}` }];
+            }
+            if (Array.isArray(property.enum) && typeof value === "string" && !property.enum.includes(value)) {
+                return [{ path: pointer, id, message: `${value} is not one of ${property.enum.join(", ")}` }];
+            }
+            return [];
+        });
+    });
+
+    const references = checkOrdReferences([document]).issues;
+    issues.push(
+        ...references.danglingReferences.map((reference) => ({
+            path: reference.path,
+            id: reference.id,
+            message: `${reference.field} ${reference.problem}`,
+        })),
+        ...references.parentCycles.map(({ cycle }) => ({
+            path: "",
+            id: cycle[0],
+            message: `Product parent cycle: ${cycle.join(" -> ")}`,
+        })),
+    );
+
+    return { complete: issues.length === 0, issues };
+}
+
+// Returns the number of entities per document array, for progress reports
+export function countOrdEntities(document) {
+    return Object.fromEntries(
+        [...DOCUMENT_ARRAYS]
+            .filter((array) => Array.isArray(document[array]) && document[array].length > 0)
+            .map((array) => [array, document[array].length]),
+    );
+}
+
+function findEntity(document, id) {
+    for (const { name: concept, documentArray, identity } of ENTITY_CONCEPTS) {
+        const list = Array.isArray(document[documentArray]) ? document[documentArray] : [];
+        const index = list.findIndex((entity) => entity?.[identity] === id);
+        if (index !== -1) {
+            return { concept, index, path: `/${documentArray}/${index}` };
+        }
+    }
+    return null;
+}
+
+function merge(target, properties) {
+    const merged = { ...target, ...properties };
+    Object.keys(properties)
+        .filter((name) => properties[name] === null)
+        .forEach((name) => delete merged[name]);
+    return merged;
+}
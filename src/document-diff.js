@@ -0,0 +1,289 @@
+// Resource-level diff between two versions of an ORD document - pure logic, no I/O
+//
+// Resources are matched by ORD ID. Each change is classified as in semantic versioning:
+// "breaking" (consumers may fail: removed resources, narrowed visibility, moved packages, dropped
+// entry points or exposed entity types), "minor" (new capabilities) or "patch" (anything else).
+// The classification is then checked against the `version` and the `:vN` suffix of the ORD ID,
+// and version bumps against `changelogEntries`.
+import { ORD_CONCEPTS } from "./ord-concepts.js";
+import { parseSemanticVersion } from "./ord-values.js";
+
+export const CLASSIFICATIONS = Object.freeze(["breaking", "minor", "patch", "none"]);
+
+const ORD_ID_MAJOR_VERSION = /:v(0|[1-9]\d*)$/;
+const VISIBILITY_RANK = Object.freeze({ public: 0, internal: 1, private: 2 });
+// Properties that describe the change rather than being part of it
+const CHANGE_METADATA = new Set(["ordId", "version", "lastUpdate", "changelogEntries"]);
+// List properties compared item by item: removing an item is breaking, adding one is minor.
+// The value is the key identifying an item, null for plain strings.
+const LIST_PROPERTIES = Object.freeze({
+    entryPoints: null,
+    resourceDefinitions: "type",
+    exposedEntityTypes: "ordId",
+    partOfConsumptionBundles: "ordId",
+    outputPorts: "ordId",
+});
+const BREAKING_PROPERTIES = new Set(["partOfPackage", "apiProtocol", "direction", "implementationStandard"]);
+
+// Concepts with an ORD ID and a version; the others (products, vendors) are not versioned
+const VERSIONED_CONCEPTS = Object.entries(ORD_CONCEPTS)
+    .filter(([, concept]) => concept.documentArray)
+    .filter(([, concept]) =>
+        ["ordId", "version"].every((name) => concept.keyProperties.some((property) => property.name === name)),
+    )
+    .map(([name, concept]) => ({
+        name,
+        documentArray: concept.documentArray,
+        changelog: concept.keyProperties.some((property) => property.name === "changelogEntries"),
+    }));
+
+// Returns { summary, resources, issues }. Every resource is { ordId, concept, status, classification,
+// fromVersion, toVersion, changes: [{ property, classification, description }], replacedBy?, replaces? }
+// with status "added", "removed", "changed" or "unchanged"; issues are { ordId, kind, message } with
+// kind "version", "changelog" or "tombstone".
+export function diffOrdDocuments(from, to) {
+    const before = indexResources(from);
+    const after = indexResources(to);
+    const tombstoned = new Set(
+        (Array.isArray(to.tombstones) ? to.tombstones : []).map((tombstone) => tombstone?.ordId),
+    );
+    const resources = [];
+    const issues = [];
+
+    for (const [ordId, previous] of before) {
+        const next = after.get(ordId);
+        if (!next) {
+            const replacedBy = findOtherMajorVersion(ordId, after, 1);
+            resources.push({
+                ...describeResource(ordId, previous, null, "removed", "breaking"),
+                changes: [],
+                ...(replacedBy ? { replacedBy } : {}),
+            });
+            if (!tombstoned.has(ordId)) {
+                issues.push({
+                    ordId,
+                    kind: "tombstone",
+                    message: `Removed without a tombstone; add { "ordId": "${ordId}", "removalDate": ... } to tombstones`,
+                });
+            }
+            continue;
+        }
+
+        const changes = diffEntity(previous.entity, next.entity);
+        const classification = highest(changes.map((change) => change.classification));
+        resources.push({
+            ...describeResource(ordId, previous, next, changes.length > 0 ? "changed" : "unchanged", classification),
+            changes,
+        });
+        issues.push(...checkVersion(ordId, previous.entity, next.entity, classification));
+        issues.push(...checkChangelog(ordId, previous, next));
+    }
+
+    for (const [ordId, next] of after) {
+        if (before.has(ordId)) {
+            continue;
+        }
+        const replaces = findOtherMajorVersion(ordId, before, -1);
+        resources.push({
+            ...describeResource(ordId, null, next, "added", "minor"),
+            changes: [],
+            ...(replaces ? { replaces } : {}),
+        });
+    }
+
+    const count = (status) => resources.filter((resource) => resource.status === status).length;
+    return {
+        summary: {
+            added: count("added"),
+            removed: count("removed"),
+            changed: count("changed"),
+            unchanged: count("unchanged"),
+            classification: highest(resources.map((resource) => resource.classification)),
+        },
+        resources,
+        issues,
+    };
+}
+
+function indexResources(document) {
+    const index = new Map();
+    for (const concept of VERSIONED_CONCEPTS) {
+        const list = Array.isArray(document[concept.documentArray]) ? document[concept.documentArray] : [];
+        for (const entity of list) {
+            if (typeof entity?.ordId === "string" && !index.has(entity.ordId)) {
+                index.set(entity.ordId, { concept, entity });
+            }
+        }
+    }
+    return index;
+}
+
+function describeResource(ordId, previous, next, status, classification) {
+    return {
+        ordId,
+        concept: (previous ?? next).concept.name,
+        status,
+        classification,
+        fromVersion: previous?.entity.version ?? null,
+        toVersion: next?.entity.version ?? null,
+    };
+}
+
+function diffEntity(previous, next) {
+    const properties = [...new Set([...Object.keys(previous), ...Object.keys(next)])].filter(
+        (property) => !CHANGE_METADATA.has(property),
+    );
+    return properties.flatMap((property) => {
+        if (Object.hasOwn(LIST_PROPERTIES, property)) {
+            return diffList(property, previous[property], next[property]);
+        }
+        if (isEqual(previous[property], next[property])) {
+            return [];
+        }
+        return [classifyChange(property, previous[property], next[property])];
+    });
+}
+
+function classifyChange(property, before, after) {
+    const change = (classification, description) => ({ property, classification, description });
+    const shown = `${property} changed from ${format(before)} to ${format(after)}`;
+
+    if (property === "visibility" && Object.hasOwn(VISIBILITY_RANK, before) && Object.hasOwn(VISIBILITY_RANK, after)) {
+        return VISIBILITY_RANK[after] > VISIBILITY_RANK[before]
+            ? change("breaking", `visibility narrowed from ${before} to ${after}`)
+            : change("minor", `visibility widened from ${before} to ${after}`);
+    }
+    if (property === "releaseStatus") {
+        if (after === "sunset" || (before === "active" && after === "beta")) {
+            return change("breaking", shown);
+        }
+        return change(after === "deprecated" || after === "active" ? "minor" : "patch", shown);
+    }
+    if (property === "disabled") {
+        return change(after === true ? "breaking" : "minor", shown);
+    }
+    if (property === "partOfPackage") {
+        return change("breaking", `moved from package ${format(before)} to ${format(after)}`);
+    }
+    if (BREAKING_PROPERTIES.has(property)) {
+        return change("breaking", shown);
+    }
+    return change("patch", `${property} changed`);
+}
+
+function diffList(property, before = [], after = []) {
+    const key = LIST_PROPERTIES[property];
+    const index = (list) =>
+        new Map(
+            (Array.isArray(list) ? list : []).map((item) => [key ? (item?.[key] ?? canonicalJson(item)) : item, item]),
+        );
+    const [previous, next] = [index(before), index(after)];
+
+    const changes = [];
+    for (const [id, item] of previous) {
+        if (!next.has(id)) {
+            changes.push({
+                property,
+                classification: "breaking",
+                description: `${property} entry ${format(id)} removed`,
+            });
+        } else if (!isEqual(item, next.get(id))) {
+            changes.push({ property, classification: "patch", description: `${property} entry ${format(id)} changed` });
+        }
+    }
+    for (const id of next.keys()) {
+        if (!previous.has(id)) {
+            changes.push({ property, classification: "minor", description: `${property} entry ${format(id)} added` });
+        }
+    }
+    return changes;
+}
+
+// A breaking change needs a new major version, which in ORD is a new ORD ID; minor and patch
+// changes keep the ORD ID and bump the version accordingly
+function checkVersion(ordId, previous, next, classification) {
+    const issue = (message) => [{ ordId, kind: "version", message }];
+    const idMajor = ordId.match(ORD_ID_MAJOR_VERSION)?.[1];
+    const [from, to] = [parseSemanticVersion(previous.version), parseSemanticVersion(next.version)];
+
+    if (classification === "breaking") {
+        const successor =
+            idMajor === undefined ? null : ordId.replace(ORD_ID_MAJOR_VERSION, `:v${Number(idMajor) + 1}`);
+        return issue(
+            `Breaking change without a new major version${successor ? `; publish it as ${successor} with version ${Number(idMajor) + 1}.0.0 and deprecate ${ordId}` : ""}`,
+        );
+    }
+    if (classification === "none" || !from || !to) {
+        return [];
+    }
+    if (to.major !== from.major) {
+        return issue(`Major version changed from ${previous.version} to ${next.version} without a new ORD ID`);
+    }
+    const expected =
+        classification === "minor"
+            ? `${from.major}.${from.minor + 1}.0`
+            : `${from.major}.${from.minor}.${from.patch + 1}`;
+    const bumped = classification === "minor" ? to.minor > from.minor : compareVersions(to, from) > 0;
+    return bumped ? [] : issue(`${classification} change needs version ${expected} or later, found ${next.version}`);
+}
+
+function checkChangelog(ordId, previous, next) {
+    if (!next.concept.changelog || !next.entity.version || next.entity.version === previous.entity.version) {
+        return [];
+    }
+    const entries = Array.isArray(next.entity.changelogEntries) ? next.entity.changelogEntries : [];
+    if (entries.some((entry) => entry?.version === next.entity.version)) {
+        return [];
+    }
+    return [
+        {
+            ordId,
+            kind: "changelog",
+            message: `No changelogEntries entry for version ${next.entity.version}`,
+        },
+    ];
+}
+
+// The same resource with another :vN suffix, `direction` 1 looking for newer and -1 for older ones
+function findOtherMajorVersion(ordId, index, direction) {
+    const match = ordId.match(ORD_ID_MAJOR_VERSION);
+    if (!match) {
+        return null;
+    }
+    const base = ordId.slice(0, match.index);
+    const candidates = [...index.keys()]
+        .map((candidate) => ({ candidate, major: candidate.match(ORD_ID_MAJOR_VERSION)?.[1] }))
+        .filter(({ candidate, major }) => major !== undefined && candidate.startsWith(`${base}:v`))
+        .filter(({ major }) => Math.sign(Number(major) - Number(match[1])) === direction)
+        .sort((a, b) => direction * (Number(a.major) - Number(b.major)));
+    return candidates[0]?.candidate ?? null;
+}
+
+function highest(classifications) {
+    return CLASSIFICATIONS.find((classification) => classifications.includes(classification)) ?? "none";
+}
+
+function compareVersions(a, b) {
+    return a.major - b.major || a.minor - b.minor || a.patch - b.patch;
+}
+
+function isEqual(a, b) {
+    return canonicalJson(a) === canonicalJson(b);
+}
+
+// JSON with the keys of every object sorted, so that reordered keys do not count as a change
+function canonicalJson(value) {
+    return JSON.stringify(value, (key, item) =>
+        item && typeof item === "object" && !Array.isArray(item)
+            ? Object.fromEntries(
+                  Object.keys(item)
+                      .sort()
+                      .map((name) => [name, item[name]]),
+              )
+            : item,
+    );
+}
+
+function format(value) {
+    return value === undefined ? "(none)" : typeof value === "string" ? value : JSON.stringify(value);
+}
@@ -0,0 +1,284 @@
+// Style and best-practice linting of ORD documents - pure logic, no I/O
+//
+// Unlike schema validation, findings are judgement calls, so every rule has a default severity that
+// callers can override ("error", "warning", "info" or "off"). Each finding carries a JSON Patch
+// (RFC 6902) against the whole document that resolves it; the patch is empty when the fix needs
+// a human, e.g. writing a better description.
+import { getConceptProperties } from "./ord-concepts.js";
+import { listDocumentEntities } from "./ord-catalog.js";
+import { escapePointer } from "./document-validator.js";
+import { listOrdReferences } from "./reference-checker.js";
+import { parseSemanticVersion, toTimestamp } from "./ord-values.js";
+
+export const SEVERITIES = Object.freeze(["error", "warning", "info", "off"]);
+
+const ORD_ID_MAJOR_VERSION = /:v(0|[1-9]\d*)$/;
+const CODE_FENCE = /^\s*(```|~~~)/gm;
+const FENCE_MARKER = /^\s*(`{3,}|~{3,})/;
+// A run of backticks up to the next run of the same length
+const CODE_SPAN = /(`+)[^]*?\1(?!`)/g;
+
+export const LINT_RULES = Object.freeze([
+    {
+        id: "short-description-repeats-title",
+        severity: "warning",
+        description: "shortDescription should say more than the title",
+        lint: lintShortDescription,
+    },
+    {
+        id: "description-escapes-and-fences",
+        severity: "warning",
+        description: "description should not contain escaped line breaks or unclosed code fences",
+        lint: lintDescriptionEscapesAndFences,
+    },
+    {
+        id: "version-matches-ord-id",
+        severity: "error",
+        description: "The major version must match the :vN suffix of the ORD ID",
+        lint: lintVersionMatchesOrdId,
+    },
+    {
+        id: "last-update-in-future",
+        severity: "error",
+        description: "lastUpdate must not be in the future",
+        lint: lintLastUpdate,
+    },
+    {
+        id: "enum-value-case",
+        severity: "warning",
+        description: "Fixed values are case-sensitive",
+        lint: lintEnumCase,
+    },
+    {
+        id: "recommended-property",
+        severity: "info",
+        description: "RECOMMENDED properties should be provided",
+        lint: lintRecommendedProperties,
+    },
+]);
+
+// Returns { findings: [{ rule, severity, path, ordId, message, patch }], counts } with findings
+// ordered by severity. `severities` maps rule IDs to a severity; `now` is the reference time for
+// date checks.
+export function lintOrdDocument(document, { severities = {}, now = new Date() } = {}) {
+    const unknown = Object.keys(severities).filter((id) => !LINT_RULES.some((rule) => rule.id === id));
+    if (unknown.length > 0) {
+        throw new Error(
+            `Unknown lint rule(s): ${unknown.join(", ")}. Available rules: ${LINT_RULES.map((rule) => rule.id).join(", ")}`,
+        );
+    }
+    const invalid = Object.entries(severities).filter(([, severity]) => !SEVERITIES.includes(severity));
+    if (invalid.length > 0) {
+        throw new Error(
+            `Invalid severity for ${invalid[0][0]}: ${invalid[0][1]}. Use one of: ${SEVERITIES.join(", ")}`,
+        );
+    }
+
+    const findings = [];
+    for (const rule of LINT_RULES) {
+        const severity = severities[rule.id] ?? rule.severity;
+        if (severity === "off") {
+            continue;
+        }
+        for (const item of listDocumentEntities(document)) {
+            for (const finding of rule.lint(item, { now, document })) {
+                findings.push({
+                    rule: rule.id,
+                    severity,
+                    path: finding.path,
+                    ordId: item.entity.ordId ?? null,
+                    message: finding.message,
+                    patch: finding.patch ?? [],
+                });
+            }
+        }
+    }
+
+    findings.sort((a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity));
+    return {
+        findings,
+        counts: Object.fromEntries(
+            SEVERITIES.slice(0, -1).map((severity) => [
+                severity,
+                findings.filter((finding) => finding.severity === severity).length,
+            ]),
+        ),
+    };
+}
+
+function lintShortDescription({ path, entity }) {
+    const { title, shortDescription, description } = entity;
+    if (
+        typeof title !== "string" ||
+        typeof shortDescription !== "string" ||
+        normalize(title) !== normalize(shortDescription)
+    ) {
+        return [];
+    }
+    const firstSentence = typeof description === "string" ? description.trim().split(/(?<=\.)\s|\n/)[0] : "";
+    const replacement = firstSentence && normalize(firstSentence) !== normalize(title) ? firstSentence : null;
+    return [
+        {
+            path: `${path}/shortDescription`,
+            message: `shortDescription only repeats the title "${title}"${replacement ? "; the first sentence of the description says more" : ""}`,
+            patch: replacement ? [{ op: "replace", path: `${path}/shortDescription`, value: replacement }] : [],
+        },
+    ];
+}
+
+// Catches two mistakes that break rendering: line breaks escaped twice, so the text shows a literal
+// "\n", and code fences that are never closed. A "\n" inside code is left alone, since it is usually
+// meant literally there.
+function lintDescriptionEscapesAndFences({ path, entity }) {
+    if (typeof entity.description !== "string") {
+        return [];
+    }
+    const pointer = `${path}/description`;
+    const findings = [];
+    let text = entity.description;
+
+    const unescaped = mapProse(text, (prose) => prose.replaceAll("\\n", "\n"));
+    if (unescaped !== text) {
+        // Without a single real line break the whole text was escaped, code included
+        text = text.includes("\n") ? unescaped : text.replaceAll("\\n", "\n");
+        findings.push({ path: pointer, message: 'description contains escaped line breaks ("\\n")' });
+    }
+    const fences = text.match(CODE_FENCE) ?? [];
+    if (fences.length % 2 === 1) {
+        text = `${text.replace(/\s*$/, "")}\n${fences[fences.length - 1].trim()}`;
+        findings.push({ path: pointer, message: "description has an unclosed code fence" });
+    }
+
+    // One patch fixes all of them, so it goes with the last finding
+    if (findings.length > 0) {
+        findings[findings.length - 1].patch = [{ op: "replace", path: pointer, value: text }];
+    }
+    return findings;
+}
+
+// A new major version is a new resource, so the ORD ID is what lags behind when the version is
+// ahead; a version behind its ORD ID is simply wrong. The patch for a new ORD ID also moves the
+// references within the document, which would dangle otherwise.
+function lintVersionMatchesOrdId({ path, entity }, { document }) {
+    const idMatch = typeof entity.ordId === "string" ? entity.ordId.match(ORD_ID_MAJOR_VERSION) : null;
+    const version = parseSemanticVersion(entity.version);
+    if (!idMatch || !version || Number(idMatch[1]) === version.major) {
+        return [];
+    }
+
+    const [idMajor, versionMajor] = [Number(idMatch[1]), version.major];
+    if (versionMajor > idMajor) {
+        const ordId = entity.ordId.replace(ORD_ID_MAJOR_VERSION, `:v${versionMajor}`);
+        const references = listOrdReferences(document).filter((reference) => reference.id === entity.ordId);
+        const moved =
+            references.length > 0
+                ? `; the patch points its ${references.length} reference(s) in this document at ${ordId}`
+                : "";
+        return [
+            {
+                path: `${path}/ordId`,
+                message: `version ${entity.version} needs an ORD ID ending in :v${versionMajor}; keep the old resource or tombstone it, and update references to ${entity.ordId} in other documents${moved}`,
+                patch: [
+                    { op: "replace", path: `${path}/ordId`, value: ordId },
+                    ...references.map((reference) => ({ op: "replace", path: reference.path, value: ordId })),
+                ],
+            },
+        ];
+    }
+    return [
+        {
+            path: `${path}/version`,
+            message: `version ${entity.version} is behind the ORD ID major version v${idMajor}`,
+            patch: [{ op: "replace", path: `${path}/version`, value: `${idMajor}.0.0` }],
+        },
+    ];
+}
+
+function lintLastUpdate({ path, entity }, { now }) {
+    const time = typeof entity.lastUpdate === "string" ? Date.parse(entity.lastUpdate) : NaN;
+    if (Number.isNaN(time) || time <= now.getTime()) {
+        return [];
+    }
+    return [
+        {
+            path: `${path}/lastUpdate`,
+            message: `lastUpdate ${entity.lastUpdate} is in the future`,
+            patch: [{ op: "replace", path: `${path}/lastUpdate`, value: toTimestamp(now) }],
+        },
+    ];
+}
+
+function lintEnumCase({ concept, path, entity }) {
+    return getConceptProperties(concept)
+        .filter((property) => Array.isArray(property.enum) && typeof entity[property.name] === "string")
+        .flatMap((property) => {
+            const value = entity[property.name];
+            const match = property.enum.find((candidate) => candidate.toLowerCase() === value.toLowerCase());
+            if (!match || match === value) {
+                return [];
+            }
+            const pointer = `${path}/${escapePointer(property.name)}`;
+            return [
+                {
+                    path: pointer,
+                    message: `${property.name} "${value}" should be written "${match}"`,
+                    patch: [{ op: "replace", path: pointer, value: match }],
+                },
+            ];
+        });
+}
+
+// Only values that can be derived are patched in, i.e. `now` for date-time properties; the examples
+// of ORD_CONCEPTS are shown as a hint, since adding them would publish made-up metadata
+function lintRecommendedProperties({ concept, path, entity }, { now }) {
+    return getConceptProperties(concept)
+        .filter((property) => property.requirement === "RECOMMENDED" && entity[property.name] === undefined)
+        .filter((property) => !property.constraints?.featureStatus)
+        .map((property) => {
+            const pointer = `${path}/${escapePointer(property.name)}`;
+            const dateTime = property.constraints?.format === "date-time";
+            const hint =
+                property.example !== undefined && !dateTime ? ` Example: ${JSON.stringify(property.example)}` : "";
+            return {
+                path: pointer,
+                message: `${property.name} is RECOMMENDED: ${property.description}${hint}`,
+                patch: dateTime ? [{ op: "add", path: pointer, value: toTimestamp(now) }] : [],
+            };
+        });
+}
+
+function normalize(text) {
+    return text
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, " ")
+        .trim();
+}
+
+// Applies `replace` to the prose of a Markdown text, leaving fenced code blocks and code spans alone
+function mapProse(text, replace) {
+    let fence = null;
+    return text
+        .split("\n")
+        .map((line) => {
+            const marker = line.match(FENCE_MARKER)?.[1];
+            if (fence) {
+                if (marker?.[0] === fence[0] && marker.length >= fence.length) {
+                    fence = null;
+                }
+                return line;
+            }
+            if (marker) {
+                fence = marker;
+                return line;
+            }
+            const parts = [];
+            let last = 0;
+            for (const span of line.matchAll(CODE_SPAN)) {
+                parts.push(replace(line.slice(last, span.index)), span[0]);
+                last = span.index + span[0].length;
+            }
+            parts.push(replace(line.slice(last)));
+            return parts.join("");
+        })
+        .join("\n");
+}
@@ -0,0 +1,77 @@
+// ORD document validation against the official JSON Schema - pure logic, no I/O
+import Ajv from "ajv";
+import addFormats from "ajv-formats";
+
+// Compiling the full Document schema takes most of a second, so keep the last one
+let compiledSchema = { schemaText: null, validate: null };
+
+// Accepts the document as JSON text or as an already parsed object
+export function parseOrdDocument(input) {
+    if (typeof input === "string") {
+        try {
+            input = JSON.parse(input);
+        } catch (error) {
+            throw new Error(`Invalid ORD document: not valid JSON (${error.message})`);
+        }
+    }
+
+    if (!input || typeof input !== "object" || Array.isArray(input)) {
+        throw new Error("Invalid ORD document: expected a JSON object");
+    }
+
+    return input;
+}
+
+// Returns { valid, errors: [{ path, message, keyword }] } where path is a JSON pointer
+export function validateOrdDocument(document, schemaText) {
+    const validate = compileSchema(schemaText);
+
+    if (validate(document)) {
+        return { valid: true, errors: [] };
+    }
+
+    // allErrors reports the same failure once per failed anyOf/oneOf branch
+    const unique = new Map();
+    validate.errors.map(toValidationError).forEach((error) => unique.set(`${error.path}\n${error.message}`, error));
+
+    return { valid: false, errors: [...unique.values()] };
+}
+
+function compileSchema(schemaText) {
+    if (compiledSchema.schemaText !== schemaText) {
+        let schema;
+        try {
+            schema = JSON.parse(schemaText);
+        } catch (error) {
+            throw new Error(`Invalid ORD document schema: ${error.message}`);
+        }
+
+        // The ORD schema carries x-* annotations that strict mode would reject
+        const ajv = new Ajv({ allErrors: true, strict: false });
+        addFormats(ajv);
+        compiledSchema = { schemaText, validate: ajv.compile(schema) };
+    }
+    return compiledSchema.validate;
+}
+
+// Point at the offending property itself rather than at its parent object
+function toValidationError({ instancePath, keyword, params, message }) {
+    const property = params.missingProperty ?? params.additionalProperty;
+    const path = property === undefined ? instancePath : `${instancePath}/${escapePointer(property)}`;
+
+    let text = message;
+    if (keyword === "additionalProperties") {
+        text = "is not allowed by the schema";
+    } else if (keyword === "required") {
+        text = "is required";
+    } else if (keyword === "enum") {
+        text = `${message}: ${params.allowedValues.join(", ")}`;
+    }
+
+    return { path: path || "/", message: text, keyword };
+}
+
+// JSON Pointer (RFC 6901) escaping of one path segment
+export function escapePointer(segment) {
+    return String(segment).replace(/~/g, "~0").replace(/\//g, "~1");
+}
@@ -0,0 +1,159 @@
+// Skeleton entities for ORD concepts - pure logic, no I/O
+//
+// Every MANDATORY property of the concept gets a value: identifiers and references are built from
+// the namespace, name and version so that they fit together, fixed values take the documented
+// example (or the first allowed value), and everything else takes the example of ORD_CONCEPTS.
+// Values that only stand in for real content are listed as placeholders.
+import { ORD_CONCEPTS, getConceptProperties } from "./ord-concepts.js";
+import { ORD_ID_TYPES, validateOrdId } from "./ord-id.js";
+import { parseSemanticVersion, toTimestamp } from "./ord-values.js";
+
+const NAME_PATTERN = /^[a-zA-Z0-9._-]+$/;
+const DEFAULT_VENDOR = "customer:vendor:Customer:";
+
+// Concept name -> ORD ID concept type; groups and group types have their own identifiers
+const CONCEPT_TYPES = Object.fromEntries(Object.entries(ORD_ID_TYPES).map(([type, { concept }]) => [concept, type]));
+export const SCAFFOLD_CONCEPTS = Object.freeze([...Object.keys(CONCEPT_TYPES), "Group", "GroupType"]);
+
+// Returns { concept, documentArray, entity, placeholders, notes }. `placeholders` lists the
+// properties whose values are made up and need real content; `packageOrdId` is used for
+// `partOfPackage`, `vendor` for the vendor reference and `groupTypeId` for groups.
+export function scaffoldOrdEntity(
+    conceptName,
+    {
+        namespace,
+        name,
+        version = "1.0.0",
+        packageOrdId,
+        vendor,
+        groupTypeId,
+        includeRecommended = false,
+        now = new Date(),
+    } = {},
+) {
+    if (!SCAFFOLD_CONCEPTS.includes(conceptName)) {
+        throw new Error(
+            `Cannot scaffold ${conceptName}. Available concepts: ${SCAFFOLD_CONCEPTS.join(", ")}${conceptName === "Tombstone" ? ". Use plan_ord_deprecation for tombstones" : ""}`,
+        );
+    }
+    if (typeof namespace !== "string" || !/^[a-z0-9]+(?:[.][a-z0-9]+)*$/.test(namespace)) {
+        throw new Error(`Invalid namespace: ${namespace}. Expected lowercase segments separated by dots, e.g. sap.s4`);
+    }
+    if (typeof name !== "string" || !NAME_PATTERN.test(name)) {
+        throw new Error(`Invalid name: ${name}. Use letters, digits, ".", "_" and "-" only`);
+    }
+    const semver = parseSemanticVersion(version);
+    if (!semver) {
+        throw new Error(`Invalid version: ${version}. Expected a semantic version such as 1.0.0`);
+    }
+
+    const notes = [];
+    const placeholders = [];
+    const title = toTitle(name);
+    const type = CONCEPT_TYPES[conceptName];
+    const versioned = type !== undefined && ORD_ID_TYPES[type].versioned;
+    // Vendor IDs live in the vendor namespace, the first segment of a system or application namespace
+    const idNamespace = type === "vendor" ? namespace.split(".")[0] : namespace;
+    if (idNamespace !== namespace) {
+        notes.push(`ordId: vendor IDs use the vendor namespace, so ${idNamespace} is used instead of ${namespace}`);
+    }
+    const ordId = type ? `${idNamespace}:${type}:${name}:${versioned ? `v${semver.major}` : ""}` : undefined;
+    if (ordId) {
+        const { valid, errors } = validateOrdId(ordId);
+        if (!valid) {
+            throw new Error(`Cannot build a valid ORD ID ${ordId}: ${errors.join("; ")}`);
+        }
+    }
+    const references = {
+        partOfPackage: checkReference(packageOrdId, "partOfPackage") ?? `${namespace}:package:${name}:v${semver.major}`,
+        vendor: checkReference(vendor, "vendor") ?? DEFAULT_VENDOR,
+    };
+
+    // Values that have to fit the identity of the entity rather than follow the example
+    const derived = {
+        ordId,
+        localId: name,
+        title,
+        version,
+        partOfPackage: references.partOfPackage,
+        vendor: references.vendor,
+        groupTypeId: conceptName === "GroupType" ? `${namespace}:${name}` : (groupTypeId ?? `${namespace}:domain`),
+        groupId: `${groupTypeId ?? `${namespace}:domain`}:${namespace}:${name}`,
+        lastUpdate: toTimestamp(now),
+        shortDescription: `Short description of ${title}`,
+        description: `Description of ${title}.`,
+    };
+    const defaulted = {
+        partOfPackage: packageOrdId
+            ? null
+            : `no package given, so it points at ${references.partOfPackage}; scaffold that Package too`,
+        vendor: vendor ? null : `no vendor given, so it points at ${DEFAULT_VENDOR}`,
+        groupTypeId:
+            conceptName === "Group" && !groupTypeId ? `no group type given, so ${derived.groupTypeId} is used` : null,
+    };
+
+    const entity = {};
+    const properties = getConceptProperties(conceptName).filter(
+        (property) =>
+            property.requirement === "MANDATORY" ||
+            (includeRecommended && property.requirement === "RECOMMENDED" && !property.constraints?.featureStatus),
+    );
+    for (const property of properties) {
+        if (derived[property.name] !== undefined) {
+            entity[property.name] = derived[property.name];
+            if (defaulted[property.name]) {
+                notes.push(`${property.name}: ${defaulted[property.name]}`);
+            }
+            if (["shortDescription", "description"].includes(property.name)) {
+                placeholders.push(property.name);
+            }
+        } else if (Array.isArray(property.enum)) {
+            entity[property.name] = property.enum.includes(property.example) ? property.example : property.enum[0];
+        } else if (property.example !== undefined) {
+            entity[property.name] = exampleValue(property);
+            placeholders.push(property.name);
+        } else if (property.type === "boolean") {
+            entity[property.name] = false;
+        } else {
+            notes.push(`${property.name}: no example to start from; fill it in`);
+        }
+    }
+    // The key properties are a subset of the schema, which has lastUpdate for every versioned
+    // concept but Package
+    if (versioned && type !== "package" && entity.lastUpdate === undefined) {
+        entity.lastUpdate = derived.lastUpdate;
+    }
+
+    return {
+        concept: conceptName,
+        documentArray: ORD_CONCEPTS[conceptName].documentArray,
+        entity,
+        placeholders,
+        notes,
+    };
+}
+
+function checkReference(ordId, field) {
+    if (ordId === undefined) {
+        return undefined;
+    }
+    const { valid, errors } = validateOrdId(ordId, { field });
+    if (!valid) {
+        throw new Error(`Invalid ${field}: ${errors.join("; ")}`);
+    }
+    return ordId.trim();
+}
+
+// Examples of array properties are sometimes given as a single item
+function exampleValue(property) {
+    const example = property.example;
+    return property.type?.startsWith("array") && !Array.isArray(example) ? [example] : example;
+}
+
+// "SalesOrder_API" -> "Sales Order API"
+function toTitle(name) {
+    return name
+        .replace(/[._-]+/g, " ")
+        .replace(/([a-z0-9])([A-Z])/g, "$1 $2")
+        .trim();
+}
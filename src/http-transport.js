@@ -0,0 +1,155 @@
+// HTTP transport: MCP over Server-Sent Events with one MCP server per client session.
+// All sessions live in one process, so they share the specification caches.
+import { createServer } from "node:http";
+import { SSEServerTransport } from "@modelcontextprotocol/sdk/server/sse.js";
+import { HTTP_SHUTDOWN_TIMEOUT_MS } from "./constants.js";
+
+export const SSE_PATH = "/sse";
+export const MESSAGES_PATH = "/messages";
+export const HEALTH_PATH = "/health";
+
+// Clients open GET /sse, receive the session's message endpoint, and POST their requests there.
+// `createSessionServer({ trackRequest })` returns a fresh, unconnected MCP Server for every SSE
+// connection; its request handlers pass their promise through `trackRequest`, so that close() can
+// wait for running requests. Resolves to { url, sessions, close } once the server is listening.
+export async function startHttpServer({ host, port, createSessionServer, serverInfo }) {
+    const sessions = new Map();
+    const requests = trackRequests();
+    const startedAt = Date.now();
+    let closing = false;
+
+    // Ends the session's MCP server with its per-session state; runs once per session
+    const closeSession = async (sessionId) => {
+        const session = sessions.get(sessionId);
+        if (!session) {
+            return;
+        }
+        sessions.delete(sessionId);
+        requests.forget(sessionId);
+        await session.server.close().catch((error) => console.error("Closing MCP session failed:", error.message));
+    };
+
+    const handleRequest = async (req, res) => {
+        const { pathname, searchParams } = new URL(req.url, "http://localhost");
+
+        if (closing && (pathname === SSE_PATH || pathname === MESSAGES_PATH)) {
+            sendJson(res, 503, { error: "Server is shutting down" });
+            return;
+        }
+
+        if (req.method === "GET" && pathname === HEALTH_PATH) {
+            sendJson(res, 200, {
+                status: "ok",
+                ...serverInfo,
+                sessions: sessions.size,
+                uptimeSeconds: Math.floor((Date.now() - startedAt) / 1000),
+            });
+            return;
+        }
+
+        if (req.method === "GET" && pathname === SSE_PATH) {
+            const transport = new SSEServerTransport(MESSAGES_PATH, res);
+            const { sessionId } = transport;
+            const server = createSessionServer({ trackRequest: (promise) => requests.track(sessionId, promise) });
+            sessions.set(sessionId, { transport, server });
+            // Server.connect() takes over transport.onclose, so watch the stream itself
+            res.on("close", () => closeSession(sessionId));
+            await server.connect(transport);
+            return;
+        }
+
+        if (req.method === "POST" && pathname === MESSAGES_PATH) {
+            const session = sessions.get(searchParams.get("sessionId"));
+            if (!session) {
+                sendJson(res, 404, { error: "Unknown or closed session" });
+                return;
+            }
+            await session.transport.handlePostMessage(req, res);
+            return;
+        }
+
+        sendJson(res, 404, { error: `Not found: ${req.method} ${pathname}` });
+    };
+
+    const httpServer = createServer((req, res) => {
+        handleRequest(req, res).catch((error) => {
+            console.error("HTTP request failed:", error.message);
+            if (!res.headersSent) {
+                sendJson(res, 500, { error: error.message });
+            }
+        });
+    });
+
+    await new Promise((resolve, reject) => {
+        httpServer.once("error", reject);
+        httpServer.listen(port, host, resolve);
+    });
+    const address = httpServer.address();
+    const urlHost = address.family === "IPv6" ? `[${address.address}]` : address.address;
+
+    return {
+        url: `http://${urlHost}:${address.port}`,
+        sessions,
+        // Stop accepting sessions and messages, give running requests up to `timeoutMs` to send their
+        // responses, then end the open SSE streams
+        async close({ timeoutMs = HTTP_SHUTDOWN_TIMEOUT_MS } = {}) {
+            closing = true;
+            const closed = new Promise((resolve) => httpServer.close(resolve));
+            await requests.settled(timeoutMs);
+            await Promise.all([...sessions.keys()].map(closeSession));
+            httpServer.closeIdleConnections();
+            await closed;
+        },
+    };
+}
+
+// Counts the running requests of every session. A request counts until the next turn after its
+// handler settled, by which time the SDK has written the response to the SSE stream.
+function trackRequests() {
+    const pending = new Map();
+    let waiting = [];
+
+    const count = () => [...pending.values()].reduce((sum, running) => sum + running, 0);
+    const notify = () => {
+        if (count() === 0) {
+            waiting.forEach((resolve) => resolve());
+            waiting = [];
+        }
+    };
+
+    return {
+        track(sessionId, promise) {
+            pending.set(sessionId, (pending.get(sessionId) ?? 0) + 1);
+            const done = () =>
+                setImmediate(() => {
+                    if (pending.has(sessionId)) {
+                        pending.set(sessionId, pending.get(sessionId) - 1);
+                        notify();
+                    }
+                });
+            promise.then(done, done);
+            return promise;
+        },
+        // Requests of a closed session can no longer be answered
+        forget(sessionId) {
+            pending.delete(sessionId);
+            notify();
+        },
+        settled(timeoutMs) {
+            if (count() === 0) {
+                return Promise.resolve();
+            }
+            return new Promise((resolve) => {
+                const timer = setTimeout(resolve, timeoutMs);
+                waiting.push(() => {
+                    clearTimeout(timer);
+                    resolve();
+                });
+            });
+        },
+    };
+}
+
+function sendJson(res, status, body) {
+    res.writeHead(status, { "Content-Type": "application/json" }).end(JSON.stringify(body));
+}
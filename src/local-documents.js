@@ -0,0 +1,88 @@
+// Isolated I/O operations for ORD documents kept in local directories
+import { watch } from "node:fs";
+import { readdir, readFile } from "node:fs/promises";
+import { join, resolve } from "node:path";
+
+const WATCH_DEBOUNCE_MS = 200;
+
+// Returns [{ directory, file, path, document, error }] for every *.json file directly in the
+// directories. Files that cannot be read or are no ORD document carry the error instead, so one
+// broken file does not hide the others; a missing directory is a configuration error and throws.
+export async function readLocalOrdDocuments(directories) {
+    const files = [];
+    for (const directory of directories.map((candidate) => resolve(candidate))) {
+        let names;
+        try {
+            names = await readdir(directory);
+        } catch (error) {
+            throw new Error(`Cannot read ORD directory ${directory}: ${error.message}`);
+        }
+
+        for (const file of names.filter((name) => name.endsWith(".json")).sort()) {
+            const path = join(directory, file);
+            try {
+                files.push({
+                    directory,
+                    file,
+                    path,
+                    document: parseLocalDocument(await readFile(path, "utf8")),
+                    error: null,
+                });
+            } catch (error) {
+                files.push({ directory, file, path, document: null, error: error.message });
+            }
+        }
+    }
+    return files;
+}
+
+// Calls `onChange` once the directories have been quiet for a moment after files were added,
+// changed or removed; editors tend to write a file in several steps. A directory that can no longer
+// be watched (deleted, unmounted) is logged and dropped, the others keep being watched. Returns { close }.
+export function watchLocalOrdDocuments(
+    directories,
+    onChange,
+    { debounceMs = WATCH_DEBOUNCE_MS, watchDirectory = watch } = {},
+) {
+    let timer = null;
+    const schedule = () => {
+        clearTimeout(timer);
+        timer = setTimeout(onChange, debounceMs);
+    };
+
+    const watchers = directories.map((directory) => {
+        const path = resolve(directory);
+        const watcher = watchDirectory(path, (eventType, file) => {
+            if (!file || file.endsWith(".json")) {
+                schedule();
+            }
+        });
+        // An unhandled 'error' event would take the whole server down
+        watcher.on("error", (error) => {
+            console.error(`Stopped watching ORD directory ${path}: ${error.message}`);
+            watcher.close();
+        });
+        return watcher;
+    });
+
+    return {
+        close() {
+            clearTimeout(timer);
+            watchers.forEach((watcher) => watcher.close());
+        },
+    };
+}
+
+// Other JSON files (package.json, configuration) may live next to the documents
+function parseLocalDocument(text) {
+    let document;
+    try {
+        document = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`Not valid JSON (${error.message})`);
+    }
+    if (!document || typeof document !== "object" || typeof document.openResourceDiscovery !== "string") {
+        throw new Error("Not an ORD document: openResourceDiscovery is missing");
+    }
+    return document;
+}
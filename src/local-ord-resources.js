@@ -0,0 +1,60 @@
+// MCP resources for local ORD documents - pure logic, no I/O
+import { basename } from "node:path";
+
+import { aggregateOrdDocuments } from "./ord-catalog.js";
+
+export const LOCAL_URI_PREFIX = "ord://local/";
+
+// `files` as read by readLocalOrdDocuments. Returns { resources, contents } where resources are
+// MCP resource descriptors and contents maps their URIs to JSON text:
+//   ord://local/<directory>/<file>            the whole document
+//   ord://local/<directory>/<file>/<ORD ID>   one entity of it
+// <directory> is the directory's name, numbered when several configured directories share it.
+// Files with errors are left out.
+export function buildLocalResources(files) {
+    const labels = labelDirectories([...new Set(files.map((file) => file.directory))]);
+    const resources = [];
+    const contents = new Map();
+
+    for (const { directory, file, document } of files.filter((candidate) => !candidate.error)) {
+        const documentUri = `${LOCAL_URI_PREFIX}${labels.get(directory)}/${encodeURIComponent(file)}`;
+        const catalog = aggregateOrdDocuments([{ source: documentUri, document }]);
+        const counts = Object.entries(catalog.counts).map(([concept, count]) => `${count} ${concept}`);
+
+        resources.push({
+            uri: documentUri,
+            name: `${labels.get(directory)}/${file}`,
+            description: `Local ORD document${counts.length > 0 ? ` with ${counts.join(", ")}` : ""}`,
+            mimeType: "application/json",
+        });
+        contents.set(documentUri, JSON.stringify(document, null, 2));
+
+        for (const { concept, id, entity } of catalog.entries) {
+            const uri = `${documentUri}/${id}`;
+            resources.push({
+                uri,
+                name: `${concept} ${id}`,
+                description: `${entity.title ? `${entity.title} - ` : ""}from ${labels.get(directory)}/${file}`,
+                mimeType: "application/json",
+            });
+            contents.set(uri, JSON.stringify(entity, null, 2));
+        }
+    }
+
+    return { resources, contents };
+}
+
+function labelDirectories(directories) {
+    const labels = new Map();
+    const used = new Set();
+    for (const directory of directories) {
+        const name = encodeURIComponent(basename(directory) || "root");
+        let label = name;
+        for (let suffix = 2; used.has(label); suffix++) {
+            label = `${name}-${suffix}`;
+        }
+        used.add(label);
+        labels.set(directory, label);
+    }
+    return labels;
+}
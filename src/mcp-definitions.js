@@ -1,5 +1,6 @@
 // Resource and tool definitions - stable contracts
 import { ORD_CONCEPTS } from "./ord-concepts.js";
+import { ORD_ID_REFERENCE_FIELDS } from "./ord-id.js";
 
 export const RESOURCES = Object.freeze([
     {
@@ -8,21 +9,614 @@ export const RESOURCES = Object.freeze([
         mimeType: "text/markdown",
         description: "Latest ORD specification from GitHub",
     },
+    // Every concept as explanation and example, so clients can attach them without a tool call
+    ...Object.entries(ORD_CONCEPTS).flatMap(([name, concept]) => [
+        {
+            uri: `ord://concept/${name}`,
+            name: `ORD Concept: ${name}`,
+            mimeType: "text/markdown",
+            description: concept.description,
+        },
+        {
+            uri: `ord://concept/${name}/example`,
+            name: `ORD Concept Example: ${name}`,
+            mimeType: "application/json",
+            description: `Example ${name} as it appears in an ORD document`,
+        },
+    ]),
+]);
+
+export const RESOURCE_TEMPLATES = Object.freeze([
+    {
+        uriTemplate: "ord://specification/{version}",
+        name: "ORD Specification (versioned)",
+        mimeType: "text/markdown",
+        description: 'ORD specification at a release tag such as v1.9.0, or "latest"',
+    },
+    {
+        uriTemplate: "ord://specification/section/{anchor}",
+        name: "ORD Specification Section",
+        mimeType: "text/markdown",
+        description: "Section of the latest ORD specification by heading anchor, e.g. api-resource",
+    },
+    {
+        uriTemplate: "ord://concept/{name}",
+        name: "ORD Concept",
+        mimeType: "text/markdown",
+        description: `Explanation of an ORD concept: ${Object.keys(ORD_CONCEPTS).join(", ")}`,
+    },
+    {
+        uriTemplate: "ord://concept/{name}/example",
+        name: "ORD Concept Example",
+        mimeType: "application/json",
+        description: "Example of an ORD concept as JSON",
+    },
 ]);
 
 export const TOOLS = Object.freeze([
     {
         name: "get_ord_specification",
-        description: "Get and use the latest ORD specification document",
+        description: "Get and use the ORD specification document, latest or at a given release",
+        inputSchema: {
+            type: "object",
+            properties: {
+                version: {
+                    type: "string",
+                    description: 'Release tag such as "v1.9.0", or "latest" (default)',
+                },
+            },
+            additionalProperties: false,
+        },
+    },
+    {
+        name: "list_ord_specification_versions",
+        description: "List the released versions of the ORD specification",
+        inputSchema: {
+            type: "object",
+            properties: {},
+            additionalProperties: false,
+        },
+    },
+    {
+        name: "diff_ord_specification",
+        description:
+            "Compare two ORD specification versions: added, removed and changed sections and properties, and new MANDATORY fields",
+        inputSchema: {
+            type: "object",
+            properties: {
+                from: {
+                    type: "string",
+                    description: 'Older release tag such as "v1.8.0", or "latest"',
+                },
+                to: {
+                    type: "string",
+                    description: 'Newer release tag, or "latest" (default)',
+                },
+            },
+            required: ["from"],
+            additionalProperties: false,
+        },
+    },
+    {
+        name: "list_ord_specification_sections",
+        description: "List the table of contents of the ORD specification with section anchors",
+        inputSchema: {
+            type: "object",
+            properties: {
+                maxDepth: {
+                    type: "integer",
+                    description: "Deepest heading level to include (1-6, default 6)",
+                    minimum: 1,
+                    maximum: 6,
+                },
+            },
+            additionalProperties: false,
+        },
+    },
+    {
+        name: "get_ord_specification_section",
+        description: "Get a single section of the ORD specification instead of the whole document",
+        inputSchema: {
+            type: "object",
+            properties: {
+                section: {
+                    type: "string",
+                    description:
+                        'Heading path (e.g. "API Resource > apiProtocol"), heading title, or anchor (e.g. "#api-resource")',
+                },
+            },
+            required: ["section"],
+            additionalProperties: false,
+        },
+    },
+    {
+        name: "search_ord_specification",
+        description: "Full-text search over the ORD specification, returning ranked snippets with section anchors",
+        inputSchema: {
+            type: "object",
+            properties: {
+                query: {
+                    type: "string",
+                    description: 'Search terms, e.g. "releaseStatus deprecated"',
+                },
+                limit: {
+                    type: "integer",
+                    description: "Maximum number of results (1-50, default 10)",
+                    minimum: 1,
+                    maximum: 50,
+                },
+            },
+            required: ["query"],
+            additionalProperties: false,
+        },
+    },
+    {
+        name: "validate_ord_document",
+        description: "Validate an ORD document against the official ORD Document JSON Schema",
+        inputSchema: {
+            type: "object",
+            properties: {
+                document: {
+                    type: ["string", "object"],
+                    description: "The ORD document as JSON text or as a JSON object",
+                },
+            },
+            required: ["document"],
+            additionalProperties: false,
+        },
+    },
+    {
+        name: "lint_ord_document",
+        description:
+            "Lint an ORD document for style and best practices beyond schema validation, such as a shortDescription repeating the title, escaped line breaks or unclosed code fences in a description, a version not matching the ORD ID or a lastUpdate in the future. Findings come with a JSON Patch that fixes them where the fix can be derived",
+        inputSchema: {
+            type: "object",
+            properties: {
+                document: {
+                    type: ["string", "object"],
+                    description: "The ORD document as JSON text or as a JSON object",
+                },
+                severities: {
+                    type: "object",
+                    description:
+                        'Severity per rule ID, overriding the defaults, e.g. { "recommended-property": "off" }',
+                    additionalProperties: { type: "string", enum: ["error", "warning", "info", "off"] },
+                },
+            },
+            required: ["document"],
+            additionalProperties: false,
+        },
+    },
+    {
+        name: "compare_ord_documents",
+        description:
+            "Compare two versions of an ORD document at the resource level: classify every change as breaking, minor or patch, and check it against the version, the :vN suffix of the ORD ID, tombstones and changelogEntries",
+        inputSchema: {
+            type: "object",
+            properties: {
+                from: {
+                    type: ["string", "object"],
+                    description: "The previous ORD document as JSON text or as a JSON object",
+                },
+                to: {
+                    type: ["string", "object"],
+                    description: "The new ORD document as JSON text or as a JSON object",
+                },
+            },
+            required: ["from", "to"],
+            additionalProperties: false,
+        },
+    },
+    {
+        name: "plan_ord_deprecation",
+        description:
+            "Plan the retirement of an ORD resource: returns the document deprecated with deprecationDate, sunsetDate and successors set, and the document at sunset with the resource replaced by a Tombstone. Checks the date order and that every successor exists",
+        inputSchema: {
+            type: "object",
+            properties: {
+                document: {
+                    type: ["string", "object"],
+                    description: "The ORD document as JSON text or as a JSON object",
+                },
+                ordId: {
+                    type: "string",
+                    description: 'ORD ID of the resource to retire, e.g. "sap.s4:apiResource:API_SALES_ORDER_SRV:v1"',
+                },
+                deprecationDate: {
+                    type: "string",
+                    description:
+                        "RFC 3339 date-time of the deprecation. Defaults to the deprecationDate of the resource, else now",
+                },
+                sunsetDate: {
+                    type: "string",
+                    description: "RFC 3339 date-time when the resource is removed and replaced by its tombstone",
+                },
+                successors: {
+                    type: "array",
+                    items: { type: "string" },
+                    description: "ORD IDs of the resources replacing it, added to the successors already set",
+                },
+            },
+            required: ["document", "ordId", "sunsetDate"],
+            additionalProperties: false,
+        },
+    },
+    {
+        name: "parse_ord_id",
+        description: "Split an ORD ID into namespace, concept type, resource name and major version",
+        inputSchema: {
+            type: "object",
+            properties: {
+                ordId: {
+                    type: "string",
+                    description: 'ORD ID, e.g. "sap.s4:apiResource:API_SALES_ORDER_SRV:v1"',
+                },
+            },
+            required: ["ordId"],
+            additionalProperties: false,
+        },
+    },
+    {
+        name: "validate_ord_id",
+        description: "Check an ORD ID against the specification syntax and the concept type expected where it is used",
+        inputSchema: {
+            type: "object",
+            properties: {
+                ordId: {
+                    type: "string",
+                    description: "ORD ID to check",
+                },
+                expectedType: {
+                    type: "string",
+                    description: 'Concept type the ID must have, e.g. "package" or "APIResource"',
+                },
+                field: {
+                    type: "string",
+                    description: "Reference property the ID is used in; implies the expected concept type",
+                    enum: Object.keys(ORD_ID_REFERENCE_FIELDS),
+                },
+            },
+            required: ["ordId"],
+            additionalProperties: false,
+        },
+    },
+    {
+        name: "check_ord_references",
+        description:
+            "Check referential integrity across ORD documents: dangling references, duplicate IDs, product parent cycles and empty packages",
+        inputSchema: {
+            type: "object",
+            properties: {
+                documents: {
+                    type: "array",
+                    description: "ORD documents, each as JSON text or as a JSON object",
+                    items: { type: ["string", "object"] },
+                    minItems: 1,
+                },
+            },
+            required: ["documents"],
+            additionalProperties: false,
+        },
+    },
+    {
+        name: "generate_ord_from_cds",
+        description:
+            "Generate an ORD document from a SAP CAP CDS model: services become API resources, events event resources and entities entity types, with packages and a consumption bundle. The result is validated against the ORD Document schema",
+        inputSchema: {
+            type: "object",
+            properties: {
+                csn: {
+                    type: ["string", "object"],
+                    description: "Compiled CDS model (CSN), as JSON text or as a JSON object",
+                },
+                projectPath: {
+                    type: "string",
+                    description:
+                        "Path to a CSN file or a CAP project with a compiled csn.json, within a directory the server allows with --allow-read or --allow-cds-compile; projects without one are only compiled with their own @sap/cds when the server allows it with --allow-cds-compile",
+                },
+                appName: {
+                    type: "string",
+                    description: "Application name used in package and bundle IDs (default: package.json name)",
+                },
+                namespace: {
+                    type: "string",
+                    description: 'ORD namespace, e.g. "sap.bookshop" (default: customer.<appName>)',
+                },
+                vendor: {
+                    type: "string",
+                    description: 'Vendor ORD ID of the packages (default: "customer:vendor:Customer:")',
+                },
+            },
+            additionalProperties: false,
+        },
+    },
+    {
+        name: "generate_ord_resource_from_definition",
+        description:
+            "Generate a skeleton APIResource from an OpenAPI 2 / 3 definition or an EventResource from an AsyncAPI 2 definition, and list the MANDATORY properties that could not be inferred",
+        inputSchema: {
+            type: "object",
+            properties: {
+                definition: {
+                    type: ["string", "object"],
+                    description: "OpenAPI or AsyncAPI definition, as JSON or YAML text or as a JSON object",
+                },
+                path: {
+                    type: "string",
+                    description:
+                        "Path to a local OpenAPI or AsyncAPI file (JSON or YAML) within a directory the server allows with --allow-read; requires url",
+                },
+                url: {
+                    type: "string",
+                    description:
+                        "URL the definition is published at, for resourceDefinitions; required with path, since the local path is not published",
+                },
+                namespace: {
+                    type: "string",
+                    description: 'ORD namespace for the ORD ID, e.g. "sap.s4"',
+                },
+                packageOrdId: {
+                    type: "string",
+                    description: "ORD ID of the package the resource belongs to",
+                },
+                resourceName: {
+                    type: "string",
+                    description: "Resource name part of the ORD ID (default: the title without spaces)",
+                },
+            },
+            additionalProperties: false,
+        },
+    },
+    {
+        name: "scaffold_ord_entity",
+        description:
+            "Generate a skeleton entity of an ORD concept with every MANDATORY property filled in: the ORD ID built from namespace, name and version, partOfPackage wired to the given package and lastUpdate set to now",
+        inputSchema: {
+            type: "object",
+            properties: {
+                concept: {
+                    type: "string",
+                    description: 'ORD concept, e.g. "APIResource", "EventResource", "Package" or "DataProduct"',
+                },
+                namespace: {
+                    type: "string",
+                    description: 'ORD namespace for the ORD ID, e.g. "sap.s4"',
+                },
+                name: {
+                    type: "string",
+                    description: 'Resource name part of the ORD ID, e.g. "SalesOrder"; also used for the title',
+                },
+                version: {
+                    type: "string",
+                    description: "Semantic version; its major version is the :vN suffix of the ORD ID (default: 1.0.0)",
+                },
+                packageOrdId: {
+                    type: "string",
+                    description: "ORD ID of the package the entity belongs to (default: a package of the same name)",
+                },
+                vendor: {
+                    type: "string",
+                    description: 'Vendor ORD ID of packages and products (default: "customer:vendor:Customer:")',
+                },
+                groupTypeId: {
+                    type: "string",
+                    description: 'Group type of a Group, e.g. "sap.foo:domain"',
+                },
+                includeRecommended: {
+                    type: "boolean",
+                    description: "Also fill in the RECOMMENDED properties (default: false)",
+                },
+            },
+            required: ["concept", "namespace", "name"],
+            additionalProperties: false,
+        },
+    },
+    {
+        name: "ord_builder_start",
+        description:
+            "Start an ORD document in progress for this session, optionally from an existing document. The ord_builder_* tools then add, update and remove entities and check the draft after every change",
+        inputSchema: {
+            type: "object",
+            properties: {
+                document: {
+                    type: ["string", "object"],
+                    description:
+                        "ORD document to continue from, as JSON text or as a JSON object (default: an empty one)",
+                },
+                properties: {
+                    type: "object",
+                    description:
+                        'Top-level document properties, e.g. { "openResourceDiscovery": "1.9", "policyLevels": ["sap:core:v1"] } (openResourceDiscovery defaults to the latest version)',
+                },
+            },
+            additionalProperties: false,
+        },
+    },
+    {
+        name: "ord_builder_add_entity",
+        description:
+            "Add an entity of an ORD concept to the document in progress; it goes into the top-level array of its concept and is identified by its ordId (groupId / groupTypeId for groups)",
+        inputSchema: {
+            type: "object",
+            properties: {
+                concept: {
+                    type: "string",
+                    description: 'ORD concept, e.g. "Package", "APIResource" or "EventResource"',
+                },
+                entity: {
+                    type: "object",
+                    description: "The entity, e.g. as generated by scaffold_ord_entity",
+                },
+            },
+            required: ["concept", "entity"],
+            additionalProperties: false,
+        },
+    },
+    {
+        name: "ord_builder_update_entity",
+        description:
+            "Change properties of an entity in the document in progress, or of the document itself when no id is given; null removes a property",
+        inputSchema: {
+            type: "object",
+            properties: {
+                id: {
+                    type: "string",
+                    description: "ordId (groupId / groupTypeId for groups) of the entity to change",
+                },
+                properties: {
+                    type: "object",
+                    description: 'Properties to set, e.g. { "releaseStatus": "beta", "description": null }',
+                },
+            },
+            required: ["properties"],
+            additionalProperties: false,
+        },
+    },
+    {
+        name: "ord_builder_remove_entity",
+        description: "Remove an entity from the document in progress",
+        inputSchema: {
+            type: "object",
+            properties: {
+                id: {
+                    type: "string",
+                    description: "ordId (groupId / groupTypeId for groups) of the entity to remove",
+                },
+            },
+            required: ["id"],
+            additionalProperties: false,
+        },
+    },
+    {
+        name: "ord_builder_export",
+        description:
+            "Export the document in progress as JSON, validated against the ORD Document schema and checked for missing MANDATORY properties and unresolved references",
         inputSchema: {
             type: "object",
             properties: {},
             additionalProperties: false,
         },
     },
+    {
+        name: "crawl_ord_provider",
+        description:
+            "Follow the ORD discovery flow of a running system: read /.well-known/open-resource-discovery, fetch the listed ORD documents with their access strategies and aggregate them into one catalog of products, packages, APIs and events",
+        inputSchema: {
+            type: "object",
+            properties: {
+                baseUrl: {
+                    type: "string",
+                    description: 'Base URL of the ORD provider, e.g. "http://localhost:4004"',
+                },
+                username: {
+                    type: "string",
+                    description:
+                        "User for documents with the basic-auth access strategy; only sent to the origin of the provider",
+                },
+                password: {
+                    type: "string",
+                    description: "Password for documents with the basic-auth access strategy",
+                },
+            },
+            required: ["baseUrl"],
+            additionalProperties: false,
+        },
+    },
+    {
+        name: "check_ord_policy_compliance",
+        description:
+            "Check an ORD document against the rules of its policy levels (policyLevels, or policyLevel / customPolicyLevel, inherited from document to package to resource), such as sap:core:v1. Reports pass or fail per rule",
+        inputSchema: {
+            type: "object",
+            properties: {
+                document: {
+                    type: ["string", "object"],
+                    description: "The ORD document as JSON text or as a JSON object",
+                },
+                policyLevel: {
+                    type: "string",
+                    description:
+                        "Check every entity against this policy level instead of the levels the document declares, e.g. sap:core:v1",
+                },
+                ruleSets: {
+                    type: "array",
+                    description:
+                        "Additional rule sets: { policyLevel, rules: [{ id, description, concepts, when?, required }] }",
+                    items: { type: "object" },
+                },
+            },
+            required: ["document"],
+            additionalProperties: false,
+        },
+    },
+    {
+        name: "query_ord_catalog",
+        description:
+            "Query ORD documents - passed in or from crawled providers - as one catalog, with a filter language over concept type, fields, tags, labels and references. Results are paginated",
+        inputSchema: {
+            type: "object",
+            properties: {
+                filter: {
+                    type: "string",
+                    description:
+                        "Conditions field=value, field!=value or field~text, joined by AND (default), OR, NOT and parentheses. Special fields: type, id, source, references. Dotted paths follow references. Example: type=APIResource visibility=public releaseStatus=deprecated partOfPackage.title~sales",
+                },
+                documents: {
+                    type: "array",
+                    description:
+                        "ORD documents to query, each as JSON text or as a JSON object (default: all crawled providers)",
+                    items: { type: ["string", "object"] },
+                    minItems: 1,
+                },
+                baseUrl: {
+                    type: "string",
+                    description: "Query only this provider, crawled before with crawl_ord_provider",
+                },
+                page: {
+                    type: "integer",
+                    description: "Page number, starting at 1 (default 1)",
+                    minimum: 1,
+                },
+                pageSize: {
+                    type: "integer",
+                    description: "Results per page (default 20, max 100)",
+                    minimum: 1,
+                    maximum: 100,
+                },
+            },
+            additionalProperties: false,
+        },
+    },
+    {
+        name: "ord_concept_graph",
+        description:
+            "Show how the ORD concepts relate - Product, Package, ConsumptionBundle, APIResource, EventResource, EntityType, Capability, DataProduct, Group, IntegrationDependency, ... - as derived from reference properties such as partOfPackage, exposedEntityTypes and partOfGroups. Renders JSON, Mermaid or Graphviz DOT, for the abstract model or for the entities of a given ORD document",
+        inputSchema: {
+            type: "object",
+            properties: {
+                format: {
+                    type: "string",
+                    enum: ["json", "mermaid", "dot"],
+                    description: "Output format (default: mermaid)",
+                },
+                concepts: {
+                    type: "array",
+                    items: { type: "string" },
+                    description: 'Limit the graph to these concepts, e.g. ["Package", "APIResource", "EntityType"]',
+                },
+                document: {
+                    type: ["string", "object"],
+                    description:
+                        "ORD document as JSON text or as a JSON object; when given, the graph shows its entities instead of the concepts",
+                },
+            },
+            additionalProperties: false,
+        },
+    },
     {
         name: "explain_ord_concept",
-        description: "Explain ORD concepts with examples",
+        description:
+            "Explain ORD concepts with examples, as defined by the ORD Document schema of a specification version",
         inputSchema: {
             type: "object",
             properties: {
@@ -31,9 +625,48 @@ export const TOOLS = Object.freeze([
                     description: "ORD concept to explain",
                     enum: Object.keys(ORD_CONCEPTS),
                 },
+                property: {
+                    type: "string",
+                    description:
+                        'Explain a single property of the concept instead, e.g. "apiProtocol": type, allowed values, pattern, constraints, related concepts and an example',
+                },
+                version: {
+                    type: "string",
+                    description: 'Release tag such as "v1.9.0", or "latest" (default)',
+                },
             },
             required: ["concept"],
             additionalProperties: false,
         },
     },
 ]);
+
+// Prompt arguments are strings, as MCP passes them
+export const PROMPTS = Object.freeze([
+    {
+        name: "describe_cap_service_as_api_resource",
+        description: "Describe a CAP service as an ORD APIResource, with the relevant concepts and spec sections",
+        arguments: [
+            { name: "service", description: "CDS service definition or a description of the service", required: true },
+            { name: "namespace", description: 'ORD namespace of the system, e.g. "sap.s4"', required: false },
+            { name: "packageOrdId", description: "ORD ID of the package the API belongs to", required: false },
+        ],
+    },
+    {
+        name: "review_ord_policy_compliance",
+        description: "Review an ORD document for compliance with the specification and a policy level",
+        arguments: [
+            { name: "document", description: "ORD document as JSON text", required: true },
+            { name: "policyLevel", description: 'Policy level to review against, e.g. "sap:core:v1"', required: false },
+        ],
+    },
+    {
+        name: "plan_tombstone_deprecation",
+        description: "Plan the deprecation, sunset and Tombstone of an ORD resource",
+        arguments: [
+            { name: "ordId", description: "ORD ID of the resource to deprecate", required: true },
+            { name: "successor", description: "ORD ID of the successor resource", required: false },
+            { name: "sunsetDate", description: "Planned sunset date (ISO 8601)", required: false },
+        ],
+    },
+]);
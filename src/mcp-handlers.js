@@ -1,14 +1,152 @@
 // MCP tool handlers - validate at boundary, pure logic inside
-import { fetchSpecification } from "./specification-fetcher.js";
-import { validateConceptName, buildConceptExplanation } from "./ord-concepts.js";
+import { readFile } from "node:fs/promises";
+import {
+    fetchSpecification,
+    fetchDocumentSchema,
+    listSpecificationVersions,
+    normalizeSpecificationVersion,
+} from "./specification-fetcher.js";
+import {
+    ORD_CONCEPTS,
+    validateConceptName,
+    buildConceptExplanation,
+    buildPropertyExplanation,
+    buildOrdConcepts,
+} from "./ord-concepts.js";
+import { parseSpecificationSections, findSpecificationSection } from "./specification-sections.js";
+import { buildSearchIndex, searchIndex } from "./specification-search.js";
+import { diffSpecifications } from "./specification-diff.js";
+import { parseOrdDocument, validateOrdDocument } from "./document-validator.js";
+import { LINT_RULES, lintOrdDocument } from "./document-linter.js";
+import { diffOrdDocuments } from "./document-diff.js";
+import { planOrdDeprecation } from "./deprecation-planner.js";
+import { scaffoldOrdEntity } from "./entity-scaffolder.js";
+import { GRAPH_FORMATS, buildConceptGraph, buildDocumentGraph, renderGraph } from "./concept-graph.js";
+import {
+    addOrdEntity,
+    checkOrdDocumentDraft,
+    countOrdEntities,
+    removeOrdEntity,
+    startOrdDocument,
+    updateOrdEntity,
+} from "./document-builder.js";
+import { parseOrdId, validateOrdId } from "./ord-id.js";
+import { checkOrdReferences } from "./reference-checker.js";
+import { buildOrdPrompt } from "./ord-prompts.js";
+import { generateOrdFromCsn } from "./cds-to-ord.js";
+import { resolveAllowedPath, resolveRoots } from "./allowed-paths.js";
+import { loadCdsProject, parseCsn } from "./cds-model-loader.js";
+import { parseApiDefinition, generateOrdResourceFromDefinition } from "./api-definition-to-ord.js";
+import { crawlOrdProvider, resolveConfigUrl } from "./ord-provider-crawler.js";
+import { aggregateOrdDocuments } from "./ord-catalog.js";
+import { queryOrdCatalog } from "./ord-catalog-query.js";
+import { readLocalOrdDocuments } from "./local-documents.js";
+import { buildLocalResources } from "./local-ord-resources.js";
+import { BUILT_IN_RULE_SETS, checkPolicyCompliance, validateRuleSet } from "./policy-rules.js";
+import { loadPolicyRuleSets } from "./policy-rule-loader.js";
+
+// Parsed heading tree and search index, rebuilt only when the fetched specification text changes
+let sectionCache = { content: null, sections: [], searchIndex: null };
+// Concept definitions per specification version, regenerated only when the fetched schema text changes
+const conceptCache = new Map();
+// ORD documents of the crawled providers by configuration URL, for catalog queries; replaced on every crawl
+const providerDocuments = new Map();
+// Documents of the configured local directories and their resources; replaced whenever the files change
+let localDocuments = { files: [], resources: [], contents: new Map() };
+// Policy rule sets loaded from the configured modules, applied next to the built-in ones
+let customRuleSets = [];
+// Directories whose files tools may read by path; empty unless the server opts in
+let readRoots = [];
+// CAP projects whose CDS sources generate_ord_from_cds may compile; empty unless the server opts in
+let cdsCompileRoots = [];
+
+export async function handleGetSpecification(args = {}) {
+    // Validate at ingress
+    if (!args || typeof args !== "object") {
+        throw new Error("Invalid arguments: expected object");
+    }
+
+    const spec = await fetchSpecification({ version: args.version ?? "latest" });
+    const title = spec.version === "latest" ? "Latest" : spec.version;
+    return {
+        content: [
+            {
+                type: "text",
+                text: `# ORD Specification (${title})\n\n${describeSpecificationSource(spec)}\n\n${spec.content}`,
+            },
+        ],
+    };
+}
+
+export async function handleListSpecificationVersions() {
+    const result = await listSpecificationVersions();
+    const versions = [
+        "- latest (`ord://specification/latest`, main branch)",
+        ...result.versions.map((version) => `- ${version} (\`ord://specification/${version}\`)`),
+    ];
+
+    return {
+        content: [
+            {
+                type: "text",
+                text: `# ORD Specification Versions\n\n${describeSpecificationSource(result)}\n\n${versions.join("\n")}`,
+            },
+        ],
+    };
+}
+
+export async function handleDiffSpecification(args) {
+    // Validate at ingress
+    if (!args || typeof args !== "object") {
+        throw new Error("Invalid arguments: expected object");
+    }
+    if (typeof args.from !== "string" || !args.from.trim()) {
+        throw new Error("from must be a non-empty string");
+    }
+    const from = normalizeSpecificationVersion(args.from);
+    const to = normalizeSpecificationVersion(args.to ?? "latest");
+    if (from === to) {
+        throw new Error("from and to must be different specification versions");
+    }
+
+    const [before, after, beforeSchema, afterSchema] = await Promise.all([
+        fetchSpecification({ version: from }),
+        fetchSpecification({ version: to }),
+        fetchDocumentSchema({ version: from }),
+        fetchDocumentSchema({ version: to }),
+    ]);
+    const diff = diffSpecifications(
+        { markdown: before.content, schema: beforeSchema.content },
+        { markdown: after.content, schema: afterSchema.content },
+    );
+
+    const mandatory =
+        diff.newMandatoryFields.length === 0
+            ? "No new MANDATORY fields."
+            : diff.newMandatoryFields
+                  .map(
+                      (field) =>
+                          `- \`${field.property}\` in ${field.definition}${field.previously ? ` (was ${field.previously})` : " (new)"}`,
+                  )
+                  .join("\n");
+    const counts = Object.entries(diff.summary).map(([kind, count]) => `- ${kind}: ${count}`);
 
-export async function handleGetSpecification() {
-    const spec = await fetchSpecification();
     return {
         content: [
             {
                 type: "text",
-                text: `# ORD Specification (Latest)\n\n${spec}`,
+                text: [
+                    `# ORD Specification Diff: ${from} -> ${to}`,
+                    [
+                        describeSpecificationSource(before, from),
+                        describeSpecificationSource(after, to),
+                        describeSpecificationSource(beforeSchema, `${from} schema`),
+                        describeSpecificationSource(afterSchema, `${to} schema`),
+                    ].join("\n"),
+                    `## New MANDATORY fields\n\n${mandatory}`,
+                    `## Summary\n\n${counts.join("\n")}`,
+                    `\`\`\`json\n${JSON.stringify(diff, null, 2)}\n\`\`\``,
+                ].join("\n\n"),
             },
         ],
     };
@@ -20,15 +158,1035 @@ export async function handleExplainConcept(args) {
         throw new Error("Invalid arguments: expected object");
     }
 
+    const version = normalizeSpecificationVersion(args.version ?? "latest");
+    const { concepts, source } = await loadOrdConcepts(version);
+    const concept = validateConceptName(args.concept, concepts);
+    const explanation =
+        args.property === undefined
+            ? buildConceptExplanation(concept, concepts)
+            : buildPropertyExplanation(concept, args.property, concepts);
+
+    return {
+        content: [
+            {
+                type: "text",
+                text: `${explanation}${source}`,
+            },
+        ],
+    };
+}
+
+export async function handleConceptGraph(args = {}) {
+    // Validate at ingress
+    if (!args || typeof args !== "object") {
+        throw new Error("Invalid arguments: expected object");
+    }
+    const format = args.format ?? "mermaid";
+    if (!GRAPH_FORMATS.includes(format)) {
+        throw new Error(`format must be one of: ${GRAPH_FORMATS.join(", ")}`);
+    }
+    if (
+        args.concepts !== undefined &&
+        (!Array.isArray(args.concepts) || args.concepts.some((concept) => typeof concept !== "string"))
+    ) {
+        throw new Error("concepts must be an array of concept names");
+    }
+
+    const document = args.document === undefined ? null : parseOrdDocument(args.document);
+    const graph = document
+        ? buildDocumentGraph(document, { concepts: args.concepts })
+        : buildConceptGraph({ concepts: args.concepts });
+    const missing = graph.nodes.filter((node) => node.missing).length;
+    const legend =
+        format === "json"
+            ? null
+            : `Solid arrows are MANDATORY references, dashed ones optional.${missing > 0 ? " Dashed boxes are referenced but not defined in the document." : ""}`;
+
+    return {
+        content: [
+            {
+                type: "text",
+                text: [
+                    document ? "# ORD Document Graph" : "# ORD Concept Graph",
+                    `${graph.nodes.length} ${document ? "entities" : "concepts"} and ${graph.edges.length} references${missing > 0 ? `, ${missing} of the referenced IDs not defined in the document` : ""}.`,
+                    legend,
+                    `\`\`\`${format}\n${renderGraph(graph, format)}\n\`\`\``,
+                ]
+                    .filter(Boolean)
+                    .join("\n\n"),
+            },
+        ],
+    };
+}
+
+export async function handleListSpecificationSections(args = {}) {
+    // Validate at ingress
+    if (!args || typeof args !== "object") {
+        throw new Error("Invalid arguments: expected object");
+    }
+    const maxDepth = args.maxDepth ?? 6;
+    if (!Number.isInteger(maxDepth) || maxDepth < 1 || maxDepth > 6) {
+        throw new Error("maxDepth must be an integer between 1 and 6");
+    }
+
+    const { spec, sections } = await loadSpecificationSections();
+    const lines = [];
+    const render = (nodes, depth) => {
+        if (depth > maxDepth) {
+            return;
+        }
+        nodes.forEach((node) => {
+            lines.push(`${"  ".repeat(depth - 1)}- ${node.title} (\`#${node.anchor}\`)`);
+            render(node.children, depth + 1);
+        });
+    };
+    render(sections, 1);
+
+    return {
+        content: [
+            {
+                type: "text",
+                text: `# ORD Specification - Table of Contents\n\n${describeSpecificationSource(spec)}\n\n${lines.join("\n")}`,
+            },
+        ],
+    };
+}
+
+export async function handleGetSpecificationSection(args) {
+    // Validate at ingress
+    if (!args || typeof args !== "object") {
+        throw new Error("Invalid arguments: expected object");
+    }
+    if (typeof args.section !== "string" || !args.section.trim()) {
+        throw new Error("section must be a non-empty string");
+    }
+
+    const { spec, sections } = await loadSpecificationSections();
+    const section = findSpecificationSection(sections, args.section);
+
+    return {
+        content: [
+            {
+                type: "text",
+                text: [
+                    `# ORD Specification: ${section.path.join(" > ")}`,
+                    `${describeSpecificationSource(spec)}\n> Anchor: \`#${section.anchor}\``,
+                    section.content,
+                ].join("\n\n"),
+            },
+        ],
+    };
+}
+
+export async function handleSearchSpecification(args) {
+    // Validate at ingress
+    if (!args || typeof args !== "object") {
+        throw new Error("Invalid arguments: expected object");
+    }
+    if (typeof args.query !== "string" || !args.query.trim()) {
+        throw new Error("query must be a non-empty string");
+    }
+    const limit = args.limit ?? 10;
+    if (!Number.isInteger(limit) || limit < 1 || limit > 50) {
+        throw new Error("limit must be an integer between 1 and 50");
+    }
+
+    const { spec } = await loadSpecificationSections();
+    if (!sectionCache.searchIndex) {
+        sectionCache.searchIndex = buildSearchIndex(sectionCache.sections);
+    }
+    const hits = searchIndex(sectionCache.searchIndex, args.query, { limit });
+
+    const results =
+        hits.length === 0
+            ? "No matching sections found."
+            : hits
+                  .map(
+                      (hit, position) =>
+                          `${position + 1}. **${hit.path.join(" > ")}** (\`#${hit.anchor}\`, score ${hit.score.toFixed(2)})\n   ${hit.snippet}`,
+                  )
+                  .join("\n\n");
+
+    return {
+        content: [
+            {
+                type: "text",
+                text: `# ORD Specification Search: "${args.query}"\n\n${describeSpecificationSource(spec)}\n\n${results}`,
+            },
+        ],
+    };
+}
+
+export async function handleValidateDocument(args) {
+    // Validate at ingress
+    if (!args || typeof args !== "object") {
+        throw new Error("Invalid arguments: expected object");
+    }
+    const document = parseOrdDocument(args.document);
+
+    const schema = await fetchDocumentSchema();
+    const result = validateOrdDocument(document, schema.content);
+    const summary = result.valid
+        ? "The document is valid against the ORD Document schema."
+        : `The document has ${result.errors.length} schema violation(s).`;
+
+    return {
+        content: [
+            {
+                type: "text",
+                text: [
+                    "# ORD Document Validation",
+                    describeSpecificationSource(schema),
+                    summary,
+                    `\`\`\`json\n${JSON.stringify(result, null, 2)}\n\`\`\``,
+                ].join("\n\n"),
+            },
+        ],
+    };
+}
+
+export async function handleLintDocument(args) {
+    // Validate at ingress
+    if (!args || typeof args !== "object") {
+        throw new Error("Invalid arguments: expected object");
+    }
+    const document = parseOrdDocument(args.document);
+    if (args.severities !== undefined && (!args.severities || typeof args.severities !== "object")) {
+        throw new Error("severities must be an object mapping rule IDs to error, warning, info or off");
+    }
+
+    const result = lintOrdDocument(document, { severities: args.severities });
+    const summary =
+        result.findings.length === 0
+            ? "No findings."
+            : `${result.findings.length} finding(s): ${Object.entries(result.counts)
+                  .map(([severity, count]) => `${count} ${severity}`)
+                  .join(", ")}.`;
+    const findings = result.findings.map(
+        ({ rule, severity, path, message, patch }) =>
+            `- **${severity}** \`${rule}\` at \`${path}\`: ${message}${patch.length > 0 ? "" : " (no automatic fix)"}`,
+    );
+    const rules = LINT_RULES.map(
+        (rule) => `- \`${rule.id}\` (${args.severities?.[rule.id] ?? rule.severity}): ${rule.description}`,
+    );
+
+    return {
+        content: [
+            {
+                type: "text",
+                text: [
+                    "# ORD Document Lint",
+                    summary,
+                    findings.length > 0 ? `## Findings\n\n${findings.join("\n")}` : null,
+                    "Apply the `patch` of a finding as JSON Patch (RFC 6902) to the document to fix it.",
+                    `## Rules\n\n${rules.join("\n")}`,
+                    `\`\`\`json\n${JSON.stringify(result, null, 2)}\n\`\`\``,
+                ]
+                    .filter(Boolean)
+                    .join("\n\n"),
+            },
+        ],
+    };
+}
+
+export async function handleCompareDocuments(args) {
+    // Validate at ingress
+    if (!args || typeof args !== "object") {
+        throw new Error("Invalid arguments: expected object");
+    }
+    const [from, to] = ["from", "to"].map((name) => {
+        try {
+            return parseOrdDocument(args[name]);
+        } catch (error) {
+            throw new Error(`${name}: ${error.message}`);
+        }
+    });
+
+    const result = diffOrdDocuments(from, to);
+    const { summary } = result;
+    const resources = result.resources
+        .filter((resource) => resource.status !== "unchanged")
+        .map((resource) => {
+            const versions =
+                resource.fromVersion && resource.toVersion && resource.fromVersion !== resource.toVersion
+                    ? `, ${resource.fromVersion} -> ${resource.toVersion}`
+                    : "";
+            const successor = resource.replacedBy
+                ? `, replaced by \`${resource.replacedBy}\``
+                : resource.replaces
+                  ? `, replaces \`${resource.replaces}\``
+                  : "";
+            const changes = resource.changes.map((change) => `  - ${change.classification}: ${change.description}`);
+            return [
+                `- \`${resource.ordId}\` (${resource.concept}) - ${resource.status}, ${resource.classification}${versions}${successor}`,
+                ...changes,
+            ].join("\n");
+        });
+    const issues = result.issues.map((issue) => `- **${issue.kind}** \`${issue.ordId}\`: ${issue.message}`);
+
+    return {
+        content: [
+            {
+                type: "text",
+                text: [
+                    "# ORD Document Comparison",
+                    `${summary.changed} changed, ${summary.added} added, ${summary.removed} removed, ${summary.unchanged} unchanged. Highest impact: ${summary.classification}.`,
+                    issues.length > 0
+                        ? `## Issues (${issues.length})\n\n${issues.join("\n")}`
+                        : "Versions, ORD IDs, tombstones and changelog entries are consistent with the changes.",
+                    resources.length > 0 ? `## Resources\n\n${resources.join("\n")}` : null,
+                    `\`\`\`json\n${JSON.stringify(result, null, 2)}\n\`\`\``,
+                ]
+                    .filter(Boolean)
+                    .join("\n\n"),
+            },
+        ],
+    };
+}
+
+export async function handlePlanDeprecation(args) {
+    // Validate at ingress
+    if (!args || typeof args !== "object") {
+        throw new Error("Invalid arguments: expected object");
+    }
+    const document = parseOrdDocument(args.document);
+    if (typeof args.ordId !== "string" || !args.ordId.trim()) {
+        throw new Error("ordId must be a non-empty string");
+    }
+    if (
+        args.successors !== undefined &&
+        (!Array.isArray(args.successors) || args.successors.some((successor) => typeof successor !== "string"))
+    ) {
+        throw new Error("successors must be an array of ORD IDs");
+    }
+
+    const result = planOrdDeprecation(document, {
+        ordId: args.ordId.trim(),
+        deprecationDate: args.deprecationDate,
+        sunsetDate: args.sunsetDate,
+        successors: args.successors,
+    });
+    const { resource } = result;
+    const issues = result.issues.map((issue) => `- **${issue.kind}**: ${issue.message}`);
+    const deprecation = [
+        "`releaseStatus` set to `deprecated`",
+        resource.version && `version ${resource.version}`,
+        resource.successors.length > 0 && `successors ${resource.successors.map((id) => `\`${id}\``).join(", ")}`,
+    ].filter(Boolean);
+    const steps = [
+        `1. On ${resource.deprecationDate}: publish the \`deprecated\` document, with ${new Intl.ListFormat("en").format(deprecation)}.`,
+        `2. On ${resource.sunsetDate}: publish the \`sunset\` document, which removes the resource and adds its tombstone.`,
+    ];
+
+    return {
+        content: [
+            {
+                type: "text",
+                text: [
+                    `# Deprecation Plan for ${resource.ordId}`,
+                    `${resource.concept} at \`${resource.path}\`. ${result.valid ? "Dates, successors and references are consistent." : `${issues.length} issue(s) to resolve first.`}`,
+                    issues.length > 0 ? `## Issues\n\n${issues.join("\n")}` : null,
+                    `## Steps\n\n${steps.join("\n")}`,
+                    `\`\`\`json\n${JSON.stringify(result, null, 2)}\n\`\`\``,
+                ]
+                    .filter(Boolean)
+                    .join("\n\n"),
+            },
+        ],
+    };
+}
+
+export async function handleParseOrdId(args) {
+    // Validate at ingress
+    if (!args || typeof args !== "object") {
+        throw new Error("Invalid arguments: expected object");
+    }
+    const parsed = parseOrdId(args.ordId);
+
+    return {
+        content: [
+            {
+                type: "text",
+                text: `# ORD ID: ${parsed.ordId}\n\n\`\`\`json\n${JSON.stringify(parsed, null, 2)}\n\`\`\``,
+            },
+        ],
+    };
+}
+
+export async function handleValidateOrdId(args) {
+    // Validate at ingress
+    if (!args || typeof args !== "object") {
+        throw new Error("Invalid arguments: expected object");
+    }
+    if (typeof args.ordId !== "string") {
+        throw new Error("ordId must be a string");
+    }
+
+    const result = validateOrdId(args.ordId, { expectedType: args.expectedType, field: args.field });
+    const summary = result.valid ? "The ORD ID is valid." : `The ORD ID has ${result.errors.length} problem(s).`;
+
+    return {
+        content: [
+            {
+                type: "text",
+                text: [
+                    `# ORD ID Validation: ${args.ordId}`,
+                    summary,
+                    `\`\`\`json\n${JSON.stringify(result, null, 2)}\n\`\`\``,
+                ].join("\n\n"),
+            },
+        ],
+    };
+}
+
+export async function handleCheckReferences(args) {
+    // Validate at ingress
+    if (!args || typeof args !== "object") {
+        throw new Error("Invalid arguments: expected object");
+    }
+    if (!Array.isArray(args.documents) || args.documents.length === 0) {
+        throw new Error("documents must be a non-empty array of ORD documents");
+    }
+    const documents = args.documents.map((document, index) => {
+        try {
+            return parseOrdDocument(document);
+        } catch (error) {
+            throw new Error(`documents[${index}]: ${error.message}`);
+        }
+    });
+
+    const result = checkOrdReferences(documents);
+    const counts = Object.entries(result.issues).map(([kind, list]) => `- ${kind}: ${list.length}`);
+
+    return {
+        content: [
+            {
+                type: "text",
+                text: [
+                    "# ORD Reference Check",
+                    `Checked ${documents.length} document(s) defining ${result.definitions} ID(s).`,
+                    result.valid ? "No reference problems found." : counts.join("\n"),
+                    `\`\`\`json\n${JSON.stringify(result, null, 2)}\n\`\`\``,
+                ].join("\n\n"),
+            },
+        ],
+    };
+}
+
+export async function handleGenerateOrdFromCds(args) {
+    // Validate at ingress
+    if (!args || typeof args !== "object") {
+        throw new Error("Invalid arguments: expected object");
+    }
+    if ((args.csn === undefined) === (args.projectPath === undefined)) {
+        throw new Error("Provide either csn or projectPath");
+    }
+    if (args.projectPath !== undefined && (typeof args.projectPath !== "string" || !args.projectPath.trim())) {
+        throw new Error("projectPath must be a non-empty string");
+    }
+
+    const project =
+        args.csn !== undefined
+            ? { csn: parseCsn(args.csn), source: "CSN argument", packageJson: null }
+            : await loadCdsProject(args.projectPath, { readRoots, compileRoots: cdsCompileRoots });
+    const projectVersion = project.packageJson?.version;
+    const { document, notes } = generateOrdFromCsn(project.csn, {
+        appName: args.appName ?? project.packageJson?.name,
+        namespace: args.namespace,
+        vendor: args.vendor,
+        version: /^\d+\.\d+\.\d+/.test(projectVersion ?? "") ? projectVersion : undefined,
+    });
+
+    const schema = await fetchDocumentSchema();
+    const validation = validateOrdDocument(document, schema.content);
+    const counts = ["packages", "consumptionBundles", "apiResources", "eventResources", "entityTypes"].map(
+        (kind) => `- ${kind}: ${document[kind].length}`,
+    );
+    const validationSummary = validation.valid
+        ? "The generated document is valid against the ORD Document schema."
+        : `The generated document has ${validation.errors.length} schema violation(s):\n\n${validation.errors
+              .map((error) => `- \`${error.path}\`: ${error.message}`)
+              .join("\n")}`;
+
+    return {
+        content: [
+            {
+                type: "text",
+                text: [
+                    "# ORD Document from CDS",
+                    `> Model: ${project.source}\n${describeSpecificationSource(schema, "Validated against")}`,
+                    counts.join("\n"),
+                    `## Review notes\n\n${notes.length > 0 ? notes.map((note) => `- ${note}`).join("\n") : "None."}`,
+                    `## Validation\n\n${validationSummary}`,
+                    `\`\`\`json\n${JSON.stringify(document, null, 2)}\n\`\`\``,
+                ].join("\n\n"),
+            },
+        ],
+    };
+}
+
+export async function handleGenerateOrdResource(args) {
+    // Validate at ingress
+    if (!args || typeof args !== "object") {
+        throw new Error("Invalid arguments: expected object");
+    }
+    if ((args.definition === undefined) === (args.path === undefined)) {
+        throw new Error("Provide either definition or path");
+    }
+    if (args.path !== undefined && (typeof args.path !== "string" || !args.path.trim())) {
+        throw new Error("path must be a non-empty string");
+    }
+    // A local path means nothing to the consumers of the published document
+    if (args.path !== undefined && (typeof args.url !== "string" || !args.url.trim())) {
+        throw new Error("url is required with path: pass the URL the definition is published at");
+    }
+
+    let text = args.definition;
+    if (args.path !== undefined) {
+        const path = await resolveAllowedPath(args.path, readRoots, "API definition");
+        try {
+            text = await readFile(path, "utf8");
+        } catch (error) {
+            throw new Error(`Cannot read API definition ${args.path}: ${error.message}`);
+        }
+    }
+    const parsed = parseApiDefinition(text);
+    const mediaType = /\.ya?ml$/i.test(args.path ?? "") ? "text/yaml" : parsed.mediaType;
+    const result = generateOrdResourceFromDefinition(parsed.definition, {
+        mediaType,
+        url: args.url,
+        namespace: args.namespace,
+        packageOrdId: args.packageOrdId,
+        resourceName: args.resourceName,
+    });
+
+    const missing =
+        result.missing.length === 0
+            ? "None - all MANDATORY properties were inferred."
+            : result.missing.map(({ property, description }) => `- \`${property}\`: ${description}`).join("\n");
+    const notes = result.notes.length > 0 ? result.notes.map((note) => `- ${note}`).join("\n") : "None.";
+
+    return {
+        content: [
+            {
+                type: "text",
+                text: [
+                    `# ORD ${result.concept} Skeleton`,
+                    `Add this entry to the \`${result.documentArray}\` array of an ORD document.`,
+                    `## MANDATORY properties not inferred\n\n${missing}`,
+                    `## Notes\n\n${notes}`,
+                    `\`\`\`json\n${JSON.stringify(result.resource, null, 2)}\n\`\`\``,
+                ].join("\n\n"),
+            },
+        ],
+    };
+}
+
+export async function handleScaffoldEntity(args) {
+    // Validate at ingress
+    if (!args || typeof args !== "object") {
+        throw new Error("Invalid arguments: expected object");
+    }
     const concept = validateConceptName(args.concept);
-    const explanation = buildConceptExplanation(concept);
+    if (args.includeRecommended !== undefined && typeof args.includeRecommended !== "boolean") {
+        throw new Error("includeRecommended must be a boolean");
+    }
+
+    const result = scaffoldOrdEntity(concept, {
+        namespace: args.namespace,
+        name: args.name,
+        version: args.version,
+        packageOrdId: args.packageOrdId,
+        vendor: args.vendor,
+        groupTypeId: args.groupTypeId,
+        includeRecommended: args.includeRecommended,
+    });
+    const placeholders =
+        result.placeholders.length > 0
+            ? `## Placeholders\n\nReplace the made-up values of: ${result.placeholders.map((property) => `\`${property}\``).join(", ")}.`
+            : null;
+    const notes = result.notes.length > 0 ? `## Notes\n\n${result.notes.map((note) => `- ${note}`).join("\n")}` : null;
 
     return {
         content: [
             {
                 type: "text",
-                text: explanation,
+                text: [
+                    `# ORD ${result.concept} Skeleton`,
+                    `Add this entry to the \`${result.documentArray}\` array of an ORD document. All MANDATORY properties${args.includeRecommended ? " and RECOMMENDED properties" : ""} are filled in.`,
+                    placeholders,
+                    notes,
+                    `\`\`\`json\n${JSON.stringify(result.entity, null, 2)}\n\`\`\``,
+                ]
+                    .filter(Boolean)
+                    .join("\n\n"),
             },
         ],
     };
 }
+
+export async function handleCrawlOrdProvider(args) {
+    // Validate at ingress
+    if (!args || typeof args !== "object") {
+        throw new Error("Invalid arguments: expected object");
+    }
+    if (typeof args.baseUrl !== "string" || !args.baseUrl.trim()) {
+        throw new Error("baseUrl must be a non-empty string");
+    }
+    if ((args.username === undefined) !== (args.password === undefined)) {
+        throw new Error("username and password must be given together");
+    }
+
+    const credentials = args.username === undefined ? null : { username: args.username, password: args.password };
+    const crawl = await crawlOrdProvider({ baseUrl: args.baseUrl.trim(), credentials });
+    const fetched = crawl.documents.filter((listing) => listing.status === "ok");
+    const sources = fetched.map(({ url, document }) => ({ source: url, document }));
+    providerDocuments.set(crawl.configUrl, sources);
+    const catalog = aggregateOrdDocuments(sources);
+
+    const documents = crawl.documents.map((listing) =>
+        listing.status === "ok"
+            ? `- ${listing.url} (${listing.accessStrategy})`
+            : `- ${listing.url ?? "(no url)"} - ${listing.status}: ${listing.error}`,
+    );
+    const overview = ["Product", "Package", "APIResource", "EventResource"].map((concept) => {
+        const entries = catalog.entries.filter((entry) => entry.concept === concept);
+        const lines = entries.map(({ id, entity }) => {
+            const status = [entity.visibility, entity.releaseStatus].filter(Boolean).join(", ");
+            return `- \`${id}\`${entity.title ? ` - ${entity.title}` : ""}${status ? ` (${status})` : ""}`;
+        });
+        return `### ${concept} (${entries.length})\n\n${lines.length > 0 ? lines.join("\n") : "None."}`;
+    });
+    const summary = {
+        configUrl: crawl.configUrl,
+        documents: crawl.documents.map(({ url, accessStrategy, status, error }) => ({
+            url,
+            accessStrategy,
+            status,
+            error,
+        })),
+        counts: catalog.counts,
+        conflicts: catalog.conflicts,
+        removed: catalog.removed,
+    };
+
+    return {
+        content: [
+            {
+                type: "text",
+                text: [
+                    `# ORD Provider: ${args.baseUrl.trim()}`,
+                    `> Configuration: ${crawl.configUrl}`,
+                    `## Documents (${fetched.length} of ${crawl.documents.length} fetched)\n\n${documents.join("\n") || "None listed."}`,
+                    `## Catalog\n\n${overview.join("\n\n")}`,
+                    `\`\`\`json\n${JSON.stringify(summary, null, 2)}\n\`\`\``,
+                ].join("\n\n"),
+            },
+        ],
+    };
+}
+
+export async function handleQueryCatalog(args = {}) {
+    // Validate at ingress
+    if (!args || typeof args !== "object") {
+        throw new Error("Invalid arguments: expected object");
+    }
+    if (args.documents !== undefined && (!Array.isArray(args.documents) || args.documents.length === 0)) {
+        throw new Error("documents must be a non-empty array of ORD documents");
+    }
+
+    let documents;
+    if (args.documents) {
+        documents = args.documents.map((document, index) => {
+            try {
+                return { source: `documents[${index}]`, document: parseOrdDocument(document) };
+            } catch (error) {
+                throw new Error(`documents[${index}]: ${error.message}`);
+            }
+        });
+    } else if (args.baseUrl !== undefined) {
+        const configUrl = resolveConfigUrl(args.baseUrl);
+        if (!providerDocuments.has(configUrl)) {
+            throw new Error(`Provider not crawled yet: ${args.baseUrl}. Run crawl_ord_provider first`);
+        }
+        documents = providerDocuments.get(configUrl);
+    } else {
+        const local = localDocuments.files
+            .filter((file) => !file.error)
+            .map(({ path, document }) => ({ source: path, document }));
+        documents = [...local, ...[...providerDocuments.values()].flat()];
+        if (documents.length === 0) {
+            throw new Error(
+                "No ORD documents loaded. Pass documents, configure local ORD directories, or run crawl_ord_provider first",
+            );
+        }
+    }
+
+    const catalog = aggregateOrdDocuments(documents);
+    const result = queryOrdCatalog(catalog, args.filter ?? "", { page: args.page, pageSize: args.pageSize });
+
+    const counts = Object.entries(result.counts).map(([concept, count]) => `${concept}: ${count}`);
+    const items = result.items.map(({ concept, id, source, entity }) => {
+        const status = [entity.visibility, entity.releaseStatus].filter(Boolean).join(", ");
+        return `- **${concept}** \`${id}\`${entity.title ? ` - ${entity.title}` : ""}${status ? ` (${status})` : ""} from ${source}`;
+    });
+    const pagination =
+        result.pages > result.page
+            ? `Page ${result.page} of ${result.pages}. Request page ${result.page + 1} for more.`
+            : `Page ${result.page} of ${Math.max(result.pages, 1)}.`;
+
+    return {
+        content: [
+            {
+                type: "text",
+                text: [
+                    "# ORD Catalog Query",
+                    `> Catalog: ${catalog.entries.length} entities from ${documents.length} document(s)\n> Filter: \`${args.filter || "(none)"}\``,
+                    `Found ${result.total} match(es)${counts.length > 0 ? ` - ${counts.join(", ")}` : ""}. ${pagination}`,
+                    items.length > 0 ? items.join("\n") : "No matching entities.",
+                    `\`\`\`json\n${JSON.stringify(result.items, null, 2)}\n\`\`\``,
+                ].join("\n\n"),
+            },
+        ],
+    };
+}
+
+export async function handleCheckPolicyCompliance(args) {
+    // Validate at ingress
+    if (!args || typeof args !== "object") {
+        throw new Error("Invalid arguments: expected object");
+    }
+    const document = parseOrdDocument(args.document);
+    if (args.policyLevel !== undefined && (typeof args.policyLevel !== "string" || !args.policyLevel.trim())) {
+        throw new Error("policyLevel must be a non-empty string");
+    }
+    if (args.ruleSets !== undefined && !Array.isArray(args.ruleSets)) {
+        throw new Error("ruleSets must be an array of rule sets");
+    }
+    const inline = (args.ruleSets ?? []).map((ruleSet, index) => validateRuleSet(ruleSet, `ruleSets[${index}]`));
+
+    const ruleSets = [...BUILT_IN_RULE_SETS, ...customRuleSets, ...inline];
+    const result = checkPolicyCompliance(document, ruleSets, { policyLevel: args.policyLevel?.trim() });
+    const failed = result.rules.filter((rule) => rule.status === "fail");
+
+    const checked = result.rules.filter((rule) => rule.status !== "not-applicable");
+    const summary =
+        result.policyLevels.length === 0
+            ? "The document declares no policy level. Pass policyLevel to check it against one."
+            : failed.length > 0
+              ? `${failed.length} of ${checked.length} applicable rule(s) failed.`
+              : `All ${checked.length} applicable rule(s) passed.`;
+    const knownLevels = [...new Set(ruleSets.map((ruleSet) => ruleSet.policyLevel))];
+    const unknown =
+        result.unknownPolicyLevels.length > 0
+            ? `No rule set for ${result.unknownPolicyLevels.join(", ")}. Known policy levels: ${knownLevels.join(", ")}`
+            : null;
+    const rules = result.rules.map((rule) => {
+        const violations = rule.violations.map(
+            ({ path, ordId, message }) => `  - \`${path || "/"}\`${ordId ? ` (${ordId})` : ""}: ${message}`,
+        );
+        return [
+            `- **${rule.status}** \`${rule.id}\` (${rule.policyLevel}) - ${rule.description} - ${rule.checked} checked`,
+            ...violations,
+        ].join("\n");
+    });
+
+    return {
+        content: [
+            {
+                type: "text",
+                text: [
+                    "# ORD Policy Compliance",
+                    summary,
+                    unknown,
+                    rules.length > 0 ? `## Rules\n\n${rules.join("\n")}` : null,
+                    `\`\`\`json\n${JSON.stringify(result, null, 2)}\n\`\`\``,
+                ]
+                    .filter(Boolean)
+                    .join("\n\n"),
+            },
+        ],
+    };
+}
+
+// The ord_builder_* tools work on the document in progress of one MCP session: `session` is the
+// session's { document }, where document is null until ord_builder_start
+export async function handleBuilderStart(args = {}, session) {
+    // Validate at ingress
+    if (!args || typeof args !== "object") {
+        throw new Error("Invalid arguments: expected object");
+    }
+    const base = args.document === undefined ? {} : parseOrdDocument(args.document);
+    if (args.properties !== undefined && (!args.properties || typeof args.properties !== "object")) {
+        throw new Error("properties must be an object of top-level document properties");
+    }
+
+    const replaced = session.document !== null;
+    session.document = startOrdDocument({ ...base, ...args.properties });
+    return describeDraft(
+        session.document,
+        `Started an ORD ${session.document.openResourceDiscovery} document${args.document === undefined ? "" : " from the given one"}.${replaced ? " The previous draft was discarded." : ""}`,
+    );
+}
+
+export async function handleBuilderAddEntity(args, session) {
+    // Validate at ingress
+    if (!args || typeof args !== "object") {
+        throw new Error("Invalid arguments: expected object");
+    }
+    const document = requireDraft(session);
+    const concept = validateConceptName(args.concept);
+
+    const result = addOrdEntity(document, concept, args.entity);
+    session.document = result.document;
+    return describeDraft(session.document, `Added ${result.concept} \`${result.id}\` at \`${result.path}\`.`);
+}
+
+export async function handleBuilderUpdateEntity(args, session) {
+    // Validate at ingress
+    if (!args || typeof args !== "object") {
+        throw new Error("Invalid arguments: expected object");
+    }
+    const document = requireDraft(session);
+    if (args.id !== undefined && (typeof args.id !== "string" || !args.id.trim())) {
+        throw new Error("id must be a non-empty string");
+    }
+
+    const result = updateOrdEntity(document, args.id?.trim(), args.properties);
+    session.document = result.document;
+    return describeDraft(
+        session.document,
+        result.id === undefined
+            ? "Updated the document properties."
+            : `Updated ${result.concept} \`${result.id}\` at \`${result.path}\`.`,
+    );
+}
+
+export async function handleBuilderRemoveEntity(args, session) {
+    // Validate at ingress
+    if (!args || typeof args !== "object") {
+        throw new Error("Invalid arguments: expected object");
+    }
+    const document = requireDraft(session);
+    if (typeof args.id !== "string" || !args.id.trim()) {
+        throw new Error("id must be a non-empty string");
+    }
+
+    const result = removeOrdEntity(document, args.id.trim());
+    session.document = result.document;
+    return describeDraft(session.document, `Removed ${result.concept} \`${args.id.trim()}\` from \`${result.path}\`.`);
+}
+
+// Checks the draft against the full ORD Document schema as well, but exports it either way
+export async function handleBuilderExport(args = {}, session) {
+    // Validate at ingress
+    if (!args || typeof args !== "object") {
+        throw new Error("Invalid arguments: expected object");
+    }
+    const document = requireDraft(session);
+
+    const schema = await fetchDocumentSchema();
+    const validation = validateOrdDocument(document, schema.content);
+    const draft = checkOrdDocumentDraft(document);
+    const errors = validation.errors.map(({ path, message }) => `- \`${path || "/"}\`: ${message}`);
+    const issues = draft.issues.map(({ path, message }) => `- \`${path || "/"}\`: ${message}`);
+
+    return {
+        content: [
+            {
+                type: "text",
+                text: [
+                    "# ORD Document Export",
+                    describeSpecificationSource(schema),
+                    validation.valid && draft.complete
+                        ? "The document is valid against the ORD Document schema and all references resolve."
+                        : `The document has ${validation.errors.length} schema violation(s) and ${draft.issues.length} open issue(s).`,
+                    errors.length > 0 ? `## Schema violations\n\n${errors.join("\n")}` : null,
+                    issues.length > 0 ? `## Open issues\n\n${issues.join("\n")}` : null,
+                    `\`\`\`json\n${JSON.stringify(document, null, 2)}\n\`\`\``,
+                ]
+                    .filter(Boolean)
+                    .join("\n\n"),
+            },
+        ],
+    };
+}
+
+// Replaces the custom rule sets with those of the given JS or JSON modules
+export async function loadCustomRuleSets(paths) {
+    customRuleSets = await loadPolicyRuleSets(paths);
+    return customRuleSets;
+}
+
+// Replaces the directories tools may read files from by path
+export async function allowRead(roots) {
+    readRoots = await resolveRoots(roots, "read root");
+    return readRoots;
+}
+
+// Replaces the CAP project roots that may be compiled with their own cds CLI
+export async function allowCdsCompile(roots) {
+    cdsCompileRoots = await resolveRoots(roots, "CDS compile root");
+    return cdsCompileRoots;
+}
+
+// (Re)reads the local ORD directories; returns the files, including those that failed to load
+export async function loadLocalDocuments(directories) {
+    const files = await readLocalOrdDocuments(directories);
+    localDocuments = { files, ...buildLocalResources(files) };
+    return files;
+}
+
+export function listLocalResources() {
+    return localDocuments.resources;
+}
+
+// Resource readers return the { mimeType, text } of a resources/read content item
+export async function handleReadConceptResource(args) {
+    // Validate at ingress
+    if (!args || typeof args !== "object") {
+        throw new Error("Invalid arguments: expected object");
+    }
+
+    const { concepts } = await loadOrdConcepts("latest");
+    const concept = validateConceptName(args.name, concepts);
+    if (args.example) {
+        return { mimeType: "application/json", text: JSON.stringify(concepts[concept].example, null, 2) };
+    }
+    return { mimeType: "text/markdown", text: buildConceptExplanation(concept, concepts) };
+}
+
+export async function handleReadSpecificationSectionResource(args) {
+    // Validate at ingress
+    if (!args || typeof args !== "object") {
+        throw new Error("Invalid arguments: expected object");
+    }
+    if (typeof args.anchor !== "string" || !args.anchor.trim()) {
+        throw new Error("anchor must be a non-empty string");
+    }
+
+    const { sections } = await loadSpecificationSections();
+    const section = findSpecificationSection(sections, `#${args.anchor}`);
+    return { mimeType: "text/markdown", text: section.content };
+}
+
+export async function handleReadLocalResource(args) {
+    // Validate at ingress
+    if (!args || typeof args !== "object") {
+        throw new Error("Invalid arguments: expected object");
+    }
+
+    const text = localDocuments.contents.get(args.uri);
+    if (text === undefined) {
+        throw new Error(`Unknown local resource: ${args.uri}. Local resources change with the files, list them again`);
+    }
+    return { mimeType: "application/json", text };
+}
+
+export async function handleGetPrompt(args) {
+    // Validate at ingress
+    if (!args || typeof args !== "object") {
+        throw new Error("Invalid arguments: expected object");
+    }
+    if (typeof args.name !== "string" || !args.name.trim()) {
+        throw new Error("name must be a non-empty string");
+    }
+
+    // Prompts still work offline, with the built-in concepts and a pointer to the section tools
+    const { concepts } = await loadOrdConcepts("latest");
+    let specification;
+    try {
+        const { sections } = await loadSpecificationSections();
+        if (!sectionCache.searchIndex) {
+            sectionCache.searchIndex = buildSearchIndex(sections);
+        }
+        specification = { sections, searchIndex: sectionCache.searchIndex };
+    } catch (error) {
+        specification = { error: error.message };
+    }
+
+    return buildOrdPrompt(args.name, args.arguments ?? {}, { concepts, specification });
+}
+
+function requireDraft(session) {
+    if (!session?.document) {
+        throw new Error("No ORD document in progress. Call ord_builder_start first");
+    }
+    return session.document;
+}
+
+// What changed, what is in the draft and what is still missing, checked after every change
+function describeDraft(document, message) {
+    const { complete, issues } = checkOrdDocumentDraft(document);
+    const counts = Object.entries(countOrdEntities(document)).map(([array, count]) => `${array}: ${count}`);
+
+    return {
+        content: [
+            {
+                type: "text",
+                text: [
+                    "# ORD Document Builder",
+                    message,
+                    `Entities: ${counts.length > 0 ? counts.join(", ") : "none yet"}.`,
+                    complete
+                        ? "All MANDATORY properties are set and all references resolve. Call ord_builder_export to get the document."
+                        : `## Open issues (${issues.length})\n\n${issues.map(({ path, message: issue }) => `- \`${path || "/"}\`: ${issue}`).join("\n")}`,
+                ].join("\n\n"),
+            },
+        ],
+    };
+}
+
+async function loadSpecificationSections() {
+    const spec = await fetchSpecification();
+    if (sectionCache.content !== spec.content) {
+        sectionCache = { content: spec.content, sections: parseSpecificationSections(spec.content), searchIndex: null };
+    }
+    return { spec, sections: sectionCache.sections };
+}
+
+// Concepts from the schema of the given version; the static snapshot when it cannot be fetched or read
+async function loadOrdConcepts(version) {
+    try {
+        const schema = await fetchDocumentSchema({ version });
+        if (conceptCache.get(version)?.content !== schema.content) {
+            conceptCache.set(version, { content: schema.content, concepts: buildOrdConcepts(schema.content) });
+        }
+        return {
+            concepts: conceptCache.get(version).concepts,
+            source: describeSpecificationSource(schema, `Concepts from the ${version} ORD Document schema`),
+        };
+    } catch (error) {
+        return {
+            concepts: ORD_CONCEPTS,
+            source: `> Concepts from the built-in snapshot - ${version} schema unavailable: ${error.message}`,
+        };
+    }
+}
+
+// Tell the reader whether they are looking at live, cached or stale content
+function describeSpecificationSource({ fromCache, stale, fetchedAt, error, bundled }, label = "Source") {
+    if (bundled) {
+        return `> ${label}: bundled offline copy - fetch failed: ${error}`;
+    }
+    const age = formatAge(Date.now() - fetchedAt);
+    if (stale) {
+        return `> ${label}: stale cache (fetched ${age} ago) - refresh failed: ${error}`;
+    }
+    if (fromCache) {
+        return `> ${label}: cache (fetched ${age} ago)`;
+    }
+    return `> ${label}: network (just fetched)`;
+}
+
+function formatAge(ms) {
+    const minutes = Math.floor(Math.max(ms, 0) / 60000);
+    if (minutes < 1) {
+        return "less than a minute";
+    }
+    if (minutes < 60) {
+        return `${minutes}m`;
+    }
+    const hours = Math.floor(minutes / 60);
+    return hours < 48 ? `${hours}h ${minutes % 60}m` : `${Math.floor(hours / 24)}d`;
+}
@@ -0,0 +1,227 @@
+// Filter language and pagination over an aggregated ORD catalog - pure logic, no I/O
+//
+// A filter is a list of conditions, implicitly joined by AND, e.g.
+//   type=APIResource visibility=public releaseStatus=deprecated partOfPackage=sap.s4:package:Sales:v1
+// Conditions are `field=value`, `field!=value` or `field~text` (case-insensitive contains); values
+// with spaces are quoted. AND, OR, NOT and parentheses combine them. Fields are dotted paths into
+// the entity (`labels.country`, `extensible.supported`); array fields match when any item does.
+// ORD IDs on the way are followed to the referenced entity, so `partOfPackage.title~sales` and
+// `exposedEntityTypes.title="Business Partner"` traverse references.
+// Special fields: `type` (concept), `id`, `source`, `references` (any property holding the ID).
+
+export const DEFAULT_PAGE_SIZE = 20;
+export const MAX_PAGE_SIZE = 100;
+
+const TOKEN_PATTERN = /\s*(?:(\()|(\))|(!=|=|~)|"((?:[^"\\]|\\.)*)"|([^\s()"=!~]+))/y;
+const KEYWORDS = new Set(["AND", "OR", "NOT"]);
+
+// Returns the syntax tree of a filter; an empty filter matches everything
+export function parseCatalogQuery(text = "") {
+    if (typeof text !== "string") {
+        throw new Error("Invalid filter: expected a string");
+    }
+    const tokens = tokenize(text);
+    if (tokens.length === 0) {
+        return { type: "all" };
+    }
+
+    let position = 0;
+    const peek = () => tokens[position];
+    const next = () => tokens[position++];
+    const isKeyword = (token, word) => token?.kind === "word" && token.value.toUpperCase() === word;
+
+    const parseOr = () => {
+        const operands = [parseAnd()];
+        while (isKeyword(peek(), "OR")) {
+            next();
+            operands.push(parseAnd());
+        }
+        return operands.length === 1 ? operands[0] : { type: "or", operands };
+    };
+    const parseAnd = () => {
+        const operands = [parseUnary()];
+        while (peek() && peek().kind !== "close" && !isKeyword(peek(), "OR")) {
+            if (isKeyword(peek(), "AND")) {
+                next();
+            }
+            operands.push(parseUnary());
+        }
+        return operands.length === 1 ? operands[0] : { type: "and", operands };
+    };
+    const parseUnary = () => {
+        const token = next();
+        if (!token) {
+            throw new Error("Invalid filter: unexpected end of filter");
+        }
+        if (isKeyword(token, "NOT")) {
+            return { type: "not", operand: parseUnary() };
+        }
+        if (token.kind === "open") {
+            const expression = parseOr();
+            if (next()?.kind !== "close") {
+                throw new Error("Invalid filter: missing )");
+            }
+            return expression;
+        }
+        if (token.kind !== "word" || KEYWORDS.has(token.value.toUpperCase())) {
+            throw new Error(`Invalid filter: unexpected ${token.value}`);
+        }
+
+        const operator = next();
+        const value = next();
+        if (operator?.kind !== "operator" || !value || !["word", "quoted"].includes(value.kind)) {
+            throw new Error(`Invalid filter: expected field=value, field!=value or field~text after ${token.value}`);
+        }
+        return { type: "condition", field: token.value, operator: operator.value, value: value.value };
+    };
+
+    const tree = parseOr();
+    if (position < tokens.length) {
+        throw new Error(`Invalid filter: unexpected ${tokens[position].value}`);
+    }
+    return tree;
+}
+
+// Returns { total, page, pageSize, pages, counts, items } with the matching catalog entries of
+// the requested page; counts are per concept over all matches
+export function queryOrdCatalog(catalog, filter, { page = 1, pageSize = DEFAULT_PAGE_SIZE } = {}) {
+    if (!Number.isInteger(page) || page < 1) {
+        throw new Error("page must be a positive integer");
+    }
+    if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+        throw new Error(`pageSize must be an integer between 1 and ${MAX_PAGE_SIZE}`);
+    }
+
+    const tree = parseCatalogQuery(filter);
+    const byId = new Map(
+        catalog.entries.filter((entry) => entry.concept !== "Tombstone").map((entry) => [entry.id, entry]),
+    );
+    const matches = catalog.entries.filter((entry) => evaluate(tree, entry, byId));
+
+    const counts = {};
+    matches.forEach((entry) => (counts[entry.concept] = (counts[entry.concept] ?? 0) + 1));
+
+    return {
+        total: matches.length,
+        page,
+        pageSize,
+        pages: Math.ceil(matches.length / pageSize),
+        counts,
+        items: matches.slice((page - 1) * pageSize, page * pageSize),
+    };
+}
+
+function tokenize(text) {
+    const tokens = [];
+    TOKEN_PATTERN.lastIndex = 0;
+    while (TOKEN_PATTERN.lastIndex < text.length) {
+        if (!text.slice(TOKEN_PATTERN.lastIndex).trim()) {
+            break;
+        }
+        const start = TOKEN_PATTERN.lastIndex;
+        const match = TOKEN_PATTERN.exec(text);
+        if (!match) {
+            throw new Error(`Invalid filter: cannot read ${text.slice(start).trim()}`);
+        }
+        const [, open, close, operator, quoted, word] = match;
+        if (open) {
+            tokens.push({ kind: "open", value: "(" });
+        } else if (close) {
+            tokens.push({ kind: "close", value: ")" });
+        } else if (operator) {
+            tokens.push({ kind: "operator", value: operator });
+        } else if (quoted !== undefined) {
+            tokens.push({ kind: "quoted", value: quoted.replace(/\\(.)/g, "$1") });
+        } else {
+            tokens.push({ kind: "word", value: word });
+        }
+    }
+    return tokens;
+}
+
+function evaluate(node, entry, byId) {
+    switch (node.type) {
+        case "all":
+            return true;
+        case "and":
+            return node.operands.every((operand) => evaluate(operand, entry, byId));
+        case "or":
+            return node.operands.some((operand) => evaluate(operand, entry, byId));
+        case "not":
+            return !evaluate(node.operand, entry, byId);
+        default:
+            return matchesCondition(node, entry, byId);
+    }
+}
+
+// `!=` holds when no value equals, so a missing field counts as different
+function matchesCondition({ field, operator, value }, entry, byId) {
+    const values = resolveField(entry, field, byId).map(toComparable);
+    const expected = value.toLowerCase();
+    if (operator === "~") {
+        return values.some((actual) => actual.toLowerCase().includes(expected));
+    }
+    const equal = values.some((actual) => equals(field, actual, value));
+    return operator === "=" ? equal : !equal;
+}
+
+// Concept names and enum-like values compare case-insensitively; IDs compare exactly
+function equals(field, actual, value) {
+    return field === "type" || field === "id" ? actual.toLowerCase() === value.toLowerCase() : actual === value;
+}
+
+function resolveField(entry, field, byId) {
+    switch (field) {
+        case "type":
+            return [entry.concept];
+        case "id":
+            return [entry.id];
+        case "source":
+            return [entry.source];
+        case "references":
+            return collectIds(entry.entity).filter((id) => id !== entry.id);
+        default:
+            return resolvePath([entry.entity], field.split("."), byId);
+    }
+}
+
+// Walks the path; strings that are IDs of catalog entities are followed when the path goes on
+function resolvePath(values, segments, byId) {
+    if (segments.length === 0) {
+        return values.flat().filter((value) => value !== undefined && value !== null);
+    }
+    const [segment, ...rest] = segments;
+    const nextValues = values
+        .flat()
+        .map((value) => dereference(value, byId))
+        .filter((value) => value && typeof value === "object")
+        .map((value) => value[segment])
+        .filter((value) => value !== undefined);
+    return resolvePath(nextValues, rest, byId);
+}
+
+function dereference(value, byId) {
+    const id = typeof value === "string" ? value : value?.ordId;
+    return typeof id === "string" && byId.has(id) ? byId.get(id).entity : value;
+}
+
+// Every string anywhere in the entity that looks like an ID, including { ordId } references
+function collectIds(value) {
+    if (typeof value === "string") {
+        return value.split(":").length >= 3 ? [value] : [];
+    }
+    if (Array.isArray(value)) {
+        return value.flatMap(collectIds);
+    }
+    if (value && typeof value === "object") {
+        return Object.values(value).flatMap(collectIds);
+    }
+    return [];
+}
+
+function toComparable(value) {
+    if (value && typeof value === "object") {
+        return typeof value.ordId === "string" ? value.ordId : JSON.stringify(value);
+    }
+    return String(value);
+}
@@ -0,0 +1,98 @@
+// Aggregated catalog over several ORD documents - pure logic, no I/O
+import { ORD_CONCEPTS, getConceptProperties } from "./ord-concepts.js";
+
+// Concepts stored in top-level document arrays, as [{ name, documentArray, identity }]; the first key
+// property is the identifier (`ordId`, or `groupId` / `groupTypeId` for groups)
+export const ENTITY_CONCEPTS = Object.freeze(
+    Object.entries(ORD_CONCEPTS)
+        .filter(([, concept]) => concept.documentArray)
+        .map(([name, concept]) =>
+            Object.freeze({ name, documentArray: concept.documentArray, identity: getConceptProperties(name)[0].name }),
+        ),
+);
+
+// Returns the ENTITY_CONCEPTS entry of a concept, or undefined for concepts outside document arrays
+export function findEntityConcept(name) {
+    return ENTITY_CONCEPTS.find((concept) => concept.name === name);
+}
+
+// The document itself (concept DocumentProperties, path "") and every entity in its concept
+// arrays, as [{ concept, path, entity }] with JSON pointers into the document
+export function listDocumentEntities(document) {
+    const entities = [{ concept: "DocumentProperties", path: "", entity: document }];
+    for (const { name, documentArray } of ENTITY_CONCEPTS) {
+        if (!Array.isArray(document[documentArray])) {
+            continue;
+        }
+        document[documentArray].forEach((entity, index) => {
+            if (entity && typeof entity === "object") {
+                entities.push({ concept: name, path: `/${documentArray}/${index}`, entity });
+            }
+        });
+    }
+    return entities;
+}
+
+// `documents` is [{ source, document }], source being the URL or path the document came from.
+// Returns { sources, documents, entries, counts, conflicts, removed } where every entry is
+// { concept, id, source, path, entity }. The first definition of an ID wins; later ones are
+// conflicts. Resources tombstoned in any document are removed from the catalog.
+export function aggregateOrdDocuments(documents) {
+    const entries = [];
+    const conflicts = new Map();
+    const tombstoned = new Set(
+        documents.flatMap(({ document }) =>
+            (Array.isArray(document.tombstones) ? document.tombstones : []).map((tombstone) => tombstone?.ordId),
+        ),
+    );
+    const seen = new Map();
+    const removed = [];
+
+    for (const { source, document } of documents) {
+        for (const concept of ENTITY_CONCEPTS) {
+            const list = Array.isArray(document[concept.documentArray]) ? document[concept.documentArray] : [];
+            list.forEach((entity, index) => {
+                const id = entity?.[concept.identity];
+                if (typeof id !== "string") {
+                    return;
+                }
+                const entry = { concept: concept.name, id, source, path: `/${concept.documentArray}/${index}`, entity };
+
+                if (concept.name !== "Tombstone" && tombstoned.has(id)) {
+                    removed.push({ id, concept: concept.name, source });
+                    return;
+                }
+                // Tombstones may repeat across documents; only entity IDs must be unique
+                const key = `${concept.name === "Tombstone" ? "tombstone" : "entity"}:${id}`;
+                if (seen.has(key)) {
+                    if (!conflicts.has(id)) {
+                        conflicts.set(id, { id, sources: [seen.get(key).source] });
+                    }
+                    conflicts.get(id).sources.push(source);
+                    return;
+                }
+                seen.set(key, entry);
+                entries.push(entry);
+            });
+        }
+    }
+
+    return {
+        sources: documents.map(({ source }) => source),
+        documents: documents.map(({ source, document }) => ({
+            source,
+            openResourceDiscovery: document.openResourceDiscovery ?? null,
+            perspective: document.perspective ?? null,
+            describedSystemInstance: document.describedSystemInstance ?? null,
+        })),
+        entries,
+        counts: Object.fromEntries(
+            ENTITY_CONCEPTS.map((concept) => [
+                concept.name,
+                entries.filter((entry) => entry.concept === concept.name).length,
+            ]).filter(([, count]) => count > 0),
+        ),
+        conflicts: [...conflicts.values()],
+        removed,
+    };
+}
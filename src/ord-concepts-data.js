@@ -0,0 +1,4878 @@
+// Generated by `npm run refresh-concepts` from the bundled ORD Document schema - do not edit by hand.
+// Static fallback for when the ORD Document schema of the selected version cannot be fetched.
+
+export const ORD_CONCEPTS = Object.freeze({
+    "DocumentProperties": {
+        "description": "The ORD Document object serves as a wrapper for the ORD resources and ORD taxonomy and adds further top-level information that is specific to the document/the service it describes.",
+        "example": {
+            "$schema": "https://sap.github.io/open-resource-discovery/spec-v1/interfaces/Document.schema.json",
+            "openResourceDiscovery": "1.0",
+            "description": "This document describes the APIs and Events of SAP S/4HANA Cloud",
+            "perspective": "system-instance",
+            "describedSystemInstance": {
+                "baseUrl": "https://my-s4hana.com",
+                "displayName": "My S/4HANA System"
+            },
+            "policyLevel": "sap:core:v1"
+        },
+        "keyProperties": [
+            {
+                "name": "$schema",
+                "description": "Optional URL to the Open Resource Discovery document schema (defined as a JSON Schema).",
+                "requirement": "OPTIONAL",
+                "type": "string",
+                "enum": [
+                    "https://open-resource-discovery.org/spec-v1/interfaces/Document.schema.json#"
+                ],
+                "details": "Optional URL to the Open Resource Discovery document schema (defined as a JSON Schema).\nIf provided, this enables code intelligence and validation in supported editors (like VSCode) and tools.",
+                "constraints": {
+                    "format": "uri-reference"
+                }
+            },
+            {
+                "name": "openResourceDiscovery",
+                "description": "Version of the Open Resource Discovery specification that is used to describe this document.",
+                "requirement": "MANDATORY",
+                "type": "string",
+                "enum": [
+                    "1.0",
+                    "1.1",
+                    "1.2",
+                    "1.3",
+                    "1.4",
+                    "1.5",
+                    "1.6",
+                    "1.7",
+                    "1.8",
+                    "1.9",
+                    "1.10",
+                    "1.11",
+                    "1.12",
+                    "1.13"
+                ],
+                "example": "1.13"
+            },
+            {
+                "name": "description",
+                "description": "Optional description of the ORD document itself.",
+                "requirement": "OPTIONAL",
+                "type": "string",
+                "details": "Optional description of the ORD document itself.\nPlease note that this information is NOT further processed or considered by an ORD aggregator.\n\nNotated in CommonMark (Markdown).",
+                "constraints": {
+                    "minLength": 1
+                },
+                "example": "This ORD document contains all APIs that are system-instance-aware and have APIs that\ncan change their behavior at runtime.\n"
+            },
+            {
+                "name": "perspective",
+                "description": "With ORD it's possible to describe a system from a static or a dynamic perspective (for more details, follow the link).",
+                "requirement": "OPTIONAL",
+                "type": "string",
+                "enum": [
+                    "system-type",
+                    "system-version",
+                    "system-instance",
+                    "system-independent"
+                ],
+                "details": "With ORD it's possible to describe a system from a static or a dynamic perspective (for more details, follow the link).\n\nIt is strongly RECOMMENDED to mark all static ORD documents with perspective `system-version`.\n\nIt is RECOMMENDED to describe dynamic metadata in both static system-version perspective and additionally describe the system-instance perspective where it diverges from the static metadata.\n\nIf not provided, this defaults to `system-instance`, which is the most precise description but also the most costly to replicate.\n\nPlease read the article on perspectives for more explanations.",
+                "enumDescriptions": {
+                    "system-type": "Describes a static system-type perspective, which is version independent.",
+                    "system-version": "Describes the static system-version perspective, usually known at deploy-time.",
+                    "system-instance": "Describes the complete dynamic system-instance (tenant) perspective as known at run-time.",
+                    "system-independent": "Describes content that is independent of system-versions or system-instances."
+                },
+                "constraints": {
+                    "default": "system-instance",
+                    "introducedInVersion": "1.12.0",
+                    "featureStatus": "beta"
+                },
+                "example": "system-instance"
+            },
+            {
+                "name": "describedSystemInstance",
+                "description": "Information on the system-instance that this ORD document describes.",
+                "requirement": "OPTIONAL",
+                "type": "SystemInstance",
+                "details": "Information on the system-instance that this ORD document describes.\n\nWhether this information is required or recommended to add, depends on the requirements of the ORD aggregator.",
+                "structure": [
+                    {
+                        "name": "baseUrl",
+                        "description": "Optional base URL of the system instance.",
+                        "requirement": "OPTIONAL",
+                        "type": "string",
+                        "pattern": "^http[s]?:\\/\\/[^:\\/\\s]+\\.[^:\\/\\s\\.]+(:\\d+)?(\\/[a-zA-Z0-9-\\._~]+)*$"
+                    },
+                    {
+                        "name": "localId",
+                        "description": "Optional local ID for the system instance, as known by the described system.",
+                        "requirement": "OPTIONAL",
+                        "type": "string"
+                    },
+                    {
+                        "name": "correlationIds",
+                        "description": "Correlation IDs can be used to create a reference to related data in other repositories (especially to the system of record).",
+                        "requirement": "OPTIONAL",
+                        "type": "array<string>",
+                        "pattern": "^([a-z0-9]+(?:[.][a-z0-9]+)*):([a-zA-Z0-9._\\-\\/]+):([a-zA-Z0-9._\\-\\/]+)$"
+                    },
+                    {
+                        "name": "labels",
+                        "description": "Generic labels that can be applied to most ORD information.",
+                        "requirement": "OPTIONAL",
+                        "type": "Labels"
+                    },
+                    {
+                        "name": "documentationLabels",
+                        "description": "Generic documentation labels that can be applied to most ORD information.",
+                        "requirement": "OPTIONAL",
+                        "type": "DocumentationLabels"
+                    },
+                    {
+                        "name": "tags",
+                        "description": "List of free text style tags.",
+                        "requirement": "OPTIONAL",
+                        "type": "array<string>",
+                        "pattern": "^[a-zA-Z0-9-_.\\/ ]*$"
+                    }
+                ]
+            },
+            {
+                "name": "describedSystemType",
+                "description": "Information on the system type that this ORD document describes.",
+                "requirement": "OPTIONAL",
+                "type": "SystemType",
+                "constraints": {
+                    "introducedInVersion": "1.10.0"
+                },
+                "structure": [
+                    {
+                        "name": "systemNamespace",
+                        "description": "The system namespace is a unique identifier for the system type.",
+                        "requirement": "OPTIONAL",
+                        "type": "string",
+                        "pattern": "^[a-z0-9]+(?:[.][a-z0-9]+){1}$"
+                    },
+                    {
+                        "name": "correlationIds",
+                        "description": "Correlation IDs can be used to create a reference to related data in other repositories (especially to the system of record).",
+                        "requirement": "OPTIONAL",
+                        "type": "array<string>",
+                        "pattern": "^([a-z0-9]+(?:[.][a-z0-9]+)*):([a-zA-Z0-9._\\-\\/]+):([a-zA-Z0-9._\\-\\/]+)$"
+                    },
+                    {
+                        "name": "labels",
+                        "description": "Generic labels that can be applied to most ORD information.",
+                        "requirement": "OPTIONAL",
+                        "type": "Labels"
+                    },
+                    {
+                        "name": "documentationLabels",
+                        "description": "Generic documentation labels that can be applied to most ORD information.",
+                        "requirement": "OPTIONAL",
+                        "type": "DocumentationLabels"
+                    },
+                    {
+                        "name": "tags",
+                        "description": "List of free text style tags.",
+                        "requirement": "OPTIONAL",
+                        "type": "array<string>",
+                        "pattern": "^[a-zA-Z0-9-_.\\/ ]*$"
+                    }
+                ]
+            },
+            {
+                "name": "describedSystemVersion",
+                "description": "Information on the system version that this ORD document describes.",
+                "requirement": "OPTIONAL",
+                "type": "SystemVersion",
+                "constraints": {
+                    "introducedInVersion": "1.10.0"
+                },
+                "structure": [
+                    {
+                        "name": "version",
+                        "description": "The version of the system instance (run-time) or the version of the described system-version perspective.",
+                        "requirement": "OPTIONAL",
+                        "type": "string",
+                        "pattern": "^(0|[1-9]\\d*)\\.(0|[1-9]\\d*)\\.(0|[1-9]\\d*)(?:-((?:0|[1-9]\\d*|\\d*[a-zA-Z-][0-9a-zA-Z-]*)(?:\\.(?:0|[1-9]\\d*|\\d*[a-zA-Z-][0-9a-zA-Z-]*))*))?(?:\\+([0-9a-zA-Z-]+(?:\\.[0-9a-zA-Z-]+)*))?$"
+                    },
+                    {
+                        "name": "title",
+                        "description": "Human-readable title of the system version.",
+                        "requirement": "OPTIONAL",
+                        "type": "string"
+                    },
+                    {
+                        "name": "correlationIds",
+                        "description": "Correlation IDs can be used to create a reference to related data in other repositories (especially to the system of record).",
+                        "requirement": "OPTIONAL",
+                        "type": "array<string>",
+                        "pattern": "^([a-z0-9]+(?:[.][a-z0-9]+)*):([a-zA-Z0-9._\\-\\/]+):([a-zA-Z0-9._\\-\\/]+)$"
+                    },
+                    {
+                        "name": "labels",
+                        "description": "Generic labels that can be applied to most ORD information.",
+                        "requirement": "OPTIONAL",
+                        "type": "Labels"
+                    },
+                    {
+                        "name": "documentationLabels",
+                        "description": "Generic documentation labels that can be applied to most ORD information.",
+                        "requirement": "OPTIONAL",
+                        "type": "DocumentationLabels"
+                    },
+                    {
+                        "name": "tags",
+                        "description": "List of free text style tags.",
+                        "requirement": "OPTIONAL",
+                        "type": "array<string>",
+                        "pattern": "^[a-zA-Z0-9-_.\\/ ]*$"
+                    }
+                ]
+            },
+            {
+                "name": "policyLevel",
+                "description": "The policy level (aka.",
+                "requirement": "OPTIONAL",
+                "type": "string",
+                "enum": [
+                    "none",
+                    "custom"
+                ],
+                "pattern": "^([a-z0-9]+(?:[.][a-z0-9]+)*):([a-zA-Z0-9._\\-]+):(v0|v[1-9][0-9]*)$",
+                "details": "The policy level (aka. compliance level) that the described resources need to be compliant with.\nDepending on the chosen policy level, additional expectations and validations rules will be applied.\n\nThe policy level can be defined on ORD Document level, but also be overwritten on an individual package or resource level.",
+                "enumDescriptions": {
+                    "none": "No policy level chosen.",
+                    "custom": "Custom policy level."
+                },
+                "constraints": {
+                    "default": "none",
+                    "introducedInVersion": "1.3.0"
+                },
+                "example": "sap:core:v1"
+            },
+            {
+                "name": "customPolicyLevel",
+                "description": "If the fixed `policyLevel` values need to be extended, an arbitrary `customPolicyLevel` can be provided.",
+                "requirement": "OPTIONAL",
+                "type": "string",
+                "pattern": "^([a-z0-9]+(?:[.][a-z0-9]+)*):([a-zA-Z0-9._\\-]+):(v0|v[1-9][0-9]*)$",
+                "details": "If the fixed `policyLevel` values need to be extended, an arbitrary `customPolicyLevel` can be provided.\nThe policy level is inherited from packages to resources they contain, but can be overwritten at resource level.\n\nMUST only be provided if `policyLevel` is set to `custom`.\nMUST be a valid Specification ID.",
+                "constraints": {
+                    "maxLength": 255,
+                    "introducedInVersion": "1.3.0"
+                },
+                "example": "sap.xref:customPolicy:v1"
+            },
+            {
+                "name": "policyLevels",
+                "description": "A list of policy levels that the described resources need to be compliant with.",
+                "requirement": "RECOMMENDED",
+                "type": "array<string>",
+                "pattern": "^([a-z0-9]+(?:[.][a-z0-9]+)*):([a-zA-Z0-9._\\-]+):(v0|v[1-9][0-9]*)$",
+                "details": "A list of policy levels that the described resources need to be compliant with.\nFor each chosen policy level, additional expectations and validations rules will be applied.\n\nPolicy levels can be defined on ORD Document level, but also be overwritten on an individual package or resource level.\n\nA policy level MUST be a valid Specification ID.",
+                "constraints": {
+                    "introducedInVersion": "1.9.9",
+                    "items.maxLength": 255
+                },
+                "example": "sap:core:v1"
+            }
+        ]
+    },
+    "Product": {
+        "description": "A product in ORD is understood as a commercial product or service.",
+        "documentArray": "products",
+        "example": {
+            "ordId": "sap:product:S4HANA_OD:",
+            "title": "SAP S/4HANA Cloud",
+            "shortDescription": "The next generation digital core designed to help you run simple in a digital economy.",
+            "vendor": "sap:vendor:SAP:"
+        },
+        "keyProperties": [
+            {
+                "name": "ordId",
+                "description": "The ORD ID is a stable, globally unique ID for ORD resources or taxonomy.",
+                "requirement": "MANDATORY",
+                "type": "string",
+                "pattern": "^([a-z0-9]+(?:[.][a-z0-9]+)*):(product):([a-zA-Z0-9._\\-]+):()$",
+                "details": "The ORD ID is a stable, globally unique ID for ORD resources or taxonomy.\n\nIt MUST be a valid ORD ID of the appropriate ORD type.",
+                "constraints": {
+                    "maxLength": 255
+                },
+                "example": "sap:product:S4HANA_OD:"
+            },
+            {
+                "name": "correlationIds",
+                "description": "Correlation IDs can be used to create a reference to related data in other repositories (especially to the system of record).",
+                "requirement": "OPTIONAL",
+                "type": "array<string>",
+                "pattern": "^([a-z0-9]+(?:[.][a-z0-9]+)*):([a-zA-Z0-9._\\-\\/]+):([a-zA-Z0-9._\\-\\/]+)$",
+                "details": "Correlation IDs can be used to create a reference to related data in other repositories (especially to the system of record).\n\nThey express an \"identity\" / \"equals\" / \"mappable\" relationship to the target ID.\n\nIf a \"part of\" relationship needs to be expressed, use the `partOfGroups` assignment instead.\n\nMUST be a valid Correlation ID.",
+                "constraints": {
+                    "items.maxLength": 255
+                },
+                "example": [
+                    "sap.xref:product:ABC"
+                ]
+            },
+            {
+                "name": "title",
+                "description": "Human-readable title.",
+                "requirement": "MANDATORY",
+                "type": "string",
+                "details": "Human-readable title.\n\nMUST NOT exceed 255 chars.\nMUST NOT contain line breaks.",
+                "constraints": {
+                    "minLength": 1,
+                    "maxLength": 255
+                },
+                "example": "SAP S/4HANA Cloud"
+            },
+            {
+                "name": "shortDescription",
+                "description": "Plain text short description.",
+                "requirement": "MANDATORY",
+                "type": "string",
+                "details": "Plain text short description.\n\nMUST NOT exceed 255 chars.\nMUST NOT contain line breaks.",
+                "constraints": {
+                    "minLength": 1,
+                    "maxLength": 255
+                },
+                "example": "The next generation digital core designed to help you run simple in a digital economy."
+            },
+            {
+                "name": "description",
+                "description": "Full description, notated in CommonMark (Markdown).",
+                "requirement": "OPTIONAL",
+                "type": "string",
+                "details": "Full description, notated in CommonMark (Markdown).\n\nThe description SHOULD not be excessive in length and is not meant to provide full documentation.\nDetailed documentation SHOULD be attached as (typed) links.",
+                "constraints": {
+                    "minLength": 1
+                }
+            },
+            {
+                "name": "vendor",
+                "description": "Vendor / organization that is responsible for the Product.",
+                "requirement": "MANDATORY",
+                "type": "string",
+                "pattern": "^([a-z0-9]+(?:[.][a-z0-9]+)*):(vendor):([a-zA-Z0-9._\\-]+):()$",
+                "details": "Vendor / organization that is responsible for the Product.\n\nMUST be a valid reference to a Vendor ORD ID.",
+                "constraints": {
+                    "maxLength": 256
+                },
+                "relatedConcepts": [
+                    "Vendor"
+                ],
+                "example": "sap:vendor:SAP:"
+            },
+            {
+                "name": "parent",
+                "description": "Optional product parent ORD ID, if a hierarchical product structure needs to be expressed.",
+                "requirement": "OPTIONAL",
+                "type": "string",
+                "pattern": "^([a-z0-9]+(?:[.][a-z0-9]+)*):(product):([a-zA-Z0-9._\\-]+):()$",
+                "details": "Optional product parent ORD ID, if a hierarchical product structure needs to be expressed.\n\nMUST be a valid reference to a Product ORD ID.",
+                "relatedConcepts": [
+                    "Product"
+                ],
+                "example": "sap:product:S4HANA_OD:"
+            },
+            {
+                "name": "tags",
+                "description": "List of free text style tags.",
+                "requirement": "OPTIONAL",
+                "type": "array<string>",
+                "pattern": "^[a-zA-Z0-9-_.\\/ ]*$",
+                "details": "List of free text style tags.\nNo special characters are allowed except `-`, `_`, `.`, `/` and ` `.\n\nTags that are assigned to a `Package` are inherited to all of the ORD resources it contains.",
+                "constraints": {
+                    "items.minLength": 1
+                },
+                "example": [
+                    "storage",
+                    "high-availability"
+                ]
+            },
+            {
+                "name": "labels",
+                "description": "Generic labels that can be applied to most ORD information.",
+                "requirement": "OPTIONAL",
+                "type": "Labels",
+                "details": "Generic labels that can be applied to most ORD information.\nThey are defined as an object that may have arbitrary keys.\nThe value of a key is an array of strings.\n\nLabels can be used to attach technical information that cannot be expressed natively in ORD.\nAn ORD aggregator should allow to categorize and query information based on the labels provided.\n\nIf multiple parties rely on the existence of certain label information,\nstandardization through ORD SHOULD be preferred.\n\nAll labels attached to a `Package` will be inherited to the resources they contain.\nDuplicate labels will be merged by the ORD aggregator according to the following rules:\n* Values of the same label key will be merged.\n* Duplicate values of the same label key will be removed."
+            },
+            {
+                "name": "documentationLabels",
+                "description": "Generic documentation labels that can be applied to most ORD information.",
+                "requirement": "OPTIONAL",
+                "type": "DocumentationLabels",
+                "details": "Generic documentation labels that can be applied to most ORD information.\nThey are defined as an object that may have arbitrary keys.\nThe value of a key is an array of CommonMark (Markdown) text.\n\nDocumentation Labels can be used to attach human readable documentation that cannot be expressed natively in ORD.\nA documentation tool (like an API Catalog) can use the documentation labels to provide generic documentation \"snippets\".\nDue to the given structure they can be displayed e.g. as tables.\n\nThe key of the documentation Label is plain-text (MUST not contain line breaks) and denotes the subject matter that is described.\nThe values (multiple can be provided for the same key) are CommonMark (Markdown) text\nwhich describes the subject matter or lists options for the key.\n\nIn contrast to regular labels, documentation labels are not meant to be used to categorize or query information."
+            }
+        ]
+    },
+    "Package": {
+        "description": "A Package organizes a set of related resources together, by publishing and catalog presentation concerns.",
+        "documentArray": "packages",
+        "example": {
+            "ordId": "sap.s4:package:SalesOrder:v1",
+            "title": "Sales Order Management",
+            "shortDescription": "APIs and events for sales order processing",
+            "description": "Complete sales order management capabilities including creation, modification, and lifecycle management.",
+            "version": "1.2.3",
+            "vendor": "sap:vendor:SAP:"
+        },
+        "keyProperties": [
+            {
+                "name": "ordId",
+                "description": "The ORD ID is a stable, globally unique ID for ORD resources or taxonomy.",
+                "requirement": "MANDATORY",
+                "type": "string",
+                "pattern": "^([a-z0-9]+(?:[.][a-z0-9]+)*):(package):([a-zA-Z0-9._\\-]+):(v0|v[1-9][0-9]*)$",
+                "details": "The ORD ID is a stable, globally unique ID for ORD resources or taxonomy.\n\nIt MUST be a valid ORD ID of the appropriate ORD type.",
+                "constraints": {
+                    "maxLength": 255
+                },
+                "example": "sap.xref:package:SomePackage:v1"
+            },
+            {
+                "name": "localId",
+                "description": "The locally unique ID under which this resource can be looked up / resolved in the described system itself.",
+                "requirement": "OPTIONAL",
+                "type": "string",
+                "details": "The locally unique ID under which this resource can be looked up / resolved in the described system itself.\nUnlike the ORD ID it's not globally unique, but it may be useful to document the original ID / technical name.\n\nIt MAY also be used as the `<resourceName>` fragment in the ORD ID, IF it can fulfill the charset and length limitations within the ORD ID.\nBut since this is not always possible, no assumptions MUST be made about the local ID being the same as the `<resourceName>` fragment in the ORD ID.",
+                "constraints": {
+                    "maxLength": 255,
+                    "introducedInVersion": "1.2.1"
+                },
+                "example": "SuccessFactorsRecruiting"
+            },
+            {
+                "name": "title",
+                "description": "Human-readable title.",
+                "requirement": "MANDATORY",
+                "type": "string",
+                "details": "Human-readable title.\n\nMUST NOT exceed 255 chars.\nMUST NOT contain line breaks.",
+                "constraints": {
+                    "minLength": 1,
+                    "maxLength": 255
+                },
+                "example": "SAP S/4HANA Cloud"
+            },
+            {
+                "name": "shortDescription",
+                "description": "Plain text short description.",
+                "requirement": "MANDATORY",
+                "type": "string",
+                "details": "Plain text short description.\n\nMUST NOT exceed 255 chars.\nMUST NOT contain line breaks.",
+                "constraints": {
+                    "minLength": 1,
+                    "maxLength": 255
+                },
+                "example": "SAP S/4HANA Cloud, our next generation cloud ERP suite designed for in-memory computing."
+            },
+            {
+                "name": "description",
+                "description": "Full description, notated in CommonMark (Markdown).",
+                "requirement": "MANDATORY",
+                "type": "string",
+                "details": "Full description, notated in CommonMark (Markdown).\n\nThe description SHOULD not be excessive in length and is not meant to provide full documentation.\nDetailed documentation SHOULD be attached as (typed) links.",
+                "constraints": {
+                    "minLength": 1
+                },
+                "example": "SAP S/4HANA Cloud, our next generation cloud ERP suite designed for\nin-memory computing, acts as a digital core, connecting your\nenterprise with people, business networks, the Internet of Things,\nBig Data, and more.\n"
+            },
+            {
+                "name": "version",
+                "description": "The complete SemVer version string.",
+                "requirement": "MANDATORY",
+                "type": "string",
+                "pattern": "^(0|[1-9]\\d*)\\.(0|[1-9]\\d*)\\.(0|[1-9]\\d*)(?:-((?:0|[1-9]\\d*|\\d*[a-zA-Z-][0-9a-zA-Z-]*)(?:\\.(?:0|[1-9]\\d*|\\d*[a-zA-Z-][0-9a-zA-Z-]*))*))?(?:\\+([0-9a-zA-Z-]+(?:\\.[0-9a-zA-Z-]+)*))?$",
+                "details": "The complete SemVer version string.\n\nIt MUST follow the Semantic Versioning 2.0.0 standard.\nIt SHOULD be changed if the ORD information or referenced resource definitions changed.\nIt SHOULD express minor and patch changes that don't lead to incompatible changes.\n\nWhen the `version` major version changes, the ORD ID `<majorVersion>` fragment MUST be updated to be identical.\nIn case that a resource definition file also contains a version number (e.g. OpenAPI `info`.`version`), it MUST be equal with the resource `version` to avoid inconsistencies.\n\nIf the resource has been extended by the user, the change MUST be indicated via `lastUpdate`.\nThe `version` MUST not be bumped for changes in extensions.\n\nThe general Version and Lifecycle flow MUST be followed.\n\nNote: A change is only relevant for a version increment, if it affects the ORD resource or ORD taxonomy directly.\nFor example: If a resource within a `Package` changes, but the Package itself did not, the Package version does not need to be incremented.",
+                "example": "1.2.3"
+            },
+            {
+                "name": "policyLevel",
+                "description": "The policy level (aka.",
+                "requirement": "OPTIONAL",
+                "type": "string",
+                "enum": [
+                    "none",
+                    "custom"
+                ],
+                "pattern": "^([a-z0-9]+(?:[.][a-z0-9]+)*):([a-zA-Z0-9._\\-]+):(v0|v[1-9][0-9]*)$",
+                "details": "The policy level (aka. compliance level) that the described resources need to be compliant with.\nDepending on the chosen policy level, additional expectations and validations rules will be applied.\n\nThe policy level can be defined on ORD Document level, but also be overwritten on an individual package or resource level.",
+                "enumDescriptions": {
+                    "none": "No policy level chosen.",
+                    "custom": "Custom policy level."
+                },
+                "constraints": {
+                    "default": "none",
+                    "introducedInVersion": "1.3.0"
+                },
+                "example": "sap:core:v1"
+            },
+            {
+                "name": "customPolicyLevel",
+                "description": "If the fixed `policyLevel` values need to be extended, an arbitrary `customPolicyLevel` can be provided.",
+                "requirement": "OPTIONAL",
+                "type": "string",
+                "pattern": "^([a-z0-9]+(?:[.][a-z0-9]+)*):([a-zA-Z0-9._\\-]+):(v0|v[1-9][0-9]*)$",
+                "details": "If the fixed `policyLevel` values need to be extended, an arbitrary `customPolicyLevel` can be provided.\nThe policy level is inherited from packages to resources they contain, but can be overwritten at resource level.\n\nMUST only be provided if `policyLevel` is set to `custom`.\nMUST be a valid Specification ID.",
+                "constraints": {
+                    "maxLength": 255,
+                    "introducedInVersion": "1.3.0"
+                },
+                "example": "sap.xref:customPolicy:v1"
+            },
+            {
+                "name": "policyLevels",
+                "description": "A list of policy levels that the described resources need to be compliant with.",
+                "requirement": "OPTIONAL",
+                "type": "array<string>",
+                "pattern": "^([a-z0-9]+(?:[.][a-z0-9]+)*):([a-zA-Z0-9._\\-]+):(v0|v[1-9][0-9]*)$",
+                "details": "A list of policy levels that the described resources need to be compliant with.\nFor each chosen policy level, additional expectations and validations rules will be applied.\n\nPolicy levels can be defined on ORD Document level, but also be overwritten on an individual package or resource level.\n\nA policy level MUST be a valid Specification ID.",
+                "constraints": {
+                    "introducedInVersion": "1.9.9",
+                    "items.maxLength": 255
+                },
+                "example": "sap:core:v1"
+            },
+            {
+                "name": "packageLinks",
+                "description": "Links with semantic meaning that are specific to Packages.",
+                "requirement": "OPTIONAL",
+                "type": "array<PackageLink>",
+                "structure": [
+                    {
+                        "name": "type",
+                        "description": "type",
+                        "requirement": "MANDATORY",
+                        "type": "string",
+                        "enum": [
+                            "terms-of-service",
+                            "license",
+                            "client-registration",
+                            "payment",
+                            "sandbox",
+                            "service-level-agreement",
+                            "support",
+                            "custom"
+                        ],
+                        "pattern": "^([a-z0-9]+(?:[.][a-z0-9]+)*):([a-zA-Z0-9._\\-]+):(v0|v[1-9][0-9]*)$"
+                    },
+                    {
+                        "name": "customType",
+                        "description": "If the fixed `type` enum values need to be extended, an arbitrary `customType` can be provided.",
+                        "requirement": "OPTIONAL",
+                        "type": "string",
+                        "pattern": "^([a-z0-9]+(?:[.][a-z0-9]+)*):([a-zA-Z0-9._\\-]+):(v0|v[1-9][0-9]*)$"
+                    },
+                    {
+                        "name": "url",
+                        "description": "URL to the PackageLink.",
+                        "requirement": "MANDATORY",
+                        "type": "string"
+                    }
+                ]
+            },
+            {
+                "name": "links",
+                "description": "Generic links with arbitrary meaning and content.",
+                "requirement": "OPTIONAL",
+                "type": "array<Link>",
+                "details": "Generic links with arbitrary meaning and content.\n\n`packageLinks` MUST be preferred if applicable.",
+                "structure": [
+                    {
+                        "name": "title",
+                        "description": "Human readable title of the link.",
+                        "requirement": "MANDATORY",
+                        "type": "string"
+                    },
+                    {
+                        "name": "url",
+                        "description": "URL of the link.",
+                        "requirement": "MANDATORY",
+                        "type": "string"
+                    },
+                    {
+                        "name": "description",
+                        "description": "Full description, notated in CommonMark (Markdown)",
+                        "requirement": "OPTIONAL",
+                        "type": "string"
+                    }
+                ]
+            },
+            {
+                "name": "licenseType",
+                "description": "Standardized identifier for the license.",
+                "requirement": "OPTIONAL",
+                "type": "string",
+                "details": "Standardized identifier for the license.\nIt MUST conform to the SPDX License List.",
+                "constraints": {
+                    "minLength": 1
+                }
+            },
+            {
+                "name": "supportInfo",
+                "description": "Optional information that should be provided when creating a support ticket for the resources bundled in this Package.",
+                "requirement": "OPTIONAL",
+                "type": "string",
+                "details": "Optional information that should be provided when creating a support ticket for the resources bundled in this Package.\nThis can for example be a \"component\" name that needs to be chosen in the support portal.\n\nNotated in CommonMark (Markdown).\n\nPlease also note that if you want to provide link(s) where you can find support information,\nyou can use `packageLinks` with a link of type `support`.",
+                "constraints": {
+                    "minLength": 1,
+                    "introducedInVersion": "1.1.0"
+                }
+            },
+            {
+                "name": "vendor",
+                "description": "Vendor / organization that is the creator (or responsible party) of the resources that are part of the `Package`.",
+                "requirement": "MANDATORY",
+                "type": "string",
+                "pattern": "^([a-z0-9]+(?:[.][a-z0-9]+)*):(vendor):([a-zA-Z0-9._\\-]+):()$",
+                "details": "Vendor / organization that is the creator (or responsible party) of the resources that are part of the `Package`.\n\nMUST be a valid reference to a Vendor ORD ID.\n\nMUST be set to `customer:vendor:Customer:` if the contents of the Package are created by the customer / user.\n\nMUST be set to a registered partner vendor, if the contents of the Package are created by a partner / third party.",
+                "constraints": {
+                    "maxLength": 256
+                },
+                "relatedConcepts": [
+                    "Vendor"
+                ],
+                "example": "sap:vendor:SAP:"
+            },
+            {
+                "name": "partOfProducts",
+                "description": "List of products the resources of the Package are a part of.",
+                "requirement": "OPTIONAL",
+                "type": "array<string>",
+                "pattern": "^([a-z0-9]+(?:[.][a-z0-9]+)*):(product):([a-zA-Z0-9._\\-]+):()$",
+                "details": "List of products the resources of the Package are a part of.\n\nMUST be a valid reference to a Product ORD ID.\n\n`partOfProducts` that are assigned to a `Package` are inherited to all of the ORD resources it contains.",
+                "constraints": {
+                    "minItems": 0,
+                    "items.maxLength": 255
+                },
+                "relatedConcepts": [
+                    "Product"
+                ],
+                "example": [
+                    "sap:product:S4HANA_OD:"
+                ]
+            },
+            {
+                "name": "countries",
+                "description": "List of countries that the Package resources are applicable to.",
+                "requirement": "OPTIONAL",
+                "type": "array<string>",
+                "pattern": "^[A-Z]{2}$",
+                "details": "List of countries that the Package resources are applicable to.\n\nMUST be expressed as an array of country codes according to IES ISO-3166 ALPHA-2.\n\n`countries` that are assigned to a `Package` are inherited to all of the ORD resources it contains.",
+                "example": [
+                    "DE",
+                    "US"
+                ]
+            },
+            {
+                "name": "lineOfBusiness",
+                "description": "List of line of business tags.",
+                "requirement": "OPTIONAL",
+                "type": "array<string>",
+                "enum": [
+                    "Asset Management",
+                    "Commerce",
+                    "Finance",
+                    "Human Resources",
+                    "Manufacturing",
+                    "Marketing",
+                    "R&D Engineering",
+                    "Sales",
+                    "Service",
+                    "Sourcing and Procurement",
+                    "Strategy, Compliance, and Governance",
+                    "Supply Chain",
+                    "Sustainability",
+                    "Metering",
+                    "Grid Operations and Maintenance",
+                    "Plant Operations and Maintenance",
+                    "Maintenance and Engineering"
+                ],
+                "pattern": "^[a-zA-Z0-9-_.\\/& ]*$",
+                "details": "List of line of business tags.\nNo special characters are allowed except `-`, `_`, `.`, `/` and ` `.\n\n`lineOfBusiness` that are assigned to a `Package` are inherited to all of the ORD resources it contains.",
+                "constraints": {
+                    "items.minLength": 1
+                },
+                "example": [
+                    "Sales"
+                ]
+            },
+            {
+                "name": "industry",
+                "description": "List of industry tags.",
+                "requirement": "OPTIONAL",
+                "type": "array<string>",
+                "enum": [
+                    "Aerospace and Defense",
+                    "Agribusiness",
+                    "Automotive",
+                    "Banking",
+                    "Chemicals",
+                    "Consumer Industries",
+                    "Consumer Products",
+                    "Defense and Security",
+                    "Discrete Industries",
+                    "Energy and Natural Resources",
+                    "Engineering Construction and Operations",
+                    "Financial Services",
+                    "Future Cities",
+                    "Healthcare",
+                    "High Tech",
+                    "Higher Education and Research",
+                    "Industrial Machinery and Components",
+                    "Insurance",
+                    "Life Sciences",
+                    "Media",
+                    "Mill Products",
+                    "Mining",
+                    "Oil and Gas",
+                    "Professional Services",
+                    "Public Sector",
+                    "Public Services",
+                    "Retail",
+                    "Service Industries",
+                    "Sports and Entertainment",
+                    "Telecommunications",
+                    "Travel and Transportation",
+                    "Utilities",
+                    "Wholesale Distribution"
+                ],
+                "pattern": "^[a-zA-Z0-9-_.\\/& ]*$",
+                "details": "List of industry tags.\nNo special characters are allowed except `-`, `_`, `.`, `/` and ` `.\n\n`industry` that are assigned to a `Package` are inherited to all of the ORD resources it contains.",
+                "constraints": {
+                    "items.minLength": 1
+                },
+                "example": [
+                    "Automotive"
+                ]
+            },
+            {
+                "name": "runtimeRestriction",
+                "description": "If provided, all resources that are part of this Package can only run on the listed runtime.",
+                "requirement": "OPTIONAL",
+                "type": "string",
+                "pattern": "^[a-z0-9]+(?:[.][a-z0-9]+){1}$",
+                "details": "If provided, all resources that are part of this Package can only run on the listed runtime.\n\nMUST be a valid system namespace.",
+                "constraints": {
+                    "introducedInVersion": "1.8.0",
+                    "featureStatus": "alpha"
+                },
+                "example": "sap.datasphere"
+            },
+            {
+                "name": "tags",
+                "description": "List of free text style tags.",
+                "requirement": "OPTIONAL",
+                "type": "array<string>",
+                "pattern": "^[a-zA-Z0-9-_.\\/ ]*$",
+                "details": "List of free text style tags.\nNo special characters are allowed except `-`, `_`, `.`, `/` and ` `.\n\nTags that are assigned to a `Package` are inherited to all of the ORD resources it contains.",
+                "constraints": {
+                    "items.minLength": 1
+                },
+                "example": [
+                    "storage",
+                    "high-availability"
+                ]
+            },
+            {
+                "name": "labels",
+                "description": "Generic labels that can be applied to most ORD information.",
+                "requirement": "OPTIONAL",
+                "type": "Labels",
+                "details": "Generic labels that can be applied to most ORD information.\nThey are defined as an object that may have arbitrary keys.\nThe value of a key is an array of strings.\n\nLabels can be used to attach technical information that cannot be expressed natively in ORD.\nAn ORD aggregator should allow to categorize and query information based on the labels provided.\n\nIf multiple parties rely on the existence of certain label information,\nstandardization through ORD SHOULD be preferred.\n\nAll labels attached to a `Package` will be inherited to the resources they contain.\nDuplicate labels will be merged by the ORD aggregator according to the following rules:\n* Values of the same label key will be merged.\n* Duplicate values of the same label key will be removed."
+            },
+            {
+                "name": "documentationLabels",
+                "description": "Generic documentation labels that can be applied to most ORD information.",
+                "requirement": "OPTIONAL",
+                "type": "DocumentationLabels",
+                "details": "Generic documentation labels that can be applied to most ORD information.\nThey are defined as an object that may have arbitrary keys.\nThe value of a key is an array of CommonMark (Markdown) text.\n\nDocumentation Labels can be used to attach human readable documentation that cannot be expressed natively in ORD.\nA documentation tool (like an API Catalog) can use the documentation labels to provide generic documentation \"snippets\".\nDue to the given structure they can be displayed e.g. as tables.\n\nThe key of the documentation Label is plain-text (MUST not contain line breaks) and denotes the subject matter that is described.\nThe values (multiple can be provided for the same key) are CommonMark (Markdown) text\nwhich describes the subject matter or lists options for the key.\n\nIn contrast to regular labels, documentation labels are not meant to be used to categorize or query information."
+            }
+        ]
+    },
+    "ConsumptionBundle": {
+        "description": "A Consumption Bundle groups APIs and Events together that can be consumed with the credentials and auth mechanism. Ideally it also includes instructions and details how to request access and credentials for resources.",
+        "documentArray": "consumptionBundles",
+        "example": {
+            "ordId": "sap.s4:consumptionBundle:SalesOrderBundle:v1",
+            "title": "Sales Order API Bundle",
+            "shortDescription": "All Sales Order APIs consumable with single credential set",
+            "version": "1.0.0"
+        },
+        "keyProperties": [
+            {
+                "name": "ordId",
+                "description": "The ORD ID is a stable, globally unique ID for ORD resources or taxonomy.",
+                "requirement": "MANDATORY",
+                "type": "string",
+                "pattern": "^([a-z0-9]+(?:[.][a-z0-9]+)*):(consumptionBundle):([a-zA-Z0-9._\\-]+):(v0|v[1-9][0-9]*)$",
+                "details": "The ORD ID is a stable, globally unique ID for ORD resources or taxonomy.\n\nIt MUST be a valid ORD ID of the appropriate ORD type.",
+                "constraints": {
+                    "maxLength": 255
+                },
+                "example": "sap.xref:consumptionBundle:bundleXYZ:v1"
+            },
+            {
+                "name": "localId",
+                "description": "The locally unique ID under which this resource can be looked up / resolved in the described system itself.",
+                "requirement": "OPTIONAL",
+                "type": "string",
+                "details": "The locally unique ID under which this resource can be looked up / resolved in the described system itself.\nUnlike the ORD ID it's not globally unique, but it may be useful to document the original ID / technical name.\n\nIt MAY also be used as the `<resourceName>` fragment in the ORD ID, IF it can fulfill the charset and length limitations within the ORD ID.\nBut since this is not always possible, no assumptions MUST be made about the local ID being the same as the `<resourceName>` fragment in the ORD ID.",
+                "constraints": {
+                    "maxLength": 255,
+                    "introducedInVersion": "1.2.1"
+                },
+                "example": "SuccessFactorsRecruiting"
+            },
+            {
+                "name": "correlationIds",
+                "description": "Correlation IDs can be used to create a reference to related data in other repositories (especially to the system of record).",
+                "requirement": "OPTIONAL",
+                "type": "array<string>",
+                "pattern": "^([a-z0-9]+(?:[.][a-z0-9]+)*):([a-zA-Z0-9._\\-\\/]+):([a-zA-Z0-9._\\-\\/]+)$",
+                "details": "Correlation IDs can be used to create a reference to related data in other repositories (especially to the system of record).\n\nThey express an \"identity\" / \"equals\" / \"mappable\" relationship to the target ID.\n\nIf a \"part of\" relationship needs to be expressed, use the `partOfGroups` assignment instead.\n\nMUST be a valid Correlation ID.",
+                "constraints": {
+                    "items.maxLength": 255
+                },
+                "example": [
+                    "sap.s4:communicationScenario:SAP_COM_0008"
+                ]
+            },
+            {
+                "name": "title",
+                "description": "Human-readable title.",
+                "requirement": "MANDATORY",
+                "type": "string",
+                "details": "Human-readable title.\n\nMUST NOT exceed 255 chars.\nMUST NOT contain line breaks.",
+                "constraints": {
+                    "minLength": 1,
+                    "maxLength": 255
+                },
+                "example": "SAP LoB System 3 Cloud Consumption Bundle 1"
+            },
+            {
+                "name": "shortDescription",
+                "description": "Plain text short description.",
+                "requirement": "OPTIONAL",
+                "type": "string",
+                "details": "Plain text short description.\n\nMUST NOT exceed 255 chars.\nMUST NOT contain line breaks.",
+                "constraints": {
+                    "minLength": 1,
+                    "maxLength": 255
+                },
+                "example": "SAP LoB System 3 Cloud, cloud ERP suite designed for in-memory computing"
+            },
+            {
+                "name": "description",
+                "description": "Full description, notated in CommonMark (Markdown).",
+                "requirement": "OPTIONAL",
+                "type": "string",
+                "details": "Full description, notated in CommonMark (Markdown).\n\nThe description SHOULD not be excessive in length and is not meant to provide full documentation.\nDetailed documentation SHOULD be attached as (typed) links.",
+                "constraints": {
+                    "minLength": 1
+                },
+                "example": "This Consumption Bundle includes all SAP LoB System 3 Cloud APIs and Events\nthat can be consumed with the same credentials.\n"
+            },
+            {
+                "name": "version",
+                "description": "The complete SemVer version string.",
+                "requirement": "RECOMMENDED",
+                "type": "string",
+                "pattern": "^(0|[1-9]\\d*)\\.(0|[1-9]\\d*)\\.(0|[1-9]\\d*)(?:-((?:0|[1-9]\\d*|\\d*[a-zA-Z-][0-9a-zA-Z-]*)(?:\\.(?:0|[1-9]\\d*|\\d*[a-zA-Z-][0-9a-zA-Z-]*))*))?(?:\\+([0-9a-zA-Z-]+(?:\\.[0-9a-zA-Z-]+)*))?$",
+                "details": "The complete SemVer version string.\n\nIt MUST follow the Semantic Versioning 2.0.0 standard.\nIt SHOULD be changed if the ORD information or referenced resource definitions changed.\nIt SHOULD express minor and patch changes that don't lead to incompatible changes.\n\nWhen the `version` major version changes, the ORD ID `<majorVersion>` fragment MUST be updated to be identical.\nIn case that a resource definition file also contains a version number (e.g. OpenAPI `info`.`version`), it MUST be equal with the resource `version` to avoid inconsistencies.\n\nIf the resource has been extended by the user, the change MUST be indicated via `lastUpdate`.\nThe `version` MUST not be bumped for changes in extensions.\n\nThe general Version and Lifecycle flow MUST be followed.\n\nNote: A change is only relevant for a version increment, if it affects the ORD resource or ORD taxonomy directly.\nFor example: If a resource within a `Package` changes, but the Package itself did not, the Package version does not need to be incremented.",
+                "constraints": {
+                    "introducedInVersion": "1.2.1"
+                },
+                "example": "1.2.3"
+            },
+            {
+                "name": "lastUpdate",
+                "description": "Optional, but RECOMMENDED indicator when (date-time) the last change to the resource (including its definitions) happened.",
+                "requirement": "RECOMMENDED",
+                "type": "string",
+                "details": "Optional, but RECOMMENDED indicator when (date-time) the last change to the resource (including its definitions) happened.\n\nThe date format MUST comply with RFC 3339, section 5.6.\n\nWhen retrieved from an ORD aggregator, `lastUpdate` will be reliable there and reflect either the provider based update time or the aggregator processing time.\nTherefore consumers MAY rely on it to detect changes to the metadata and the attached resource definition files.\n\nIf the resource has attached definitions, either the `version` or `lastUpdate` property MUST be defined and updated to let the ORD aggregator know that they need to be fetched again.\n\nTogether with `perspectives`, this property SHOULD be used to optimize the metadata crawling process of the ORD aggregators.",
+                "constraints": {
+                    "format": "date-time",
+                    "introducedInVersion": "1.4.0"
+                },
+                "example": "2022-12-19T15:47:04+00:00"
+            },
+            {
+                "name": "visibility",
+                "description": "The visibility states who is allowed to \"see\" the described resource or capability.",
+                "requirement": "OPTIONAL",
+                "type": "string",
+                "enum": [
+                    "public",
+                    "internal",
+                    "private"
+                ],
+                "enumDescriptions": {
+                    "public": "Publicly visible to customers and 3rd parties.",
+                    "internal": "Visible to other applications within the same vendor.",
+                    "private": "Visible only to the provider application or service, usually within the same system namespace / system type."
+                }
+            },
+            {
+                "name": "credentialExchangeStrategies",
+                "description": "Defines the supported strategies for how the consumption credentials can be exchanged.",
+                "requirement": "OPTIONAL",
+                "type": "array<CredentialExchangeStrategy>",
+                "details": "Defines the supported strategies for how the consumption credentials can be exchanged.\n\nIdeally, the system type supports a strategy that can automate the exchange.",
+                "constraints": {
+                    "featureStatus": "alpha"
+                },
+                "structure": [
+                    {
+                        "name": "type",
+                        "description": "The type of credential exchange strategy.",
+                        "requirement": "MANDATORY",
+                        "type": "string",
+                        "enum": [
+                            "custom"
+                        ],
+                        "pattern": "^([a-z0-9]+(?:[.][a-z0-9]+)*):([a-zA-Z0-9._\\-]+):(v0|v[1-9][0-9]*)$"
+                    },
+                    {
+                        "name": "customType",
+                        "description": "If the fixed `type` enum values need to be extended, an arbitrary `customType` can be provided.",
+                        "requirement": "OPTIONAL",
+                        "type": "string",
+                        "pattern": "^([a-z0-9]+(?:[.][a-z0-9]+)*):([a-zA-Z0-9._\\-]+):(v0|v[1-9][0-9]*)$"
+                    },
+                    {
+                        "name": "customDescription",
+                        "description": "Human-readable description about how the credential exchange is achieved, notated in CommonMark (Markdown).",
+                        "requirement": "OPTIONAL",
+                        "type": "string"
+                    },
+                    {
+                        "name": "callbackUrl",
+                        "description": "URL reference (URL or relative reference) to the credential exchange callback endpoint.",
+                        "requirement": "OPTIONAL",
+                        "type": "string"
+                    }
+                ]
+            },
+            {
+                "name": "links",
+                "description": "Generic links with arbitrary meaning and content.",
+                "requirement": "OPTIONAL",
+                "type": "array<Link>",
+                "structure": [
+                    {
+                        "name": "title",
+                        "description": "Human readable title of the link.",
+                        "requirement": "MANDATORY",
+                        "type": "string"
+                    },
+                    {
+                        "name": "url",
+                        "description": "URL of the link.",
+                        "requirement": "MANDATORY",
+                        "type": "string"
+                    },
+                    {
+                        "name": "description",
+                        "description": "Full description, notated in CommonMark (Markdown)",
+                        "requirement": "OPTIONAL",
+                        "type": "string"
+                    }
+                ]
+            },
+            {
+                "name": "tags",
+                "description": "List of free text style tags.",
+                "requirement": "OPTIONAL",
+                "type": "array<string>",
+                "pattern": "^[a-zA-Z0-9-_.\\/ ]*$",
+                "details": "List of free text style tags.\nNo special characters are allowed except `-`, `_`, `.`, `/` and ` `.\n\nTags that are assigned to a `Package` are inherited to all of the ORD resources it contains.",
+                "constraints": {
+                    "items.minLength": 1
+                },
+                "example": [
+                    "storage",
+                    "high-availability"
+                ]
+            },
+            {
+                "name": "labels",
+                "description": "Generic labels that can be applied to most ORD information.",
+                "requirement": "OPTIONAL",
+                "type": "Labels",
+                "details": "Generic labels that can be applied to most ORD information.\nThey are defined as an object that may have arbitrary keys.\nThe value of a key is an array of strings.\n\nLabels can be used to attach technical information that cannot be expressed natively in ORD.\nAn ORD aggregator should allow to categorize and query information based on the labels provided.\n\nIf multiple parties rely on the existence of certain label information,\nstandardization through ORD SHOULD be preferred.\n\nAll labels attached to a `Package` will be inherited to the resources they contain.\nDuplicate labels will be merged by the ORD aggregator according to the following rules:\n* Values of the same label key will be merged.\n* Duplicate values of the same label key will be removed."
+            },
+            {
+                "name": "documentationLabels",
+                "description": "Generic documentation labels that can be applied to most ORD information.",
+                "requirement": "OPTIONAL",
+                "type": "DocumentationLabels",
+                "details": "Generic documentation labels that can be applied to most ORD information.\nThey are defined as an object that may have arbitrary keys.\nThe value of a key is an array of CommonMark (Markdown) text.\n\nDocumentation Labels can be used to attach human readable documentation that cannot be expressed natively in ORD.\nA documentation tool (like an API Catalog) can use the documentation labels to provide generic documentation \"snippets\".\nDue to the given structure they can be displayed e.g. as tables.\n\nThe key of the documentation Label is plain-text (MUST not contain line breaks) and denotes the subject matter that is described.\nThe values (multiple can be provided for the same key) are CommonMark (Markdown) text\nwhich describes the subject matter or lists options for the key.\n\nIn contrast to regular labels, documentation labels are not meant to be used to categorize or query information."
+            }
+        ]
+    },
+    "APIResource": {
+        "description": "The API Resource provides a high-level description of an exposed API. You can find more information, such as the API resource definitions, in the links in the table below.",
+        "documentArray": "apiResources",
+        "example": {
+            "ordId": "sap.s4:apiResource:API_SALES_ORDER_SRV:v1",
+            "title": "Sales Order Service",
+            "shortDescription": "Service for managing sales orders",
+            "description": "Complete sales order management API with CRUD operations",
+            "partOfPackage": "sap.s4:package:SalesOrder:v1",
+            "version": "1.0.0",
+            "visibility": "public",
+            "releaseStatus": "active",
+            "apiProtocol": "odata-v4"
+        },
+        "keyProperties": [
+            {
+                "name": "ordId",
+                "description": "The ORD ID is a stable, globally unique ID for ORD resources or taxonomy.",
+                "requirement": "MANDATORY",
+                "type": "string",
+                "pattern": "^([a-z0-9]+(?:[.][a-z0-9]+)*):(apiResource):([a-zA-Z0-9._\\-]+):(v0|v[1-9][0-9]*)$",
+                "details": "The ORD ID is a stable, globally unique ID for ORD resources or taxonomy.\n\nIt MUST be a valid ORD ID of the appropriate ORD type.",
+                "constraints": {
+                    "maxLength": 255
+                },
+                "example": "sap.s4:apiResource:API_BILL_OF_MATERIAL_SRV:v1"
+            },
+            {
+                "name": "localId",
+                "description": "The locally unique ID under which this resource can be looked up / resolved in the described system itself.",
+                "requirement": "OPTIONAL",
+                "type": "string",
+                "details": "The locally unique ID under which this resource can be looked up / resolved in the described system itself.\nUnlike the ORD ID it's not globally unique, but it may be useful to document the original ID / technical name.\n\nIt MAY also be used as the `<resourceName>` fragment in the ORD ID, IF it can fulfill the charset and length limitations within the ORD ID.\nBut since this is not always possible, no assumptions MUST be made about the local ID being the same as the `<resourceName>` fragment in the ORD ID.",
+                "constraints": {
+                    "maxLength": 255,
+                    "introducedInVersion": "1.2.1"
+                },
+                "example": "API_BILL_OF_MATERIAL_SRV"
+            },
+            {
+                "name": "correlationIds",
+                "description": "Correlation IDs can be used to create a reference to related data in other repositories (especially to the system of record).",
+                "requirement": "OPTIONAL",
+                "type": "array<string>",
+                "pattern": "^([a-z0-9]+(?:[.][a-z0-9]+)*):([a-zA-Z0-9._\\-\\/]+):([a-zA-Z0-9._\\-\\/]+)$",
+                "details": "Correlation IDs can be used to create a reference to related data in other repositories (especially to the system of record).\n\nThey express an \"identity\" / \"equals\" / \"mappable\" relationship to the target ID.\n\nIf a \"part of\" relationship needs to be expressed, use the `partOfGroups` assignment instead.\n\nMUST be a valid Correlation ID.",
+                "constraints": {
+                    "items.maxLength": 255
+                },
+                "example": [
+                    "sap.xref:csnService:SomeLocalID"
+                ]
+            },
+            {
+                "name": "title",
+                "description": "Human-readable title.",
+                "requirement": "MANDATORY",
+                "type": "string",
+                "details": "Human-readable title.\n\nMUST NOT exceed 255 chars.\nMUST NOT contain line breaks.",
+                "constraints": {
+                    "minLength": 1,
+                    "maxLength": 255
+                },
+                "example": "Process Request for Quotation"
+            },
+            {
+                "name": "shortDescription",
+                "description": "Plain text short description.",
+                "requirement": "MANDATORY",
+                "type": "string",
+                "details": "Plain text short description.\n\nMUST NOT exceed 255 chars.\nMUST NOT contain line breaks.",
+                "constraints": {
+                    "minLength": 1,
+                    "maxLength": 255
+                },
+                "example": "This service enables you to create Request for Quotation (RFQ) through an API call."
+            },
+            {
+                "name": "description",
+                "description": "Full description, notated in CommonMark (Markdown).",
+                "requirement": "MANDATORY",
+                "type": "string",
+                "details": "Full description, notated in CommonMark (Markdown).\n\nThe description SHOULD not be excessive in length and is not meant to provide full documentation.\nDetailed documentation SHOULD be attached as (typed) links.",
+                "constraints": {
+                    "minLength": 1
+                },
+                "example": "This service enables you to create Request for Quotation (RFQ)\nthrough an API call from a source system outside SAP S/4HANA Cloud\nor SAP S/4HANA on-Premise. Furthermore, the service enables you to\nread existing Request for Quotation data from the SAP S/4HANA Cloud\nor SAP S/4HANA on-Premise.\n"
+            },
+            {
+                "name": "partOfPackage",
+                "description": "Defines which Package the resource is part of.",
+                "requirement": "MANDATORY",
+                "type": "string",
+                "pattern": "^([a-z0-9]+(?:[.][a-z0-9]+)*):(package):([a-zA-Z0-9._\\-]+):(v0|v[1-9][0-9]*)$",
+                "details": "Defines which Package the resource is part of.\n\nMUST be a valid reference to a Package ORD ID.\n\nEvery resource MUST be part of one package.",
+                "constraints": {
+                    "maxLength": 255
+                },
+                "relatedConcepts": [
+                    "Package"
+                ],
+                "example": "sap.xref:package:SomePackage:v1"
+            },
+            {
+                "name": "partOfGroups",
+                "description": "Defines which groups the resource is assigned to.",
+                "requirement": "OPTIONAL",
+                "type": "array<string>",
+                "pattern": "^([a-z0-9]+(?:[.][a-z0-9]+)*):([a-zA-Z0-9._\\-\\/]+):([a-z0-9]+(?:[.][a-z0-9]+)*):([a-zA-Z0-9._\\-\\/]+)$",
+                "details": "Defines which groups the resource is assigned to.\n\nThe property is optional, but if given the value MUST be an array of valid Group IDs.\n\nGroups are a lightweight custom taxonomy concept.\nThey express a \"part of\" relationship to the chosen group concept.\nIf an \"identity / equals\" relationship needs to be expressed, use the `correlationIds` instead.\n\nAll resources that share the same group ID assignment are effectively grouped together.",
+                "relatedConcepts": [
+                    "Group"
+                ]
+            },
+            {
+                "name": "partOfConsumptionBundles",
+                "description": "List of references to the Consumption Bundles in this resource belongs to.",
+                "requirement": "OPTIONAL",
+                "type": "array<ConsumptionBundleReference>",
+                "details": "List of references to the Consumption Bundles in this resource belongs to.\n\nMUST be a valid reference to a Consumption Bundle ORD ID.\n\nAn API resource SHOULD be associated to one or multiple Consumption Bundles, if it is of direction `inbound` or `mixed`.\nSome ORD consumer use cases MAY depend on an association to a Consumption Bundle.\nIf none is given, the resource may not appear as it's unknown how it can be consumed.\n\nIf a resource has no direct incoming consumption characteristics:\n- MUST NOT assign Consumption Bundle to API or Event resources with `direction`: `outbound` (no inbound consumption)\n- MUST NOT assign Consumption Bundle if resource is not accessible directly, but only via intermediaries like event brokers or gateways.\n  - In this case the intermediary SHOULD describe the Consumption Bundle instead (potentially also re-describing the resources as well).",
+                "relatedConcepts": [
+                    "ConsumptionBundle"
+                ],
+                "structure": [
+                    {
+                        "name": "ordId",
+                        "description": "The Consumption Bundle ORD ID (`ConsumptionBundle.ordId`) this reference points to.",
+                        "requirement": "MANDATORY",
+                        "type": "string",
+                        "pattern": "^([a-z0-9]+(?:[.][a-z0-9]+)*):(consumptionBundle):([a-zA-Z0-9._\\-]+):(v0|v[1-9][0-9]*)$"
+                    },
+                    {
+                        "name": "defaultEntryPoint",
+                        "description": "In case that an API Resource has multiple entry points, this will indicate which entry point should be used by default when discovering this resource from the context of the referenced Consumption Bundle.",
+                        "requirement": "OPTIONAL",
+                        "type": "string"
+                    }
+                ],
+                "example": [
+                    {
+                        "ordId": "sap.xref:consumptionBundle:bundleXYZ:v1"
+                    }
+                ]
+            },
+            {
+                "name": "defaultConsumptionBundle",
+                "description": "References the default Consumption Bundle to use for this resource.",
+                "requirement": "OPTIONAL",
+                "type": "string",
+                "pattern": "^([a-z0-9]+(?:[.][a-z0-9]+)*):(consumptionBundle):([a-zA-Z0-9._\\-]+):(v0|v[1-9][0-9]*)$",
+                "details": "References the default Consumption Bundle to use for this resource.\n\nMUST be a valid reference to a Consumption Bundle ORD ID.\n\nCan be used by clients to make a deterministic and preferred choice when multiple options are available.\n\nThe value MUST be an existing option in the corresponding `partOfConsumptionBundles` array.",
+                "constraints": {
+                    "maxLength": 255
+                },
+                "relatedConcepts": [
+                    "ConsumptionBundle"
+                ],
+                "example": "sap.xref:consumptionBundle:bundleXYZ:v1"
+            },
+            {
+                "name": "partOfProducts",
+                "description": "List of products the resources of the Package are a part of.",
+                "requirement": "OPTIONAL",
+                "type": "array<string>",
+                "pattern": "^([a-z0-9]+(?:[.][a-z0-9]+)*):(product):([a-zA-Z0-9._\\-]+):()$",
+                "details": "List of products the resources of the Package are a part of.\n\nMUST be a valid reference to a Product ORD ID.\n\n`partOfProducts` that are assigned to a `Package` are inherited to all of the ORD resources it contains.",
+                "constraints": {
+                    "minItems": 0,
+                    "items.maxLength": 255
+                },
+                "relatedConcepts": [
+                    "Product"
+                ],
+                "example": [
+                    "sap:product:S4HANA_OD:"
+                ]
+            },
+            {
+                "name": "version",
+                "description": "The complete SemVer version string.",
+                "requirement": "MANDATORY",
+                "type": "string",
+                "pattern": "^(0|[1-9]\\d*)\\.(0|[1-9]\\d*)\\.(0|[1-9]\\d*)(?:-((?:0|[1-9]\\d*|\\d*[a-zA-Z-][0-9a-zA-Z-]*)(?:\\.(?:0|[1-9]\\d*|\\d*[a-zA-Z-][0-9a-zA-Z-]*))*))?(?:\\+([0-9a-zA-Z-]+(?:\\.[0-9a-zA-Z-]+)*))?$",
+                "details": "The complete SemVer version string.\n\nIt MUST follow the Semantic Versioning 2.0.0 standard.\nIt SHOULD be changed if the ORD information or referenced resource definitions changed.\nIt SHOULD express minor and patch changes that don't lead to incompatible changes.\n\nWhen the `version` major version changes, the ORD ID `<majorVersion>` fragment MUST be updated to be identical.\nIn case that a resource definition file also contains a version number (e.g. OpenAPI `info`.`version`), it MUST be equal with the resource `version` to avoid inconsistencies.\n\nIf the resource has been extended by the user, the change MUST be indicated via `lastUpdate`.\nThe `version` MUST not be bumped for changes in extensions.\n\nThe general Version and Lifecycle flow MUST be followed.\n\nNote: A change is only relevant for a version increment, if it affects the ORD resource or ORD taxonomy directly.\nFor example: If a resource within a `Package` changes, but the Package itself did not, the Package version does not need to be incremented.",
+                "example": "1.2.3"
+            },
+            {
+                "name": "lastUpdate",
+                "description": "Optional, but RECOMMENDED indicator when (date-time) the last change to the resource (including its definitions) happened.",
+                "requirement": "OPTIONAL",
+                "type": "string",
+                "details": "Optional, but RECOMMENDED indicator when (date-time) the last change to the resource (including its definitions) happened.\n\nThe date format MUST comply with RFC 3339, section 5.6.\n\nWhen retrieved from an ORD aggregator, `lastUpdate` will be reliable there and reflect either the provider based update time or the aggregator processing time.\nTherefore consumers MAY rely on it to detect changes to the metadata and the attached resource definition files.\n\nIf the resource has attached definitions, either the `version` or `lastUpdate` property MUST be defined and updated to let the ORD aggregator know that they need to be fetched again.\n\nTogether with `perspectives`, this property SHOULD be used to optimize the metadata crawling process of the ORD aggregators.",
+                "constraints": {
+                    "format": "date-time",
+                    "introducedInVersion": "1.4.0"
+                },
+                "example": "2022-12-19T15:47:04+00:00"
+            },
+            {
+                "name": "visibility",
+                "description": "The visibility states who is allowed to \"see\" the described resource or capability.",
+                "requirement": "MANDATORY",
+                "type": "string",
+                "enum": [
+                    "public",
+                    "internal",
+                    "private"
+                ],
+                "enumDescriptions": {
+                    "public": "Publicly visible to customers and 3rd parties.",
+                    "internal": "Visible to other applications within the same vendor.",
+                    "private": "Visible only to the provider application or service, usually within the same system namespace / system type."
+                }
+            },
+            {
+                "name": "releaseStatus",
+                "description": "The `releaseStatus` specifies the stability of the resource and its external contract.",
+                "requirement": "MANDATORY",
+                "type": "string",
+                "enum": [
+                    "beta",
+                    "active",
+                    "deprecated",
+                    "sunset"
+                ],
+                "enumDescriptions": {
+                    "beta": "The contract for the resource is beta and may not be meant for productive use.",
+                    "active": "Resource is meant for productive use and provides a stable API contract.",
+                    "deprecated": "Resource has been deprecated.",
+                    "sunset": "Resource has been sunset, but is still described."
+                },
+                "example": "active"
+            },
+            {
+                "name": "disabled",
+                "description": "Indicates that this resource is currently not available for consumption at runtime, but could be configured to be so.",
+                "requirement": "OPTIONAL",
+                "type": "boolean",
+                "details": "Indicates that this resource is currently not available for consumption at runtime, but could be configured to be so.\nThis can happen either because it has not been setup for use or disabled by an admin / user.\n\nIf the resource is not available in principle for a particular system instance, e.g. due to lack of entitlement, it MUST not be described in the system-instance-aware perspective.\n\nThis property can only reflect the knowledge of the described system instance itself.\nOutside factors for availability can't need to be considered (e.g. network connectivity, middlewares).\n\nA disabled resource MAY skip describing its resource definitions.",
+                "constraints": {
+                    "default": false
+                }
+            },
+            {
+                "name": "minSystemVersion",
+                "description": "The resource has been introduced in the given system version.",
+                "requirement": "OPTIONAL",
+                "type": "string",
+                "pattern": "^(0|[1-9]\\d*)\\.(0|[1-9]\\d*)\\.(0|[1-9]\\d*)(?:-((?:0|[1-9]\\d*|\\d*[a-zA-Z-][0-9a-zA-Z-]*)(?:\\.(?:0|[1-9]\\d*|\\d*[a-zA-Z-][0-9a-zA-Z-]*))*))?(?:\\+([0-9a-zA-Z-]+(?:\\.[0-9a-zA-Z-]+)*))?$",
+                "details": "The resource has been introduced in the given system version.\nThis implies that the resource is only available if the system instance is of at least that system version.\n\nIt MUST follow the Semantic Versioning 2.0.0 standard.",
+                "constraints": {
+                    "introducedInVersion": "1.10.0"
+                },
+                "example": "1.2.3"
+            },
+            {
+                "name": "deprecationDate",
+                "description": "The deprecation date defines when the resource has been set as deprecated.",
+                "requirement": "OPTIONAL",
+                "type": "string",
+                "details": "The deprecation date defines when the resource has been set as deprecated.\nThis is not to be confused with the `sunsetDate` which defines when the resource will be actually sunset, aka. decommissioned / removed / archived.\n\nThe date format MUST comply with RFC 3339, section 5.6.",
+                "constraints": {
+                    "format": "date-time"
+                },
+                "example": "2020-12-08T15:47:04+00:00"
+            },
+            {
+                "name": "sunsetDate",
+                "description": "The sunset date defines when the resource is scheduled to be decommissioned / removed / archived.",
+                "requirement": "OPTIONAL",
+                "type": "string",
+                "details": "The sunset date defines when the resource is scheduled to be decommissioned / removed / archived.\n\nIf the `releaseStatus` is set to `deprecated`, the `sunsetDate` SHOULD be provided (if already known).\nOnce the sunset date is known and ready to be communicated externally, it MUST be provided here.\n\nThe date format MUST comply with RFC 3339, section 5.6.",
+                "constraints": {
+                    "format": "date-time"
+                },
+                "example": "2022-01-08T15:47:04+00:00"
+            },
+            {
+                "name": "successors",
+                "description": "The successor resource(s).",
+                "requirement": "OPTIONAL",
+                "type": "array<string>",
+                "pattern": "^([a-z0-9]+(?:[.][a-z0-9]+)*):(apiResource):([a-zA-Z0-9._\\-]+):(v0|v[1-9][0-9]*)$",
+                "details": "The successor resource(s).\n\nMUST be a valid reference to an ORD ID.\n\nIf the `releaseStatus` is set to `deprecated`, `successors` MUST be provided if one exists.\nIf `successors` is given, the described resource SHOULD set its `releaseStatus` to `deprecated`.",
+                "constraints": {
+                    "items.maxLength": 255
+                },
+                "relatedConcepts": [
+                    "APIResource"
+                ],
+                "example": [
+                    "sap.s4:apiResource:API_BILL_OF_MATERIAL_SRV:v2"
+                ]
+            },
+            {
+                "name": "changelogEntries",
+                "description": "Contains changelog entries that summarize changes with special regards to version and releaseStatus",
+                "requirement": "OPTIONAL",
+                "type": "array<ChangelogEntry>",
+                "structure": [
+                    {
+                        "name": "version",
+                        "description": "Full version number that corresponds to the `version` that is described by the changelog entry.",
+                        "requirement": "MANDATORY",
+                        "type": "string"
+                    },
+                    {
+                        "name": "releaseStatus",
+                        "description": "The `releaseStatus` specifies the stability of the resource and its external contract.",
+                        "requirement": "MANDATORY",
+                        "type": "string",
+                        "enum": [
+                            "beta",
+                            "active",
+                            "deprecated",
+                            "sunset"
+                        ]
+                    },
+                    {
+                        "name": "date",
+                        "description": "Date of change, without time or timezone information.",
+                        "requirement": "MANDATORY",
+                        "type": "string"
+                    },
+                    {
+                        "name": "description",
+                        "description": "Full description, notated in CommonMark (Markdown).",
+                        "requirement": "OPTIONAL",
+                        "type": "string"
+                    },
+                    {
+                        "name": "url",
+                        "description": "Optional URL that links to a more detailed changelog entry.",
+                        "requirement": "OPTIONAL",
+                        "type": "string"
+                    }
+                ]
+            },
+            {
+                "name": "entryPoints",
+                "description": "List of URL reference (URL or relative reference) to the target host.",
+                "requirement": "OPTIONAL",
+                "type": "array<string>",
+                "details": "List of URL reference (URL or relative reference) to the target host.\n\nIf the API resource can be accessed through an entry point, it MUST be described here.\n\nThe list of entry points MUST not include duplicates.\nIf multiple entry points are provided they MUST be arbitrarily exchangeable without effects.\nThis means that the URLs are just an alias to each other and the `resourceDefinitions` apply to all entry points equally.\nIn case of multiple entry points it is RECOMMENDED to provide a `defaultEntryPoint` through `partOfConsumptionBundles`.\nThe entry point URLs SHOULD match with the target host(s) in the resource definition files (e.g. OpenAPI `servers`).\nIf there is no match, the information in ORD takes precedence.\n\n**Provider View:**\nIf the URL is relative to the system that describes the ORD information,\nit is RECOMMENDED to use relative references and (if known) to provide the `describedSystemInstance`.`baseUrl`.\nIf the URL is not relative to the described system instance base URL, a full URL MUST be provided.\nIf the entry points are rewritten by middleware - incl. the special case of client/consumer specific entry points - it is RECOMMENDED to provide relative URLs, so only the `describedSystemInstance`.`baseUrl` has to be rewritten.\nThe provider should not have to describe all middleware or consumer specific entry points. If they are enriched later by the aggregator, it MAY omit the entry points.\n\n**Consumer View**:\nWhen fetching the information from an ORD Aggregator, the consumer MAY rely on receiving full URLs.",
+                "constraints": {
+                    "minItems": 0,
+                    "items.format": "uri-reference"
+                },
+                "example": [
+                    "/api-namespace/v1"
+                ]
+            },
+            {
+                "name": "direction",
+                "description": "Direction of the API Resource consumption.",
+                "requirement": "OPTIONAL",
+                "type": "string",
+                "enum": [
+                    "inbound",
+                    "mixed",
+                    "outbound"
+                ],
+                "details": "Direction of the API Resource consumption.\nIf not provided, \"inbound\" is assumed.\n\nIn case of SOAP APIs, the direction is already indicated through the `apiProtocol`, making this property redundant and optional. But if it is provided, it MUST not be in contradiction with the `apiProtocol` direction.",
+                "enumDescriptions": {
+                    "inbound": "The described system is the server.",
+                    "mixed": "Mixed direction API Resource.",
+                    "outbound": "The described system is the client."
+                },
+                "constraints": {
+                    "default": "inbound"
+                }
+            },
+            {
+                "name": "apiProtocol",
+                "description": "API Protocol including the protocol version if applicable",
+                "requirement": "MANDATORY",
+                "type": "string",
+                "enum": [
+                    "odata-v2",
+                    "odata-v4",
+                    "rest",
+                    "graphql",
+                    "delta-sharing",
+                    "soap-inbound",
+                    "soap-outbound",
+                    "mcp",
+                    "websocket",
+                    "a2a",
+                    "sap-rfc",
+                    "sap-sql-api-v1",
+                    "sap-ina-api-v1"
+                ],
+                "pattern": "^([a-z0-9]+(?:[.][a-z0-9]+)*):([a-zA-Z0-9._\\-]+):(v0|v[1-9][0-9]*)$",
+                "enumDescriptions": {
+                    "odata-v2": "OData Version 2.0 API.",
+                    "odata-v4": "OData Version 4 API.",
+                    "rest": "Generic REST API.",
+                    "graphql": "GraphQL API.",
+                    "delta-sharing": "Delta Sharing Protocol, where one API Resource corresponds to a share.",
+                    "soap-inbound": "SOAP API that provides inbound interfaces.",
+                    "soap-outbound": "SOAP API that provides/describes outbound interfaces for async communication.",
+                    "mcp": "MCP is an open protocol that standardizes how applications provide context to LLMs, based on JSON-RPC message format.",
+                    "websocket": "Generic WebSocket Protocol.",
+                    "a2a": "A2A is open protocol enabling communication and interoperability between opaque agentic applications.",
+                    "sap-rfc": "SAP RFC (Remote Function Call) is the standard SAP interface for communication between SAP systems.",
+                    "sap-sql-api-v1": "SAP SQL API that follows the SQL interface specification for SAP ecosystem.",
+                    "sap-ina-api-v1": "SAP InA APIs are used by SAP Analytics Cloud solutions to capture data."
+                },
+                "example": "rest"
+            },
+            {
+                "name": "resourceDefinitions",
+                "description": "List of available machine-readable definitions, which describe the resource or capability in detail.",
+                "requirement": "OPTIONAL",
+                "type": "array<ApiResourceDefinition>",
+                "details": "List of available machine-readable definitions, which describe the resource or capability in detail.\nSee also Resource Definitions for more context.\n\nEach definition is to be understood as an alternative description format, describing the same resource / capability.\nAs a consequence the same definition type MUST NOT be provided more than once.\nThe exception is when the same definition type is provided more than once, but with a different `visibility`.\n\nIt is RECOMMENDED to provide the definitions as they enable machine-readable use cases.\nIf the definitions are added or changed, the `version` MUST be incremented.\nAn ORD aggregator MAY only (re)fetch the definitions again when the `version` was incremented.",
+                "structure": [
+                    {
+                        "name": "type",
+                        "description": "Type of the API Resource Definition If \"custom\" is chosen, a customType MUST be provided",
+                        "requirement": "MANDATORY",
+                        "type": "string",
+                        "enum": [
+                            "openapi-v2",
+                            "openapi-v3",
+                            "openapi-v3.1+",
+                            "raml-v1",
+                            "edmx",
+                            "csdl-json",
+                            "graphql-sdl",
+                            "wsdl-v1",
+                            "wsdl-v2",
+                            "a2a-agent-card",
+                            "sap-rfc-metadata-v1",
+                            "sap-sql-api-definition-v1",
+                            "sap-csn-interop-effective-v1",
+                            "custom"
+                        ],
+                        "pattern": "^([a-z0-9]+(?:[.][a-z0-9]+)*):([a-zA-Z0-9._\\-]+):(v0|v[1-9][0-9]*)$"
+                    },
+                    {
+                        "name": "customType",
+                        "description": "If the fixed `type` enum values need to be extended, an arbitrary `customType` can be provided.",
+                        "requirement": "OPTIONAL",
+                        "type": "string",
+                        "pattern": "^([a-z0-9]+(?:[.][a-z0-9]+)*):([a-zA-Z0-9._\\-]+):(v0|v[1-9][0-9]*)$"
+                    },
+                    {
+                        "name": "mediaType",
+                        "description": "The Media Type of the definition serialization format.",
+                        "requirement": "MANDATORY",
+                        "type": "string",
+                        "enum": [
+                            "application/json",
+                            "application/xml",
+                            "text/yaml",
+                            "text/plain",
+                            "application/octet-stream"
+                        ]
+                    },
+                    {
+                        "name": "url",
+                        "description": "URL reference (URL or relative reference) to the resource definition file.",
+                        "requirement": "MANDATORY",
+                        "type": "string"
+                    },
+                    {
+                        "name": "visibility",
+                        "description": "The visibility states who is allowed to \"see\" and access the resource definition, in case it differs from the resource visibility.",
+                        "requirement": "OPTIONAL",
+                        "type": "string",
+                        "enum": [
+                            "public",
+                            "internal",
+                            "private"
+                        ]
+                    },
+                    {
+                        "name": "accessStrategies",
+                        "description": "List of supported access strategies for retrieving metadata from the ORD provider.",
+                        "requirement": "OPTIONAL",
+                        "type": "array<AccessStrategy>"
+                    }
+                ]
+            },
+            {
+                "name": "implementationStandard",
+                "description": "Declares this API to be a valid implementation of an externally standardized API contract, sub-protocol or protocol variant.",
+                "requirement": "OPTIONAL",
+                "type": "string",
+                "enum": [
+                    "cff:open-service-broker:v2",
+                    "custom"
+                ],
+                "pattern": "^([a-z0-9]+(?:[.][a-z0-9]+)*):([a-zA-Z0-9._\\-]+):(v0|v[1-9][0-9]*)$",
+                "details": "Declares this API to be a valid implementation of an externally standardized API contract, sub-protocol or protocol variant.\n\nAll APIs that share the same implementation standard MAY be treated the same or similar by a consumer client.",
+                "enumDescriptions": {
+                    "cff:open-service-broker:v2": "API follows the Open Service Broker API V2.",
+                    "custom": "If chosen, `customImplementationStandard` MUST be provided."
+                },
+                "example": "sap:ord-document-api:v1"
+            },
+            {
+                "name": "customImplementationStandard",
+                "description": "If the fixed `implementationStandard` values need to be extended, an arbitrary `customImplementationStandard` can be provided.",
+                "requirement": "OPTIONAL",
+                "type": "string",
+                "pattern": "^([a-z0-9]+(?:[.][a-z0-9]+)*):([a-zA-Z0-9._\\-]+):(v0|v[1-9][0-9]*)$",
+                "details": "If the fixed `implementationStandard` values need to be extended, an arbitrary `customImplementationStandard` can be provided.\n\nMUST be a valid Specification ID.\n\nMUST only be provided if `implementationStandard` is set to `custom`.",
+                "constraints": {
+                    "maxLength": 255
+                },
+                "example": "sap.xref:some-api-contract:v1"
+            },
+            {
+                "name": "customImplementationStandardDescription",
+                "description": "Full description of the custom implementation standard, notated in CommonMark (Markdown).",
+                "requirement": "OPTIONAL",
+                "type": "string",
+                "details": "Full description of the custom implementation standard, notated in CommonMark (Markdown).\n\nMUST only be provided if `implementationStandard` is set to `custom`.\n\nSHOULD contain documentation and links that describe the used standard.",
+                "example": "Implemented as defined in the [S/4HANA Attachment Service documentation](https://api.sap.com/api/API_CV_ATTACHMENT_SRV/overview)"
+            },
+            {
+                "name": "compatibleWith",
+                "description": "A reference to the interface (API contract) that this API implements.",
+                "requirement": "OPTIONAL",
+                "type": "array<string>",
+                "pattern": "^([a-z0-9]+(?:[.][a-z0-9]+)*):(apiResource):([a-zA-Z0-9._\\-]+):(v0|v[1-9][0-9]*)$",
+                "details": "A reference to the interface (API contract) that this API implements.\nServes as a declaration of compatible implementation of API contract, effectively functioning as an \"implementationOf\" relationship.\n\nMUST be a valid reference to an (usually external) API Resource ORD ID.\n\nAll APIs that share the same `compatibleWith` value MAY be treated the same or similar by a consumer client.",
+                "example": [
+                    "sap.s4com:apiResource:SomeSharedContract:v1"
+                ]
+            },
+            {
+                "name": "responsible",
+                "description": "Contains typically the organization that is responsible in the sense of RACI matrix for this ORD resource.",
+                "requirement": "OPTIONAL",
+                "type": "string",
+                "pattern": "^([a-z0-9]+(?:[.][a-z0-9]+)*):([a-zA-Z0-9._\\-\\/]+):([a-zA-Z0-9._\\-\\/]+)$",
+                "details": "Contains typically the organization that is responsible in the sense of RACI matrix for this ORD resource. This includes support and feature requests. It is maintained as correlation id to for example support components.",
+                "constraints": {
+                    "maxLength": 255,
+                    "introducedInVersion": "1.8.0"
+                },
+                "example": "sap:ach:CIC-DP-CO"
+            },
+            {
+                "name": "supportedUseCases",
+                "description": "List of use cases (types) how the resource is meant to be used for.",
+                "requirement": "OPTIONAL",
+                "type": "array<string>",
+                "enum": [
+                    "data-federation",
+                    "snapshot",
+                    "incremental",
+                    "streaming"
+                ],
+                "pattern": "^([a-z0-9]+(?:[.][a-z0-9]+)*):([a-zA-Z0-9._\\-]+):(v0|v[1-9][0-9]*)$",
+                "details": "List of use cases (types) how the resource is meant to be used for.\n\nThis helps consumers better to understand which use cases had been in mind by the provider\nand are therefore explicitly supported.\nThis is obviously described from a provider perspective, but stating what consumer use cases it potentially supports.\nAs it's not possible to create a list of options that are mutually exclusive, all options that apply should be provided.\n\nIf no array is defined, it is assumed that this information is not provided.",
+                "enumDescriptions": {
+                    "data-federation": "Resources are designed to support data federation.",
+                    "snapshot": "Resource can be used to get a snapshot with inherent consistency including potential paging requests.",
+                    "incremental": "Resource gives incremental updates on top of snapshots.",
+                    "streaming": "Resource can be used to get streaming updates."
+                },
+                "constraints": {
+                    "introducedInVersion": "1.8.0",
+                    "featureStatus": "beta"
+                },
+                "example": [
+                    "data-federation"
+                ]
+            },
+            {
+                "name": "usage",
+                "description": "Define from where the API resource can be used and accessed",
+                "requirement": "OPTIONAL",
+                "type": "string",
+                "enum": [
+                    "external",
+                    "local"
+                ],
+                "enumDescriptions": {
+                    "external": "The API entryPoints are accessible external from the application providing it.",
+                    "local": "The API is only accessible within the application providing it."
+                },
+                "constraints": {
+                    "default": "external",
+                    "introducedInVersion": "1.8.0",
+                    "featureStatus": "alpha"
+                }
+            },
+            {
+                "name": "entityTypeMappings",
+                "description": "Describes mappings between the API Models of the described resource to the underlying, conceptual entity types.",
+                "requirement": "OPTIONAL",
+                "type": "array<EntityTypeMapping>",
+                "constraints": {
+                    "introducedInVersion": "1.6.0"
+                },
+                "structure": [
+                    {
+                        "name": "apiModelSelectors",
+                        "description": "List of selectors for API models within an API Resource.",
+                        "requirement": "OPTIONAL",
+                        "type": "array<any>"
+                    },
+                    {
+                        "name": "entityTypeTargets",
+                        "description": "List of entity types the ORD resource maps to.",
+                        "requirement": "MANDATORY",
+                        "type": "array<any>"
+                    }
+                ]
+            },
+            {
+                "name": "exposedEntityTypes",
+                "description": "Optional list of entity types that are exposed by the resource.",
+                "requirement": "OPTIONAL",
+                "type": "array<ExposedEntityType>",
+                "details": "Optional list of entity types that are exposed by the resource.\n\nThis replaces `entityTypeMappings`. If both is given, the `exposedEntityTypes` wins.\n\nMUST be a valid reference to an EntityType ORD ID.",
+                "constraints": {
+                    "introducedInVersion": "1.11.0"
+                },
+                "relatedConcepts": [
+                    "EntityType"
+                ],
+                "structure": [
+                    {
+                        "name": "ordId",
+                        "description": "The ORD ID is a stable, globally unique ID for ORD resources or taxonomy.",
+                        "requirement": "MANDATORY",
+                        "type": "string",
+                        "pattern": "^([a-z0-9]+(?:[.][a-z0-9]+)*):(entityType):([a-zA-Z0-9._\\-]+):(v0|v[1-9][0-9]*)$"
+                    }
+                ],
+                "example": [
+                    {
+                        "ordId": "sap.odm:entityType:WorkforcePerson:v1"
+                    }
+                ]
+            },
+            {
+                "name": "apiResourceLinks",
+                "description": "Links with semantic meaning that are specific to API Resources.",
+                "requirement": "OPTIONAL",
+                "type": "array<APIEventResourceLink>",
+                "structure": [
+                    {
+                        "name": "type",
+                        "description": "See also: WADG0001 WebAPI type extension",
+                        "requirement": "MANDATORY",
+                        "type": "string",
+                        "enum": [
+                            "api-documentation",
+                            "authentication",
+                            "client-registration",
+                            "console",
+                            "payment",
+                            "service-level-agreement",
+                            "support",
+                            "custom"
+                        ],
+                        "pattern": "^([a-z0-9]+(?:[.][a-z0-9]+)*):([a-zA-Z0-9._\\-]+):(v0|v[1-9][0-9]*)$"
+                    },
+                    {
+                        "name": "customType",
+                        "description": "If the fixed `type` enum values need to be extended, an arbitrary `customType` can be provided.",
+                        "requirement": "OPTIONAL",
+                        "type": "string",
+                        "pattern": "^([a-z0-9]+(?:[.][a-z0-9]+)*):([a-zA-Z0-9._\\-]+):(v0|v[1-9][0-9]*)$"
+                    },
+                    {
+                        "name": "url",
+                        "description": "URL reference (URL or relative reference) to the API or Event Resource Link.",
+                        "requirement": "MANDATORY",
+                        "type": "string"
+                    }
+                ]
+            },
+            {
+                "name": "links",
+                "description": "Generic Links with arbitrary meaning and content.",
+                "requirement": "OPTIONAL",
+                "type": "array<Link>",
+                "details": "Generic Links with arbitrary meaning and content.\n\nIf applicable, `apiResourceLinks` MUST be used instead of generic `links`.",
+                "structure": [
+                    {
+                        "name": "title",
+                        "description": "Human readable title of the link.",
+                        "requirement": "MANDATORY",
+                        "type": "string"
+                    },
+                    {
+                        "name": "url",
+                        "description": "URL of the link.",
+                        "requirement": "MANDATORY",
+                        "type": "string"
+                    },
+                    {
+                        "name": "description",
+                        "description": "Full description, notated in CommonMark (Markdown)",
+                        "requirement": "OPTIONAL",
+                        "type": "string"
+                    }
+                ]
+            },
+            {
+                "name": "extensible",
+                "description": "Contains information about the extensibility of this resource.",
+                "requirement": "OPTIONAL",
+                "type": "Extensible",
+                "details": "Contains information about the extensibility of this resource.\n\nIf applicable, a description and further resources about extending this resource are provided.",
+                "structure": [
+                    {
+                        "name": "supported",
+                        "description": "This property defines whether the resource is extensible.",
+                        "requirement": "MANDATORY",
+                        "type": "string",
+                        "enum": [
+                            "no",
+                            "manual",
+                            "automatic"
+                        ]
+                    },
+                    {
+                        "name": "description",
+                        "description": "A description about the extensibility capabilities of this API, notated in CommonMark (Markdown).",
+                        "requirement": "OPTIONAL",
+                        "type": "string"
+                    }
+                ]
+            },
+            {
+                "name": "countries",
+                "description": "List of countries that the Package resources are applicable to.",
+                "requirement": "OPTIONAL",
+                "type": "array<string>",
+                "pattern": "^[A-Z]{2}$",
+                "details": "List of countries that the Package resources are applicable to.\n\nMUST be expressed as an array of country codes according to IES ISO-3166 ALPHA-2.\n\n`countries` that are assigned to a `Package` are inherited to all of the ORD resources it contains.",
+                "example": [
+                    "DE",
+                    "US"
+                ]
+            },
+            {
+                "name": "lineOfBusiness",
+                "description": "List of line of business tags.",
+                "requirement": "OPTIONAL",
+                "type": "array<string>",
+                "enum": [
+                    "Asset Management",
+                    "Commerce",
+                    "Finance",
+                    "Human Resources",
+                    "Manufacturing",
+                    "Marketing",
+                    "R&D Engineering",
+                    "Sales",
+                    "Service",
+                    "Sourcing and Procurement",
+                    "Strategy, Compliance, and Governance",
+                    "Supply Chain",
+                    "Sustainability",
+                    "Metering",
+                    "Grid Operations and Maintenance",
+                    "Plant Operations and Maintenance",
+                    "Maintenance and Engineering"
+                ],
+                "pattern": "^[a-zA-Z0-9-_.\\/& ]*$",
+                "details": "List of line of business tags.\nNo special characters are allowed except `-`, `_`, `.`, `/` and ` `.\n\n`lineOfBusiness` that are assigned to a `Package` are inherited to all of the ORD resources it contains.",
+                "constraints": {
+                    "items.minLength": 1
+                },
+                "example": [
+                    "Sales"
+                ]
+            },
+            {
+                "name": "industry",
+                "description": "List of industry tags.",
+                "requirement": "OPTIONAL",
+                "type": "array<string>",
+                "enum": [
+                    "Aerospace and Defense",
+                    "Agribusiness",
+                    "Automotive",
+                    "Banking",
+                    "Chemicals",
+                    "Consumer Industries",
+                    "Consumer Products",
+                    "Defense and Security",
+                    "Discrete Industries",
+                    "Energy and Natural Resources",
+                    "Engineering Construction and Operations",
+                    "Financial Services",
+                    "Future Cities",
+                    "Healthcare",
+                    "High Tech",
+                    "Higher Education and Research",
+                    "Industrial Machinery and Components",
+                    "Insurance",
+                    "Life Sciences",
+                    "Media",
+                    "Mill Products",
+                    "Mining",
+                    "Oil and Gas",
+                    "Professional Services",
+                    "Public Sector",
+                    "Public Services",
+                    "Retail",
+                    "Service Industries",
+                    "Sports and Entertainment",
+                    "Telecommunications",
+                    "Travel and Transportation",
+                    "Utilities",
+                    "Wholesale Distribution"
+                ],
+                "pattern": "^[a-zA-Z0-9-_.\\/& ]*$",
+                "details": "List of industry tags.\nNo special characters are allowed except `-`, `_`, `.`, `/` and ` `.\n\n`industry` that are assigned to a `Package` are inherited to all of the ORD resources it contains.",
+                "constraints": {
+                    "items.minLength": 1
+                },
+                "example": [
+                    "Automotive"
+                ]
+            },
+            {
+                "name": "tags",
+                "description": "List of free text style tags.",
+                "requirement": "OPTIONAL",
+                "type": "array<string>",
+                "pattern": "^[a-zA-Z0-9-_.\\/ ]*$",
+                "details": "List of free text style tags.\nNo special characters are allowed except `-`, `_`, `.`, `/` and ` `.\n\nTags that are assigned to a `Package` are inherited to all of the ORD resources it contains.",
+                "constraints": {
+                    "items.minLength": 1
+                },
+                "example": [
+                    "storage",
+                    "high-availability"
+                ]
+            },
+            {
+                "name": "labels",
+                "description": "Generic labels that can be applied to most ORD information.",
+                "requirement": "OPTIONAL",
+                "type": "Labels",
+                "details": "Generic labels that can be applied to most ORD information.\nThey are defined as an object that may have arbitrary keys.\nThe value of a key is an array of strings.\n\nLabels can be used to attach technical information that cannot be expressed natively in ORD.\nAn ORD aggregator should allow to categorize and query information based on the labels provided.\n\nIf multiple parties rely on the existence of certain label information,\nstandardization through ORD SHOULD be preferred.\n\nAll labels attached to a `Package` will be inherited to the resources they contain.\nDuplicate labels will be merged by the ORD aggregator according to the following rules:\n* Values of the same label key will be merged.\n* Duplicate values of the same label key will be removed."
+            },
+            {
+                "name": "documentationLabels",
+                "description": "Generic documentation labels that can be applied to most ORD information.",
+                "requirement": "OPTIONAL",
+                "type": "DocumentationLabels",
+                "details": "Generic documentation labels that can be applied to most ORD information.\nThey are defined as an object that may have arbitrary keys.\nThe value of a key is an array of CommonMark (Markdown) text.\n\nDocumentation Labels can be used to attach human readable documentation that cannot be expressed natively in ORD.\nA documentation tool (like an API Catalog) can use the documentation labels to provide generic documentation \"snippets\".\nDue to the given structure they can be displayed e.g. as tables.\n\nThe key of the documentation Label is plain-text (MUST not contain line breaks) and denotes the subject matter that is described.\nThe values (multiple can be provided for the same key) are CommonMark (Markdown) text\nwhich describes the subject matter or lists options for the key.\n\nIn contrast to regular labels, documentation labels are not meant to be used to categorize or query information."
+            },
+            {
+                "name": "policyLevel",
+                "description": "The policy level (aka.",
+                "requirement": "OPTIONAL",
+                "type": "string",
+                "enum": [
+                    "none",
+                    "custom"
+                ],
+                "pattern": "^([a-z0-9]+(?:[.][a-z0-9]+)*):([a-zA-Z0-9._\\-]+):(v0|v[1-9][0-9]*)$",
+                "details": "The policy level (aka. compliance level) that the described resources need to be compliant with.\nDepending on the chosen policy level, additional expectations and validations rules will be applied.\n\nThe policy level can be defined on ORD Document level, but also be overwritten on an individual package or resource level.",
+                "enumDescriptions": {
+                    "none": "No policy level chosen.",
+                    "custom": "Custom policy level."
+                },
+                "constraints": {
+                    "default": "none",
+                    "introducedInVersion": "1.3.0"
+                },
+                "example": "sap:core:v1"
+            },
+            {
+                "name": "customPolicyLevel",
+                "description": "If the fixed `policyLevel` values need to be extended, an arbitrary `customPolicyLevel` can be provided.",
+                "requirement": "OPTIONAL",
+                "type": "string",
+                "pattern": "^([a-z0-9]+(?:[.][a-z0-9]+)*):([a-zA-Z0-9._\\-]+):(v0|v[1-9][0-9]*)$",
+                "details": "If the fixed `policyLevel` values need to be extended, an arbitrary `customPolicyLevel` can be provided.\nThe policy level is inherited from packages to resources they contain, but can be overwritten at resource level.\n\nMUST only be provided if `policyLevel` is set to `custom`.\nMUST be a valid Specification ID.",
+                "constraints": {
+                    "maxLength": 255,
+                    "introducedInVersion": "1.3.0"
+                },
+                "example": "sap.xref:customPolicy:v1"
+            },
+            {
+                "name": "policyLevels",
+                "description": "A list of policy levels that the described resources need to be compliant with.",
+                "requirement": "OPTIONAL",
+                "type": "array<string>",
+                "pattern": "^([a-z0-9]+(?:[.][a-z0-9]+)*):([a-zA-Z0-9._\\-]+):(v0|v[1-9][0-9]*)$",
+                "details": "A list of policy levels that the described resources need to be compliant with.\nFor each chosen policy level, additional expectations and validations rules will be applied.\n\nPolicy levels can be defined on ORD Document level, but also be overwritten on an individual package or resource level.\n\nA policy level MUST be a valid Specification ID.",
+                "constraints": {
+                    "introducedInVersion": "1.9.9",
+                    "items.maxLength": 255
+                },
+                "example": "sap:core:v1"
+            },
+            {
+                "name": "systemInstanceAware",
+                "description": "Defines whether this ORD resource is system-instance-aware.",
+                "requirement": "OPTIONAL",
+                "type": "boolean",
+                "details": "Defines whether this ORD resource is **system-instance-aware**.\nThis is the case when the referenced resource definitions are potentially different between **system instances**.\n\nIf this behavior applies, `systemInstanceAware` MUST be set to true.\nAn ORD aggregator MUST then fetch the referenced resource definitions for _each_ **system instance** individually.\n\nThis concept is now **deprecated** in favor of the more explicit `perspective` attribute.\nAll resources that are system-instance-aware should ideally be put into a dedicated ORD document with `perspective`: `system-instance`.\n\nFor more details, see perspectives concept page or the specification section.",
+                "constraints": {
+                    "default": false
+                },
+                "example": true
+            }
+        ]
+    },
+    "EventResource": {
+        "description": "The event resource provides a high-level description of a collection of related Events. More detailed information, such as the event resource definitions, are provided in links in the table below.",
+        "documentArray": "eventResources",
+        "example": {
+            "ordId": "sap.s4:eventResource:SalesOrderEvents:v1",
+            "title": "Sales Order Events",
+            "shortDescription": "All events related to sales order lifecycle",
+            "description": "Events published during sales order creation, modification, and completion",
+            "partOfPackage": "sap.s4:package:SalesOrder:v1",
+            "version": "1.0.0",
+            "visibility": "public",
+            "releaseStatus": "active"
+        },
+        "keyProperties": [
+            {
+                "name": "ordId",
+                "description": "The ORD ID is a stable, globally unique ID for ORD resources or taxonomy.",
+                "requirement": "MANDATORY",
+                "type": "string",
+                "pattern": "^([a-z0-9]+(?:[.][a-z0-9]+)*):(eventResource):([a-zA-Z0-9._\\-]+):(v0|v[1-9][0-9]*)$",
+                "details": "The ORD ID is a stable, globally unique ID for ORD resources or taxonomy.\n\nIt MUST be a valid ORD ID of the appropriate ORD type.",
+                "constraints": {
+                    "maxLength": 255
+                },
+                "example": "sap.billing.sb:eventResource:BusinessEvents_SubscriptionEvents:v1"
+            },
+            {
+                "name": "localId",
+                "description": "The locally unique ID under which this resource can be looked up / resolved in the described system itself.",
+                "requirement": "OPTIONAL",
+                "type": "string",
+                "details": "The locally unique ID under which this resource can be looked up / resolved in the described system itself.\nUnlike the ORD ID it's not globally unique, but it may be useful to document the original ID / technical name.\n\nIt MAY also be used as the `<resourceName>` fragment in the ORD ID, IF it can fulfill the charset and length limitations within the ORD ID.\nBut since this is not always possible, no assumptions MUST be made about the local ID being the same as the `<resourceName>` fragment in the ORD ID.",
+                "constraints": {
+                    "maxLength": 255,
+                    "introducedInVersion": "1.2.1"
+                },
+                "example": "BusinessEvents_SubscriptionEvents"
+            },
+            {
+                "name": "correlationIds",
+                "description": "Correlation IDs can be used to create a reference to related data in other repositories (especially to the system of record).",
+                "requirement": "OPTIONAL",
+                "type": "array<string>",
+                "pattern": "^([a-z0-9]+(?:[.][a-z0-9]+)*):([a-zA-Z0-9._\\-\\/]+):([a-zA-Z0-9._\\-\\/]+)$",
+                "details": "Correlation IDs can be used to create a reference to related data in other repositories (especially to the system of record).\n\nThey express an \"identity\" / \"equals\" / \"mappable\" relationship to the target ID.\n\nIf a \"part of\" relationship needs to be expressed, use the `partOfGroups` assignment instead.\n\nMUST be a valid Correlation ID.",
+                "constraints": {
+                    "items.maxLength": 255
+                },
+                "example": [
+                    "sap.xref:localConcept:SomeLocalId"
+                ]
+            },
+            {
+                "name": "title",
+                "description": "Human-readable title.",
+                "requirement": "MANDATORY",
+                "type": "string",
+                "details": "Human-readable title.\n\nMUST NOT exceed 255 chars.\nMUST NOT contain line breaks.",
+                "constraints": {
+                    "minLength": 1,
+                    "maxLength": 255
+                },
+                "example": "SalesOrder Events"
+            },
+            {
+                "name": "shortDescription",
+                "description": "Plain text short description.",
+                "requirement": "MANDATORY",
+                "type": "string",
+                "details": "Plain text short description.\n\nMUST NOT exceed 255 chars.\nMUST NOT contain line breaks.",
+                "constraints": {
+                    "minLength": 1,
+                    "maxLength": 255
+                },
+                "example": "All events related to the Business Object SalesOrder"
+            },
+            {
+                "name": "description",
+                "description": "Full description, notated in CommonMark (Markdown).",
+                "requirement": "MANDATORY",
+                "type": "string",
+                "details": "Full description, notated in CommonMark (Markdown).\n\nThe description SHOULD not be excessive in length and is not meant to provide full documentation.\nDetailed documentation SHOULD be attached as (typed) links.",
+                "constraints": {
+                    "minLength": 1
+                },
+                "example": "This event is raised by the SAP S/4HANA Cloud system when an invoice document is cancelled.\n"
+            },
+            {
+                "name": "partOfPackage",
+                "description": "Defines which Package the resource is part of.",
+                "requirement": "MANDATORY",
+                "type": "string",
+                "pattern": "^([a-z0-9]+(?:[.][a-z0-9]+)*):(package):([a-zA-Z0-9._\\-]+):(v0|v[1-9][0-9]*)$",
+                "details": "Defines which Package the resource is part of.\n\nMUST be a valid reference to a Package ORD ID.\n\nEvery resource MUST be part of one package.",
+                "constraints": {
+                    "maxLength": 255
+                },
+                "relatedConcepts": [
+                    "Package"
+                ],
+                "example": "sap.xref:package:SomePackage:v1"
+            },
+            {
+                "name": "partOfGroups",
+                "description": "Defines which groups the resource is assigned to.",
+                "requirement": "OPTIONAL",
+                "type": "array<string>",
+                "pattern": "^([a-z0-9]+(?:[.][a-z0-9]+)*):([a-zA-Z0-9._\\-\\/]+):([a-z0-9]+(?:[.][a-z0-9]+)*):([a-zA-Z0-9._\\-\\/]+)$",
+                "details": "Defines which groups the resource is assigned to.\n\nThe property is optional, but if given the value MUST be an array of valid Group IDs.\n\nGroups are a lightweight custom taxonomy concept.\nThey express a \"part of\" relationship to the chosen group concept.\nIf an \"identity / equals\" relationship needs to be expressed, use the `correlationIds` instead.\n\nAll resources that share the same group ID assignment are effectively grouped together.",
+                "relatedConcepts": [
+                    "Group"
+                ]
+            },
+            {
+                "name": "partOfConsumptionBundles",
+                "description": "List of references to the Consumption Bundles in this resource belongs to.",
+                "requirement": "OPTIONAL",
+                "type": "array<ConsumptionBundleReference>",
+                "details": "List of references to the Consumption Bundles in this resource belongs to.\n\nMUST be a valid reference to a Consumption Bundle ORD ID.\n\nAn API resource SHOULD be associated to one or multiple Consumption Bundles, if it is of direction `inbound` or `mixed`.\nSome ORD consumer use cases MAY depend on an association to a Consumption Bundle.\nIf none is given, the resource may not appear as it's unknown how it can be consumed.\n\nIf a resource has no direct incoming consumption characteristics:\n- MUST NOT assign Consumption Bundle to API or Event resources with `direction`: `outbound` (no inbound consumption)\n- MUST NOT assign Consumption Bundle if resource is not accessible directly, but only via intermediaries like event brokers or gateways.\n  - In this case the intermediary SHOULD describe the Consumption Bundle instead (potentially also re-describing the resources as well).",
+                "relatedConcepts": [
+                    "ConsumptionBundle"
+                ],
+                "structure": [
+                    {
+                        "name": "ordId",
+                        "description": "The Consumption Bundle ORD ID (`ConsumptionBundle.ordId`) this reference points to.",
+                        "requirement": "MANDATORY",
+                        "type": "string",
+                        "pattern": "^([a-z0-9]+(?:[.][a-z0-9]+)*):(consumptionBundle):([a-zA-Z0-9._\\-]+):(v0|v[1-9][0-9]*)$"
+                    },
+                    {
+                        "name": "defaultEntryPoint",
+                        "description": "In case that an API Resource has multiple entry points, this will indicate which entry point should be used by default when discovering this resource from the context of the referenced Consumption Bundle.",
+                        "requirement": "OPTIONAL",
+                        "type": "string"
+                    }
+                ],
+                "example": [
+                    {
+                        "ordId": "sap.xref:consumptionBundle:bundleXYZ:v1"
+                    }
+                ]
+            },
+            {
+                "name": "defaultConsumptionBundle",
+                "description": "References the default Consumption Bundle to use for this resource.",
+                "requirement": "OPTIONAL",
+                "type": "string",
+                "pattern": "^([a-z0-9]+(?:[.][a-z0-9]+)*):(consumptionBundle):([a-zA-Z0-9._\\-]+):(v0|v[1-9][0-9]*)$",
+                "details": "References the default Consumption Bundle to use for this resource.\n\nMUST be a valid reference to a Consumption Bundle ORD ID.\n\nCan be used by clients to make a deterministic and preferred choice when multiple options are available.\n\nThe value MUST be an existing option in the corresponding `partOfConsumptionBundles` array.",
+                "constraints": {
+                    "maxLength": 255
+                },
+                "relatedConcepts": [
+                    "ConsumptionBundle"
+                ],
+                "example": "sap.xref:consumptionBundle:bundleXYZ:v1"
+            },
+            {
+                "name": "partOfProducts",
+                "description": "List of products the resources of the Package are a part of.",
+                "requirement": "OPTIONAL",
+                "type": "array<string>",
+                "pattern": "^([a-z0-9]+(?:[.][a-z0-9]+)*):(product):([a-zA-Z0-9._\\-]+):()$",
+                "details": "List of products the resources of the Package are a part of.\n\nMUST be a valid reference to a Product ORD ID.\n\n`partOfProducts` that are assigned to a `Package` are inherited to all of the ORD resources it contains.",
+                "constraints": {
+                    "minItems": 0,
+                    "items.maxLength": 255
+                },
+                "relatedConcepts": [
+                    "Product"
+                ],
+                "example": [
+                    "sap:product:S4HANA_OD:"
+                ]
+            },
+            {
+                "name": "version",
+                "description": "The complete SemVer version string.",
+                "requirement": "MANDATORY",
+                "type": "string",
+                "pattern": "^(0|[1-9]\\d*)\\.(0|[1-9]\\d*)\\.(0|[1-9]\\d*)(?:-((?:0|[1-9]\\d*|\\d*[a-zA-Z-][0-9a-zA-Z-]*)(?:\\.(?:0|[1-9]\\d*|\\d*[a-zA-Z-][0-9a-zA-Z-]*))*))?(?:\\+([0-9a-zA-Z-]+(?:\\.[0-9a-zA-Z-]+)*))?$",
+                "details": "The complete SemVer version string.\n\nIt MUST follow the Semantic Versioning 2.0.0 standard.\nIt SHOULD be changed if the ORD information or referenced resource definitions changed.\nIt SHOULD express minor and patch changes that don't lead to incompatible changes.\n\nWhen the `version` major version changes, the ORD ID `<majorVersion>` fragment MUST be updated to be identical.\nIn case that a resource definition file also contains a version number (e.g. OpenAPI `info`.`version`), it MUST be equal with the resource `version` to avoid inconsistencies.\n\nIf the resource has been extended by the user, the change MUST be indicated via `lastUpdate`.\nThe `version` MUST not be bumped for changes in extensions.\n\nThe general Version and Lifecycle flow MUST be followed.\n\nNote: A change is only relevant for a version increment, if it affects the ORD resource or ORD taxonomy directly.\nFor example: If a resource within a `Package` changes, but the Package itself did not, the Package version does not need to be incremented.",
+                "example": "1.2.3"
+            },
+            {
+                "name": "lastUpdate",
+                "description": "Optional, but RECOMMENDED indicator when (date-time) the last change to the resource (including its definitions) happened.",
+                "requirement": "RECOMMENDED",
+                "type": "string",
+                "details": "Optional, but RECOMMENDED indicator when (date-time) the last change to the resource (including its definitions) happened.\n\nThe date format MUST comply with RFC 3339, section 5.6.\n\nWhen retrieved from an ORD aggregator, `lastUpdate` will be reliable there and reflect either the provider based update time or the aggregator processing time.\nTherefore consumers MAY rely on it to detect changes to the metadata and the attached resource definition files.\n\nIf the resource has attached definitions, either the `version` or `lastUpdate` property MUST be defined and updated to let the ORD aggregator know that they need to be fetched again.\n\nTogether with `perspectives`, this property SHOULD be used to optimize the metadata crawling process of the ORD aggregators.",
+                "constraints": {
+                    "format": "date-time",
+                    "introducedInVersion": "1.4.0"
+                },
+                "example": "2022-12-19T15:47:04+00:00"
+            },
+            {
+                "name": "visibility",
+                "description": "The visibility states who is allowed to \"see\" the described resource or capability.",
+                "requirement": "MANDATORY",
+                "type": "string",
+                "enum": [
+                    "public",
+                    "internal",
+                    "private"
+                ],
+                "enumDescriptions": {
+                    "public": "Publicly visible to customers and 3rd parties.",
+                    "internal": "Visible to other applications within the same vendor.",
+                    "private": "Visible only to the provider application or service, usually within the same system namespace / system type."
+                }
+            },
+            {
+                "name": "releaseStatus",
+                "description": "The `releaseStatus` specifies the stability of the resource and its external contract.",
+                "requirement": "MANDATORY",
+                "type": "string",
+                "enum": [
+                    "beta",
+                    "active",
+                    "deprecated",
+                    "sunset"
+                ],
+                "enumDescriptions": {
+                    "beta": "The contract for the resource is beta and may not be meant for productive use.",
+                    "active": "Resource is meant for productive use and provides a stable API contract.",
+                    "deprecated": "Resource has been deprecated.",
+                    "sunset": "Resource has been sunset, but is still described."
+                },
+                "example": "active"
+            },
+            {
+                "name": "disabled",
+                "description": "Indicates that this resource is currently not available for consumption at runtime, but could be configured to be so.",
+                "requirement": "OPTIONAL",
+                "type": "boolean",
+                "details": "Indicates that this resource is currently not available for consumption at runtime, but could be configured to be so.\nThis can happen either because it has not been setup for use or disabled by an admin / user.\n\nIf the resource is not available in principle for a particular system instance, e.g. due to lack of entitlement, it MUST not be described in the system-instance-aware perspective.\n\nThis property can only reflect the knowledge of the described system instance itself.\nOutside factors for availability can't need to be considered (e.g. network connectivity, middlewares).\n\nA disabled resource MAY skip describing its resource definitions.",
+                "constraints": {
+                    "default": false
+                }
+            },
+            {
+                "name": "minSystemVersion",
+                "description": "The resource has been introduced in the given system version.",
+                "requirement": "OPTIONAL",
+                "type": "string",
+                "pattern": "^(0|[1-9]\\d*)\\.(0|[1-9]\\d*)\\.(0|[1-9]\\d*)(?:-((?:0|[1-9]\\d*|\\d*[a-zA-Z-][0-9a-zA-Z-]*)(?:\\.(?:0|[1-9]\\d*|\\d*[a-zA-Z-][0-9a-zA-Z-]*))*))?(?:\\+([0-9a-zA-Z-]+(?:\\.[0-9a-zA-Z-]+)*))?$",
+                "details": "The resource has been introduced in the given system version.\nThis implies that the resource is only available if the system instance is of at least that system version.\n\nIt MUST follow the Semantic Versioning 2.0.0 standard.",
+                "constraints": {
+                    "introducedInVersion": "1.10.0"
+                },
+                "example": "1.2.3"
+            },
+            {
+                "name": "deprecationDate",
+                "description": "The deprecation date defines when the resource has been set as deprecated.",
+                "requirement": "OPTIONAL",
+                "type": "string",
+                "details": "The deprecation date defines when the resource has been set as deprecated.\nThis is not to be confused with the `sunsetDate` which defines when the resource will be actually sunset, aka. decommissioned / removed / archived.\n\nThe date format MUST comply with RFC 3339, section 5.6.",
+                "constraints": {
+                    "format": "date-time"
+                },
+                "example": "2020-12-08T15:47:04+00:00"
+            },
+            {
+                "name": "sunsetDate",
+                "description": "The sunset date defines when the resource is scheduled to be decommissioned / removed / archived.",
+                "requirement": "OPTIONAL",
+                "type": "string",
+                "details": "The sunset date defines when the resource is scheduled to be decommissioned / removed / archived.\n\nIf the `releaseStatus` is set to `deprecated`, the `sunsetDate` SHOULD be provided (if already known).\nOnce the sunset date is known and ready to be communicated externally, it MUST be provided here.\n\nThe date format MUST comply with RFC 3339, section 5.6.",
+                "constraints": {
+                    "format": "date-time"
+                },
+                "example": "2022-01-08T15:47:04+00:00"
+            },
+            {
+                "name": "successors",
+                "description": "The successor resource(s).",
+                "requirement": "OPTIONAL",
+                "type": "array<string>",
+                "pattern": "^([a-z0-9]+(?:[.][a-z0-9]+)*):(eventResource):([a-zA-Z0-9._\\-]+):(v0|v[1-9][0-9]*)$",
+                "details": "The successor resource(s).\n\nMUST be a valid reference to an ORD ID.\n\nIf the `releaseStatus` is set to `deprecated`, `successors` MUST be provided if one exists.\nIf `successors` is given, the described resource SHOULD set its `releaseStatus` to `deprecated`.",
+                "constraints": {
+                    "items.maxLength": 255
+                },
+                "relatedConcepts": [
+                    "EventResource"
+                ],
+                "example": [
+                    "sap.billing.sb:eventResource:BusinessEvents_SubscriptionEvents:v1"
+                ]
+            },
+            {
+                "name": "changelogEntries",
+                "description": "Contains changelog entries that summarize changes with special regards to version and releaseStatus",
+                "requirement": "OPTIONAL",
+                "type": "array<ChangelogEntry>",
+                "structure": [
+                    {
+                        "name": "version",
+                        "description": "Full version number that corresponds to the `version` that is described by the changelog entry.",
+                        "requirement": "MANDATORY",
+                        "type": "string"
+                    },
+                    {
+                        "name": "releaseStatus",
+                        "description": "The `releaseStatus` specifies the stability of the resource and its external contract.",
+                        "requirement": "MANDATORY",
+                        "type": "string",
+                        "enum": [
+                            "beta",
+                            "active",
+                            "deprecated",
+                            "sunset"
+                        ]
+                    },
+                    {
+                        "name": "date",
+                        "description": "Date of change, without time or timezone information.",
+                        "requirement": "MANDATORY",
+                        "type": "string"
+                    },
+                    {
+                        "name": "description",
+                        "description": "Full description, notated in CommonMark (Markdown).",
+                        "requirement": "OPTIONAL",
+                        "type": "string"
+                    },
+                    {
+                        "name": "url",
+                        "description": "Optional URL that links to a more detailed changelog entry.",
+                        "requirement": "OPTIONAL",
+                        "type": "string"
+                    }
+                ]
+            },
+            {
+                "name": "resourceDefinitions",
+                "description": "List of available machine-readable definitions, which describe the resource or capability in detail.",
+                "requirement": "OPTIONAL",
+                "type": "array<EventResourceDefinition>",
+                "details": "List of available machine-readable definitions, which describe the resource or capability in detail.\nSee also Resource Definitions for more context.\n\nEach definition is to be understood as an alternative description format, describing the same resource / capability.\nAs a consequence the same definition type MUST NOT be provided more than once.\nThe exception is when the same definition type is provided more than once, but with a different `visibility`.\n\nIt is RECOMMENDED to provide the definitions as they enable machine-readable use cases.\nIf the definitions are added or changed, the `version` MUST be incremented.\nAn ORD aggregator MAY only (re)fetch the definitions again when the `version` was incremented.",
+                "structure": [
+                    {
+                        "name": "type",
+                        "description": "Type of the event resource definition",
+                        "requirement": "MANDATORY",
+                        "type": "string",
+                        "enum": [
+                            "asyncapi-v2",
+                            "sap-csn-interop-effective-v1",
+                            "custom"
+                        ],
+                        "pattern": "^([a-z0-9]+(?:[.][a-z0-9]+)*):([a-zA-Z0-9._\\-]+):(v0|v[1-9][0-9]*)$"
+                    },
+                    {
+                        "name": "customType",
+                        "description": "If the fixed `type` enum values need to be extended, an arbitrary `customType` can be provided.",
+                        "requirement": "OPTIONAL",
+                        "type": "string",
+                        "pattern": "^([a-z0-9]+(?:[.][a-z0-9]+)*):([a-zA-Z0-9._\\-]+):(v0|v[1-9][0-9]*)$"
+                    },
+                    {
+                        "name": "mediaType",
+                        "description": "The Media Type of the definition serialization format.",
+                        "requirement": "MANDATORY",
+                        "type": "string",
+                        "enum": [
+                            "application/json",
+                            "application/xml",
+                            "text/yaml",
+                            "text/plain",
+                            "application/octet-stream"
+                        ]
+                    },
+                    {
+                        "name": "url",
+                        "description": "URL reference (URL or relative reference) to the resource definition file.",
+                        "requirement": "MANDATORY",
+                        "type": "string"
+                    },
+                    {
+                        "name": "accessStrategies",
+                        "description": "List of supported access strategies for retrieving metadata from the ORD provider.",
+                        "requirement": "OPTIONAL",
+                        "type": "array<AccessStrategy>"
+                    },
+                    {
+                        "name": "visibility",
+                        "description": "The visibility states who is allowed to \"see\" and access the resource definition, in case it differs from the resource visibility.",
+                        "requirement": "OPTIONAL",
+                        "type": "string",
+                        "enum": [
+                            "public",
+                            "internal",
+                            "private"
+                        ]
+                    }
+                ]
+            },
+            {
+                "name": "implementationStandard",
+                "description": "Declares this EventResource to be a valid implementation of a standardized or shared contract.",
+                "requirement": "OPTIONAL",
+                "type": "string",
+                "enum": [
+                    "custom"
+                ],
+                "pattern": "^([a-z0-9]+(?:[.][a-z0-9]+)*):(apiResource):([a-zA-Z0-9._\\-]+):(v0|v[1-9][0-9]*)$",
+                "details": "Declares this EventResource to be a valid implementation of a standardized or shared contract.\n\nAll implementations of the same implementation standard MAY be treated the same by a consumer.\nHowever, there MAY be differences in the access strategy, and compatible customizations by the implementer.\nThe implementation standard MAY define the role of the implementor (producer, consumer, both) and how it is determined.\n\nAs of now, only custom implementation standards are supported.",
+                "enumDescriptions": {
+                    "custom": "If chosen, a custom implementation standard MUST be provided via `customImplementationStandard` and SHOULD be described via `customImplementationStandardDescription`"
+                },
+                "example": "custom"
+            },
+            {
+                "name": "customImplementationStandard",
+                "description": "If the fixed `implementationStandard` values need to be extended, an arbitrary `customImplementationStandard` can be provided.",
+                "requirement": "OPTIONAL",
+                "type": "string",
+                "pattern": "^([a-z0-9]+(?:[.][a-z0-9]+)*):([a-zA-Z0-9._\\-]+):(v0|v[1-9][0-9]*)$",
+                "details": "If the fixed `implementationStandard` values need to be extended, an arbitrary `customImplementationStandard` can be provided.\n\nMUST be a valid Specification ID.\n\nMUST only be provided if `implementationStandard` is set to `custom`.",
+                "constraints": {
+                    "maxLength": 255
+                },
+                "example": "sap.xref:some-event-contract:v1"
+            },
+            {
+                "name": "customImplementationStandardDescription",
+                "description": "Full description of the custom implementation standard, notated in CommonMark (Markdown).",
+                "requirement": "OPTIONAL",
+                "type": "string",
+                "details": "Full description of the custom implementation standard, notated in CommonMark (Markdown).\n\nMUST only be provided if `implementationStandard` is set to `custom`.\n\nSHOULD contain documentation and links that describe the used standard.",
+                "example": "Implemented as defined in [Some Application Documentation](some link)."
+            },
+            {
+                "name": "compatibleWith",
+                "description": "Declares this event resource is a compatible implementation of the referenced contract.",
+                "requirement": "OPTIONAL",
+                "type": "array<string>",
+                "pattern": "^([a-z0-9]+(?:[.][a-z0-9]+)*):(eventResource):([a-zA-Z0-9._\\-]+):(v0|v[1-9][0-9]*)$",
+                "details": "Declares this event resource is a compatible implementation of the referenced contract.\nThis is also sometimes known as Service Provider Interface.\n\nMUST be a valid reference to an (usually external) Event Resource ORD ID.\n\nAll event resources that share the same `compatibleWith` value MAY be treated the same or similar by a consumer client.",
+                "example": [
+                    "sap.s4com:eventResource:SomeSharedContract:v1"
+                ]
+            },
+            {
+                "name": "responsible",
+                "description": "Contains typically the organization that is responsible in the sense of RACI matrix for this ORD resource.",
+                "requirement": "OPTIONAL",
+                "type": "string",
+                "pattern": "^([a-z0-9]+(?:[.][a-z0-9]+)*):([a-zA-Z0-9._\\-\\/]+):([a-zA-Z0-9._\\-\\/]+)$",
+                "details": "Contains typically the organization that is responsible in the sense of RACI matrix for this ORD resource. This includes support and feature requests. It is maintained as correlation id to for example support components.",
+                "constraints": {
+                    "maxLength": 255,
+                    "introducedInVersion": "1.8.0"
+                },
+                "example": "sap:ach:CIC-DP-CO"
+            },
+            {
+                "name": "entityTypeMappings",
+                "description": "Describes mappings between the API Models of the described resource to the underlying, conceptual entity types.",
+                "requirement": "OPTIONAL",
+                "type": "array<EntityTypeMapping>",
+                "constraints": {
+                    "introducedInVersion": "1.6.0"
+                },
+                "structure": [
+                    {
+                        "name": "apiModelSelectors",
+                        "description": "List of selectors for API models within an API Resource.",
+                        "requirement": "OPTIONAL",
+                        "type": "array<any>"
+                    },
+                    {
+                        "name": "entityTypeTargets",
+                        "description": "List of entity types the ORD resource maps to.",
+                        "requirement": "MANDATORY",
+                        "type": "array<any>"
+                    }
+                ]
+            },
+            {
+                "name": "exposedEntityTypes",
+                "description": "Optional list of entity types that are exposed by the resource.",
+                "requirement": "OPTIONAL",
+                "type": "array<ExposedEntityType>",
+                "details": "Optional list of entity types that are exposed by the resource.\n\nThis replaces `entityTypeMappings`. If both is given, the `exposedEntityTypes` wins.\n\nMUST be a valid reference to an EntityType ORD ID.",
+                "constraints": {
+                    "introducedInVersion": "1.11.0"
+                },
+                "relatedConcepts": [
+                    "EntityType"
+                ],
+                "structure": [
+                    {
+                        "name": "ordId",
+                        "description": "The ORD ID is a stable, globally unique ID for ORD resources or taxonomy.",
+                        "requirement": "MANDATORY",
+                        "type": "string",
+                        "pattern": "^([a-z0-9]+(?:[.][a-z0-9]+)*):(entityType):([a-zA-Z0-9._\\-]+):(v0|v[1-9][0-9]*)$"
+                    }
+                ],
+                "example": [
+                    {
+                        "ordId": "sap.odm:entityType:WorkforcePerson:v1"
+                    }
+                ]
+            },
+            {
+                "name": "eventResourceLinks",
+                "description": "Links with semantic meaning that are specific to event resources.",
+                "requirement": "OPTIONAL",
+                "type": "array<APIEventResourceLink>",
+                "details": "Links with semantic meaning that are specific to event resources.\n\nIf applicable, `eventResourceLinks` MUST be used instead of generic `links`.",
+                "constraints": {
+                    "introducedInVersion": "1.7.1"
+                },
+                "structure": [
+                    {
+                        "name": "type",
+                        "description": "See also: WADG0001 WebAPI type extension",
+                        "requirement": "MANDATORY",
+                        "type": "string",
+                        "enum": [
+                            "api-documentation",
+                            "authentication",
+                            "client-registration",
+                            "console",
+                            "payment",
+                            "service-level-agreement",
+                            "support",
+                            "custom"
+                        ],
+                        "pattern": "^([a-z0-9]+(?:[.][a-z0-9]+)*):([a-zA-Z0-9._\\-]+):(v0|v[1-9][0-9]*)$"
+                    },
+                    {
+                        "name": "customType",
+                        "description": "If the fixed `type` enum values need to be extended, an arbitrary `customType` can be provided.",
+                        "requirement": "OPTIONAL",
+                        "type": "string",
+                        "pattern": "^([a-z0-9]+(?:[.][a-z0-9]+)*):([a-zA-Z0-9._\\-]+):(v0|v[1-9][0-9]*)$"
+                    },
+                    {
+                        "name": "url",
+                        "description": "URL reference (URL or relative reference) to the API or Event Resource Link.",
+                        "requirement": "MANDATORY",
+                        "type": "string"
+                    }
+                ]
+            },
+            {
+                "name": "links",
+                "description": "Generic Links with arbitrary meaning and content.",
+                "requirement": "OPTIONAL",
+                "type": "array<Link>",
+                "structure": [
+                    {
+                        "name": "title",
+                        "description": "Human readable title of the link.",
+                        "requirement": "MANDATORY",
+                        "type": "string"
+                    },
+                    {
+                        "name": "url",
+                        "description": "URL of the link.",
+                        "requirement": "MANDATORY",
+                        "type": "string"
+                    },
+                    {
+                        "name": "description",
+                        "description": "Full description, notated in CommonMark (Markdown)",
+                        "requirement": "OPTIONAL",
+                        "type": "string"
+                    }
+                ]
+            },
+            {
+                "name": "extensible",
+                "description": "Contains information about the extensibility of this resource.",
+                "requirement": "OPTIONAL",
+                "type": "Extensible",
+                "details": "Contains information about the extensibility of this resource.\n\nIf applicable, a description and further resources about extending this resource are provided.",
+                "structure": [
+                    {
+                        "name": "supported",
+                        "description": "This property defines whether the resource is extensible.",
+                        "requirement": "MANDATORY",
+                        "type": "string",
+                        "enum": [
+                            "no",
+                            "manual",
+                            "automatic"
+                        ]
+                    },
+                    {
+                        "name": "description",
+                        "description": "A description about the extensibility capabilities of this API, notated in CommonMark (Markdown).",
+                        "requirement": "OPTIONAL",
+                        "type": "string"
+                    }
+                ]
+            },
+            {
+                "name": "countries",
+                "description": "List of countries that the Package resources are applicable to.",
+                "requirement": "OPTIONAL",
+                "type": "array<string>",
+                "pattern": "^[A-Z]{2}$",
+                "details": "List of countries that the Package resources are applicable to.\n\nMUST be expressed as an array of country codes according to IES ISO-3166 ALPHA-2.\n\n`countries` that are assigned to a `Package` are inherited to all of the ORD resources it contains.",
+                "example": [
+                    "DE",
+                    "US"
+                ]
+            },
+            {
+                "name": "lineOfBusiness",
+                "description": "List of line of business tags.",
+                "requirement": "OPTIONAL",
+                "type": "array<string>",
+                "enum": [
+                    "Asset Management",
+                    "Commerce",
+                    "Finance",
+                    "Human Resources",
+                    "Manufacturing",
+                    "Marketing",
+                    "R&D Engineering",
+                    "Sales",
+                    "Service",
+                    "Sourcing and Procurement",
+                    "Strategy, Compliance, and Governance",
+                    "Supply Chain",
+                    "Sustainability",
+                    "Metering",
+                    "Grid Operations and Maintenance",
+                    "Plant Operations and Maintenance",
+                    "Maintenance and Engineering"
+                ],
+                "pattern": "^[a-zA-Z0-9-_.\\/& ]*$",
+                "details": "List of line of business tags.\nNo special characters are allowed except `-`, `_`, `.`, `/` and ` `.\n\n`lineOfBusiness` that are assigned to a `Package` are inherited to all of the ORD resources it contains.",
+                "constraints": {
+                    "items.minLength": 1
+                },
+                "example": [
+                    "Sales"
+                ]
+            },
+            {
+                "name": "industry",
+                "description": "List of industry tags.",
+                "requirement": "OPTIONAL",
+                "type": "array<string>",
+                "enum": [
+                    "Aerospace and Defense",
+                    "Agribusiness",
+                    "Automotive",
+                    "Banking",
+                    "Chemicals",
+                    "Consumer Industries",
+                    "Consumer Products",
+                    "Defense and Security",
+                    "Discrete Industries",
+                    "Energy and Natural Resources",
+                    "Engineering Construction and Operations",
+                    "Financial Services",
+                    "Future Cities",
+                    "Healthcare",
+                    "High Tech",
+                    "Higher Education and Research",
+                    "Industrial Machinery and Components",
+                    "Insurance",
+                    "Life Sciences",
+                    "Media",
+                    "Mill Products",
+                    "Mining",
+                    "Oil and Gas",
+                    "Professional Services",
+                    "Public Sector",
+                    "Public Services",
+                    "Retail",
+                    "Service Industries",
+                    "Sports and Entertainment",
+                    "Telecommunications",
+                    "Travel and Transportation",
+                    "Utilities",
+                    "Wholesale Distribution"
+                ],
+                "pattern": "^[a-zA-Z0-9-_.\\/& ]*$",
+                "details": "List of industry tags.\nNo special characters are allowed except `-`, `_`, `.`, `/` and ` `.\n\n`industry` that are assigned to a `Package` are inherited to all of the ORD resources it contains.",
+                "constraints": {
+                    "items.minLength": 1
+                },
+                "example": [
+                    "Automotive"
+                ]
+            },
+            {
+                "name": "tags",
+                "description": "List of free text style tags.",
+                "requirement": "OPTIONAL",
+                "type": "array<string>",
+                "pattern": "^[a-zA-Z0-9-_.\\/ ]*$",
+                "details": "List of free text style tags.\nNo special characters are allowed except `-`, `_`, `.`, `/` and ` `.\n\nTags that are assigned to a `Package` are inherited to all of the ORD resources it contains.",
+                "constraints": {
+                    "items.minLength": 1
+                },
+                "example": [
+                    "storage",
+                    "high-availability"
+                ]
+            },
+            {
+                "name": "labels",
+                "description": "Generic labels that can be applied to most ORD information.",
+                "requirement": "OPTIONAL",
+                "type": "Labels",
+                "details": "Generic labels that can be applied to most ORD information.\nThey are defined as an object that may have arbitrary keys.\nThe value of a key is an array of strings.\n\nLabels can be used to attach technical information that cannot be expressed natively in ORD.\nAn ORD aggregator should allow to categorize and query information based on the labels provided.\n\nIf multiple parties rely on the existence of certain label information,\nstandardization through ORD SHOULD be preferred.\n\nAll labels attached to a `Package` will be inherited to the resources they contain.\nDuplicate labels will be merged by the ORD aggregator according to the following rules:\n* Values of the same label key will be merged.\n* Duplicate values of the same label key will be removed."
+            },
+            {
+                "name": "documentationLabels",
+                "description": "Generic documentation labels that can be applied to most ORD information.",
+                "requirement": "OPTIONAL",
+                "type": "DocumentationLabels",
+                "details": "Generic documentation labels that can be applied to most ORD information.\nThey are defined as an object that may have arbitrary keys.\nThe value of a key is an array of CommonMark (Markdown) text.\n\nDocumentation Labels can be used to attach human readable documentation that cannot be expressed natively in ORD.\nA documentation tool (like an API Catalog) can use the documentation labels to provide generic documentation \"snippets\".\nDue to the given structure they can be displayed e.g. as tables.\n\nThe key of the documentation Label is plain-text (MUST not contain line breaks) and denotes the subject matter that is described.\nThe values (multiple can be provided for the same key) are CommonMark (Markdown) text\nwhich describes the subject matter or lists options for the key.\n\nIn contrast to regular labels, documentation labels are not meant to be used to categorize or query information."
+            },
+            {
+                "name": "policyLevel",
+                "description": "The policy level (aka.",
+                "requirement": "OPTIONAL",
+                "type": "string",
+                "enum": [
+                    "none",
+                    "custom"
+                ],
+                "pattern": "^([a-z0-9]+(?:[.][a-z0-9]+)*):([a-zA-Z0-9._\\-]+):(v0|v[1-9][0-9]*)$",
+                "details": "The policy level (aka. compliance level) that the described resources need to be compliant with.\nDepending on the chosen policy level, additional expectations and validations rules will be applied.\n\nThe policy level can be defined on ORD Document level, but also be overwritten on an individual package or resource level.",
+                "enumDescriptions": {
+                    "none": "No policy level chosen.",
+                    "custom": "Custom policy level."
+                },
+                "constraints": {
+                    "default": "none",
+                    "introducedInVersion": "1.3.0"
+                },
+                "example": "sap:core:v1"
+            },
+            {
+                "name": "customPolicyLevel",
+                "description": "If the fixed `policyLevel` values need to be extended, an arbitrary `customPolicyLevel` can be provided.",
+                "requirement": "OPTIONAL",
+                "type": "string",
+                "pattern": "^([a-z0-9]+(?:[.][a-z0-9]+)*):([a-zA-Z0-9._\\-]+):(v0|v[1-9][0-9]*)$",
+                "details": "If the fixed `policyLevel` values need to be extended, an arbitrary `customPolicyLevel` can be provided.\nThe policy level is inherited from packages to resources they contain, but can be overwritten at resource level.\n\nMUST only be provided if `policyLevel` is set to `custom`.\nMUST be a valid Specification ID.",
+                "constraints": {
+                    "maxLength": 255,
+                    "introducedInVersion": "1.3.0"
+                },
+                "example": "sap.xref:customPolicy:v1"
+            },
+            {
+                "name": "policyLevels",
+                "description": "A list of policy levels that the described resources need to be compliant with.",
+                "requirement": "OPTIONAL",
+                "type": "array<string>",
+                "pattern": "^([a-z0-9]+(?:[.][a-z0-9]+)*):([a-zA-Z0-9._\\-]+):(v0|v[1-9][0-9]*)$",
+                "details": "A list of policy levels that the described resources need to be compliant with.\nFor each chosen policy level, additional expectations and validations rules will be applied.\n\nPolicy levels can be defined on ORD Document level, but also be overwritten on an individual package or resource level.\n\nA policy level MUST be a valid Specification ID.",
+                "constraints": {
+                    "introducedInVersion": "1.9.9",
+                    "items.maxLength": 255
+                },
+                "example": "sap:core:v1"
+            },
+            {
+                "name": "systemInstanceAware",
+                "description": "Defines whether this ORD resource is system-instance-aware.",
+                "requirement": "OPTIONAL",
+                "type": "boolean",
+                "details": "Defines whether this ORD resource is **system-instance-aware**.\nThis is the case when the referenced resource definitions are potentially different between **system instances**.\n\nIf this behavior applies, `systemInstanceAware` MUST be set to true.\nAn ORD aggregator MUST then fetch the referenced resource definitions for _each_ **system instance** individually.\n\nThis concept is now **deprecated** in favor of the more explicit `perspective` attribute.\nAll resources that are system-instance-aware should ideally be put into a dedicated ORD document with `perspective`: `system-instance`.\n\nFor more details, see perspectives concept page or the specification section.",
+                "constraints": {
+                    "default": false
+                },
+                "example": true
+            }
+        ]
+    },
+    "EntityType": {
+        "description": "An Entity Type describes either a business concept / term or an underlying conceptual model. The same entity type can be exposed through one or multiple API and events resources.",
+        "documentArray": "entityTypes",
+        "example": {
+            "ordId": "sap.odm:entityType:BusinessPartner:v1",
+            "localId": "BusinessPartner",
+            "title": "Business Partner",
+            "shortDescription": "A business partner is a person, organization, or group with business interest",
+            "partOfPackage": "sap.odm:package:MasterData:v1",
+            "version": "1.0.0",
+            "visibility": "public",
+            "releaseStatus": "active",
+            "level": "aggregate"
+        },
+        "keyProperties": [
+            {
+                "name": "ordId",
+                "description": "The ORD ID is a stable, globally unique ID for ORD resources or taxonomy.",
+                "requirement": "MANDATORY",
+                "type": "string",
+                "pattern": "^([a-z0-9]+(?:[.][a-z0-9]+)*):(entityType):([a-zA-Z0-9._\\-]+):(v0|v[1-9][0-9]*)$",
+                "details": "The ORD ID is a stable, globally unique ID for ORD resources or taxonomy.\n\nIt MUST be a valid ORD ID of the appropriate ORD type.",
+                "constraints": {
+                    "maxLength": 255
+                },
+                "example": "sap.odm:entityType:BusinessPartner:v1"
+            },
+            {
+                "name": "localId",
+                "description": "The locally unique ID under which this resource can be looked up / resolved in the described system itself.",
+                "requirement": "MANDATORY",
+                "type": "string",
+                "details": "The locally unique ID under which this resource can be looked up / resolved in the described system itself.\nUnlike the ORD ID it's not globally unique, but it may be useful to document the original ID / technical name.\n\nIt MAY also be used as the `<resourceName>` fragment in the ORD ID, IF it can fulfill the charset and length limitations within the ORD ID.\nBut since this is not always possible, no assumptions MUST be made about the local ID being the same as the `<resourceName>` fragment in the ORD ID.",
+                "constraints": {
+                    "maxLength": 255,
+                    "introducedInVersion": "1.2.1"
+                },
+                "example": "BusinessPartner"
+            },
+            {
+                "name": "correlationIds",
+                "description": "Correlation IDs can be used to create a reference to related data in other repositories (especially to the system of record).",
+                "requirement": "OPTIONAL",
+                "type": "array<string>",
+                "pattern": "^([a-z0-9]+(?:[.][a-z0-9]+)*):([a-zA-Z0-9._\\-\\/]+):([a-zA-Z0-9._\\-\\/]+)$",
+                "details": "Correlation IDs can be used to create a reference to related data in other repositories (especially to the system of record).\n\nThey express an \"identity\" / \"equals\" / \"mappable\" relationship to the target ID.\n\nIf a \"part of\" relationship needs to be expressed, use the `partOfGroups` assignment instead.\n\nMUST be a valid Correlation ID.",
+                "constraints": {
+                    "items.maxLength": 255
+                },
+                "example": [
+                    "sap.s4:sot:BusinessPartner"
+                ]
+            },
+            {
+                "name": "title",
+                "description": "Human-readable title.",
+                "requirement": "MANDATORY",
+                "type": "string",
+                "details": "Human-readable title.\n\nMUST NOT exceed 255 chars.\nMUST NOT contain line breaks.",
+                "constraints": {
+                    "minLength": 1,
+                    "maxLength": 255
+                },
+                "example": "Business Partner"
+            },
+            {
+                "name": "shortDescription",
+                "description": "Plain text short description.",
+                "requirement": "OPTIONAL",
+                "type": "string",
+                "details": "Plain text short description.\n\nMUST NOT exceed 255 chars.\nMUST NOT contain line breaks.",
+                "constraints": {
+                    "minLength": 1,
+                    "maxLength": 255
+                },
+                "example": "A business partner is a person, an organization, or a group of persons or organizations in which a company has a business interest."
+            },
+            {
+                "name": "description",
+                "description": "Full description, notated in CommonMark (Markdown).",
+                "requirement": "OPTIONAL",
+                "type": "string",
+                "details": "Full description, notated in CommonMark (Markdown).\n\nThe description SHOULD not be excessive in length and is not meant to provide full documentation.\nDetailed documentation SHOULD be attached as (typed) links.",
+                "constraints": {
+                    "minLength": 1
+                },
+                "example": "A business partner is a person, an organization, or a group of persons or organizations in which a company has a business interest.\n"
+            },
+            {
+                "name": "partOfPackage",
+                "description": "Defines which Package the resource is part of.",
+                "requirement": "MANDATORY",
+                "type": "string",
+                "pattern": "^([a-z0-9]+(?:[.][a-z0-9]+)*):(package):([a-zA-Z0-9._\\-]+):(v0|v[1-9][0-9]*)$",
+                "details": "Defines which Package the resource is part of.\n\nMUST be a valid reference to a Package ORD ID.\n\nEvery resource MUST be part of one package.",
+                "constraints": {
+                    "maxLength": 255
+                },
+                "relatedConcepts": [
+                    "Package"
+                ],
+                "example": "sap.xref:package:SomePackage:v1"
+            },
+            {
+                "name": "partOfGroups",
+                "description": "Defines which groups the resource is assigned to.",
+                "requirement": "OPTIONAL",
+                "type": "array<string>",
+                "pattern": "^([a-z0-9]+(?:[.][a-z0-9]+)*):([a-zA-Z0-9._\\-\\/]+):([a-z0-9]+(?:[.][a-z0-9]+)*):([a-zA-Z0-9._\\-\\/]+)$",
+                "details": "Defines which groups the resource is assigned to.\n\nThe property is optional, but if given the value MUST be an array of valid Group IDs.\n\nGroups are a lightweight custom taxonomy concept.\nThey express a \"part of\" relationship to the chosen group concept.\nIf an \"identity / equals\" relationship needs to be expressed, use the `correlationIds` instead.\n\nAll resources that share the same group ID assignment are effectively grouped together.",
+                "relatedConcepts": [
+                    "Group"
+                ]
+            },
+            {
+                "name": "partOfProducts",
+                "description": "List of products the resources of the Package are a part of.",
+                "requirement": "OPTIONAL",
+                "type": "array<string>",
+                "pattern": "^([a-z0-9]+(?:[.][a-z0-9]+)*):(product):([a-zA-Z0-9._\\-]+):()$",
+                "details": "List of products the resources of the Package are a part of.\n\nMUST be a valid reference to a Product ORD ID.\n\n`partOfProducts` that are assigned to a `Package` are inherited to all of the ORD resources it contains.",
+                "constraints": {
+                    "minItems": 0,
+                    "items.maxLength": 255
+                },
+                "relatedConcepts": [
+                    "Product"
+                ],
+                "example": [
+                    "sap:product:S4HANA_OD:"
+                ]
+            },
+            {
+                "name": "version",
+                "description": "The complete SemVer version string.",
+                "requirement": "MANDATORY",
+                "type": "string",
+                "pattern": "^(0|[1-9]\\d*)\\.(0|[1-9]\\d*)\\.(0|[1-9]\\d*)(?:-((?:0|[1-9]\\d*|\\d*[a-zA-Z-][0-9a-zA-Z-]*)(?:\\.(?:0|[1-9]\\d*|\\d*[a-zA-Z-][0-9a-zA-Z-]*))*))?(?:\\+([0-9a-zA-Z-]+(?:\\.[0-9a-zA-Z-]+)*))?$",
+                "details": "The complete SemVer version string.\n\nIt MUST follow the Semantic Versioning 2.0.0 standard.\nIt SHOULD be changed if the ORD information or referenced resource definitions changed.\nIt SHOULD express minor and patch changes that don't lead to incompatible changes.\n\nWhen the `version` major version changes, the ORD ID `<majorVersion>` fragment MUST be updated to be identical.\nIn case that a resource definition file also contains a version number (e.g. OpenAPI `info`.`version`), it MUST be equal with the resource `version` to avoid inconsistencies.\n\nIf the resource has been extended by the user, the change MUST be indicated via `lastUpdate`.\nThe `version` MUST not be bumped for changes in extensions.\n\nThe general Version and Lifecycle flow MUST be followed.\n\nNote: A change is only relevant for a version increment, if it affects the ORD resource or ORD taxonomy directly.\nFor example: If a resource within a `Package` changes, but the Package itself did not, the Package version does not need to be incremented.",
+                "example": "1.2.3"
+            },
+            {
+                "name": "lastUpdate",
+                "description": "Optional, but RECOMMENDED indicator when (date-time) the last change to the resource (including its definitions) happened.",
+                "requirement": "RECOMMENDED",
+                "type": "string",
+                "details": "Optional, but RECOMMENDED indicator when (date-time) the last change to the resource (including its definitions) happened.\n\nThe date format MUST comply with RFC 3339, section 5.6.\n\nWhen retrieved from an ORD aggregator, `lastUpdate` will be reliable there and reflect either the provider based update time or the aggregator processing time.\nTherefore consumers MAY rely on it to detect changes to the metadata and the attached resource definition files.\n\nIf the resource has attached definitions, either the `version` or `lastUpdate` property MUST be defined and updated to let the ORD aggregator know that they need to be fetched again.\n\nTogether with `perspectives`, this property SHOULD be used to optimize the metadata crawling process of the ORD aggregators.",
+                "constraints": {
+                    "format": "date-time",
+                    "introducedInVersion": "1.4.0"
+                },
+                "example": "2022-12-19T15:47:04+00:00"
+            },
+            {
+                "name": "visibility",
+                "description": "The visibility states who is allowed to \"see\" the described resource or capability.",
+                "requirement": "MANDATORY",
+                "type": "string",
+                "enum": [
+                    "public",
+                    "internal",
+                    "private"
+                ],
+                "enumDescriptions": {
+                    "public": "Publicly visible to customers and 3rd parties.",
+                    "internal": "Visible to other applications within the same vendor.",
+                    "private": "Visible only to the provider application or service, usually within the same system namespace / system type."
+                }
+            },
+            {
+                "name": "releaseStatus",
+                "description": "The `releaseStatus` specifies the stability of the resource and its external contract.",
+                "requirement": "MANDATORY",
+                "type": "string",
+                "enum": [
+                    "beta",
+                    "active",
+                    "deprecated",
+                    "sunset"
+                ],
+                "enumDescriptions": {
+                    "beta": "The contract for the resource is beta and may not be meant for productive use.",
+                    "active": "Resource is meant for productive use and provides a stable API contract.",
+                    "deprecated": "Resource has been deprecated.",
+                    "sunset": "Resource has been sunset, but is still described."
+                },
+                "example": "active"
+            },
+            {
+                "name": "deprecationDate",
+                "description": "The deprecation date defines when the resource has been set as deprecated.",
+                "requirement": "OPTIONAL",
+                "type": "string",
+                "details": "The deprecation date defines when the resource has been set as deprecated.\nThis is not to be confused with the `sunsetDate` which defines when the resource will be actually sunset, aka. decommissioned / removed / archived.\n\nThe date format MUST comply with RFC 3339, section 5.6.",
+                "constraints": {
+                    "format": "date-time"
+                },
+                "example": "2020-12-08T15:47:04+00:00"
+            },
+            {
+                "name": "sunsetDate",
+                "description": "The sunset date defines when the resource is scheduled to be decommissioned / removed / archived.",
+                "requirement": "OPTIONAL",
+                "type": "string",
+                "details": "The sunset date defines when the resource is scheduled to be decommissioned / removed / archived.\n\nIf the `releaseStatus` is set to `deprecated`, the `sunsetDate` SHOULD be provided (if already known).\nOnce the sunset date is known and ready to be communicated externally, it MUST be provided here.\n\nThe date format MUST comply with RFC 3339, section 5.6.",
+                "constraints": {
+                    "format": "date-time"
+                },
+                "example": "2022-01-08T15:47:04+00:00"
+            },
+            {
+                "name": "successors",
+                "description": "The successor resource(s).",
+                "requirement": "OPTIONAL",
+                "type": "array<string>",
+                "pattern": "^([a-z0-9]+(?:[.][a-z0-9]+)*):(entityType):([a-zA-Z0-9._\\-]+):(v0|v[1-9][0-9]*)$",
+                "details": "The successor resource(s).\n\nMUST be a valid reference to an ORD ID.\n\nIf the `releaseStatus` is set to `deprecated`, `successors` MUST be provided if one exists.\nIf `successors` is given, the described resource SHOULD set its `releaseStatus` to `deprecated`.",
+                "constraints": {
+                    "items.maxLength": 255
+                },
+                "relatedConcepts": [
+                    "EntityType"
+                ],
+                "example": [
+                    "sap.odm:entityType:BusinessPartner:v2"
+                ]
+            },
+            {
+                "name": "changelogEntries",
+                "description": "Contains changelog entries that summarize changes with special regards to version and releaseStatus",
+                "requirement": "OPTIONAL",
+                "type": "array<ChangelogEntry>",
+                "structure": [
+                    {
+                        "name": "version",
+                        "description": "Full version number that corresponds to the `version` that is described by the changelog entry.",
+                        "requirement": "MANDATORY",
+                        "type": "string"
+                    },
+                    {
+                        "name": "releaseStatus",
+                        "description": "The `releaseStatus` specifies the stability of the resource and its external contract.",
+                        "requirement": "MANDATORY",
+                        "type": "string",
+                        "enum": [
+                            "beta",
+                            "active",
+                            "deprecated",
+                            "sunset"
+                        ]
+                    },
+                    {
+                        "name": "date",
+                        "description": "Date of change, without time or timezone information.",
+                        "requirement": "MANDATORY",
+                        "type": "string"
+                    },
+                    {
+                        "name": "description",
+                        "description": "Full description, notated in CommonMark (Markdown).",
+                        "requirement": "OPTIONAL",
+                        "type": "string"
+                    },
+                    {
+                        "name": "url",
+                        "description": "Optional URL that links to a more detailed changelog entry.",
+                        "requirement": "OPTIONAL",
+                        "type": "string"
+                    }
+                ]
+            },
+            {
+                "name": "level",
+                "description": "Defining the abstraction level of the entity type using the DDD terminology.",
+                "requirement": "MANDATORY",
+                "type": "string",
+                "enum": [
+                    "aggregate",
+                    "root-entity",
+                    "sub-entity"
+                ],
+                "details": "Defining the abstraction level of the entity type using the DDD terminology.\n\nIn Domain-Driven Design, there is a concept of entities and aggregates.\nThere are root entities which may contain further sub entities by composition.\nThe complete \"package\" is then called an aggregate, which gets its name and identity from the root entity.\nAn aggregate is a cluster of domain objects that can be treated as a single unit.\nThe root is the entity that is referenced from outside the aggregate. There must be only one root per aggregate.\nThe root ensures the integrity of the aggregate. A sub entity is any other non-root entity in the aggregate.\n\nSource, see Martin Fowler on DDD Aggregate",
+                "enumDescriptions": {
+                    "aggregate": "An aggregate is the combined tree of entity types (combined via composition).",
+                    "root-entity": "Represents only the root entity (aka DDD aggregate root).",
+                    "sub-entity": "Represents an individual sub entity (aka composite entity)."
+                },
+                "example": "aggregate"
+            },
+            {
+                "name": "relatedEntityTypes",
+                "description": "States that this Entity Type is related to another Entity Type.",
+                "requirement": "OPTIONAL",
+                "type": "array<RelatedEntityType>",
+                "details": "States that this Entity Type is related to another Entity Type.\n\nUsually this happens if there are similar conceptual entity types across different namespaces.",
+                "constraints": {
+                    "introducedInVersion": "1.9.0"
+                },
+                "relatedConcepts": [
+                    "EntityType"
+                ],
+                "structure": [
+                    {
+                        "name": "ordId",
+                        "description": "The ORD ID is a stable, globally unique ID for ORD resources or taxonomy.",
+                        "requirement": "MANDATORY",
+                        "type": "string",
+                        "pattern": "^([a-z0-9]+(?:[.][a-z0-9]+)*):(entityType):([a-zA-Z0-9._\\-]+):(v0|v[1-9][0-9]*)$"
+                    },
+                    {
+                        "name": "relationType",
+                        "description": "Optional type of the relationship, which defines a stricter semantic what the relationship implies.",
+                        "requirement": "OPTIONAL",
+                        "type": "string",
+                        "enum": [
+                            "part-of",
+                            "can-share-identity"
+                        ]
+                    }
+                ],
+                "example": [
+                    {
+                        "ordId": "sap.odm:entityType:WorkforcePerson:v1"
+                    }
+                ]
+            },
+            {
+                "name": "links",
+                "description": "Generic Links with arbitrary meaning and content.",
+                "requirement": "OPTIONAL",
+                "type": "array<Link>",
+                "structure": [
+                    {
+                        "name": "title",
+                        "description": "Human readable title of the link.",
+                        "requirement": "MANDATORY",
+                        "type": "string"
+                    },
+                    {
+                        "name": "url",
+                        "description": "URL of the link.",
+                        "requirement": "MANDATORY",
+                        "type": "string"
+                    },
+                    {
+                        "name": "description",
+                        "description": "Full description, notated in CommonMark (Markdown)",
+                        "requirement": "OPTIONAL",
+                        "type": "string"
+                    }
+                ]
+            },
+            {
+                "name": "extensible",
+                "description": "Contains information about the extensibility of this resource.",
+                "requirement": "OPTIONAL",
+                "type": "Extensible",
+                "details": "Contains information about the extensibility of this resource.\n\nIf applicable, a description and further resources about extending this resource are provided.",
+                "structure": [
+                    {
+                        "name": "supported",
+                        "description": "This property defines whether the resource is extensible.",
+                        "requirement": "MANDATORY",
+                        "type": "string",
+                        "enum": [
+                            "no",
+                            "manual",
+                            "automatic"
+                        ]
+                    },
+                    {
+                        "name": "description",
+                        "description": "A description about the extensibility capabilities of this API, notated in CommonMark (Markdown).",
+                        "requirement": "OPTIONAL",
+                        "type": "string"
+                    }
+                ]
+            },
+            {
+                "name": "tags",
+                "description": "List of free text style tags.",
+                "requirement": "OPTIONAL",
+                "type": "array<string>",
+                "pattern": "^[a-zA-Z0-9-_.\\/ ]*$",
+                "details": "List of free text style tags.\nNo special characters are allowed except `-`, `_`, `.`, `/` and ` `.\n\nTags that are assigned to a `Package` are inherited to all of the ORD resources it contains.",
+                "constraints": {
+                    "items.minLength": 1
+                },
+                "example": [
+                    "storage",
+                    "high-availability"
+                ]
+            },
+            {
+                "name": "labels",
+                "description": "Generic labels that can be applied to most ORD information.",
+                "requirement": "OPTIONAL",
+                "type": "Labels",
+                "details": "Generic labels that can be applied to most ORD information.\nThey are defined as an object that may have arbitrary keys.\nThe value of a key is an array of strings.\n\nLabels can be used to attach technical information that cannot be expressed natively in ORD.\nAn ORD aggregator should allow to categorize and query information based on the labels provided.\n\nIf multiple parties rely on the existence of certain label information,\nstandardization through ORD SHOULD be preferred.\n\nAll labels attached to a `Package` will be inherited to the resources they contain.\nDuplicate labels will be merged by the ORD aggregator according to the following rules:\n* Values of the same label key will be merged.\n* Duplicate values of the same label key will be removed."
+            },
+            {
+                "name": "documentationLabels",
+                "description": "Generic documentation labels that can be applied to most ORD information.",
+                "requirement": "OPTIONAL",
+                "type": "DocumentationLabels",
+                "details": "Generic documentation labels that can be applied to most ORD information.\nThey are defined as an object that may have arbitrary keys.\nThe value of a key is an array of CommonMark (Markdown) text.\n\nDocumentation Labels can be used to attach human readable documentation that cannot be expressed natively in ORD.\nA documentation tool (like an API Catalog) can use the documentation labels to provide generic documentation \"snippets\".\nDue to the given structure they can be displayed e.g. as tables.\n\nThe key of the documentation Label is plain-text (MUST not contain line breaks) and denotes the subject matter that is described.\nThe values (multiple can be provided for the same key) are CommonMark (Markdown) text\nwhich describes the subject matter or lists options for the key.\n\nIn contrast to regular labels, documentation labels are not meant to be used to categorize or query information."
+            },
+            {
+                "name": "policyLevel",
+                "description": "The policy level (aka.",
+                "requirement": "OPTIONAL",
+                "type": "string",
+                "enum": [
+                    "none",
+                    "custom"
+                ],
+                "pattern": "^([a-z0-9]+(?:[.][a-z0-9]+)*):([a-zA-Z0-9._\\-]+):(v0|v[1-9][0-9]*)$",
+                "details": "The policy level (aka. compliance level) that the described resources need to be compliant with.\nDepending on the chosen policy level, additional expectations and validations rules will be applied.\n\nThe policy level can be defined on ORD Document level, but also be overwritten on an individual package or resource level.",
+                "enumDescriptions": {
+                    "none": "No policy level chosen.",
+                    "custom": "Custom policy level."
+                },
+                "constraints": {
+                    "default": "none",
+                    "introducedInVersion": "1.3.0"
+                },
+                "example": "sap:core:v1"
+            },
+            {
+                "name": "customPolicyLevel",
+                "description": "If the fixed `policyLevel` values need to be extended, an arbitrary `customPolicyLevel` can be provided.",
+                "requirement": "OPTIONAL",
+                "type": "string",
+                "pattern": "^([a-z0-9]+(?:[.][a-z0-9]+)*):([a-zA-Z0-9._\\-]+):(v0|v[1-9][0-9]*)$",
+                "details": "If the fixed `policyLevel` values need to be extended, an arbitrary `customPolicyLevel` can be provided.\nThe policy level is inherited from packages to resources they contain, but can be overwritten at resource level.\n\nMUST only be provided if `policyLevel` is set to `custom`.\nMUST be a valid Specification ID.",
+                "constraints": {
+                    "maxLength": 255,
+                    "introducedInVersion": "1.3.0"
+                },
+                "example": "sap.xref:customPolicy:v1"
+            },
+            {
+                "name": "policyLevels",
+                "description": "A list of policy levels that the described resources need to be compliant with.",
+                "requirement": "OPTIONAL",
+                "type": "array<string>",
+                "pattern": "^([a-z0-9]+(?:[.][a-z0-9]+)*):([a-zA-Z0-9._\\-]+):(v0|v[1-9][0-9]*)$",
+                "details": "A list of policy levels that the described resources need to be compliant with.\nFor each chosen policy level, additional expectations and validations rules will be applied.\n\nPolicy levels can be defined on ORD Document level, but also be overwritten on an individual package or resource level.\n\nA policy level MUST be a valid Specification ID.",
+                "constraints": {
+                    "introducedInVersion": "1.9.9",
+                    "items.maxLength": 255
+                },
+                "example": "sap:core:v1"
+            },
+            {
+                "name": "systemInstanceAware",
+                "description": "Defines whether this ORD resource is system-instance-aware.",
+                "requirement": "OPTIONAL",
+                "type": "boolean",
+                "details": "Defines whether this ORD resource is **system-instance-aware**.\nThis is the case when the referenced resource definitions are potentially different between **system instances**.\n\nIf this behavior applies, `systemInstanceAware` MUST be set to true.\nAn ORD aggregator MUST then fetch the referenced resource definitions for _each_ **system instance** individually.\n\nThis concept is now **deprecated** in favor of the more explicit `perspective` attribute.\nAll resources that are system-instance-aware should ideally be put into a dedicated ORD document with `perspective`: `system-instance`.\n\nFor more details, see perspectives concept page or the specification section.",
+                "constraints": {
+                    "default": false
+                },
+                "example": true
+            }
+        ]
+    },
+    "Capability": {
+        "description": "Capabilities can be used to describe use case specific capabilities, most notably supported features or additional information (like configuration) that needs to be understood from outside. This is a generic ORD concept that aims to cover many different capability discovery use cases that would otherwise need be implemented as individual service provider interfaces (SPIs).",
+        "documentArray": "capabilities",
+        "example": {
+            "ordId": "sap.s4:capability:fieldExtensibility:v1",
+            "type": "custom",
+            "customType": "sap:field-extensibility:v1",
+            "title": "Field Extensibility",
+            "shortDescription": "Capability to extend business objects with custom fields",
+            "partOfPackage": "sap.s4:package:Extensibility:v1",
+            "version": "1.0.0",
+            "visibility": "public",
+            "releaseStatus": "active"
+        },
+        "keyProperties": [
+            {
+                "name": "ordId",
+                "description": "The ORD ID is a stable, globally unique ID for ORD resources or taxonomy.",
+                "requirement": "MANDATORY",
+                "type": "string",
+                "pattern": "^([a-z0-9]+(?:[.][a-z0-9]+)*):(capability):([a-zA-Z0-9._\\-]+):(v0|v[1-9][0-9]*)$",
+                "details": "The ORD ID is a stable, globally unique ID for ORD resources or taxonomy.\n\nIt MUST be a valid ORD ID of the appropriate ORD type.",
+                "constraints": {
+                    "maxLength": 255
+                },
+                "example": "sap.foo.bar:capability:fieldExtensibility:v1"
+            },
+            {
+                "name": "localId",
+                "description": "The locally unique ID under which this resource can be looked up / resolved in the described system itself.",
+                "requirement": "OPTIONAL",
+                "type": "string",
+                "details": "The locally unique ID under which this resource can be looked up / resolved in the described system itself.\nUnlike the ORD ID it's not globally unique, but it may be useful to document the original ID / technical name.\n\nIt MAY also be used as the `<resourceName>` fragment in the ORD ID, IF it can fulfill the charset and length limitations within the ORD ID.\nBut since this is not always possible, no assumptions MUST be made about the local ID being the same as the `<resourceName>` fragment in the ORD ID.",
+                "constraints": {
+                    "maxLength": 255,
+                    "introducedInVersion": "1.2.1"
+                },
+                "example": "SuccessFactorsRecruiting"
+            },
+            {
+                "name": "correlationIds",
+                "description": "Correlation IDs can be used to create a reference to related data in other repositories (especially to the system of record).",
+                "requirement": "OPTIONAL",
+                "type": "array<string>",
+                "pattern": "^([a-z0-9]+(?:[.][a-z0-9]+)*):([a-zA-Z0-9._\\-\\/]+):([a-zA-Z0-9._\\-\\/]+)$",
+                "details": "Correlation IDs can be used to create a reference to related data in other repositories (especially to the system of record).\n\nThey express an \"identity\" / \"equals\" / \"mappable\" relationship to the target ID.\n\nIf a \"part of\" relationship needs to be expressed, use the `partOfGroups` assignment instead.\n\nMUST be a valid Correlation ID.",
+                "constraints": {
+                    "items.maxLength": 255
+                },
+                "example": [
+                    "sap.s4:communicationScenario:SAP_COM_0008"
+                ]
+            },
+            {
+                "name": "type",
+                "description": "Type of the Capability",
+                "requirement": "MANDATORY",
+                "type": "string",
+                "enum": [
+                    "sap.mdo:mdi-capability:v1",
+                    "custom"
+                ],
+                "pattern": "^([a-z0-9]+(?:[.][a-z0-9]+)*):([a-zA-Z0-9._\\-]+):(v0|v[1-9][0-9]*)$",
+                "enumDescriptions": {
+                    "sap.mdo:mdi-capability:v1": "Capability for SAP Master Data Integration (MDI).",
+                    "custom": "If chosen, `customType` MUST be provided."
+                },
+                "example": "custom"
+            },
+            {
+                "name": "customType",
+                "description": "If the fixed `type` enum values need to be extended, an arbitrary `customType` can be provided.",
+                "requirement": "OPTIONAL",
+                "type": "string",
+                "pattern": "^([a-z0-9]+(?:[.][a-z0-9]+)*):([a-zA-Z0-9._\\-]+):(v0|v[1-9][0-9]*)$",
+                "details": "If the fixed `type` enum values need to be extended, an arbitrary `customType` can be provided.\n\nMUST be a valid Specification ID.\n\nMUST only be provided if `type` is set to `custom`.",
+                "constraints": {
+                    "maxLength": 255
+                },
+                "example": "sap:custom-definition-format:v1"
+            },
+            {
+                "name": "title",
+                "description": "Human-readable title.",
+                "requirement": "MANDATORY",
+                "type": "string",
+                "details": "Human-readable title.\n\nMUST NOT exceed 255 chars.\nMUST NOT contain line breaks.",
+                "constraints": {
+                    "minLength": 1,
+                    "maxLength": 255
+                },
+                "example": "MDI Capability"
+            },
+            {
+                "name": "shortDescription",
+                "description": "Plain text short description.",
+                "requirement": "OPTIONAL",
+                "type": "string",
+                "details": "Plain text short description.\n\nMUST NOT exceed 255 chars.\nMUST NOT contain line breaks.",
+                "constraints": {
+                    "minLength": 1,
+                    "maxLength": 255
+                },
+                "example": "SAP S/4HANA Cloud, our next generation cloud ERP suite designed for in-memory computing."
+            },
+            {
+                "name": "description",
+                "description": "Full description, notated in CommonMark (Markdown).",
+                "requirement": "OPTIONAL",
+                "type": "string",
+                "details": "Full description, notated in CommonMark (Markdown).\n\nThe description SHOULD not be excessive in length and is not meant to provide full documentation.\nDetailed documentation SHOULD be attached as (typed) links.",
+                "constraints": {
+                    "minLength": 1
+                },
+                "example": "SAP S/4HANA Cloud, our next generation cloud ERP suite designed for\nin-memory computing, acts as a digital core, connecting your\nenterprise with people, business networks, the Internet of Things,\nBig Data, and more.\n"
+            },
+            {
+                "name": "partOfPackage",
+                "description": "Defines which Package the resource is part of.",
+                "requirement": "MANDATORY",
+                "type": "string",
+                "pattern": "^([a-z0-9]+(?:[.][a-z0-9]+)*):(package):([a-zA-Z0-9._\\-]+):(v0|v[1-9][0-9]*)$",
+                "details": "Defines which Package the resource is part of.\n\nMUST be a valid reference to a Package ORD ID.\n\nEvery resource MUST be part of one package.",
+                "constraints": {
+                    "maxLength": 255
+                },
+                "relatedConcepts": [
+                    "Package"
+                ],
+                "example": "sap.xref:package:SomePackage:v1"
+            },
+            {
+                "name": "partOfGroups",
+                "description": "Defines which groups the resource is assigned to.",
+                "requirement": "OPTIONAL",
+                "type": "array<string>",
+                "pattern": "^([a-z0-9]+(?:[.][a-z0-9]+)*):([a-zA-Z0-9._\\-\\/]+):([a-z0-9]+(?:[.][a-z0-9]+)*):([a-zA-Z0-9._\\-\\/]+)$",
+                "details": "Defines which groups the resource is assigned to.\n\nThe property is optional, but if given the value MUST be an array of valid Group IDs.\n\nGroups are a lightweight custom taxonomy concept.\nThey express a \"part of\" relationship to the chosen group concept.\nIf an \"identity / equals\" relationship needs to be expressed, use the `correlationIds` instead.\n\nAll resources that share the same group ID assignment are effectively grouped together.",
+                "relatedConcepts": [
+                    "Group"
+                ]
+            },
+            {
+                "name": "version",
+                "description": "The complete SemVer version string.",
+                "requirement": "MANDATORY",
+                "type": "string",
+                "pattern": "^(0|[1-9]\\d*)\\.(0|[1-9]\\d*)\\.(0|[1-9]\\d*)(?:-((?:0|[1-9]\\d*|\\d*[a-zA-Z-][0-9a-zA-Z-]*)(?:\\.(?:0|[1-9]\\d*|\\d*[a-zA-Z-][0-9a-zA-Z-]*))*))?(?:\\+([0-9a-zA-Z-]+(?:\\.[0-9a-zA-Z-]+)*))?$",
+                "details": "The complete SemVer version string.\n\nIt MUST follow the Semantic Versioning 2.0.0 standard.\nIt SHOULD be changed if the ORD information or referenced resource definitions changed.\nIt SHOULD express minor and patch changes that don't lead to incompatible changes.\n\nWhen the `version` major version changes, the ORD ID `<majorVersion>` fragment MUST be updated to be identical.\nIn case that a resource definition file also contains a version number (e.g. OpenAPI `info`.`version`), it MUST be equal with the resource `version` to avoid inconsistencies.\n\nIf the resource has been extended by the user, the change MUST be indicated via `lastUpdate`.\nThe `version` MUST not be bumped for changes in extensions.\n\nThe general Version and Lifecycle flow MUST be followed.\n\nNote: A change is only relevant for a version increment, if it affects the ORD resource or ORD taxonomy directly.\nFor example: If a resource within a `Package` changes, but the Package itself did not, the Package version does not need to be incremented.",
+                "example": "1.2.3"
+            },
+            {
+                "name": "lastUpdate",
+                "description": "Optional, but RECOMMENDED indicator when (date-time) the last change to the resource (including its definitions) happened.",
+                "requirement": "RECOMMENDED",
+                "type": "string",
+                "details": "Optional, but RECOMMENDED indicator when (date-time) the last change to the resource (including its definitions) happened.\n\nThe date format MUST comply with RFC 3339, section 5.6.\n\nWhen retrieved from an ORD aggregator, `lastUpdate` will be reliable there and reflect either the provider based update time or the aggregator processing time.\nTherefore consumers MAY rely on it to detect changes to the metadata and the attached resource definition files.\n\nIf the resource has attached definitions, either the `version` or `lastUpdate` property MUST be defined and updated to let the ORD aggregator know that they need to be fetched again.\n\nTogether with `perspectives`, this property SHOULD be used to optimize the metadata crawling process of the ORD aggregators.",
+                "constraints": {
+                    "format": "date-time",
+                    "introducedInVersion": "1.4.0"
+                },
+                "example": "2022-12-19T15:47:04+00:00"
+            },
+            {
+                "name": "visibility",
+                "description": "The visibility states who is allowed to \"see\" the described resource or capability.",
+                "requirement": "MANDATORY",
+                "type": "string",
+                "enum": [
+                    "public",
+                    "internal",
+                    "private"
+                ],
+                "enumDescriptions": {
+                    "public": "Publicly visible to customers and 3rd parties.",
+                    "internal": "Visible to other applications within the same vendor.",
+                    "private": "Visible only to the provider application or service, usually within the same system namespace / system type."
+                }
+            },
+            {
+                "name": "releaseStatus",
+                "description": "The `releaseStatus` specifies the stability of the resource and its external contract.",
+                "requirement": "MANDATORY",
+                "type": "string",
+                "enum": [
+                    "beta",
+                    "active",
+                    "deprecated",
+                    "sunset"
+                ],
+                "enumDescriptions": {
+                    "beta": "The contract for the resource is beta and may not be meant for productive use.",
+                    "active": "Resource is meant for productive use and provides a stable API contract.",
+                    "deprecated": "Resource has been deprecated.",
+                    "sunset": "Resource has been sunset, but is still described."
+                },
+                "example": "active"
+            },
+            {
+                "name": "disabled",
+                "description": "Indicates that this resource is currently not available for consumption at runtime, but could be configured to be so.",
+                "requirement": "OPTIONAL",
+                "type": "boolean",
+                "details": "Indicates that this resource is currently not available for consumption at runtime, but could be configured to be so.\nThis can happen either because it has not been setup for use or disabled by an admin / user.\n\nIf the resource is not available in principle for a particular system instance, e.g. due to lack of entitlement, it MUST not be described in the system-instance-aware perspective.\n\nThis property can only reflect the knowledge of the described system instance itself.\nOutside factors for availability can't need to be considered (e.g. network connectivity, middlewares).\n\nA disabled resource MAY skip describing its resource definitions.",
+                "constraints": {
+                    "default": false
+                }
+            },
+            {
+                "name": "minSystemVersion",
+                "description": "The resource has been introduced in the given system version.",
+                "requirement": "OPTIONAL",
+                "type": "string",
+                "pattern": "^(0|[1-9]\\d*)\\.(0|[1-9]\\d*)\\.(0|[1-9]\\d*)(?:-((?:0|[1-9]\\d*|\\d*[a-zA-Z-][0-9a-zA-Z-]*)(?:\\.(?:0|[1-9]\\d*|\\d*[a-zA-Z-][0-9a-zA-Z-]*))*))?(?:\\+([0-9a-zA-Z-]+(?:\\.[0-9a-zA-Z-]+)*))?$",
+                "details": "The resource has been introduced in the given system version.\nThis implies that the resource is only available if the system instance is of at least that system version.\n\nIt MUST follow the Semantic Versioning 2.0.0 standard.",
+                "constraints": {
+                    "introducedInVersion": "1.10.0"
+                },
+                "example": "1.2.3"
+            },
+            {
+                "name": "relatedEntityTypes",
+                "description": "Optional list of related EntityType Resources.",
+                "requirement": "OPTIONAL",
+                "type": "array<string>",
+                "pattern": "^([a-z0-9]+(?:[.][a-z0-9]+)*):(entityType):([a-zA-Z0-9._\\-]+):(v0|v[1-9][0-9]*)$",
+                "details": "Optional list of related EntityType Resources.\nMUST be a valid reference to an EntityType Resource ORD ID.",
+                "relatedConcepts": [
+                    "EntityType"
+                ],
+                "example": [
+                    "sap.odm:entityType:WorkforcePerson:v1"
+                ]
+            },
+            {
+                "name": "definitions",
+                "description": "List of available machine-readable definitions, which describe the resource or capability in detail.",
+                "requirement": "OPTIONAL",
+                "type": "array<CapabilityDefinition>",
+                "details": "List of available machine-readable definitions, which describe the resource or capability in detail.\nSee also Resource Definitions for more context.\n\nEach definition is to be understood as an alternative description format, describing the same resource / capability.\nAs a consequence the same definition type MUST NOT be provided more than once.\nThe exception is when the same definition type is provided more than once, but with a different `visibility`.\n\nIt is RECOMMENDED to provide the definitions as they enable machine-readable use cases.\nIf the definitions are added or changed, the `version` MUST be incremented.\nAn ORD aggregator MAY only (re)fetch the definitions again when the `version` was incremented.",
+                "structure": [
+                    {
+                        "name": "type",
+                        "description": "Type of the capability resource definition",
+                        "requirement": "MANDATORY",
+                        "type": "string",
+                        "enum": [
+                            "sap.mdo:mdi-capability-definition:v1",
+                            "custom"
+                        ],
+                        "pattern": "^([a-z0-9]+(?:[.][a-z0-9]+)*):([a-zA-Z0-9._\\-]+):(v0|v[1-9][0-9]*)$"
+                    },
+                    {
+                        "name": "customType",
+                        "description": "If the fixed `type` enum values need to be extended, an arbitrary `customType` can be provided.",
+                        "requirement": "OPTIONAL",
+                        "type": "string",
+                        "pattern": "^([a-z0-9]+(?:[.][a-z0-9]+)*):([a-zA-Z0-9._\\-]+):(v0|v[1-9][0-9]*)$"
+                    },
+                    {
+                        "name": "mediaType",
+                        "description": "The Media Type of the definition serialization format.",
+                        "requirement": "MANDATORY",
+                        "type": "string",
+                        "enum": [
+                            "application/json",
+                            "application/xml",
+                            "text/yaml",
+                            "text/plain",
+                            "application/octet-stream"
+                        ]
+                    },
+                    {
+                        "name": "url",
+                        "description": "URL reference (URL or relative reference) to the resource definition file.",
+                        "requirement": "MANDATORY",
+                        "type": "string"
+                    },
+                    {
+                        "name": "accessStrategies",
+                        "description": "List of supported access strategies for retrieving metadata from the ORD provider.",
+                        "requirement": "OPTIONAL",
+                        "type": "array<AccessStrategy>"
+                    },
+                    {
+                        "name": "visibility",
+                        "description": "The visibility states who is allowed to \"see\" and access the resource definition, in case it differs from the resource visibility.",
+                        "requirement": "OPTIONAL",
+                        "type": "string",
+                        "enum": [
+                            "public",
+                            "internal",
+                            "private"
+                        ]
+                    }
+                ]
+            },
+            {
+                "name": "links",
+                "description": "Generic Links with arbitrary meaning and content.",
+                "requirement": "OPTIONAL",
+                "type": "array<Link>",
+                "structure": [
+                    {
+                        "name": "title",
+                        "description": "Human readable title of the link.",
+                        "requirement": "MANDATORY",
+                        "type": "string"
+                    },
+                    {
+                        "name": "url",
+                        "description": "URL of the link.",
+                        "requirement": "MANDATORY",
+                        "type": "string"
+                    },
+                    {
+                        "name": "description",
+                        "description": "Full description, notated in CommonMark (Markdown)",
+                        "requirement": "OPTIONAL",
+                        "type": "string"
+                    }
+                ]
+            },
+            {
+                "name": "tags",
+                "description": "List of free text style tags.",
+                "requirement": "OPTIONAL",
+                "type": "array<string>",
+                "pattern": "^[a-zA-Z0-9-_.\\/ ]*$",
+                "details": "List of free text style tags.\nNo special characters are allowed except `-`, `_`, `.`, `/` and ` `.\n\nTags that are assigned to a `Package` are inherited to all of the ORD resources it contains.",
+                "constraints": {
+                    "items.minLength": 1
+                },
+                "example": [
+                    "storage",
+                    "high-availability"
+                ]
+            },
+            {
+                "name": "labels",
+                "description": "Generic labels that can be applied to most ORD information.",
+                "requirement": "OPTIONAL",
+                "type": "Labels",
+                "details": "Generic labels that can be applied to most ORD information.\nThey are defined as an object that may have arbitrary keys.\nThe value of a key is an array of strings.\n\nLabels can be used to attach technical information that cannot be expressed natively in ORD.\nAn ORD aggregator should allow to categorize and query information based on the labels provided.\n\nIf multiple parties rely on the existence of certain label information,\nstandardization through ORD SHOULD be preferred.\n\nAll labels attached to a `Package` will be inherited to the resources they contain.\nDuplicate labels will be merged by the ORD aggregator according to the following rules:\n* Values of the same label key will be merged.\n* Duplicate values of the same label key will be removed."
+            },
+            {
+                "name": "documentationLabels",
+                "description": "Generic documentation labels that can be applied to most ORD information.",
+                "requirement": "OPTIONAL",
+                "type": "DocumentationLabels",
+                "details": "Generic documentation labels that can be applied to most ORD information.\nThey are defined as an object that may have arbitrary keys.\nThe value of a key is an array of CommonMark (Markdown) text.\n\nDocumentation Labels can be used to attach human readable documentation that cannot be expressed natively in ORD.\nA documentation tool (like an API Catalog) can use the documentation labels to provide generic documentation \"snippets\".\nDue to the given structure they can be displayed e.g. as tables.\n\nThe key of the documentation Label is plain-text (MUST not contain line breaks) and denotes the subject matter that is described.\nThe values (multiple can be provided for the same key) are CommonMark (Markdown) text\nwhich describes the subject matter or lists options for the key.\n\nIn contrast to regular labels, documentation labels are not meant to be used to categorize or query information."
+            },
+            {
+                "name": "systemInstanceAware",
+                "description": "Defines whether this ORD resource is system-instance-aware.",
+                "requirement": "OPTIONAL",
+                "type": "boolean",
+                "details": "Defines whether this ORD resource is **system-instance-aware**.\nThis is the case when the referenced resource definitions are potentially different between **system instances**.\n\nIf this behavior applies, `systemInstanceAware` MUST be set to true.\nAn ORD aggregator MUST then fetch the referenced resource definitions for _each_ **system instance** individually.\n\nThis concept is now **deprecated** in favor of the more explicit `perspective` attribute.\nAll resources that are system-instance-aware should ideally be put into a dedicated ORD document with `perspective`: `system-instance`.\n\nFor more details, see perspectives concept page or the specification section.",
+                "constraints": {
+                    "default": false
+                },
+                "example": true
+            }
+        ]
+    },
+    "DataProduct": {
+        "description": "A Data Product is a data set exposed for consumption outside the boundaries of the producing application via APIs and described by high quality metadata that can be accessed through the ORD Aggregator.",
+        "documentArray": "dataProducts",
+        "example": {
+            "ordId": "sap.cic:dataProduct:CustomerOrder:v1",
+            "title": "Customer Order",
+            "shortDescription": "Offering access to all online and offline orders submitted by customers",
+            "description": "Complete customer order dataset with customer view perspective",
+            "partOfPackage": "sap.cic:package:CustomerData:v1",
+            "version": "1.0.0",
+            "visibility": "public",
+            "releaseStatus": "active"
+        },
+        "keyProperties": [
+            {
+                "name": "ordId",
+                "description": "The ORD ID is a stable, globally unique ID for ORD resources or taxonomy.",
+                "requirement": "MANDATORY",
+                "type": "string",
+                "pattern": "^([a-z0-9]+(?:[.][a-z0-9]+)*):(dataProduct):([a-zA-Z0-9._\\-]+):(v0|v[1-9][0-9]*)$",
+                "details": "The ORD ID is a stable, globally unique ID for ORD resources or taxonomy.\n\nIt MUST be a valid ORD ID of the appropriate ORD type.",
+                "constraints": {
+                    "maxLength": 255
+                },
+                "example": "sap.foo.bar:dataProduct:CustomerOrder:v1"
+            },
+            {
+                "name": "localId",
+                "description": "The locally unique ID under which this resource can be looked up / resolved in the described system itself.",
+                "requirement": "OPTIONAL",
+                "type": "string",
+                "details": "The locally unique ID under which this resource can be looked up / resolved in the described system itself.\nUnlike the ORD ID it's not globally unique, but it may be useful to document the original ID / technical name.\n\nIt MAY also be used as the `<resourceName>` fragment in the ORD ID, IF it can fulfill the charset and length limitations within the ORD ID.\nBut since this is not always possible, no assumptions MUST be made about the local ID being the same as the `<resourceName>` fragment in the ORD ID.",
+                "constraints": {
+                    "maxLength": 255,
+                    "introducedInVersion": "1.2.1"
+                },
+                "example": "CustomerOrder"
+            },
+            {
+                "name": "correlationIds",
+                "description": "Correlation IDs can be used to create a reference to related data in other repositories (especially to the system of record).",
+                "requirement": "OPTIONAL",
+                "type": "array<string>",
+                "pattern": "^([a-z0-9]+(?:[.][a-z0-9]+)*):([a-zA-Z0-9._\\-\\/]+):([a-zA-Z0-9._\\-\\/]+)$",
+                "details": "Correlation IDs can be used to create a reference to related data in other repositories (especially to the system of record).\n\nThey express an \"identity\" / \"equals\" / \"mappable\" relationship to the target ID.\n\nIf a \"part of\" relationship needs to be expressed, use the `partOfGroups` assignment instead.\n\nMUST be a valid Correlation ID.",
+                "constraints": {
+                    "featureStatus": "beta",
+                    "items.maxLength": 255
+                },
+                "example": [
+                    "sap.s4:communicationScenario:SAP_COM_0008"
+                ]
+            },
+            {
+                "name": "title",
+                "description": "Human-readable title.",
+                "requirement": "MANDATORY",
+                "type": "string",
+                "details": "Human-readable title.\n\nMUST NOT exceed 255 chars.\nMUST NOT contain line breaks.",
+                "constraints": {
+                    "minLength": 1,
+                    "maxLength": 255
+                },
+                "example": "Customer Order"
+            },
+            {
+                "name": "shortDescription",
+                "description": "Plain text short description.",
+                "requirement": "MANDATORY",
+                "type": "string",
+                "details": "Plain text short description.\n\nMUST NOT exceed 255 chars.\nMUST NOT contain line breaks.",
+                "constraints": {
+                    "minLength": 1,
+                    "maxLength": 255
+                },
+                "example": "Offering access to all online and offline orders submitted by customers"
+            },
+            {
+                "name": "description",
+                "description": "Full description, notated in CommonMark (Markdown).",
+                "requirement": "MANDATORY",
+                "type": "string",
+                "details": "Full description, notated in CommonMark (Markdown).\n\nThe description SHOULD not be excessive in length and is not meant to provide full documentation.\nDetailed documentation SHOULD be attached as (typed) links.",
+                "constraints": {
+                    "minLength": 1
+                },
+                "example": "The data product Customer Order offers access to all online and offline orders submitted by customers. It provides a customer view on the orders. For fulfillment-specific aspects please refer to the data product Fulfillment Order."
+            },
+            {
+                "name": "partOfPackage",
+                "description": "Defines which Package the resource is part of.",
+                "requirement": "MANDATORY",
+                "type": "string",
+                "pattern": "^([a-z0-9]+(?:[.][a-z0-9]+)*):(package):([a-zA-Z0-9._\\-]+):(v0|v[1-9][0-9]*)$",
+                "details": "Defines which Package the resource is part of.\n\nMUST be a valid reference to a Package ORD ID.\n\nEvery resource MUST be part of one package.",
+                "constraints": {
+                    "maxLength": 255
+                },
+                "relatedConcepts": [
+                    "Package"
+                ],
+                "example": "sap.xref:package:SomePackage:v1"
+            },
+            {
+                "name": "partOfGroups",
+                "description": "Defines which groups the resource is assigned to.",
+                "requirement": "OPTIONAL",
+                "type": "array<string>",
+                "pattern": "^([a-z0-9]+(?:[.][a-z0-9]+)*):([a-zA-Z0-9._\\-\\/]+):([a-z0-9]+(?:[.][a-z0-9]+)*):([a-zA-Z0-9._\\-\\/]+)$",
+                "details": "Defines which groups the resource is assigned to.\n\nThe property is optional, but if given the value MUST be an array of valid Group IDs.\n\nGroups are a lightweight custom taxonomy concept.\nThey express a \"part of\" relationship to the chosen group concept.\nIf an \"identity / equals\" relationship needs to be expressed, use the `correlationIds` instead.\n\nAll resources that share the same group ID assignment are effectively grouped together.",
+                "constraints": {
+                    "featureStatus": "beta"
+                },
+                "relatedConcepts": [
+                    "Group"
+                ]
+            },
+            {
+                "name": "partOfProducts",
+                "description": "List of products this Data Product is a part of or is related to, its e.g.",
+                "requirement": "OPTIONAL",
+                "type": "array<string>",
+                "pattern": "^([a-z0-9]+(?:[.][a-z0-9]+)*):(product):([a-zA-Z0-9._\\-]+):()$",
+                "details": "List of products this Data Product is a part of or is related to, its e.g. data source systems.\n\nMUST be a valid reference to a Product ORD ID.\n\n`partOfProducts` that are assigned to a `Package` are inherited to all of the ORD resources it contains.",
+                "constraints": {
+                    "minItems": 0,
+                    "items.maxLength": 255
+                },
+                "relatedConcepts": [
+                    "Product"
+                ],
+                "example": [
+                    "sap:product:S4HANA_OD:"
+                ]
+            },
+            {
+                "name": "version",
+                "description": "The complete SemVer version string.",
+                "requirement": "MANDATORY",
+                "type": "string",
+                "pattern": "^(0|[1-9]\\d*)\\.(0|[1-9]\\d*)\\.(0|[1-9]\\d*)(?:-((?:0|[1-9]\\d*|\\d*[a-zA-Z-][0-9a-zA-Z-]*)(?:\\.(?:0|[1-9]\\d*|\\d*[a-zA-Z-][0-9a-zA-Z-]*))*))?(?:\\+([0-9a-zA-Z-]+(?:\\.[0-9a-zA-Z-]+)*))?$",
+                "details": "The complete SemVer version string.\n\nIt MUST follow the Semantic Versioning 2.0.0 standard.\nIt SHOULD be changed if the ORD information or referenced resource definitions changed.\nIt SHOULD express minor and patch changes that don't lead to incompatible changes.\n\nWhen the `version` major version changes, the ORD ID `<majorVersion>` fragment MUST be updated to be identical.\nIn case that a resource definition file also contains a version number (e.g. OpenAPI `info`.`version`), it MUST be equal with the resource `version` to avoid inconsistencies.\n\nIf the resource has been extended by the user, the change MUST be indicated via `lastUpdate`.\nThe `version` MUST not be bumped for changes in extensions.\n\nThe general Version and Lifecycle flow MUST be followed.\n\nNote: A change is only relevant for a version increment, if it affects the ORD resource or ORD taxonomy directly.\nFor example: If a resource within a `Package` changes, but the Package itself did not, the Package version does not need to be incremented.",
+                "example": "1.2.3"
+            },
+            {
+                "name": "lastUpdate",
+                "description": "Optional, but RECOMMENDED indicator when (date-time) the last change to the resource (including its definitions) happened.",
+                "requirement": "RECOMMENDED",
+                "type": "string",
+                "details": "Optional, but RECOMMENDED indicator when (date-time) the last change to the resource (including its definitions) happened.\n\nThe date format MUST comply with RFC 3339, section 5.6.\n\nWhen retrieved from an ORD aggregator, `lastUpdate` will be reliable there and reflect either the provider based update time or the aggregator processing time.\nTherefore consumers MAY rely on it to detect changes to the metadata and the attached resource definition files.\n\nIf the resource has attached definitions, either the `version` or `lastUpdate` property MUST be defined and updated to let the ORD aggregator know that they need to be fetched again.\n\nTogether with `perspectives`, this property SHOULD be used to optimize the metadata crawling process of the ORD aggregators.",
+                "constraints": {
+                    "format": "date-time",
+                    "introducedInVersion": "1.4.0"
+                },
+                "example": "2022-12-19T15:47:04+00:00"
+            },
+            {
+                "name": "visibility",
+                "description": "The visibility/exposure of the data product.",
+                "requirement": "MANDATORY",
+                "type": "string",
+                "enum": [
+                    "public",
+                    "internal",
+                    "private"
+                ],
+                "details": "The visibility/exposure of the data product. A public data product might have private APIs for trusted consumers therefore the having the property on data product",
+                "enumDescriptions": {
+                    "public": "Publicly visible to customers and 3rd parties.",
+                    "internal": "Visible to other applications within the same vendor.",
+                    "private": "Visible only to the provider application or service, usually within the same system namespace / system type."
+                }
+            },
+            {
+                "name": "releaseStatus",
+                "description": "The `releaseStatus` specifies the stability towards incompatible changes in the future.",
+                "requirement": "MANDATORY",
+                "type": "string",
+                "enum": [
+                    "beta",
+                    "active",
+                    "deprecated",
+                    "sunset"
+                ],
+                "details": "The `releaseStatus` specifies the stability towards incompatible changes in the future.\nIn the context of data products, it it covers only properties on the data product level.\nAPIs that are part of the input and output ports have their own independent `releaseStatus` and `version`.",
+                "enumDescriptions": {
+                    "beta": "The contract for the resource is beta and may not be meant for productive use.",
+                    "active": "Resource is meant for productive use and provides a stable API contract.",
+                    "deprecated": "Resource has been deprecated.",
+                    "sunset": "Resource has been sunset, but is still described."
+                },
+                "example": "active"
+            },
+            {
+                "name": "disabled",
+                "description": "Indicates that this resource is currently not available for consumption at runtime, but could be configured to be so.",
+                "requirement": "OPTIONAL",
+                "type": "boolean",
+                "details": "Indicates that this resource is currently not available for consumption at runtime, but could be configured to be so.\nThis can happen either because it has not been setup for use or disabled by an admin / user.\n\nIf the resource is not available in principle for a particular system instance, e.g. due to lack of entitlement, it MUST not be described in the system-instance-aware perspective.\n\nThis property can only reflect the knowledge of the described system instance itself.\nOutside factors for availability can't need to be considered (e.g. network connectivity, middlewares).\n\nA disabled resource MAY skip describing its resource definitions.",
+                "constraints": {
+                    "default": false,
+                    "featureStatus": "beta"
+                }
+            },
+            {
+                "name": "minSystemVersion",
+                "description": "The resource has been introduced in the given system version.",
+                "requirement": "OPTIONAL",
+                "type": "string",
+                "pattern": "^(0|[1-9]\\d*)\\.(0|[1-9]\\d*)\\.(0|[1-9]\\d*)(?:-((?:0|[1-9]\\d*|\\d*[a-zA-Z-][0-9a-zA-Z-]*)(?:\\.(?:0|[1-9]\\d*|\\d*[a-zA-Z-][0-9a-zA-Z-]*))*))?(?:\\+([0-9a-zA-Z-]+(?:\\.[0-9a-zA-Z-]+)*))?$",
+                "details": "The resource has been introduced in the given system version.\nThis implies that the resource is only available if the system instance is of at least that system version.\n\nIt MUST follow the Semantic Versioning 2.0.0 standard.",
+                "constraints": {
+                    "introducedInVersion": "1.10.0"
+                },
+                "example": "1.2.3"
+            },
+            {
+                "name": "lifecycleStatus",
+                "description": "Lifecycle status of the Data Product as a whole.",
+                "requirement": "OPTIONAL",
+                "type": "string",
+                "enum": [
+                    "inactive",
+                    "provisioning",
+                    "provisioning-error",
+                    "data-loading",
+                    "data-loading-error",
+                    "active",
+                    "active-with-errors",
+                    "deprovisioning",
+                    "deprovisioning-error"
+                ],
+                "details": "Lifecycle status of the Data Product as a whole.\n\nMUST be provided when describing the system-instance-aware (run-time) perspective.\nSHOULD NOT be provided in static (design-time) perspective. Static aggregators MUST ignore this property.",
+                "enumDescriptions": {
+                    "inactive": "The data product is currently inactive, but can be provisioned.",
+                    "provisioning": "The data product is currently being provisioned / installed and is not yet ready to be used.",
+                    "provisioning-error": "The provisioning of the data product failed with error(s).",
+                    "data-loading": "The data product metadata is ready, and data loading is in progress.",
+                    "data-loading-error": "The data product metadata is ready, but errors occurred during data acquisition or transformation.",
+                    "active": "The data product is active / live and can be used by consumers.",
+                    "active-with-errors": "The data product has been successfully provisioned and has gone `active`, but errors prevent proper consumption.",
+                    "deprovisioning": "The data product is being deprovisioned / uninstalled and not available for use anymore.",
+                    "deprovisioning-error": "The deprovisioning of the data product failed with error(s)."
+                },
+                "example": "active"
+            },
+            {
+                "name": "deprecationDate",
+                "description": "The deprecation date defines when the resource has been set as deprecated.",
+                "requirement": "OPTIONAL",
+                "type": "string",
+                "details": "The deprecation date defines when the resource has been set as deprecated.\nThis is not to be confused with the `sunsetDate` which defines when the resource will be actually sunset, aka. decommissioned / removed / archived.\n\nThe date format MUST comply with RFC 3339, section 5.6.",
+                "constraints": {
+                    "format": "date-time",
+                    "featureStatus": "beta"
+                },
+                "example": "2020-12-08T15:47:04+00:00"
+            },
+            {
+                "name": "sunsetDate",
+                "description": "The sunset date defines when the resource is scheduled to be decommissioned / removed / archived.",
+                "requirement": "OPTIONAL",
+                "type": "string",
+                "details": "The sunset date defines when the resource is scheduled to be decommissioned / removed / archived.\n\nIf the `releaseStatus` is set to `deprecated`, the `sunsetDate` SHOULD be provided (if already known).\nOnce the sunset date is known and ready to be communicated externally, it MUST be provided here.\n\nThe date format MUST comply with RFC 3339, section 5.6.",
+                "constraints": {
+                    "format": "date-time",
+                    "featureStatus": "beta"
+                },
+                "example": "2022-01-08T15:47:04+00:00"
+            },
+            {
+                "name": "successors",
+                "description": "The successor resource(s).",
+                "requirement": "OPTIONAL",
+                "type": "array<string>",
+                "pattern": "^([a-z0-9]+(?:[.][a-z0-9]+)*):(dataProduct):([a-zA-Z0-9._\\-]+):(v0|v[1-9][0-9]*)$",
+                "details": "The successor resource(s).\n\nMUST be a valid reference to an ORD ID.\n\nIf the `releaseStatus` is set to `deprecated`, `successors` MUST be provided if one exists.\nIf `successors` is given, the described resource SHOULD set its `releaseStatus` to `deprecated`.",
+                "constraints": {
+                    "featureStatus": "beta",
+                    "items.maxLength": 255
+                },
+                "relatedConcepts": [
+                    "DataProduct"
+                ],
+                "example": [
+                    "sap.foo.bar:dataProduct:CustomerOrder:v1"
+                ]
+            },
+            {
+                "name": "changelogEntries",
+                "description": "Contains changelog entries that summarize changes with special regards to version and releaseStatus",
+                "requirement": "OPTIONAL",
+                "type": "array<ChangelogEntry>",
+                "constraints": {
+                    "featureStatus": "beta"
+                },
+                "structure": [
+                    {
+                        "name": "version",
+                        "description": "Full version number that corresponds to the `version` that is described by the changelog entry.",
+                        "requirement": "MANDATORY",
+                        "type": "string"
+                    },
+                    {
+                        "name": "releaseStatus",
+                        "description": "The `releaseStatus` specifies the stability of the resource and its external contract.",
+                        "requirement": "MANDATORY",
+                        "type": "string",
+                        "enum": [
+                            "beta",
+                            "active",
+                            "deprecated",
+                            "sunset"
+                        ]
+                    },
+                    {
+                        "name": "date",
+                        "description": "Date of change, without time or timezone information.",
+                        "requirement": "MANDATORY",
+                        "type": "string"
+                    },
+                    {
+                        "name": "description",
+                        "description": "Full description, notated in CommonMark (Markdown).",
+                        "requirement": "OPTIONAL",
+                        "type": "string"
+                    },
+                    {
+                        "name": "url",
+                        "description": "Optional URL that links to a more detailed changelog entry.",
+                        "requirement": "OPTIONAL",
+                        "type": "string"
+                    }
+                ]
+            },
+            {
+                "name": "type",
+                "description": "Type of the data product.",
+                "requirement": "MANDATORY",
+                "type": "string",
+                "enum": [
+                    "primary",
+                    "derived"
+                ],
+                "details": "Type of the data product. Based on the type some properties of a data product may become optional/mandatory.",
+                "enumDescriptions": {
+                    "primary": "A producer aligned data product, aka primary data product.",
+                    "derived": "A data product that typically aggregates and combines data from multiple sources to provider value added data sets on top."
+                },
+                "example": "primary"
+            },
+            {
+                "name": "category",
+                "description": "Category of the data-set within data product.",
+                "requirement": "MANDATORY",
+                "type": "string",
+                "enum": [
+                    "business-object",
+                    "analytical",
+                    "other"
+                ],
+                "pattern": "^([a-z0-9]+(?:[.][a-z0-9]+)*):([a-zA-Z0-9._\\-]+):(v0|v[1-9][0-9]*)$",
+                "details": "Category of the data-set within data product. Based on its definition, a data product is a \"data set\" - which can include on the values below.\nBased on the type some properties of a data product may become optional/mandatory.\nConsumers might still do analytics on business object like data products.",
+                "enumDescriptions": {
+                    "business-object": "Business Objects: master data, transaction data",
+                    "analytical": "Analytical data, including cubes, KPIs and metrics",
+                    "other": "Other objects, eg: config data, mixed or just unspecified"
+                },
+                "example": "business-object"
+            },
+            {
+                "name": "entityTypes",
+                "description": "Aggregated list of entity types that are at least partially exposed by the data product.",
+                "requirement": "OPTIONAL",
+                "type": "array<string>",
+                "pattern": "^([a-z0-9]+(?:[.][a-z0-9]+)*):(entityType):([a-zA-Z0-9._\\-]+):(v0|v[1-9][0-9]*)$",
+                "details": "Aggregated list of entity types that are at least partially exposed by the data product. Detailed mapping can be found on the output port schema level.",
+                "constraints": {
+                    "featureStatus": "beta",
+                    "items.maxLength": 255
+                },
+                "relatedConcepts": [
+                    "EntityType"
+                ],
+                "example": [
+                    "sap.odm:entityType:CustomerOrder:v1",
+                    "sap.odm:entityType:BusinessPartner:v1"
+                ]
+            },
+            {
+                "name": "inputPorts",
+                "description": "The input ports of a data product indicate the data inputs for lineage purposes.",
+                "requirement": "OPTIONAL",
+                "type": "array<DataProductInputPort>",
+                "details": "The input ports of a data product indicate the data inputs for lineage purposes.\n\nIt is a list of Integration Dependencies, whose aspects will form the actual input ports.\n\nInput ports can also be understood as the public interface to ingest data into the data product.\nData products of type `derived` consume data through the input ports. Different input ports allowing ingestion of different sub-sets building up the data-set for the data product.\nData products of type `base` might not have any input ports. Their data sets are typically based directly on the applications / services own data.",
+                "constraints": {
+                    "minItems": 0,
+                    "featureStatus": "beta"
+                },
+                "relatedConcepts": [
+                    "IntegrationDependency"
+                ],
+                "structure": [
+                    {
+                        "name": "ordId",
+                        "description": "The ORD ID is a stable, globally unique ID for ORD resources or taxonomy.",
+                        "requirement": "MANDATORY",
+                        "type": "string",
+                        "pattern": "^([a-z0-9]+(?:[.][a-z0-9]+)*):(integrationDependency):([a-zA-Z0-9._\\-]+):(v0|v[1-9][0-9]*)$"
+                    }
+                ],
+                "example": [
+                    {
+                        "ordId": "sap.xref:integrationDependency:CustomerOrder:v1"
+                    }
+                ]
+            },
+            {
+                "name": "outputPorts",
+                "description": "Output ports are the interface (APIs and Events) through which the data of the data product can be accessed.",
+                "requirement": "MANDATORY",
+                "type": "array<DataProductOutputPort>",
+                "details": "Output ports are the interface (APIs and Events) through which the data of the data product can be accessed.\n\nOutput ports of the same data product might produce different facets of the data set with different qualities.\nA data set can also be made available via different protocols, which also results in different ports.\n\nAs long as different output ports are accessing the same model beneath, they should belong to the same data product.\nIf the above criteria cannot be reasonably met, consider splitting the data product into multiple smaller data products.",
+                "constraints": {
+                    "minItems": 1
+                },
+                "relatedConcepts": [
+                    "APIResource",
+                    "EventResource"
+                ],
+                "structure": [
+                    {
+                        "name": "ordId",
+                        "description": "The ORD ID is a stable, globally unique ID for ORD resources or taxonomy.",
+                        "requirement": "MANDATORY",
+                        "type": "string",
+                        "pattern": "^([a-z0-9]+(?:[.][a-z0-9]+)*):(apiResource|eventResource):([a-zA-Z0-9._\\-]+):(v0|v[1-9][0-9]*)$"
+                    }
+                ],
+                "example": [
+                    {
+                        "ordId": "sap.cic:apiResource:RetailTransactionOData:v1"
+                    },
+                    {
+                        "ordId": "sap.cic:eventResource:RawCustomerOrder:v2"
+                    }
+                ]
+            },
+            {
+                "name": "responsible",
+                "description": "Contains typically the organization that is responsible in the sense of RACI matrix for this ORD resource.",
+                "requirement": "MANDATORY",
+                "type": "string",
+                "pattern": "^([a-z0-9]+(?:[.][a-z0-9]+)*):([a-zA-Z0-9._\\-\\/]+):([a-zA-Z0-9._\\-\\/]+)$",
+                "details": "Contains typically the organization that is responsible in the sense of RACI matrix for this ORD resource. This includes support and feature requests. It is maintained as correlation id to for example support components.",
+                "constraints": {
+                    "maxLength": 255,
+                    "introducedInVersion": "1.8.0"
+                },
+                "example": "sap:ach:CIC-DP-CO"
+            },
+            {
+                "name": "dataProductLinks",
+                "description": "Links with semantic meaning that are specific to Data Product Resources.",
+                "requirement": "OPTIONAL",
+                "type": "array<DataProductLink>",
+                "constraints": {
+                    "featureStatus": "beta"
+                },
+                "structure": [
+                    {
+                        "name": "type",
+                        "description": "type",
+                        "requirement": "MANDATORY",
+                        "type": "string",
+                        "enum": [
+                            "payment",
+                            "terms-of-use",
+                            "service-level-agreement",
+                            "support",
+                            "custom"
+                        ],
+                        "pattern": "^([a-z0-9]+(?:[.][a-z0-9]+)*):([a-zA-Z0-9._\\-]+):(v0|v[1-9][0-9]*)$"
+                    },
+                    {
+                        "name": "customType",
+                        "description": "If the fixed `type` enum values need to be extended, an arbitrary `customType` can be provided.",
+                        "requirement": "OPTIONAL",
+                        "type": "string",
+                        "pattern": "^([a-z0-9]+(?:[.][a-z0-9]+)*):([a-zA-Z0-9._\\-]+):(v0|v[1-9][0-9]*)$"
+                    },
+                    {
+                        "name": "url",
+                        "description": "URL reference (URL or relative reference) to the Data Product Link.",
+                        "requirement": "MANDATORY",
+                        "type": "string"
+                    }
+                ]
+            },
+            {
+                "name": "links",
+                "description": "Generic Links with arbitrary meaning and content.",
+                "requirement": "OPTIONAL",
+                "type": "array<Link>",
+                "constraints": {
+                    "featureStatus": "beta"
+                },
+                "structure": [
+                    {
+                        "name": "title",
+                        "description": "Human readable title of the link.",
+                        "requirement": "MANDATORY",
+                        "type": "string"
+                    },
+                    {
+                        "name": "url",
+                        "description": "URL of the link.",
+                        "requirement": "MANDATORY",
+                        "type": "string"
+                    },
+                    {
+                        "name": "description",
+                        "description": "Full description, notated in CommonMark (Markdown)",
+                        "requirement": "OPTIONAL",
+                        "type": "string"
+                    }
+                ]
+            },
+            {
+                "name": "industry",
+                "description": "List of industry tags.",
+                "requirement": "OPTIONAL",
+                "type": "array<string>",
+                "enum": [
+                    "Aerospace and Defense",
+                    "Agribusiness",
+                    "Automotive",
+                    "Banking",
+                    "Chemicals",
+                    "Consumer Industries",
+                    "Consumer Products",
+                    "Defense and Security",
+                    "Discrete Industries",
+                    "Energy and Natural Resources",
+                    "Engineering Construction and Operations",
+                    "Financial Services",
+                    "Future Cities",
+                    "Healthcare",
+                    "High Tech",
+                    "Higher Education and Research",
+                    "Industrial Machinery and Components",
+                    "Insurance",
+                    "Life Sciences",
+                    "Media",
+                    "Mill Products",
+                    "Mining",
+                    "Oil and Gas",
+                    "Professional Services",
+                    "Public Sector",
+                    "Public Services",
+                    "Retail",
+                    "Service Industries",
+                    "Sports and Entertainment",
+                    "Telecommunications",
+                    "Travel and Transportation",
+                    "Utilities",
+                    "Wholesale Distribution"
+                ],
+                "pattern": "^[a-zA-Z0-9-_.\\/& ]*$",
+                "details": "List of industry tags.\nNo special characters are allowed except `-`, `_`, `.`, `/` and ` `.\n\n`industry` that are assigned to a `Package` are inherited to all of the ORD resources it contains.",
+                "constraints": {
+                    "featureStatus": "beta",
+                    "items.minLength": 1
+                },
+                "example": [
+                    "Automotive"
+                ]
+            },
+            {
+                "name": "lineOfBusiness",
+                "description": "List of line of business tags.",
+                "requirement": "OPTIONAL",
+                "type": "array<string>",
+                "enum": [
+                    "Asset Management",
+                    "Commerce",
+                    "Finance",
+                    "Human Resources",
+                    "Manufacturing",
+                    "Marketing",
+                    "R&D Engineering",
+                    "Sales",
+                    "Service",
+                    "Sourcing and Procurement",
+                    "Strategy, Compliance, and Governance",
+                    "Supply Chain",
+                    "Sustainability",
+                    "Metering",
+                    "Grid Operations and Maintenance",
+                    "Plant Operations and Maintenance",
+                    "Maintenance and Engineering"
+                ],
+                "pattern": "^[a-zA-Z0-9-_.\\/& ]*$",
+                "details": "List of line of business tags.\nNo special characters are allowed except `-`, `_`, `.`, `/` and ` `.\n\n`lineOfBusiness` that are assigned to a `Package` are inherited to all of the ORD resources it contains.",
+                "constraints": {
+                    "featureStatus": "beta",
+                    "items.minLength": 1
+                },
+                "example": [
+                    "Sales"
+                ]
+            },
+            {
+                "name": "countries",
+                "description": "List of countries that the Package resources are applicable to.",
+                "requirement": "OPTIONAL",
+                "type": "array<string>",
+                "pattern": "^[A-Z]{2}$",
+                "details": "List of countries that the Package resources are applicable to.\n\nMUST be expressed as an array of country codes according to IES ISO-3166 ALPHA-2.\n\n`countries` that are assigned to a `Package` are inherited to all of the ORD resources it contains.",
+                "constraints": {
+                    "featureStatus": "beta"
+                },
+                "example": [
+                    "DE",
+                    "US"
+                ]
+            },
+            {
+                "name": "tags",
+                "description": "List of free text style tags.",
+                "requirement": "OPTIONAL",
+                "type": "array<string>",
+                "pattern": "^[a-zA-Z0-9-_.\\/ ]*$",
+                "details": "List of free text style tags.\nNo special characters are allowed except `-`, `_`, `.`, `/` and ` `.\n\nTags that are assigned to a `Package` are inherited to all of the ORD resources it contains.",
+                "constraints": {
+                    "featureStatus": "beta",
+                    "items.minLength": 1
+                },
+                "example": [
+                    "storage",
+                    "high-availability"
+                ]
+            },
+            {
+                "name": "labels",
+                "description": "Generic labels that can be applied to most ORD information.",
+                "requirement": "OPTIONAL",
+                "type": "Labels",
+                "details": "Generic labels that can be applied to most ORD information.\nThey are defined as an object that may have arbitrary keys.\nThe value of a key is an array of strings.\n\nLabels can be used to attach technical information that cannot be expressed natively in ORD.\nAn ORD aggregator should allow to categorize and query information based on the labels provided.\n\nIf multiple parties rely on the existence of certain label information,\nstandardization through ORD SHOULD be preferred.\n\nAll labels attached to a `Package` will be inherited to the resources they contain.\nDuplicate labels will be merged by the ORD aggregator according to the following rules:\n* Values of the same label key will be merged.\n* Duplicate values of the same label key will be removed.",
+                "constraints": {
+                    "featureStatus": "beta"
+                }
+            },
+            {
+                "name": "documentationLabels",
+                "description": "Generic documentation labels that can be applied to most ORD information.",
+                "requirement": "OPTIONAL",
+                "type": "DocumentationLabels",
+                "details": "Generic documentation labels that can be applied to most ORD information.\nThey are defined as an object that may have arbitrary keys.\nThe value of a key is an array of CommonMark (Markdown) text.\n\nDocumentation Labels can be used to attach human readable documentation that cannot be expressed natively in ORD.\nA documentation tool (like an API Catalog) can use the documentation labels to provide generic documentation \"snippets\".\nDue to the given structure they can be displayed e.g. as tables.\n\nThe key of the documentation Label is plain-text (MUST not contain line breaks) and denotes the subject matter that is described.\nThe values (multiple can be provided for the same key) are CommonMark (Markdown) text\nwhich describes the subject matter or lists options for the key.\n\nIn contrast to regular labels, documentation labels are not meant to be used to categorize or query information.",
+                "constraints": {
+                    "featureStatus": "beta"
+                }
+            },
+            {
+                "name": "policyLevel",
+                "description": "The policy level (aka.",
+                "requirement": "OPTIONAL",
+                "type": "string",
+                "enum": [
+                    "none",
+                    "custom"
+                ],
+                "pattern": "^([a-z0-9]+(?:[.][a-z0-9]+)*):([a-zA-Z0-9._\\-]+):(v0|v[1-9][0-9]*)$",
+                "details": "The policy level (aka. compliance level) that the described resources need to be compliant with.\nDepending on the chosen policy level, additional expectations and validations rules will be applied.\n\nThe policy level can be defined on ORD Document level, but also be overwritten on an individual package or resource level.",
+                "enumDescriptions": {
+                    "none": "No policy level chosen.",
+                    "custom": "Custom policy level."
+                },
+                "constraints": {
+                    "default": "none",
+                    "introducedInVersion": "1.3.0",
+                    "featureStatus": "beta"
+                },
+                "example": "sap:core:v1"
+            },
+            {
+                "name": "customPolicyLevel",
+                "description": "If the fixed `policyLevel` values need to be extended, an arbitrary `customPolicyLevel` can be provided.",
+                "requirement": "OPTIONAL",
+                "type": "string",
+                "pattern": "^([a-z0-9]+(?:[.][a-z0-9]+)*):([a-zA-Z0-9._\\-]+):(v0|v[1-9][0-9]*)$",
+                "details": "If the fixed `policyLevel` values need to be extended, an arbitrary `customPolicyLevel` can be provided.\nThe policy level is inherited from packages to resources they contain, but can be overwritten at resource level.\n\nMUST only be provided if `policyLevel` is set to `custom`.\nMUST be a valid Specification ID.",
+                "constraints": {
+                    "maxLength": 255,
+                    "introducedInVersion": "1.3.0",
+                    "featureStatus": "beta"
+                },
+                "example": "sap.xref:customPolicy:v1"
+            },
+            {
+                "name": "policyLevels",
+                "description": "A list of policy levels that the described resources need to be compliant with.",
+                "requirement": "OPTIONAL",
+                "type": "array<string>",
+                "pattern": "^([a-z0-9]+(?:[.][a-z0-9]+)*):([a-zA-Z0-9._\\-]+):(v0|v[1-9][0-9]*)$",
+                "details": "A list of policy levels that the described resources need to be compliant with.\nFor each chosen policy level, additional expectations and validations rules will be applied.\n\nPolicy levels can be defined on ORD Document level, but also be overwritten on an individual package or resource level.\n\nA policy level MUST be a valid Specification ID.",
+                "constraints": {
+                    "introducedInVersion": "1.9.9",
+                    "items.maxLength": 255
+                },
+                "example": "sap:core:v1"
+            },
+            {
+                "name": "systemInstanceAware",
+                "description": "Defines whether this ORD resource is system-instance-aware.",
+                "requirement": "OPTIONAL",
+                "type": "boolean",
+                "details": "Defines whether this ORD resource is **system-instance-aware**.\nThis is the case when the referenced resource definitions are potentially different between **system instances**.\n\nIf this behavior applies, `systemInstanceAware` MUST be set to true.\nAn ORD aggregator MUST then fetch the referenced resource definitions for _each_ **system instance** individually.\n\nThis concept is now **deprecated** in favor of the more explicit `perspective` attribute.\nAll resources that are system-instance-aware should ideally be put into a dedicated ORD document with `perspective`: `system-instance`.\n\nFor more details, see perspectives concept page or the specification section.",
+                "constraints": {
+                    "default": false,
+                    "featureStatus": "beta"
+                },
+                "example": true
+            }
+        ]
+    },
+    "Vendor": {
+        "description": "The vendor of a product or a package, usually a corporation or a customer / user.",
+        "documentArray": "vendors",
+        "example": {
+            "ordId": "sap:vendor:SAP:",
+            "title": "SAP SE",
+            "shortDescription": "Leading provider of enterprise software solutions",
+            "homePage": "https://www.sap.com",
+            "contactInfo": "info@sap.com"
+        },
+        "keyProperties": [
+            {
+                "name": "ordId",
+                "description": "The ORD ID is a stable, globally unique ID for ORD resources or taxonomy.",
+                "requirement": "MANDATORY",
+                "type": "string",
+                "pattern": "^([a-z0-9]+):(vendor):([a-zA-Z0-9._\\-]+):()$",
+                "details": "The ORD ID is a stable, globally unique ID for ORD resources or taxonomy.\n\nIt MUST be a valid ORD ID of the appropriate ORD type.",
+                "constraints": {
+                    "maxLength": 255
+                },
+                "example": "sap:vendor:SAP:"
+            },
+            {
+                "name": "title",
+                "description": "Human-readable title.",
+                "requirement": "MANDATORY",
+                "type": "string",
+                "details": "Human-readable title.\n\nMUST NOT exceed 255 chars.\nMUST NOT contain line breaks.",
+                "constraints": {
+                    "minLength": 1,
+                    "maxLength": 255
+                },
+                "example": "SAP"
+            },
+            {
+                "name": "partners",
+                "description": "Optional list of partner vendors, referenced through their ORD ID.",
+                "requirement": "OPTIONAL",
+                "type": "array<string>",
+                "pattern": "^([a-z0-9]+(?:[.][a-z0-9]+)*):(vendor):([a-zA-Z0-9._\\-]+):()$",
+                "details": "Optional list of partner vendors, referenced through their ORD ID.\n\nMUST be a valid reference to a Vendor ORD ID.\n\nThis property can be used to indicate partnership relations between vendors.",
+                "relatedConcepts": [
+                    "Vendor"
+                ],
+                "example": [
+                    "microsoft:vendor:Microsoft:"
+                ]
+            },
+            {
+                "name": "tags",
+                "description": "List of free text style tags.",
+                "requirement": "OPTIONAL",
+                "type": "array<string>",
+                "pattern": "^[a-zA-Z0-9-_.\\/ ]*$",
+                "details": "List of free text style tags.\nNo special characters are allowed except `-`, `_`, `.`, `/` and ` `.\n\nTags that are assigned to a `Package` are inherited to all of the ORD resources it contains.",
+                "constraints": {
+                    "items.minLength": 1
+                },
+                "example": [
+                    "storage",
+                    "high-availability"
+                ]
+            },
+            {
+                "name": "labels",
+                "description": "Generic labels that can be applied to most ORD information.",
+                "requirement": "OPTIONAL",
+                "type": "Labels",
+                "details": "Generic labels that can be applied to most ORD information.\nThey are defined as an object that may have arbitrary keys.\nThe value of a key is an array of strings.\n\nLabels can be used to attach technical information that cannot be expressed natively in ORD.\nAn ORD aggregator should allow to categorize and query information based on the labels provided.\n\nIf multiple parties rely on the existence of certain label information,\nstandardization through ORD SHOULD be preferred.\n\nAll labels attached to a `Package` will be inherited to the resources they contain.\nDuplicate labels will be merged by the ORD aggregator according to the following rules:\n* Values of the same label key will be merged.\n* Duplicate values of the same label key will be removed."
+            },
+            {
+                "name": "documentationLabels",
+                "description": "Generic documentation labels that can be applied to most ORD information.",
+                "requirement": "OPTIONAL",
+                "type": "DocumentationLabels",
+                "details": "Generic documentation labels that can be applied to most ORD information.\nThey are defined as an object that may have arbitrary keys.\nThe value of a key is an array of CommonMark (Markdown) text.\n\nDocumentation Labels can be used to attach human readable documentation that cannot be expressed natively in ORD.\nA documentation tool (like an API Catalog) can use the documentation labels to provide generic documentation \"snippets\".\nDue to the given structure they can be displayed e.g. as tables.\n\nThe key of the documentation Label is plain-text (MUST not contain line breaks) and denotes the subject matter that is described.\nThe values (multiple can be provided for the same key) are CommonMark (Markdown) text\nwhich describes the subject matter or lists options for the key.\n\nIn contrast to regular labels, documentation labels are not meant to be used to categorize or query information."
+            }
+        ]
+    },
+    "Group": {
+        "description": "Group (instance) that resources can be assigned to.",
+        "documentArray": "groups",
+        "example": {
+            "groupId": "sap.s4:group:SalesManagement",
+            "groupTypeId": "functional-area",
+            "title": "Sales Management",
+            "shortDescription": "All resources related to sales order management and processing"
+        },
+        "keyProperties": [
+            {
+                "name": "groupId",
+                "description": "The Group ID consists of two Concept IDs separated by a `:`.",
+                "requirement": "MANDATORY",
+                "type": "string",
+                "pattern": "^([a-z0-9]+(?:[.][a-z0-9]+)*):([a-zA-Z0-9._\\-\\/]+):([a-z0-9]+(?:[.][a-z0-9]+)*):([a-zA-Z0-9._\\-\\/]+)$",
+                "details": "The Group ID consists of two Concept IDs separated by a `:`.\n\nThe first two fragments MUST be equal to the used Group Type ID (`groupTypeId`).\nThe last two fragments MUST be a valid Concept ID, indicating the group instance assignment.\n\nThe ID concept is a bit unusual, but it ensures globally unique and conflict-free group assignments.",
+                "example": "sap.foo:domain:sap.foo:DomainName"
+            },
+            {
+                "name": "groupTypeId",
+                "description": "Group Type ID.",
+                "requirement": "MANDATORY",
+                "type": "string",
+                "pattern": "^([a-z0-9]+(?:[.][a-z0-9]+)*):([a-zA-Z0-9._\\-\\/]+)$",
+                "details": "Group Type ID.\n\nMUST match with the first two fragments of the own `groupId`.",
+                "relatedConcepts": [
+                    "GroupType"
+                ],
+                "example": "sap.foo:domain"
+            },
+            {
+                "name": "title",
+                "description": "Human readable title of the group assignment (for UI).",
+                "requirement": "MANDATORY",
+                "type": "string",
+                "constraints": {
+                    "minLength": 1,
+                    "maxLength": 255
+                },
+                "example": "SAP S/4HANA Cloud"
+            },
+            {
+                "name": "description",
+                "description": "Full description, notated in CommonMark (Markdown).",
+                "requirement": "OPTIONAL",
+                "type": "string",
+                "details": "Full description, notated in CommonMark (Markdown).\n\nThe description SHOULD not be excessive in length and is not meant to provide full documentation.\nDetailed documentation SHOULD be attached as (typed) links.",
+                "constraints": {
+                    "minLength": 1
+                },
+                "example": "SAP S/4HANA Cloud, our next generation cloud ERP suite designed for\nin-memory computing, acts as a digital core, connecting your\nenterprise with people, business networks, the Internet of Things,\nBig Data, and more.\n"
+            },
+            {
+                "name": "partOfGroups",
+                "description": "A group (instance) can logically be part of another group, for example in hierarchical taxonomies or graph relationships.",
+                "requirement": "OPTIONAL",
+                "type": "array<string>",
+                "pattern": "^([a-z0-9]+(?:[.][a-z0-9]+)*):([a-zA-Z0-9._\\-\\/]+):([a-z0-9]+(?:[.][a-z0-9]+)*):([a-zA-Z0-9._\\-\\/]+)$",
+                "details": "A group (instance) can logically be part of another group, for example in hierarchical taxonomies or graph relationships.\nAssigning a group to be part of another group is a lightweight and flexible approach to express such relationships.\n\nThis relationship does not imply inheritance, but can be interpreted as such for specific group types and scenarios.",
+                "constraints": {
+                    "introducedInVersion": "1.13.0",
+                    "featureStatus": "beta"
+                },
+                "relatedConcepts": [
+                    "Group"
+                ]
+            }
+        ]
+    },
+    "GroupType": {
+        "description": "A Group Type defines the semantics of group assignments. What the Group Type means and how it is to be used correctly SHOULD be described in the `description` (which may include markdown links).",
+        "documentArray": "groupTypes",
+        "example": {
+            "groupTypeId": "functional-area",
+            "title": "Functional Area",
+            "shortDescription": "Groups resources by business functional area",
+            "description": "Organizes APIs and Events according to business functionality"
+        },
+        "keyProperties": [
+            {
+                "name": "groupTypeId",
+                "description": "GroupType ID, which MUST be a valid Concept ID.",
+                "requirement": "MANDATORY",
+                "type": "string",
+                "pattern": "^([a-z0-9]+(?:[.][a-z0-9]+)*):([a-zA-Z0-9._\\-\\/]+)$",
+                "example": "sap.foo:domain"
+            },
+            {
+                "name": "title",
+                "description": "Human readable title of the group type.",
+                "requirement": "MANDATORY",
+                "type": "string",
+                "constraints": {
+                    "minLength": 1,
+                    "maxLength": 255
+                },
+                "example": "SAP S/4HANA Cloud"
+            },
+            {
+                "name": "description",
+                "description": "Full description, notated in CommonMark (Markdown).",
+                "requirement": "OPTIONAL",
+                "type": "string",
+                "details": "Full description, notated in CommonMark (Markdown).\n\nThe description SHOULD not be excessive in length and is not meant to provide full documentation.\nDetailed documentation SHOULD be attached as (typed) links.",
+                "constraints": {
+                    "minLength": 1
+                },
+                "example": "SAP S/4HANA Cloud, our next generation cloud ERP suite designed for\nin-memory computing, acts as a digital core, connecting your\nenterprise with people, business networks, the Internet of Things,\nBig Data, and more.\n"
+            },
+            {
+                "name": "partOfGroupTypes",
+                "description": "A group type can logically be part of another group type, for example in hierarchical taxonomies or graph relationships.",
+                "requirement": "OPTIONAL",
+                "type": "array<string>",
+                "pattern": "^([a-z0-9]+(?:[.][a-z0-9]+)*):([a-zA-Z0-9._\\-\\/]+)$",
+                "details": "A group type can logically be part of another group type, for example in hierarchical taxonomies or graph relationships.\nAssigning a group type to be part of another group type is a lightweight and flexible approach to express such relationships.\n\nThis relationship does not imply inheritance, but can be interpreted as such for specific group types and scenarios.",
+                "relatedConcepts": [
+                    "GroupType"
+                ]
+            }
+        ]
+    },
+    "IntegrationDependency": {
+        "description": "An Integration Dependency states that the described system (self) can integrate with external systems (integration target) to achieve an integration purpose. The purpose could be to enable a certain feature or integration scenario, but it could also be a mandatory prerequisite for the described system to work.",
+        "documentArray": "integrationDependencies",
+        "example": {
+            "ordId": "sap.s4:integrationDependency:SalesForce:v1",
+            "title": "Salesforce Integration",
+            "shortDescription": "Integration dependency for customer data synchronization",
+            "description": "Required integration with Salesforce CRM for customer master data sync",
+            "partOfPackage": "sap.s4:package:CustomerIntegration:v1",
+            "version": "1.0.0",
+            "visibility": "public"
+        },
+        "keyProperties": [
+            {
+                "name": "ordId",
+                "description": "The ORD ID is a stable, globally unique ID for ORD resources or taxonomy.",
+                "requirement": "MANDATORY",
+                "type": "string",
+                "pattern": "^([a-z0-9]+(?:[.][a-z0-9]+)*):(integrationDependency):([a-zA-Z0-9._\\-]+):(v0|v[1-9][0-9]*)$",
+                "details": "The ORD ID is a stable, globally unique ID for ORD resources or taxonomy.\n\nIt MUST be a valid ORD ID of the appropriate ORD type.",
+                "constraints": {
+                    "maxLength": 255
+                },
+                "example": "sap.foo.bar:integrationDependency:CustomerOrder:v1"
+            },
+            {
+                "name": "localId",
+                "description": "The locally unique ID under which this resource can be looked up / resolved in the described system itself.",
+                "requirement": "OPTIONAL",
+                "type": "string",
+                "details": "The locally unique ID under which this resource can be looked up / resolved in the described system itself.\nUnlike the ORD ID it's not globally unique, but it may be useful to document the original ID / technical name.\n\nIt MAY also be used as the `<resourceName>` fragment in the ORD ID, IF it can fulfill the charset and length limitations within the ORD ID.\nBut since this is not always possible, no assumptions MUST be made about the local ID being the same as the `<resourceName>` fragment in the ORD ID.",
+                "constraints": {
+                    "maxLength": 255,
+                    "introducedInVersion": "1.2.1"
+                },
+                "example": "SuccessFactorsRecruiting"
+            },
+            {
+                "name": "correlationIds",
+                "description": "Correlation IDs can be used to create a reference to related data in other repositories (especially to the system of record).",
+                "requirement": "OPTIONAL",
+                "type": "array<string>",
+                "pattern": "^([a-z0-9]+(?:[.][a-z0-9]+)*):([a-zA-Z0-9._\\-\\/]+):([a-zA-Z0-9._\\-\\/]+)$",
+                "details": "Correlation IDs can be used to create a reference to related data in other repositories (especially to the system of record).\n\nThey express an \"identity\" / \"equals\" / \"mappable\" relationship to the target ID.\n\nIf a \"part of\" relationship needs to be expressed, use the `partOfGroups` assignment instead.\n\nMUST be a valid Correlation ID.",
+                "constraints": {
+                    "items.maxLength": 255
+                },
+                "example": [
+                    "sap.s4:communicationScenario:SAP_COM_0008"
+                ]
+            },
+            {
+                "name": "title",
+                "description": "Human-readable title.",
+                "requirement": "MANDATORY",
+                "type": "string",
+                "details": "Human-readable title.\n\nMUST NOT exceed 255 chars.\nMUST NOT contain line breaks.",
+                "constraints": {
+                    "minLength": 1,
+                    "maxLength": 255
+                },
+                "example": "Integration Dependency to realize Customer Order data product"
+            },
+            {
+                "name": "shortDescription",
+                "description": "Plain text short description.",
+                "requirement": "OPTIONAL",
+                "type": "string",
+                "details": "Plain text short description.\n\nMUST NOT exceed 255 chars.\nMUST NOT contain line breaks.",
+                "constraints": {
+                    "minLength": 1,
+                    "maxLength": 255
+                },
+                "example": "SAP S/4HANA Cloud, our next generation cloud ERP suite designed for in-memory computing."
+            },
+            {
+                "name": "description",
+                "description": "Full description, notated in CommonMark (Markdown).",
+                "requirement": "OPTIONAL",
+                "type": "string",
+                "details": "Full description, notated in CommonMark (Markdown).\n\nThe description SHOULD not be excessive in length and is not meant to provide full documentation.\nDetailed documentation SHOULD be attached as (typed) links.",
+                "constraints": {
+                    "minLength": 1
+                },
+                "example": "SAP S/4HANA Cloud, our next generation cloud ERP suite designed for\nin-memory computing, acts as a digital core, connecting your\nenterprise with people, business networks, the Internet of Things,\nBig Data, and more.\n"
+            },
+            {
+                "name": "partOfPackage",
+                "description": "Defines which Package the resource is part of.",
+                "requirement": "MANDATORY",
+                "type": "string",
+                "pattern": "^([a-z0-9]+(?:[.][a-z0-9]+)*):(package):([a-zA-Z0-9._\\-]+):(v0|v[1-9][0-9]*)$",
+                "details": "Defines which Package the resource is part of.\n\nMUST be a valid reference to a Package ORD ID.\n\nEvery resource MUST be part of one package.",
+                "constraints": {
+                    "maxLength": 255
+                },
+                "relatedConcepts": [
+                    "Package"
+                ],
+                "example": "sap.xref:package:SomePackage:v1"
+            },
+            {
+                "name": "partOfGroups",
+                "description": "Defines which groups the resource is assigned to.",
+                "requirement": "OPTIONAL",
+                "type": "array<string>",
+                "pattern": "^([a-z0-9]+(?:[.][a-z0-9]+)*):([a-zA-Z0-9._\\-\\/]+):([a-z0-9]+(?:[.][a-z0-9]+)*):([a-zA-Z0-9._\\-\\/]+)$",
+                "details": "Defines which groups the resource is assigned to.\n\nThe property is optional, but if given the value MUST be an array of valid Group IDs.\n\nGroups are a lightweight custom taxonomy concept.\nThey express a \"part of\" relationship to the chosen group concept.\nIf an \"identity / equals\" relationship needs to be expressed, use the `correlationIds` instead.\n\nAll resources that share the same group ID assignment are effectively grouped together.",
+                "relatedConcepts": [
+                    "Group"
+                ]
+            },
+            {
+                "name": "version",
+                "description": "The complete SemVer version string.",
+                "requirement": "MANDATORY",
+                "type": "string",
+                "pattern": "^(0|[1-9]\\d*)\\.(0|[1-9]\\d*)\\.(0|[1-9]\\d*)(?:-((?:0|[1-9]\\d*|\\d*[a-zA-Z-][0-9a-zA-Z-]*)(?:\\.(?:0|[1-9]\\d*|\\d*[a-zA-Z-][0-9a-zA-Z-]*))*))?(?:\\+([0-9a-zA-Z-]+(?:\\.[0-9a-zA-Z-]+)*))?$",
+                "details": "The complete SemVer version string.\n\nIt MUST follow the Semantic Versioning 2.0.0 standard.\nIt SHOULD be changed if the ORD information or referenced resource definitions changed.\nIt SHOULD express minor and patch changes that don't lead to incompatible changes.\n\nWhen the `version` major version changes, the ORD ID `<majorVersion>` fragment MUST be updated to be identical.\nIn case that a resource definition file also contains a version number (e.g. OpenAPI `info`.`version`), it MUST be equal with the resource `version` to avoid inconsistencies.\n\nIf the resource has been extended by the user, the change MUST be indicated via `lastUpdate`.\nThe `version` MUST not be bumped for changes in extensions.\n\nThe general Version and Lifecycle flow MUST be followed.\n\nNote: A change is only relevant for a version increment, if it affects the ORD resource or ORD taxonomy directly.\nFor example: If a resource within a `Package` changes, but the Package itself did not, the Package version does not need to be incremented.",
+                "example": "1.2.3"
+            },
+            {
+                "name": "lastUpdate",
+                "description": "Optional, but RECOMMENDED indicator when (date-time) the last change to the resource (including its definitions) happened.",
+                "requirement": "OPTIONAL",
+                "type": "string",
+                "details": "Optional, but RECOMMENDED indicator when (date-time) the last change to the resource (including its definitions) happened.\n\nThe date format MUST comply with RFC 3339, section 5.6.\n\nWhen retrieved from an ORD aggregator, `lastUpdate` will be reliable there and reflect either the provider based update time or the aggregator processing time.\nTherefore consumers MAY rely on it to detect changes to the metadata and the attached resource definition files.\n\nIf the resource has attached definitions, either the `version` or `lastUpdate` property MUST be defined and updated to let the ORD aggregator know that they need to be fetched again.\n\nTogether with `perspectives`, this property SHOULD be used to optimize the metadata crawling process of the ORD aggregators.",
+                "constraints": {
+                    "format": "date-time",
+                    "introducedInVersion": "1.4.0"
+                },
+                "example": "2022-12-19T15:47:04+00:00"
+            },
+            {
+                "name": "visibility",
+                "description": "The visibility states who is allowed to \"see\" the described resource or capability.",
+                "requirement": "MANDATORY",
+                "type": "string",
+                "enum": [
+                    "public",
+                    "internal",
+                    "private"
+                ],
+                "enumDescriptions": {
+                    "public": "Publicly visible to customers and 3rd parties.",
+                    "internal": "Visible to other applications within the same vendor.",
+                    "private": "Visible only to the provider application or service, usually within the same system namespace / system type."
+                }
+            },
+            {
+                "name": "releaseStatus",
+                "description": "The `releaseStatus` specifies the stability of the resource and its external contract.",
+                "requirement": "MANDATORY",
+                "type": "string",
+                "enum": [
+                    "beta",
+                    "active",
+                    "deprecated",
+                    "sunset"
+                ],
+                "enumDescriptions": {
+                    "beta": "The contract for the resource is beta and may not be meant for productive use.",
+                    "active": "Resource is meant for productive use and provides a stable API contract.",
+                    "deprecated": "Resource has been deprecated.",
+                    "sunset": "Resource has been sunset, but is still described."
+                },
+                "example": "active"
+            },
+            {
+                "name": "sunsetDate",
+                "description": "The sunset date defines when the resource is scheduled to be decommissioned / removed / archived.",
+                "requirement": "OPTIONAL",
+                "type": "string",
+                "details": "The sunset date defines when the resource is scheduled to be decommissioned / removed / archived.\n\nIf the `releaseStatus` is set to `deprecated`, the `sunsetDate` SHOULD be provided (if already known).\nOnce the sunset date is known and ready to be communicated externally, it MUST be provided here.\n\nThe date format MUST comply with RFC 3339, section 5.6.",
+                "constraints": {
+                    "format": "date-time"
+                },
+                "example": "2022-01-08T15:47:04+00:00"
+            },
+            {
+                "name": "successors",
+                "description": "The successor resource(s).",
+                "requirement": "OPTIONAL",
+                "type": "array<string>",
+                "pattern": "^([a-z0-9]+(?:[.][a-z0-9]+)*):(integrationDependency):([a-zA-Z0-9._\\-]+):(v0|v[1-9][0-9]*)$",
+                "details": "The successor resource(s).\n\nMUST be a valid reference to an ORD ID.\n\nIf the `releaseStatus` is set to `deprecated`, `successors` MUST be provided if one exists.\nIf `successors` is given, the described resource SHOULD set its `releaseStatus` to `deprecated`.",
+                "constraints": {
+                    "items.maxLength": 255
+                },
+                "relatedConcepts": [
+                    "IntegrationDependency"
+                ],
+                "example": [
+                    "sap.foo.bar:integrationDependency:CustomerOrder:v2"
+                ]
+            },
+            {
+                "name": "mandatory",
+                "description": "If true, the Integration Dependency is mandatory for the described system to function.",
+                "requirement": "MANDATORY",
+                "type": "boolean"
+            },
+            {
+                "name": "aspects",
+                "description": "List of integration aspects that make up the Integration Dependency.",
+                "requirement": "OPTIONAL",
+                "type": "array<IntegrationAspect>",
+                "details": "List of integration aspects that make up the Integration Dependency.\n\nEach aspect listed is a dedicated, constituent part (AND condition).",
+                "structure": [
+                    {
+                        "name": "title",
+                        "description": "Human-readable title.",
+                        "requirement": "MANDATORY",
+                        "type": "string"
+                    },
+                    {
+                        "name": "description",
+                        "description": "Full description, notated in CommonMark (Markdown).",
+                        "requirement": "OPTIONAL",
+                        "type": "string"
+                    },
+                    {
+                        "name": "mandatory",
+                        "description": "If true, the aspect is mandatory to realize the Integration Dependency it contains.",
+                        "requirement": "MANDATORY",
+                        "type": "boolean"
+                    },
+                    {
+                        "name": "supportMultipleProviders",
+                        "description": "If true, the references resources can be provided by multiple system instances.",
+                        "requirement": "OPTIONAL",
+                        "type": "boolean"
+                    },
+                    {
+                        "name": "apiResources",
+                        "description": "List of API Resource Dependencies.",
+                        "requirement": "OPTIONAL",
+                        "type": "array<ApiResourceIntegrationAspect>"
+                    },
+                    {
+                        "name": "eventResources",
+                        "description": "List of Event Resource Dependencies.",
+                        "requirement": "OPTIONAL",
+                        "type": "array<EventResourceIntegrationAspect>"
+                    }
+                ]
+            },
+            {
+                "name": "relatedIntegrationDependencies",
+                "description": "If an Integration Dependency conceptually belongs or related to another Integration Dependency, this can be indicated here.",
+                "requirement": "OPTIONAL",
+                "type": "array<string>",
+                "pattern": "^([a-z0-9]+(?:[.][a-z0-9]+)*):(integrationDependency):([a-zA-Z0-9._\\-]+):(v0|v[1-9][0-9]*)$",
+                "details": "If an Integration Dependency conceptually belongs or related to another Integration Dependency, this can be indicated here.\nOne situation would be where two systems each have an Integration Dependency to describe a two-sided integration from each side.",
+                "relatedConcepts": [
+                    "IntegrationDependency"
+                ],
+                "example": [
+                    "sap.foo.bar:integrationDependency:SomethingRelated:v1"
+                ]
+            },
+            {
+                "name": "links",
+                "description": "Generic Links with arbitrary meaning and content.",
+                "requirement": "OPTIONAL",
+                "type": "array<Link>",
+                "structure": [
+                    {
+                        "name": "title",
+                        "description": "Human readable title of the link.",
+                        "requirement": "MANDATORY",
+                        "type": "string"
+                    },
+                    {
+                        "name": "url",
+                        "description": "URL of the link.",
+                        "requirement": "MANDATORY",
+                        "type": "string"
+                    },
+                    {
+                        "name": "description",
+                        "description": "Full description, notated in CommonMark (Markdown)",
+                        "requirement": "OPTIONAL",
+                        "type": "string"
+                    }
+                ]
+            },
+            {
+                "name": "tags",
+                "description": "List of free text style tags.",
+                "requirement": "OPTIONAL",
+                "type": "array<string>",
+                "pattern": "^[a-zA-Z0-9-_.\\/ ]*$",
+                "details": "List of free text style tags.\nNo special characters are allowed except `-`, `_`, `.`, `/` and ` `.\n\nTags that are assigned to a `Package` are inherited to all of the ORD resources it contains.",
+                "constraints": {
+                    "items.minLength": 1
+                },
+                "example": [
+                    "storage",
+                    "high-availability"
+                ]
+            },
+            {
+                "name": "labels",
+                "description": "Generic labels that can be applied to most ORD information.",
+                "requirement": "OPTIONAL",
+                "type": "Labels",
+                "details": "Generic labels that can be applied to most ORD information.\nThey are defined as an object that may have arbitrary keys.\nThe value of a key is an array of strings.\n\nLabels can be used to attach technical information that cannot be expressed natively in ORD.\nAn ORD aggregator should allow to categorize and query information based on the labels provided.\n\nIf multiple parties rely on the existence of certain label information,\nstandardization through ORD SHOULD be preferred.\n\nAll labels attached to a `Package` will be inherited to the resources they contain.\nDuplicate labels will be merged by the ORD aggregator according to the following rules:\n* Values of the same label key will be merged.\n* Duplicate values of the same label key will be removed."
+            },
+            {
+                "name": "documentationLabels",
+                "description": "Generic documentation labels that can be applied to most ORD information.",
+                "requirement": "OPTIONAL",
+                "type": "DocumentationLabels",
+                "details": "Generic documentation labels that can be applied to most ORD information.\nThey are defined as an object that may have arbitrary keys.\nThe value of a key is an array of CommonMark (Markdown) text.\n\nDocumentation Labels can be used to attach human readable documentation that cannot be expressed natively in ORD.\nA documentation tool (like an API Catalog) can use the documentation labels to provide generic documentation \"snippets\".\nDue to the given structure they can be displayed e.g. as tables.\n\nThe key of the documentation Label is plain-text (MUST not contain line breaks) and denotes the subject matter that is described.\nThe values (multiple can be provided for the same key) are CommonMark (Markdown) text\nwhich describes the subject matter or lists options for the key.\n\nIn contrast to regular labels, documentation labels are not meant to be used to categorize or query information."
+            }
+        ]
+    },
+    "Tombstone": {
+        "description": "A tombstone indicates that a previously published ORD resource or taxonomy has been removed / decommissioned / archived. This MUST be indicated explicitly, so ORD aggregators and consumers can learn about the removal.",
+        "documentArray": "tombstones",
+        "example": {
+            "ordId": "sap.s4:apiResource:DEPRECATED_API:v1",
+            "removalDate": "2024-01-15T10:30:00Z",
+            "description": "This API has been deprecated and removed. Use APIResourceV2 instead.",
+            "successors": [
+                "sap.s4:apiResource:API_V2:v1"
+            ]
+        },
+        "keyProperties": [
+            {
+                "name": "ordId",
+                "description": "ORD ID of the ORD resource/taxonomy that has been removed.",
+                "requirement": "OPTIONAL",
+                "type": "string",
+                "pattern": "^([a-z0-9]+(?:[.][a-z0-9]+)*):(package|consumptionBundle|product|vendor|apiResource|eventResource|capability|entityType|integrationDependency|dataProduct):([a-zA-Z0-9._\\-]+):(v0|v[1-9][0-9]*|)?$",
+                "constraints": {
+                    "maxLength": 255
+                },
+                "relatedConcepts": [
+                    "Package",
+                    "ConsumptionBundle",
+                    "Product",
+                    "Vendor",
+                    "APIResource",
+                    "EventResource",
+                    "Capability",
+                    "EntityType",
+                    "IntegrationDependency",
+                    "DataProduct"
+                ],
+                "example": "sap.xref:package:SomePackage:v1"
+            },
+            {
+                "name": "groupId",
+                "description": "Group ID of the group that has been removed.",
+                "requirement": "OPTIONAL",
+                "type": "string",
+                "pattern": "^([a-z0-9]+(?:[.][a-z0-9]+)*):([a-zA-Z0-9._\\-\\/]+):([a-z0-9]+(?:[.][a-z0-9]+)*):([a-zA-Z0-9._\\-\\/]+)$",
+                "relatedConcepts": [
+                    "Group"
+                ],
+                "example": "sap.foo:domain:sap.foo:DomainName"
+            },
+            {
+                "name": "groupTypeId",
+                "description": "Group Type ID of the group type that has been removed.",
+                "requirement": "OPTIONAL",
+                "type": "string",
+                "pattern": "^([a-z0-9]+(?:[.][a-z0-9]+)*):([a-zA-Z0-9._\\-\\/]+)$",
+                "relatedConcepts": [
+                    "GroupType"
+                ],
+                "example": "sap.foo:domain"
+            },
+            {
+                "name": "removalDate",
+                "description": "The date when the ORD resource/taxonomy was removed.",
+                "requirement": "MANDATORY",
+                "type": "string",
+                "details": "The date when the ORD resource/taxonomy was removed.\nThis is related to the `sunsetDate` that can be set to announce a resource as deprecated *before* the removal and setting of a tombstone.\n\nThe date format MUST comply with RFC 3339, section 5.6.",
+                "constraints": {
+                    "format": "date-time"
+                },
+                "example": "2020-12-02T14:12:59Z"
+            },
+            {
+                "name": "description",
+                "description": "Optional description, notated in CommonMark (Markdown).",
+                "requirement": "OPTIONAL",
+                "type": "string",
+                "details": "Optional description, notated in CommonMark (Markdown).\n\nThe description of a Tombstone MAY be added to the changelog of the removed resource by an ORD aggregator.",
+                "constraints": {
+                    "minLength": 1
+                },
+                "example": "SAP S/4HANA Cloud, our next generation cloud ERP suite designed for\nin-memory computing, acts as a digital core, connecting your\nenterprise with people, business networks, the Internet of Things,\nBig Data, and more.\n"
+            }
+        ]
+    }
+});
@@ -0,0 +1,146 @@
+// ORD ID parsing and syntax rules - pure logic, no I/O
+// Format: <namespace>:<conceptType>:<resourceName>:<majorVersion>, e.g. sap.s4:apiResource:API_SALES_ORDER_SRV:v1
+
+const NAMESPACE_PATTERN = /^[a-z0-9]+(?:[.][a-z0-9]+)*$/;
+const VENDOR_NAMESPACE_PATTERN = /^[a-z0-9]+$/;
+const RESOURCE_NAME_PATTERN = /^[a-zA-Z0-9._-]+$/;
+const MAJOR_VERSION_PATTERN = /^(v0|v[1-9][0-9]*)$/;
+const MAX_ORD_ID_LENGTH = 255;
+
+// Concept types that may appear in an ORD ID; Product and Vendor IDs carry no version
+export const ORD_ID_TYPES = Object.freeze({
+    package: { concept: "Package", versioned: true },
+    consumptionBundle: { concept: "ConsumptionBundle", versioned: true },
+    apiResource: { concept: "APIResource", versioned: true },
+    eventResource: { concept: "EventResource", versioned: true },
+    entityType: { concept: "EntityType", versioned: true },
+    capability: { concept: "Capability", versioned: true },
+    dataProduct: { concept: "DataProduct", versioned: true },
+    integrationDependency: { concept: "IntegrationDependency", versioned: true },
+    product: { concept: "Product", versioned: false },
+    vendor: { concept: "Vendor", versioned: false },
+});
+
+// Reference properties and the concept type their ORD IDs must have.
+// successors is omitted: it must match the type of the entity that declares it.
+export const ORD_ID_REFERENCE_FIELDS = Object.freeze({
+    partOfPackage: "package",
+    partOfProducts: "product",
+    partOfConsumptionBundles: "consumptionBundle",
+    defaultConsumptionBundle: "consumptionBundle",
+    vendor: "vendor",
+    parent: "product",
+    exposedEntityTypes: "entityType",
+    relatedEntityTypes: "entityType",
+    aspectEventResources: "eventResource",
+});
+
+// Splits an ORD ID into its parts without judging them; throws if it has the wrong shape
+export function parseOrdId(ordId) {
+    if (typeof ordId !== "string" || !ordId.trim()) {
+        throw new Error("ORD ID must be a non-empty string");
+    }
+
+    const parts = ordId.trim().split(":");
+    if (parts.length !== 4) {
+        throw new Error(
+            `Invalid ORD ID: ${ordId}. Expected 4 colon-separated parts <namespace>:<conceptType>:<resourceName>:<majorVersion>, got ${parts.length}`,
+        );
+    }
+
+    const [namespace, conceptType, resourceName, majorVersion] = parts;
+    return {
+        ordId: ordId.trim(),
+        namespace,
+        vendorNamespace: namespace.split(".")[0],
+        conceptType,
+        resourceName,
+        majorVersion: majorVersion || null,
+    };
+}
+
+// Returns { valid, parsed, errors }. The expected type can come from a concept type
+// ("package"), a concept name ("Package") or the reference field it is used in.
+export function validateOrdId(ordId, { expectedType, field } = {}) {
+    let parsed;
+    try {
+        parsed = parseOrdId(ordId);
+    } catch (error) {
+        return { valid: false, parsed: null, errors: [error.message] };
+    }
+
+    const errors = checkSyntax(parsed);
+
+    const expected = resolveExpectedType({ expectedType, field });
+    if (expected && parsed.conceptType !== expected) {
+        errors.push(
+            field
+                ? `An ID of type ${parsed.conceptType} cannot be used in ${field}; expected type ${expected}`
+                : `Expected an ID of type ${expected}, got ${parsed.conceptType}`,
+        );
+    }
+
+    return { valid: errors.length === 0, parsed, errors };
+}
+
+// Accepts concept types case-insensitively and ORD_CONCEPTS names such as "APIResource"
+export function resolveOrdIdType(name) {
+    const normalized = String(name).toLowerCase();
+    const match = Object.entries(ORD_ID_TYPES).find(
+        ([type, { concept }]) => type.toLowerCase() === normalized || concept.toLowerCase() === normalized,
+    );
+    if (!match) {
+        throw new Error(`Unknown ORD ID concept type: ${name}. Known types: ${Object.keys(ORD_ID_TYPES).join(", ")}`);
+    }
+    return match[0];
+}
+
+function resolveExpectedType({ expectedType, field }) {
+    if (expectedType) {
+        return resolveOrdIdType(expectedType);
+    }
+    if (field) {
+        if (!ORD_ID_REFERENCE_FIELDS[field]) {
+            const known = Object.keys(ORD_ID_REFERENCE_FIELDS).join(", ");
+            throw new Error(`Unknown reference field: ${field}. Known fields: ${known}`);
+        }
+        return ORD_ID_REFERENCE_FIELDS[field];
+    }
+    return null;
+}
+
+function checkSyntax({ ordId, namespace, conceptType, resourceName, majorVersion }) {
+    const errors = [];
+    const typeRules = ORD_ID_TYPES[conceptType];
+
+    if (ordId.length > MAX_ORD_ID_LENGTH) {
+        errors.push(`ORD ID is ${ordId.length} characters long; the maximum is ${MAX_ORD_ID_LENGTH}`);
+    }
+
+    if (!typeRules) {
+        errors.push(`Unknown concept type "${conceptType}". Known types: ${Object.keys(ORD_ID_TYPES).join(", ")}`);
+    }
+
+    // Vendor IDs live in the vendor namespace itself, which has no sub-contexts
+    const namespacePattern = conceptType === "vendor" ? VENDOR_NAMESPACE_PATTERN : NAMESPACE_PATTERN;
+    if (!namespacePattern.test(namespace)) {
+        errors.push(
+            conceptType === "vendor"
+                ? `Vendor namespace "${namespace}" must be a single lowercase alphanumeric segment`
+                : `Namespace "${namespace}" must be lowercase alphanumeric segments separated by dots`,
+        );
+    }
+
+    if (!RESOURCE_NAME_PATTERN.test(resourceName)) {
+        errors.push(`Resource name "${resourceName}" may only contain letters, digits, ".", "_" and "-"`);
+    }
+
+    if (typeRules?.versioned && !MAJOR_VERSION_PATTERN.test(majorVersion ?? "")) {
+        errors.push(`${conceptType} IDs must end with a major version such as v1 (v0 for pre-releases)`);
+    }
+    if (typeRules && !typeRules.versioned && majorVersion !== null) {
+        errors.push(`${conceptType} IDs must not carry a version; end the ID with ":"`);
+    }
+
+    return errors;
+}
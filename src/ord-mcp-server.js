@@ -1,81 +1,242 @@
 #!/usr/bin/env node
 
+import { writeFile } from "node:fs/promises";
 import { Server } from "@modelcontextprotocol/sdk/server/index.js";
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
 import {
     CallToolRequestSchema,
     ErrorCode,
+    GetPromptRequestSchema,
+    ListPromptsRequestSchema,
     ListResourcesRequestSchema,
+    ListResourceTemplatesRequestSchema,
     ListToolsRequestSchema,
     McpError,
     ReadResourceRequestSchema,
 } from "@modelcontextprotocol/sdk/types.js";
 
-import { RESOURCES, TOOLS } from "./mcp-definitions.js";
-import { handleGetSpecification, handleExplainConcept } from "./mcp-handlers.js";
-import { fetchSpecification } from "./specification-fetcher.js";
+import { PROMPTS, RESOURCES, RESOURCE_TEMPLATES, TOOLS } from "./mcp-definitions.js";
+import {
+    handleGetSpecification,
+    handleListSpecificationVersions,
+    handleDiffSpecification,
+    handleListSpecificationSections,
+    handleGetSpecificationSection,
+    handleSearchSpecification,
+    handleValidateDocument,
+    handleLintDocument,
+    handleCompareDocuments,
+    handlePlanDeprecation,
+    handleParseOrdId,
+    handleValidateOrdId,
+    handleCheckReferences,
+    handleExplainConcept,
+    handleConceptGraph,
+    handleGenerateOrdFromCds,
+    handleGenerateOrdResource,
+    handleScaffoldEntity,
+    handleBuilderStart,
+    handleBuilderAddEntity,
+    handleBuilderUpdateEntity,
+    handleBuilderRemoveEntity,
+    handleBuilderExport,
+    handleCrawlOrdProvider,
+    handleQueryCatalog,
+    handleCheckPolicyCompliance,
+    handleGetPrompt,
+    handleReadConceptResource,
+    handleReadSpecificationSectionResource,
+    handleReadLocalResource,
+    listLocalResources,
+    loadLocalDocuments,
+    loadCustomRuleSets,
+    allowCdsCompile,
+    allowRead,
+} from "./mcp-handlers.js";
+import { fetchDocumentSchema, fetchSpecification, normalizeSpecificationVersion } from "./specification-fetcher.js";
+import { buildOrdConcepts } from "./ord-concepts.js";
+import { renderConceptsModule } from "./concept-generator.js";
+import { ORD_CONCEPTS_DATA_PATH, ORD_DOCUMENT_SCHEMA_URL } from "./constants.js";
+import { startHttpServer, SSE_PATH, HEALTH_PATH } from "./http-transport.js";
+import { parseServerOptions } from "./server-options.js";
+import { watchLocalOrdDocuments } from "./local-documents.js";
+import { LOCAL_URI_PREFIX } from "./local-ord-resources.js";
+
+const SERVER_INFO = Object.freeze({ name: "ord-mcp-server", version: "0.0.1" });
+const SPECIFICATION_URI_PATTERN = /^ord:\/\/specification\/([^/]+)$/;
+const SPECIFICATION_SECTION_URI_PATTERN = /^ord:\/\/specification\/section\/([^/]+)$/;
+const CONCEPT_URI_PATTERN = /^ord:\/\/concept\/([^/]+)(\/example)?$/;
 
 class OrdMcpServer {
-    constructor() {
+    // `trackRequest` sees the promise of every request; the HTTP transport waits for them on shutdown
+    constructor({ trackRequest = (promise) => promise } = {}) {
+        this.trackRequest = trackRequest;
         this.server = new Server(
-            {
-                name: "ord-mcp-server",
-                version: "0.0.1",
-            },
+            { ...SERVER_INFO },
             {
                 capabilities: {
-                    resources: {},
+                    prompts: {},
+                    resources: { listChanged: true },
                     tools: {},
                 },
             },
         );
+        // Document in progress of the ord_builder_* tools; every session has its own server instance
+        this.builderSession = { document: null };
 
         this._setupHandlers();
     }
 
+    _setRequestHandler(schema, handler) {
+        this.server.setRequestHandler(schema, (request) => this.trackRequest((async () => handler(request))()));
+    }
+
     _setupHandlers() {
         // Simple handler delegation - no business logic here
-        this.server.setRequestHandler(ListResourcesRequestSchema, () => ({
-            resources: RESOURCES,
+        this._setRequestHandler(ListResourcesRequestSchema, () => ({
+            resources: [...RESOURCES, ...listLocalResources()],
+        }));
+
+        this._setRequestHandler(ListResourceTemplatesRequestSchema, () => ({
+            resourceTemplates: RESOURCE_TEMPLATES,
         }));
 
-        this.server.setRequestHandler(ReadResourceRequestSchema, (request) => this._handleReadResource(request));
+        this._setRequestHandler(ReadResourceRequestSchema, (request) => this._handleReadResource(request));
 
-        this.server.setRequestHandler(ListToolsRequestSchema, () => ({
+        this._setRequestHandler(ListToolsRequestSchema, () => ({
             tools: TOOLS,
         }));
 
-        this.server.setRequestHandler(CallToolRequestSchema, (request) => this._handleToolCall(request));
+        this._setRequestHandler(CallToolRequestSchema, (request) => this._handleToolCall(request));
+
+        this._setRequestHandler(ListPromptsRequestSchema, () => ({
+            prompts: PROMPTS,
+        }));
+
+        this._setRequestHandler(GetPromptRequestSchema, (request) => this._handleGetPrompt(request));
+    }
+
+    // Unknown prompts and missing arguments are the client's mistake, so they surface as protocol errors
+    async _handleGetPrompt(request) {
+        try {
+            return await handleGetPrompt(request.params);
+        } catch (error) {
+            throw new McpError(ErrorCode.InvalidParams, error.message);
+        }
     }
 
     async _handleReadResource(request) {
         const { uri } = request.params;
 
-        if (uri !== "ord://specification/latest") {
+        if (uri.startsWith(LOCAL_URI_PREFIX)) {
+            return this._readResource(uri, () => handleReadLocalResource({ uri }));
+        }
+
+        const concept = uri.match(CONCEPT_URI_PATTERN);
+        if (concept) {
+            return this._readResource(uri, () =>
+                handleReadConceptResource({ name: decodeURIComponent(concept[1]), example: Boolean(concept[2]) }),
+            );
+        }
+
+        const section = uri.match(SPECIFICATION_SECTION_URI_PATTERN);
+        if (section) {
+            return this._readResource(uri, () =>
+                handleReadSpecificationSectionResource({ anchor: decodeURIComponent(section[1]) }),
+            );
+        }
+
+        const match = uri.match(SPECIFICATION_URI_PATTERN);
+        if (!match) {
             throw new McpError(ErrorCode.InvalidRequest, `Unknown resource: ${uri}`);
         }
 
-        const spec = await fetchSpecification();
+        let version;
+        try {
+            version = normalizeSpecificationVersion(decodeURIComponent(match[1]));
+        } catch (error) {
+            throw new McpError(ErrorCode.InvalidRequest, error.message);
+        }
+
+        const spec = await fetchSpecification({ version });
         return {
             contents: [
                 {
                     uri,
                     mimeType: "text/markdown",
-                    text: spec,
+                    text: spec.content,
                 },
             ],
         };
     }
 
+    // Unknown concepts and sections are reported like unknown resources
+    async _readResource(uri, read) {
+        try {
+            const { mimeType, text } = await read();
+            return { contents: [{ uri, mimeType, text }] };
+        } catch (error) {
+            throw new McpError(ErrorCode.InvalidRequest, error.message);
+        }
+    }
+
     async _handleToolCall(request) {
         const { name, arguments: args } = request.params;
 
         try {
             switch (name) {
                 case "get_ord_specification":
-                    return await handleGetSpecification();
+                    return await handleGetSpecification(args);
+                case "list_ord_specification_versions":
+                    return await handleListSpecificationVersions();
+                case "diff_ord_specification":
+                    return await handleDiffSpecification(args);
+                case "list_ord_specification_sections":
+                    return await handleListSpecificationSections(args);
+                case "get_ord_specification_section":
+                    return await handleGetSpecificationSection(args);
+                case "search_ord_specification":
+                    return await handleSearchSpecification(args);
+                case "validate_ord_document":
+                    return await handleValidateDocument(args);
+                case "lint_ord_document":
+                    return await handleLintDocument(args);
+                case "compare_ord_documents":
+                    return await handleCompareDocuments(args);
+                case "plan_ord_deprecation":
+                    return await handlePlanDeprecation(args);
+                case "parse_ord_id":
+                    return await handleParseOrdId(args);
+                case "validate_ord_id":
+                    return await handleValidateOrdId(args);
+                case "check_ord_references":
+                    return await handleCheckReferences(args);
+                case "generate_ord_from_cds":
+                    return await handleGenerateOrdFromCds(args);
+                case "generate_ord_resource_from_definition":
+                    return await handleGenerateOrdResource(args);
+                case "scaffold_ord_entity":
+                    return await handleScaffoldEntity(args);
+                case "ord_builder_start":
+                    return await handleBuilderStart(args, this.builderSession);
+                case "ord_builder_add_entity":
+                    return await handleBuilderAddEntity(args, this.builderSession);
+                case "ord_builder_update_entity":
+                    return await handleBuilderUpdateEntity(args, this.builderSession);
+                case "ord_builder_remove_entity":
+                    return await handleBuilderRemoveEntity(args, this.builderSession);
+                case "ord_builder_export":
+                    return await handleBuilderExport(args, this.builderSession);
+                case "crawl_ord_provider":
+                    return await handleCrawlOrdProvider(args);
+                case "check_ord_policy_compliance":
+                    return await handleCheckPolicyCompliance(args);
+                case "query_ord_catalog":
+                    return await handleQueryCatalog(args);
                 case "explain_ord_concept":
                     return await handleExplainConcept(args);
+                case "ord_concept_graph":
+                    return await handleConceptGraph(args);
                 default:
                     throw new McpError(ErrorCode.MethodNotFound, `Unknown tool: ${name}`);
             }
@@ -95,25 +256,141 @@ class OrdMcpServer {
         }
     }
 
-    async run() {
+    // stdio serves a single client through this instance. http serves any number of clients,
+    // each with its own MCP server instance, from one process and therefore one set of caches.
+    async run({
+        transport = "stdio",
+        host,
+        port,
+        ordDirectories = [],
+        policyRules = [],
+        readRoots = [],
+        cdsCompileRoots = [],
+    } = {}) {
         console.error("Starting ORD MCP Server...");
 
-        const transport = new StdioServerTransport();
-        await this.server.connect(transport);
+        if (policyRules.length > 0) {
+            const ruleSets = await loadCustomRuleSets(policyRules);
+            console.error(`Loaded ${ruleSets.length} custom policy rule set(s)`);
+        }
+
+        if (readRoots.length > 0) {
+            const roots = await allowRead(readRoots);
+            console.error(`Directories tools may read from: ${roots.join(", ")}`);
+        }
+
+        if (cdsCompileRoots.length > 0) {
+            const roots = await allowCdsCompile(cdsCompileRoots);
+            console.error(`CDS projects that may be compiled: ${roots.join(", ")}`);
+        }
+
+        if (ordDirectories.length > 0) {
+            await this._loadLocalDocuments(ordDirectories);
+            // Reloads run one after the other, so a slow reload cannot overwrite the result of a later one
+            let reloads = Promise.resolve();
+            this.watcher = watchLocalOrdDocuments(ordDirectories, () => {
+                reloads = reloads.then(() => this._reloadLocalDocuments(ordDirectories));
+            });
+        }
+
+        if (transport === "http") {
+            this.http = await startHttpServer({
+                host,
+                port,
+                serverInfo: SERVER_INFO,
+                createSessionServer: ({ trackRequest }) => new OrdMcpServer({ trackRequest }).server,
+            });
+            console.error(`ORD MCP Server listening on ${this.http.url} (SSE: ${SSE_PATH}, health: ${HEALTH_PATH})`);
+            return;
+        }
+
+        const stdioTransport = new StdioServerTransport();
+        await this.server.connect(stdioTransport);
 
         console.error("ORD MCP Server running on stdio");
     }
+
+    async _loadLocalDocuments(directories) {
+        const files = await loadLocalDocuments(directories);
+        files
+            .filter((file) => file.error)
+            .forEach((file) => console.error(`Skipping local ORD file ${file.path}: ${file.error}`));
+        console.error(`Loaded ${files.filter((file) => !file.error).length} local ORD document(s)`);
+    }
+
+    // Every connected client learns that the resource list changed; a client that went away only
+    // costs a log line
+    async _reloadLocalDocuments(directories) {
+        try {
+            await this._loadLocalDocuments(directories);
+        } catch (error) {
+            console.error("Reloading local ORD documents failed:", error.message);
+            return;
+        }
+        const servers = this.http ? [...this.http.sessions.values()].map((session) => session.server) : [this.server];
+        await Promise.all(
+            servers.map((server) =>
+                server
+                    .sendResourceListChanged()
+                    .catch((error) => console.error("Resource list notification failed:", error.message)),
+            ),
+        );
+    }
+
+    async close() {
+        this.watcher?.close();
+        if (this.http) {
+            await this.http.close();
+            return;
+        }
+        await this.server.close();
+    }
+}
+
+// Regenerates the static ORD_CONCEPTS fallback from the latest ORD Document schema
+async function refreshConcepts() {
+    const schema = await fetchDocumentSchema();
+    if (schema.bundled) {
+        console.error(`Warning: using the bundled schema - fetch failed: ${schema.error}`);
+    }
+
+    const concepts = buildOrdConcepts(schema.content);
+    const source = schema.bundled ? "the bundled ORD Document schema" : ORD_DOCUMENT_SCHEMA_URL;
+    await writeFile(ORD_CONCEPTS_DATA_PATH, renderConceptsModule(concepts, { source }));
+
+    console.error(`Wrote ${Object.keys(concepts).length} concepts to ${ORD_CONCEPTS_DATA_PATH}`);
 }
 
 // Main execution - fail fast on startup errors
 async function main() {
+    let server;
     try {
-        const server = new OrdMcpServer();
-        await server.run();
+        const options = parseServerOptions(process.argv.slice(2), process.env);
+        if (options.refreshConcepts) {
+            await refreshConcepts();
+            return;
+        }
+
+        server = new OrdMcpServer();
+        await server.run(options);
     } catch (error) {
         console.error("Failed to start server:", error.message);
         process.exit(1);
     }
+
+    // Graceful shutdown: let open sessions end before exiting
+    const shutdown = async (signal) => {
+        console.error(`Received ${signal}, shutting down...`);
+        try {
+            await server.close();
+            process.exit(0);
+        } catch (error) {
+            console.error("Shutdown failed:", error.message);
+            process.exit(1);
+        }
+    };
+    process.once("SIGINT", shutdown);
+    process.once("SIGTERM", shutdown);
 }
 
 // Only execute if this is the main module
@@ -0,0 +1,122 @@
+// ORD authoring prompt templates - pure logic, no I/O
+import { buildConceptExplanation } from "./ord-concepts.js";
+import { findSpecificationSection } from "./specification-sections.js";
+import { searchIndex } from "./specification-search.js";
+
+// Spec excerpts are section bodies; long ones are cut so a prompt stays within a sensible size
+const MAX_SECTION_LENGTH = 4000;
+
+// Prompt name -> { title, concepts, specificationQueries, required, build(args) }. Spec sections are
+// looked up by search query rather than heading, so headings may move between specification versions.
+const PROMPT_TEMPLATES = Object.freeze({
+    describe_cap_service_as_api_resource: {
+        title: "Describe a CAP service as an ORD API Resource",
+        concepts: ["APIResource", "ConsumptionBundle", "Package"],
+        specificationQueries: ["API Resource", "resource definitions OpenAPI EDMX", "Consumption Bundle"],
+        required: ["service"],
+        build: ({ service, namespace, packageOrdId }) => [
+            "Describe the following CAP service as an ORD `APIResource` entry of an ORD document.",
+            `## CAP service\n\n\`\`\`cds\n${service}\n\`\`\``,
+            [
+                "## Instructions",
+                "",
+                `1. Derive the ORD ID as \`${namespace ?? "<namespace>"}:apiResource:<ServiceName>:v<major>\` from the service name and version.`,
+                "2. Choose `apiProtocol` from the CAP protocol (`@odata` -> `odata-v4`, `@rest` -> `rest`) and reference the generated OpenAPI / EDMX files in `resourceDefinitions`.",
+                `3. Assign the resource to ${packageOrdId ? `the package \`${packageOrdId}\`` : "a package"} via \`partOfPackage\` and to a consumption bundle via \`partOfConsumptionBundles\`.`,
+                "4. Fill in every MANDATORY property below; use RECOMMENDED ones where the CDS model provides the information.",
+                "5. Return the `apiResources` entry as JSON and list the assumptions you made.",
+            ].join("\n"),
+        ],
+    },
+    review_ord_policy_compliance: {
+        title: "Review an ORD document for policy compliance",
+        concepts: ["DocumentProperties", "Package", "APIResource", "EventResource"],
+        specificationQueries: ["policy level", "compliance rules", "ORD Document"],
+        required: ["document"],
+        build: ({ document, policyLevel }) => [
+            `Review the following ORD document for compliance with ${policyLevel ? `the \`${policyLevel}\` policy level` : "the ORD specification and its policy levels"}.`,
+            `## ORD document\n\n\`\`\`json\n${document}\n\`\`\``,
+            [
+                "## Instructions",
+                "",
+                "1. Check that every resource has the MANDATORY properties listed below and explain missing RECOMMENDED ones.",
+                "2. Check the `policyLevel` / `policyLevels` of the document and its resources against the specification excerpts.",
+                "3. Check visibility, release status and deprecation information for consistency.",
+                "4. Report each finding with the JSON pointer of the affected value, the violated rule and a suggested fix.",
+                "5. Use the `validate_ord_document` and `check_ord_references` tools for schema and reference checks.",
+            ].join("\n"),
+        ],
+    },
+    plan_tombstone_deprecation: {
+        title: "Plan a deprecation with a Tombstone",
+        concepts: ["Tombstone", "APIResource"],
+        specificationQueries: ["deprecation sunset", "Tombstone", "version lifecycle"],
+        required: ["ordId"],
+        build: ({ ordId, successor, sunsetDate }) => [
+            `Plan the deprecation and removal of the ORD resource \`${ordId}\`.`,
+            [
+                "## Instructions",
+                "",
+                `1. Set \`releaseStatus\` to \`deprecated\` with a \`deprecationDate\` and ${sunsetDate ? `the \`sunsetDate\` ${sunsetDate}` : "a `sunsetDate`"}.`,
+                `2. ${successor ? `Point \`successors\` at \`${successor}\`.` : "Name the successor resources in `successors`, if there are any."}`,
+                "3. Describe the changelog entry and how long the deprecated version remains available.",
+                "4. After the sunset date, remove the resource and add a `tombstones` entry with `ordId` and `removalDate`.",
+                "5. Return the document changes for each step as JSON, in order.",
+            ].join("\n"),
+        ],
+    },
+});
+
+// Returns { description, messages } for prompts/get. `specification` is { sections, searchIndex }
+// of the loaded specification, or { error } when it could not be fetched.
+export function buildOrdPrompt(name, args = {}, { concepts, specification }) {
+    const template = PROMPT_TEMPLATES[name];
+    if (!template) {
+        throw new Error(`Unknown prompt: ${name}. Available prompts: ${Object.keys(PROMPT_TEMPLATES).join(", ")}`);
+    }
+    for (const argument of template.required) {
+        if (typeof args[argument] !== "string" || !args[argument].trim()) {
+            throw new Error(`Missing required argument: ${argument} for prompt ${name}`);
+        }
+    }
+
+    const conceptTexts = template.concepts
+        .filter((concept) => concepts[concept])
+        .map((concept) => buildConceptExplanation(concept, concepts));
+    const text = [
+        `# ${template.title}`,
+        ...template.build(args),
+        `## ORD concepts\n\n${conceptTexts.join("\n\n")}`,
+        `## Specification excerpts\n\n${renderSpecificationExcerpts(template.specificationQueries, specification)}`,
+    ].join("\n\n");
+
+    return {
+        description: template.title,
+        messages: [{ role: "user", content: { type: "text", text } }],
+    };
+}
+
+// Best-matching section per query, each section at most once
+function renderSpecificationExcerpts(queries, { sections, searchIndex: index, error }) {
+    if (error) {
+        return `The ORD specification could not be loaded (${error}). Use the \`get_ord_specification_section\` tool to look up: ${queries.join("; ")}.`;
+    }
+
+    const anchors = new Set();
+    const excerpts = [];
+    for (const query of queries) {
+        const [hit] = searchIndex(index, query, { limit: 1 });
+        if (!hit || anchors.has(hit.anchor)) {
+            continue;
+        }
+        anchors.add(hit.anchor);
+
+        const section = findSpecificationSection(sections, `#${hit.anchor}`);
+        const body =
+            section.body.length > MAX_SECTION_LENGTH
+                ? `${section.body.slice(0, MAX_SECTION_LENGTH)}\n\n[... truncated, see \`#${section.anchor}\`]`
+                : section.body;
+        excerpts.push(`### ${section.path.join(" > ")} (\`#${section.anchor}\`)\n\n${body}`);
+    }
+    return excerpts.length > 0 ? excerpts.join("\n\n") : "No matching specification sections found.";
+}
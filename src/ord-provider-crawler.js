@@ -0,0 +1,100 @@
+// Isolated I/O operations for the ORD discovery flow of a provider
+import axios from "axios";
+import { ORD_WELL_KNOWN_PATH } from "./constants.js";
+import { requestText } from "./specification-fetcher.js";
+
+// Access strategies the crawler can satisfy; everything else (mTLS, OAuth, custom) is skipped
+const SUPPORTED_ACCESS_STRATEGIES = Object.freeze(["open", "basic-auth"]);
+
+// Returns { configUrl, documents: [{ url, accessStrategy, status, error, document }] } where
+// status is "ok", "skipped" (no usable access strategy) or "failed". `baseUrl` may already end
+// with the well-known path. Documents are fetched one after another to go easy on the provider.
+// Credentials only go to the origin of the configuration, whatever URLs the provider lists.
+export async function crawlOrdProvider({ baseUrl, credentials = null, httpGet = axios.get } = {}) {
+    const configUrl = resolveConfigUrl(baseUrl);
+    const config = await requestJson(configUrl, credentials, httpGet);
+
+    const listed = config?.openResourceDiscoveryV1?.documents;
+    if (!Array.isArray(listed)) {
+        throw new Error(`Invalid ORD configuration at ${configUrl}: expected openResourceDiscoveryV1.documents`);
+    }
+
+    const documents = [];
+    for (const listing of listed) {
+        const url = typeof listing?.url === "string" ? new URL(listing.url, configUrl).href : null;
+        if (!url) {
+            documents.push({ url: null, accessStrategy: null, status: "failed", error: "Listing has no url" });
+            continue;
+        }
+
+        const strategies = (listing.accessStrategies ?? [{ type: "open" }]).map((strategy) => strategy?.type);
+        const accessStrategy = chooseAccessStrategy(strategies, credentials);
+        if (!accessStrategy) {
+            documents.push({
+                url,
+                accessStrategy: null,
+                status: "skipped",
+                error: `No supported access strategy (${strategies.join(", ")}); supported: open, basic-auth with username and password`,
+            });
+            continue;
+        }
+        if (accessStrategy === "basic-auth" && new URL(url).origin !== new URL(configUrl).origin) {
+            documents.push({
+                url,
+                accessStrategy: null,
+                status: "skipped",
+                error: `Document requires basic-auth on another origin than ${new URL(configUrl).origin}; credentials are only sent to the provider itself`,
+            });
+            continue;
+        }
+
+        try {
+            const document = await requestJson(url, accessStrategy === "basic-auth" ? credentials : null, httpGet);
+            if (!document || typeof document !== "object" || Array.isArray(document)) {
+                throw new Error(`Invalid ORD document at ${url}: expected a JSON object`);
+            }
+            documents.push({ url, accessStrategy, status: "ok", error: null, document });
+        } catch (error) {
+            documents.push({ url, accessStrategy, status: "failed", error: error.message });
+        }
+    }
+
+    return { configUrl, documents };
+}
+
+// The well-known configuration URL of a provider; also identifies the provider
+export function resolveConfigUrl(baseUrl) {
+    let url;
+    try {
+        url = new URL(baseUrl);
+    } catch {
+        throw new Error(`Invalid base URL: ${baseUrl}`);
+    }
+    if (!["http:", "https:"].includes(url.protocol)) {
+        throw new Error(`Invalid base URL: ${baseUrl}. Expected http or https`);
+    }
+    if (url.pathname.endsWith(ORD_WELL_KNOWN_PATH)) {
+        return url.href;
+    }
+    return `${url.origin}${url.pathname.replace(/\/+$/, "")}${ORD_WELL_KNOWN_PATH}`;
+}
+
+// Open access first; basic auth only when credentials were given
+function chooseAccessStrategy(strategies, credentials) {
+    return SUPPORTED_ACCESS_STRATEGIES.find(
+        (strategy) => strategies.includes(strategy) && (strategy === "open" || credentials),
+    );
+}
+
+async function requestJson(url, credentials, httpGet) {
+    const response = await requestText(url, {
+        httpGet,
+        headers: { Accept: "application/json" },
+        ...(credentials ? { auth: credentials } : {}),
+    });
+    try {
+        return JSON.parse(response.data);
+    } catch (error) {
+        throw new Error(`Invalid response from ${url}: not valid JSON (${error.message})`);
+    }
+}
@@ -0,0 +1,15 @@
+// Semantic versions and timestamps as ORD documents use them - pure logic, no I/O
+
+// Semantic Versioning 2.0.0, with optional pre-release and build metadata
+const SEMVER = /^(0|[1-9]\d*)\.(0|[1-9]\d*)\.(0|[1-9]\d*)(?:-[0-9A-Za-z.-]+)?(?:\+[0-9A-Za-z.-]+)?$/;
+
+// "2.1.0" -> { major: 2, minor: 1, patch: 0 }; null for anything that is no semantic version
+export function parseSemanticVersion(version) {
+    const match = typeof version === "string" ? version.match(SEMVER) : null;
+    return match ? { major: Number(match[1]), minor: Number(match[2]), patch: Number(match[3]) } : null;
+}
+
+// RFC 3339 date-time in UTC without milliseconds, e.g. "2026-03-01T12:00:00Z"
+export function toTimestamp(date) {
+    return date.toISOString().replace(/\.\d{3}Z$/, "Z");
+}
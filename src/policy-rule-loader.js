@@ -0,0 +1,46 @@
+// Isolated I/O operations for loading custom policy rule sets
+import { readFile } from "node:fs/promises";
+import { resolve } from "node:path";
+import { pathToFileURL } from "node:url";
+
+import { validateRuleSet } from "./policy-rules.js";
+
+// A .json file holds one rule set or an array of them; a JS module default-exports the same. JS rule
+// sets may use `check` functions, so only load modules you trust - they run inside the server.
+export async function loadPolicyRuleSets(paths) {
+    const ruleSets = [];
+    for (const path of paths.map((candidate) => resolve(candidate))) {
+        const exported = path.endsWith(".json") ? await readJsonRuleSets(path) : await importRuleSets(path);
+        [exported].flat().forEach((ruleSet, index) => {
+            ruleSets.push(validateRuleSet(ruleSet, Array.isArray(exported) ? `${path}[${index}]` : path));
+        });
+    }
+    return ruleSets;
+}
+
+async function readJsonRuleSets(path) {
+    let text;
+    try {
+        text = await readFile(path, "utf8");
+    } catch (error) {
+        throw new Error(`Cannot read rule set ${path}: ${error.message}`);
+    }
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        throw new Error(`Invalid rule set ${path}: not valid JSON (${error.message})`);
+    }
+}
+
+async function importRuleSets(path) {
+    let module;
+    try {
+        module = await import(pathToFileURL(path).href);
+    } catch (error) {
+        throw new Error(`Cannot load rule set ${path}: ${error.message}`);
+    }
+    if (module.default === undefined) {
+        throw new Error(`Invalid rule set ${path}: expected a default export`);
+    }
+    return module.default;
+}
@@ -0,0 +1,203 @@
+// Policy-level rules engine for ORD documents - pure logic, no I/O
+//
+// A rule set holds the rules of one policy level:
+//   { policyLevel: "sap:core:v1", description, rules: [rule] }
+// and a rule applies to entities of some concepts ("DocumentProperties" is the document itself):
+//   { id, description, concepts: ["APIResource"], when: { visibility: "public" }, required: ["lastUpdate"] }
+// `when` narrows the rule to entities whose properties equal the value (or one of an array of
+// values); `required` properties must be present and not empty. Rule sets written as JS modules
+// may also give a rule `check(entity, { concept, document })` returning a list of violation messages.
+import { ORD_CONCEPTS } from "./ord-concepts.js";
+import { listDocumentEntities } from "./ord-catalog.js";
+
+const RESOURCE_CONCEPTS = Object.freeze([
+    "APIResource",
+    "EventResource",
+    "EntityType",
+    "Capability",
+    "DataProduct",
+    "IntegrationDependency",
+]);
+
+export const BUILT_IN_RULE_SETS = Object.freeze([
+    {
+        policyLevel: "sap:core:v1",
+        description: "Core compliance rules for SAP products",
+        rules: [
+            {
+                id: "sap-core-last-update",
+                description: "Resources must state when they last changed (lastUpdate)",
+                concepts: [...RESOURCE_CONCEPTS, "Package"],
+                required: ["lastUpdate"],
+            },
+            {
+                id: "sap-core-part-of-products",
+                description: "Packages must name the products they belong to (partOfProducts)",
+                concepts: ["Package"],
+                required: ["partOfProducts"],
+            },
+            {
+                id: "sap-core-public-api-documentation",
+                description:
+                    "Public APIs and events must be documented with a short description, a description and resource definitions",
+                concepts: ["APIResource", "EventResource"],
+                when: { visibility: "public" },
+                required: ["shortDescription", "description", "resourceDefinitions"],
+            },
+            {
+                id: "sap-core-deprecation-date",
+                description: "Deprecated resources must state when they were deprecated (deprecationDate)",
+                concepts: RESOURCE_CONCEPTS,
+                when: { releaseStatus: "deprecated" },
+                required: ["deprecationDate"],
+            },
+        ],
+    },
+]);
+
+// Throws when the rule set cannot be applied; `source` names it in the message
+export function validateRuleSet(ruleSet, source = "rule set") {
+    const fail = (message) => {
+        throw new Error(`Invalid rule set ${source}: ${message}`);
+    };
+    if (!ruleSet || typeof ruleSet !== "object" || Array.isArray(ruleSet)) {
+        fail("expected an object with policyLevel and rules");
+    }
+    if (typeof ruleSet.policyLevel !== "string" || !ruleSet.policyLevel) {
+        fail("policyLevel must be a non-empty string");
+    }
+    if (!Array.isArray(ruleSet.rules) || ruleSet.rules.length === 0) {
+        fail("rules must be a non-empty array");
+    }
+
+    const ids = new Set();
+    ruleSet.rules.forEach((rule, index) => {
+        const label = `rules[${index}]`;
+        if (!rule || typeof rule.id !== "string" || !rule.id) {
+            fail(`${label}.id must be a non-empty string`);
+        }
+        if (ids.has(rule.id)) {
+            fail(`duplicate rule id ${rule.id}`);
+        }
+        ids.add(rule.id);
+        if (!Array.isArray(rule.concepts) || rule.concepts.length === 0) {
+            fail(`${rule.id}: concepts must be a non-empty array`);
+        }
+        const unknown = rule.concepts.filter((concept) => !ORD_CONCEPTS[concept]);
+        if (unknown.length > 0) {
+            fail(`${rule.id}: unknown concept(s) ${unknown.join(", ")}`);
+        }
+        if (rule.when !== undefined && (!rule.when || typeof rule.when !== "object" || Array.isArray(rule.when))) {
+            fail(`${rule.id}: when must be an object of property values`);
+        }
+        if (
+            rule.required !== undefined &&
+            (!Array.isArray(rule.required) || rule.required.some((name) => typeof name !== "string" || !name))
+        ) {
+            fail(`${rule.id}: required must be an array of property names`);
+        }
+        if (rule.check !== undefined && typeof rule.check !== "function") {
+            fail(`${rule.id}: check must be a function`);
+        }
+        if (!rule.required && !rule.check) {
+            fail(`${rule.id}: needs required properties or a check function`);
+        }
+    });
+    return ruleSet;
+}
+
+// Returns the policy levels an entity has to comply with: its own, else its package's, else the
+// document's. `policyLevels` wins over the older `policyLevel` / `customPolicyLevel` pair.
+export function getEffectivePolicyLevels(entity, document) {
+    const own = declaredPolicyLevels(entity);
+    if (own) {
+        return own;
+    }
+    const pkg =
+        typeof entity?.partOfPackage === "string"
+            ? (document.packages ?? []).find((candidate) => candidate?.ordId === entity.partOfPackage)
+            : null;
+    return (pkg && declaredPolicyLevels(pkg)) ?? declaredPolicyLevels(document) ?? [];
+}
+
+// Applies every rule set whose policy level an entity has. With `policyLevel`, all entities are
+// checked against that level instead, whatever they declare. Returns { passed, policyLevels,
+// unknownPolicyLevels, rules } where unknownPolicyLevels have no rule set, and each rule is
+// { id, policyLevel, description, status, checked, violations: [{ path, ordId, message }] } with
+// status "pass", "fail" or "not-applicable" (no entity of the level matched).
+export function checkPolicyCompliance(document, ruleSets, { policyLevel } = {}) {
+    const entities = listDocumentEntities(document).map((item) => ({
+        ...item,
+        policyLevels: policyLevel ? [policyLevel] : getEffectivePolicyLevels(item.entity, document),
+    }));
+    const requested = new Set(entities.flatMap((item) => item.policyLevels));
+    const applied = ruleSets.filter((ruleSet) => requested.has(ruleSet.policyLevel));
+
+    const rules = applied.flatMap((ruleSet) =>
+        ruleSet.rules.map((rule) => {
+            const targets = entities.filter(
+                (item) =>
+                    item.policyLevels.includes(ruleSet.policyLevel) &&
+                    rule.concepts.includes(item.concept) &&
+                    matchesWhen(rule.when, item.entity),
+            );
+            const violations = targets.flatMap((item) =>
+                evaluateRule(rule, item, document).map((message) => ({
+                    path: item.path,
+                    ordId: item.entity.ordId ?? null,
+                    message,
+                })),
+            );
+            return {
+                id: rule.id,
+                policyLevel: ruleSet.policyLevel,
+                description: rule.description ?? "",
+                status: targets.length === 0 ? "not-applicable" : violations.length > 0 ? "fail" : "pass",
+                checked: targets.length,
+                violations,
+            };
+        }),
+    );
+
+    return {
+        passed: rules.every((rule) => rule.status !== "fail"),
+        policyLevels: [...requested].sort(),
+        unknownPolicyLevels: [...requested].filter((level) => !ruleSets.some((set) => set.policyLevel === level)),
+        rules,
+    };
+}
+
+function declaredPolicyLevels(entity) {
+    if (Array.isArray(entity?.policyLevels)) {
+        return entity.policyLevels;
+    }
+    if (entity?.policyLevel === "custom") {
+        return entity.customPolicyLevel ? [entity.customPolicyLevel] : [];
+    }
+    if (entity?.policyLevel === "none") {
+        return [];
+    }
+    return typeof entity?.policyLevel === "string" ? [entity.policyLevel] : null;
+}
+
+function matchesWhen(when, entity) {
+    return Object.entries(when ?? {}).every(([property, expected]) => [expected].flat().includes(entity[property]));
+}
+
+function evaluateRule(rule, { concept, entity }, document) {
+    const missing = (rule.required ?? [])
+        .filter((property) => isEmpty(entity[property]))
+        .map((property) => `Missing ${property}`);
+    if (!rule.check) {
+        return missing;
+    }
+    try {
+        return [...missing, ...[rule.check(entity, { concept, document }) ?? []].flat().map(String)];
+    } catch (error) {
+        throw new Error(`Rule ${rule.id} failed: ${error.message}`);
+    }
+}
+
+function isEmpty(value) {
+    return value === undefined || value === null || value === "" || (Array.isArray(value) && value.length === 0);
+}
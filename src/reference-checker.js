@@ -0,0 +1,171 @@
+// Referential integrity across one or more ORD documents - pure logic, no I/O
+import { getConceptProperties } from "./ord-concepts.js";
+import { ENTITY_CONCEPTS } from "./ord-catalog.js";
+import { ORD_ID_REFERENCE_FIELDS, ORD_ID_TYPES } from "./ord-id.js";
+
+// Reference property -> concept it must point at; successors point at the declaring concept
+const REFERENCE_TARGETS = Object.freeze({
+    ...Object.fromEntries(
+        Object.entries(ORD_ID_REFERENCE_FIELDS).map(([field, type]) => [field, ORD_ID_TYPES[type].concept]),
+    ),
+    partOfGroups: "Group",
+    groupTypeId: "GroupType",
+    successors: null,
+});
+
+// ENTITY_CONCEPTS with the properties of each concept that hold references
+const REFERENCING_CONCEPTS = ENTITY_CONCEPTS.map((concept) => ({
+    ...concept,
+    referenceFields: getConceptProperties(concept.name)
+        .map((property) => property.name)
+        .filter((property) => property !== concept.identity && property in REFERENCE_TARGETS),
+}));
+
+// Returns { valid, definitions, issues: { danglingReferences, duplicateIds, parentCycles, emptyPackages } }
+export function checkOrdReferences(documents) {
+    const entities = collectEntities(documents);
+    const definitions = new Map();
+    const tombstoned = new Set();
+
+    for (const entity of entities) {
+        if (entity.concept.name === "Tombstone") {
+            tombstoned.add(entity.id);
+            continue;
+        }
+        if (!definitions.has(entity.id)) {
+            definitions.set(entity.id, []);
+        }
+        definitions.get(entity.id).push(entity);
+    }
+
+    const references = entities.filter((entity) => entity.concept.name !== "Tombstone").flatMap(collectReferences);
+
+    const issues = {
+        danglingReferences: findDanglingReferences(references, definitions, tombstoned),
+        duplicateIds: [...definitions.entries()]
+            .filter(([, defined]) => defined.length > 1)
+            .map(([id, defined]) => ({ id, definitions: defined.map(locate) })),
+        parentCycles: findParentCycles(entities),
+        emptyPackages: findEmptyPackages(entities, references),
+    };
+
+    return {
+        valid: Object.values(issues).every((list) => list.length === 0),
+        definitions: definitions.size,
+        issues,
+    };
+}
+
+// Returns [{ path, field, id }] for every reference to an ORD ID or group in the document, object
+// references ({ ordId }) pointing at their ordId
+export function listOrdReferences(document) {
+    return collectEntities([document])
+        .filter((entity) => entity.concept.name !== "Tombstone")
+        .flatMap(collectReferences)
+        .map(({ path, field, id }) => ({ path, field, id }));
+}
+
+function collectEntities(documents) {
+    return documents.flatMap((document, documentIndex) =>
+        REFERENCING_CONCEPTS.flatMap((concept) => {
+            const list = document[concept.documentArray];
+            if (!Array.isArray(list)) {
+                return [];
+            }
+            return list
+                .map((entity, index) => ({
+                    concept,
+                    entity,
+                    id: entity?.[concept.identity],
+                    documentIndex,
+                    path: `/${concept.documentArray}/${index}`,
+                }))
+                .filter(({ id }) => typeof id === "string");
+        }),
+    );
+}
+
+// One entry per referenced ID; object references ({ ordId }) are unwrapped
+function collectReferences(source) {
+    return source.concept.referenceFields.flatMap((field) => {
+        const value = source.entity[field];
+        const target = REFERENCE_TARGETS[field] ?? source.concept.name;
+        const values = Array.isArray(value) ? value : [value];
+
+        return values.flatMap((item, index) => {
+            const itemPath = Array.isArray(value) ? `${source.path}/${field}/${index}` : `${source.path}/${field}`;
+            if (typeof item === "string") {
+                return [{ source, field, target, id: item, path: itemPath }];
+            }
+            if (typeof item?.ordId === "string") {
+                return [{ source, field, target, id: item.ordId, path: `${itemPath}/ordId` }];
+            }
+            return [];
+        });
+    });
+}
+
+function findDanglingReferences(references, definitions, tombstoned) {
+    return references.flatMap((reference) => {
+        const defined = definitions.get(reference.id);
+        let problem = null;
+
+        if (defined) {
+            const concepts = [...new Set(defined.map((entity) => entity.concept.name))];
+            if (!concepts.includes(reference.target)) {
+                problem = `points at a ${concepts.join("/")}, expected a ${reference.target}`;
+            }
+        } else if (tombstoned.has(reference.id)) {
+            problem = "points at a removed (tombstoned) resource";
+        } else {
+            problem = `${reference.target} is not defined in any of the documents`;
+        }
+
+        return problem
+            ? [{ ...locate(reference.source), path: reference.path, field: reference.field, id: reference.id, problem }]
+            : [];
+    });
+}
+
+// Each cycle is reported once, rotated to start at its smallest ID
+function findParentCycles(entities) {
+    const parents = new Map(
+        entities
+            .filter((entity) => entity.concept.name === "Product" && typeof entity.entity.parent === "string")
+            .map((entity) => [entity.id, entity.entity.parent]),
+    );
+
+    const cycles = new Map();
+    for (const start of parents.keys()) {
+        const chain = [];
+        let current = start;
+        while (current !== undefined && !chain.includes(current)) {
+            chain.push(current);
+            current = parents.get(current);
+        }
+        if (current === undefined) {
+            continue;
+        }
+
+        const cycle = chain.slice(chain.indexOf(current));
+        const smallest = cycle.indexOf([...cycle].sort()[0]);
+        const normalized = [...cycle.slice(smallest), ...cycle.slice(0, smallest)];
+        cycles.set(normalized.join("\n"), normalized);
+    }
+
+    return [...cycles.values()].map((cycle) => ({ cycle: [...cycle, cycle[0]] }));
+}
+
+function findEmptyPackages(entities, references) {
+    const usedPackages = new Set(
+        references.filter((reference) => reference.field === "partOfPackage").map((reference) => reference.id),
+    );
+
+    return entities
+        .filter((entity) => entity.concept.name === "Package" && !usedPackages.has(entity.id))
+        .map((entity) => ({ id: entity.id, ...locate(entity) }));
+}
+
+function locate({ documentIndex, path }) {
+    return { document: documentIndex, path };
+}
@@ -0,0 +1,86 @@
+// Command line and environment options of the server entry point - pure logic, no I/O
+import { delimiter } from "node:path";
+
+import { DEFAULT_HTTP_HOST, DEFAULT_HTTP_PORT } from "./constants.js";
+
+const TRANSPORTS = ["stdio", "http"];
+const VALUE_OPTIONS = ["transport", "host", "port"];
+// Options that may repeat, and the environment variable listing their values like PATH
+const LIST_OPTIONS = Object.freeze({
+    "ord-dir": { key: "ordDirectories", env: "ORD_MCP_ORD_DIRS" },
+    "policy-rules": { key: "policyRules", env: "ORD_MCP_POLICY_RULES" },
+    "allow-read": { key: "readRoots", env: "ORD_MCP_READ_ROOTS" },
+    "allow-cds-compile": { key: "cdsCompileRoots", env: "ORD_MCP_CDS_COMPILE_ROOTS" },
+});
+
+// Flags win over environment variables:
+//   --transport <stdio|http>  ORD_MCP_TRANSPORT     (default stdio)
+//   --host <host>             ORD_MCP_HOST          (http only)
+//   --port <port>             ORD_MCP_PORT          (http only, 0 picks a free port)
+//   --ord-dir <directory>     ORD_MCP_ORD_DIRS      (local ORD documents, repeats)
+//   --policy-rules <module>   ORD_MCP_POLICY_RULES  (custom policy rule sets, .js or .json, repeats)
+//   --allow-read <dir>        ORD_MCP_READ_ROOTS    (directories tools may read files from by path, repeats;
+//                             none by default)
+//   --allow-cds-compile <dir> ORD_MCP_CDS_COMPILE_ROOTS (CAP projects generate_ord_from_cds may compile
+//                             with their own cds CLI, repeats; none by default)
+//   --refresh-concepts        regenerate the static concepts and exit
+// Values may be given as "--port 8080" or "--port=8080".
+export function parseServerOptions(argv = [], env = {}) {
+    const flags = {};
+    const lists = {};
+    for (let index = 0; index < argv.length; index++) {
+        const arg = argv[index];
+        if (!arg.startsWith("--")) {
+            throw new Error(`Unexpected argument: ${arg}`);
+        }
+
+        const [name, inlineValue] = splitFlag(arg.slice(2));
+        if (name === "refresh-concepts") {
+            flags.refreshConcepts = true;
+            continue;
+        }
+        if (!VALUE_OPTIONS.includes(name) && !LIST_OPTIONS[name]) {
+            throw new Error(`Unknown option: --${name}`);
+        }
+
+        const value = inlineValue ?? argv[++index];
+        if (value === undefined || value.startsWith("--")) {
+            throw new Error(`Missing value for --${name}`);
+        }
+        if (LIST_OPTIONS[name]) {
+            lists[name] = [...(lists[name] ?? []), value];
+            continue;
+        }
+        flags[name] = value;
+    }
+
+    const transport = (flags.transport ?? env.ORD_MCP_TRANSPORT ?? "stdio").toLowerCase();
+    if (!TRANSPORTS.includes(transport)) {
+        throw new Error(`Unknown transport: ${transport}. Use one of: ${TRANSPORTS.join(", ")}`);
+    }
+
+    // An empty value counts as unset; Number("") would be 0, a random free port
+    const portValue = [flags.port, env.ORD_MCP_PORT].find((value) => value?.trim());
+    const port = portValue === undefined ? DEFAULT_HTTP_PORT : Number(portValue);
+    if (!Number.isInteger(port) || port < 0 || port > 65535) {
+        throw new Error(`Invalid port: ${portValue}. Expected an integer between 0 and 65535`);
+    }
+
+    return {
+        transport,
+        host: flags.host ?? env.ORD_MCP_HOST ?? DEFAULT_HTTP_HOST,
+        port,
+        ...Object.fromEntries(
+            Object.entries(LIST_OPTIONS).map(([name, option]) => [
+                option.key,
+                lists[name] ?? (env[option.env] ?? "").split(delimiter).filter(Boolean),
+            ]),
+        ),
+        refreshConcepts: flags.refreshConcepts === true,
+    };
+}
+
+function splitFlag(flag) {
+    const separator = flag.indexOf("=");
+    return separator === -1 ? [flag, undefined] : [flag.slice(0, separator), flag.slice(separator + 1)];
+}
@@ -0,0 +1,59 @@
+// On-disk cache for fetched specification documents - isolated file system I/O
+import { createHash, randomUUID } from "node:crypto";
+import { mkdir, readFile, rename, rm, writeFile } from "node:fs/promises";
+import { join } from "node:path";
+
+// One file per URL holding content and metadata together, so they are always replaced as a pair
+function entryPath(cacheDir, url) {
+    const key = createHash("sha256").update(url).digest("hex").slice(0, 16);
+    return join(cacheDir, `${key}.json`);
+}
+
+// Returns { content, etag, lastModified, link, fetchedAt } or null on a cache miss
+export async function readCacheEntry(cacheDir, url) {
+    let entry;
+    try {
+        entry = JSON.parse(await readFile(entryPath(cacheDir, url), "utf8"));
+    } catch (error) {
+        // Missing entries and files from older cache layouts are misses; anything else is a real failure
+        if (error.code === "ENOENT" || error instanceof SyntaxError) {
+            return null;
+        }
+        throw new Error(`Failed to read specification cache: ${error.message}`);
+    }
+
+    if (entry?.url !== url || typeof entry.fetchedAt !== "number" || typeof entry.content !== "string") {
+        return null;
+    }
+
+    return {
+        content: entry.content,
+        etag: entry.etag ?? null,
+        lastModified: entry.lastModified ?? null,
+        link: entry.link ?? null,
+        fetchedAt: entry.fetchedAt,
+    };
+}
+
+export async function writeCacheEntry(cacheDir, url, { content, etag, lastModified, link, fetchedAt }) {
+    const path = entryPath(cacheDir, url);
+    const entry = {
+        url,
+        etag: etag ?? null,
+        lastModified: lastModified ?? null,
+        link: link ?? null,
+        fetchedAt,
+        content,
+    };
+    // Every write gets its own temp file, so concurrent sessions never write into each other's file
+    const tempPath = `${path}.${randomUUID()}.tmp`;
+
+    await mkdir(cacheDir, { recursive: true });
+    try {
+        await writeFile(tempPath, JSON.stringify(entry), "utf8");
+        await rename(tempPath, path);
+    } catch (error) {
+        await rm(tempPath, { force: true });
+        throw error;
+    }
+}
@@ -0,0 +1,126 @@
+// Section-aware diff between two ORD specification versions - pure logic, no I/O
+import { parseSpecificationSections, flattenSections } from "./specification-sections.js";
+
+// Name of the schema root, which holds the document-level properties
+const ROOT_DEFINITION = "Document";
+
+// `from` and `to` are { markdown, schema } with the specification text and the ORD Document JSON
+// schema text of a version. Sections are matched by heading path, so a moved or renamed heading shows
+// up as removed + added. Properties come from the schema, where `required` and `x-recommended` of each
+// definition decide the requirement level; the specification text has no reliable property tables.
+export function diffSpecifications(from, to) {
+    const before = indexSections(from.markdown);
+    const after = indexSections(to.markdown);
+    const sections = { added: [], removed: [], changed: [] };
+
+    for (const [key, section] of after) {
+        const previous = before.get(key);
+        if (!previous) {
+            sections.added.push(describeSection(section));
+        } else if (previous.text !== section.text) {
+            sections.changed.push(describeSection(section));
+        }
+    }
+    for (const [key, section] of before) {
+        if (!after.has(key)) {
+            sections.removed.push(describeSection(section));
+        }
+    }
+
+    const properties = diffProperties(indexProperties(from.schema), indexProperties(to.schema));
+    const newMandatoryFields = [
+        ...properties.added
+            .filter((property) => property.requirement === "MANDATORY")
+            .map((property) => ({ ...property, previously: null })),
+        ...properties.changed
+            .filter(({ changes }) => changes.requirement.to === "MANDATORY")
+            .map(({ definition, property, changes }) => ({
+                definition,
+                property,
+                requirement: "MANDATORY",
+                previously: changes.requirement.from,
+            })),
+    ];
+
+    return {
+        summary: {
+            addedSections: sections.added.length,
+            removedSections: sections.removed.length,
+            changedSections: sections.changed.length,
+            addedProperties: properties.added.length,
+            removedProperties: properties.removed.length,
+            changedProperties: properties.changed.length,
+            newMandatoryFields: newMandatoryFields.length,
+        },
+        newMandatoryFields,
+        sections,
+        properties,
+    };
+}
+
+// Heading path -> { path, anchor, text }; repeated paths get a " (2)", " (3)", ... suffix
+function indexSections(markdown) {
+    const index = new Map();
+    for (const section of flattenSections(parseSpecificationSections(markdown))) {
+        const path = section.path.join(" > ");
+        let key = path;
+        for (let occurrence = 2; index.has(key); occurrence++) {
+            key = `${path} (${occurrence})`;
+        }
+        index.set(key, { path: key, anchor: section.anchor, text: section.body.replace(/\s+/g, " ") });
+    }
+    return index;
+}
+
+// "Definition.property" -> { definition, property, requirement } for the root and every definition
+function indexProperties(schemaText) {
+    let schema;
+    try {
+        schema = JSON.parse(schemaText);
+    } catch (error) {
+        throw new Error(`Invalid schema: ${error.message}`);
+    }
+    if (!schema || typeof schema !== "object" || !schema.properties) {
+        throw new Error("Invalid schema: expected the ORD Document JSON schema");
+    }
+
+    const index = new Map();
+    const definitions = [[ROOT_DEFINITION, schema], ...Object.entries(schema.definitions ?? {})];
+    for (const [definition, { properties = {}, required = [], "x-recommended": recommended = [] }] of definitions) {
+        for (const property of Object.keys(properties)) {
+            const requirement = required.includes(property)
+                ? "MANDATORY"
+                : recommended.includes(property)
+                  ? "RECOMMENDED"
+                  : "OPTIONAL";
+            index.set(`${definition}.${property}`, { definition, property, requirement });
+        }
+    }
+    return index;
+}
+
+function diffProperties(before, after) {
+    const properties = { added: [], removed: [], changed: [] };
+    for (const [key, property] of after) {
+        const previous = before.get(key);
+        if (!previous) {
+            properties.added.push(property);
+        } else if (previous.requirement !== property.requirement) {
+            properties.changed.push({
+                definition: property.definition,
+                property: property.property,
+                changes: { requirement: { from: previous.requirement, to: property.requirement } },
+            });
+        }
+    }
+    for (const [key, property] of before) {
+        if (!after.has(key)) {
+            properties.removed.push(property);
+        }
+    }
+    return properties;
+}
+
+function describeSection({ path, anchor }) {
+    return { section: path, anchor };
+}
@@ -1,29 +1,253 @@
 // Isolated I/O operations for fetching ORD specification
+import { readFile } from "node:fs/promises";
 import axios from "axios";
-import { ORD_SPEC_URL, REQUEST_TIMEOUT_MS } from "./constants.js";
+import {
+    BUNDLED_DOCUMENT_SCHEMA_PATH,
+    ORD_DOCUMENT_SCHEMA_PATH,
+    ORD_DOCUMENT_SCHEMA_URL,
+    ORD_SPEC_PATH,
+    ORD_SPEC_REPOSITORY,
+    ORD_SPEC_TAGS_URL,
+    ORD_SPEC_URL,
+    REQUEST_TIMEOUT_MS,
+    SPEC_CACHE_DIR,
+    SPEC_CACHE_TTL_MS,
+} from "./constants.js";
+import { readCacheEntry, writeCacheEntry } from "./specification-cache.js";
 
-// Isolated I/O operations with explicit error handling
-export async function fetchSpecification() {
+const RELEASE_TAG_PATTERN = /^v(\d+)\.(\d+)\.(\d+)$/;
+
+// Accepts "latest" or a release tag, with or without the leading "v" ("1.9.0" -> "v1.9.0")
+export function normalizeSpecificationVersion(version = "latest") {
+    if (typeof version !== "string" || !version.trim()) {
+        throw new Error("Specification version must be a non-empty string");
+    }
+
+    const trimmed = version.trim();
+    if (trimmed.toLowerCase() === "latest") {
+        return "latest";
+    }
+
+    const tag = trimmed.startsWith("v") ? trimmed : `v${trimmed}`;
+    if (!RELEASE_TAG_PATTERN.test(tag)) {
+        throw new Error(`Invalid specification version: ${version}. Use "latest" or a release tag such as v1.9.0`);
+    }
+    return tag;
+}
+
+// Same result shape as fetchCachedText, plus the resolved version.
+// Release tags never change, so their cache entries never need revalidation.
+export async function fetchSpecification({ version = "latest", ...options } = {}) {
+    const resolved = normalizeSpecificationVersion(version);
+    if (resolved === "latest") {
+        return { ...(await fetchCachedText({ url: ORD_SPEC_URL, ...options })), version: resolved };
+    }
+    return { ...(await fetchReleaseFile(resolved, ORD_SPEC_PATH, options)), version: resolved };
+}
+
+// Release tags of the specification repository, newest first. The tag list is paginated; every
+// page is cached on its own and the `next` links of the Link header are followed to the end.
+export async function listSpecificationVersions(options = {}) {
+    const pages = [];
+    const requested = new Set();
+    let url = ORD_SPEC_TAGS_URL;
+    while (url && !requested.has(url)) {
+        requested.add(url);
+        const page = await fetchCachedText({ url, ...options });
+        pages.push({ ...page, tags: parseTagPage(page.content) });
+        url = nextPageUrl(page.link);
+    }
+
+    const versions = pages
+        .flatMap((page) => page.tags)
+        .map((tag) => tag?.name)
+        .filter((name) => RELEASE_TAG_PATTERN.test(name ?? ""))
+        .sort(compareReleaseTags);
+
+    // The list is only as fresh as its oldest page
+    const stalePage = pages.find((page) => page.stale);
+    return {
+        fromCache: pages.every((page) => page.fromCache),
+        stale: Boolean(stalePage),
+        fetchedAt: Math.min(...pages.map((page) => page.fetchedAt)),
+        error: stalePage?.error ?? null,
+        versions,
+    };
+}
+
+// Returns { content, fromCache, stale, fetchedAt, error, link } with `link` the Link header, if any.
+// Fresh cache entries are served directly, older ones are revalidated with
+// ETag/Last-Modified, and a stale entry is served when the network fails.
+export async function fetchCachedText({
+    url,
+    cacheDir = SPEC_CACHE_DIR,
+    ttlMs = SPEC_CACHE_TTL_MS,
+    httpGet = axios.get,
+    now = Date.now,
+} = {}) {
+    const cached = await readCacheEntry(cacheDir, url);
+
+    if (cached && now() - cached.fetchedAt < ttlMs) {
+        return {
+            content: cached.content,
+            fromCache: true,
+            stale: false,
+            fetchedAt: cached.fetchedAt,
+            error: null,
+            link: cached.link,
+        };
+    }
+
+    let response;
     try {
-        const response = await axios.get(ORD_SPEC_URL, {
-            timeout: REQUEST_TIMEOUT_MS,
-            // Fail fast on client errors
-            validateStatus: (status) => status >= 200 && status < 300,
-        });
+        response = await requestSpecification(url, cached, httpGet);
+    } catch (error) {
+        if (!cached) {
+            throw error;
+        }
+        // Stale-while-error: an old specification beats no specification
+        return {
+            content: cached.content,
+            fromCache: true,
+            stale: true,
+            fetchedAt: cached.fetchedAt,
+            error: error.message,
+            link: cached.link,
+        };
+    }
+
+    const entry = {
+        content: response.status === 304 ? cached.content : response.data,
+        etag: response.headers?.etag ?? cached?.etag,
+        lastModified: response.headers?.["last-modified"] ?? cached?.lastModified,
+        link: response.headers?.link ?? cached?.link,
+        fetchedAt: now(),
+    };
+    await writeCacheEntry(cacheDir, url, entry);
+
+    return {
+        content: entry.content,
+        fromCache: response.status === 304,
+        stale: false,
+        fetchedAt: entry.fetchedAt,
+        error: null,
+        link: entry.link ?? null,
+    };
+}
+
+// Same result shape as fetchCachedText, with the schema as JSON text, plus the resolved version.
+// When the latest schema was never fetched and the network is down, the bundled copy is used instead;
+// release tags have no offline copy.
+export async function fetchDocumentSchema({ version = "latest", ...options } = {}) {
+    const resolved = normalizeSpecificationVersion(version);
+    if (resolved !== "latest") {
+        const schema = await fetchReleaseFile(resolved, ORD_DOCUMENT_SCHEMA_PATH, options);
+        return { ...schema, bundled: false, version: resolved };
+    }
 
-        if (!response.data || typeof response.data !== "string") {
-            throw new Error("Invalid response: expected string content");
+    try {
+        const schema = await fetchCachedText({ url: ORD_DOCUMENT_SCHEMA_URL, ...options });
+        return { ...schema, bundled: false, version: resolved };
+    } catch (error) {
+        const content = await readFile(BUNDLED_DOCUMENT_SCHEMA_PATH, "utf8");
+        return {
+            content,
+            fromCache: false,
+            stale: true,
+            fetchedAt: null,
+            error: error.message,
+            bundled: true,
+            version: resolved,
+        };
+    }
+}
+
+// A file of the specification repository at a release tag
+async function fetchReleaseFile(tag, path, options) {
+    const url = `https://raw.githubusercontent.com/${ORD_SPEC_REPOSITORY}/${tag}/${path}`;
+    try {
+        return await fetchCachedText({ url, ttlMs: Infinity, ...options });
+    } catch (error) {
+        if (error.status === 404) {
+            throw new Error(
+                `Unknown specification version: ${tag}. Use list_ord_specification_versions to see available releases`,
+            );
         }
+        throw error;
+    }
+}
 
-        return response.data;
+function parseTagPage(content) {
+    let tags;
+    try {
+        tags = JSON.parse(content);
+    } catch (error) {
+        throw new Error(`Invalid response: expected JSON tag list (${error.message})`);
+    }
+    if (!Array.isArray(tags)) {
+        throw new Error("Invalid response: expected JSON tag list");
+    }
+    return tags;
+}
+
+// `<https://api.github.com/...&page=2>; rel="next", <...>; rel="last"` -> the next URL, or null
+function nextPageUrl(link) {
+    const next = (link ?? "").split(",").find((part) => /;\s*rel="?next"?/.test(part));
+    return next?.match(/<([^>]+)>/)?.[1] ?? null;
+}
+
+// Newest first: v1.10.0 sorts before v1.9.0
+function compareReleaseTags(a, b) {
+    const [, ...partsA] = a.match(RELEASE_TAG_PATTERN).map(Number);
+    const [, ...partsB] = b.match(RELEASE_TAG_PATTERN).map(Number);
+    return partsB[0] - partsA[0] || partsB[1] - partsA[1] || partsB[2] - partsA[2];
+}
+
+// Conditional request with the validators of the cached entry, if any
+async function requestSpecification(url, cached, httpGet) {
+    const headers = {};
+    if (cached?.etag) {
+        headers["If-None-Match"] = cached.etag;
+    }
+    if (cached?.lastModified) {
+        headers["If-Modified-Since"] = cached.lastModified;
+    }
+    return requestText(url, {
+        httpGet,
+        headers,
+        // Fail fast on client errors; 304 only makes sense when we sent validators
+        validateStatus: (status) => (status >= 200 && status < 300) || (status === 304 && Boolean(cached)),
+    });
+}
+
+// GET with text content and explicit error handling: timeouts, HTTP status and network errors get
+// context, and HTTP errors keep their `status`. Other options (headers, auth, validateStatus) go to
+// `httpGet` as they are.
+export async function requestText(url, { httpGet = axios.get, ...options } = {}) {
+    let response;
+    try {
+        response = await httpGet(url, {
+            timeout: REQUEST_TIMEOUT_MS,
+            // Keep JSON documents as text so every cache entry is stored verbatim
+            responseType: "text",
+            validateStatus: (status) => status >= 200 && status < 300,
+            ...options,
+        });
     } catch (error) {
         // Add context for debugging without exposing internals
         if (error.code === "ECONNABORTED") {
-            throw new Error(`Request timeout after ${REQUEST_TIMEOUT_MS}ms`);
+            throw new Error(`Request timeout after ${REQUEST_TIMEOUT_MS}ms: ${url}`);
         }
         if (error.response?.status) {
-            throw new Error(`HTTP ${error.response.status}: Failed to fetch specification`);
+            throw Object.assign(new Error(`HTTP ${error.response.status}: Failed to fetch ${url}`), {
+                status: error.response.status,
+            });
         }
         throw new Error(`Network error: ${error.message}`);
     }
+
+    if (response.status !== 304 && (!response.data || typeof response.data !== "string")) {
+        throw new Error(`Invalid response from ${url}: expected string content`);
+    }
+    return response;
 }
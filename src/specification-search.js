@@ -0,0 +1,102 @@
+// In-memory BM25 full-text index over specification sections - pure logic, no I/O
+import { flattenSections } from "./specification-sections.js";
+
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const SNIPPET_LENGTH = 280;
+const STOP_WORDS = new Set("a an and are as be by for if in is it of on or that the this to with".split(" "));
+
+// Each paragraph is one search document, so snippets point at the relevant passage
+// rather than at a whole section. Heading titles are indexed with every paragraph.
+export function buildSearchIndex(sections) {
+    const documents = [];
+    const postings = new Map();
+
+    for (const section of flattenSections(sections)) {
+        const titleTerms = tokenize(section.title);
+        const paragraphs = section.body.split(/\n\s*\n/).filter((paragraph) => paragraph.trim());
+
+        for (const text of paragraphs.length > 0 ? paragraphs : [""]) {
+            const terms = [...titleTerms, ...tokenize(text)];
+            const id = documents.length;
+            documents.push({ section, text, length: terms.length });
+
+            const frequencies = new Map();
+            terms.forEach((term) => frequencies.set(term, (frequencies.get(term) ?? 0) + 1));
+            frequencies.forEach((frequency, term) => {
+                if (!postings.has(term)) {
+                    postings.set(term, []);
+                }
+                postings.get(term).push([id, frequency]);
+            });
+        }
+    }
+
+    const totalLength = documents.reduce((sum, document) => sum + document.length, 0);
+    return { documents, postings, averageLength: totalLength / Math.max(documents.length, 1) };
+}
+
+// Returns up to `limit` hits as { score, title, path, anchor, snippet }, best first
+export function searchIndex(index, query, { limit = 10 } = {}) {
+    const queryTerms = [...new Set(tokenize(query))];
+    if (queryTerms.length === 0) {
+        throw new Error("Search query must contain at least one searchable word");
+    }
+
+    const scores = new Map();
+    const documentCount = index.documents.length;
+
+    for (const term of queryTerms) {
+        const termPostings = index.postings.get(term) ?? [];
+        const idf = Math.log(1 + (documentCount - termPostings.length + 0.5) / (termPostings.length + 0.5));
+
+        for (const [id, frequency] of termPostings) {
+            const lengthRatio = index.documents[id].length / index.averageLength;
+            const weight = (frequency * (BM25_K1 + 1)) / (frequency + BM25_K1 * (1 - BM25_B + BM25_B * lengthRatio));
+            scores.set(id, (scores.get(id) ?? 0) + idf * weight);
+        }
+    }
+
+    return [...scores.entries()]
+        .sort(([idA, scoreA], [idB, scoreB]) => scoreB - scoreA || idA - idB)
+        .slice(0, limit)
+        .map(([id, score]) => {
+            const { section, text } = index.documents[id];
+            return {
+                score,
+                title: section.title,
+                path: section.path,
+                anchor: section.anchor,
+                snippet: buildSnippet(text, queryTerms),
+            };
+        });
+}
+
+// Lowercased words plus their camelCase parts, so "releaseStatus" and "release status" both match
+export function tokenize(text) {
+    const words = text.match(/[\p{L}\p{N}]+/gu) ?? [];
+    return words.flatMap((word) => {
+        const lower = word.toLowerCase();
+        const parts = word
+            .split(/(?<=\p{Ll})(?=\p{Lu})/u)
+            .map((part) => part.toLowerCase())
+            .filter((part) => part !== lower);
+        return [lower, ...parts].filter((term) => !STOP_WORDS.has(term));
+    });
+}
+
+// Window of the paragraph around the first query term, whitespace collapsed
+function buildSnippet(text, queryTerms) {
+    const flat = text.replace(/\s+/g, " ").trim();
+    if (flat.length <= SNIPPET_LENGTH) {
+        return flat;
+    }
+
+    const lower = flat.toLowerCase();
+    const hits = queryTerms.map((term) => lower.indexOf(term)).filter((position) => position >= 0);
+    const center = hits.length > 0 ? Math.min(...hits) : 0;
+    const start = Math.max(0, Math.min(center - Math.floor(SNIPPET_LENGTH / 3), flat.length - SNIPPET_LENGTH));
+    const snippet = flat.slice(start, start + SNIPPET_LENGTH).trim();
+
+    return `${start > 0 ? "…" : ""}${snippet}${start + SNIPPET_LENGTH < flat.length ? "…" : ""}`;
+}
@@ -0,0 +1,175 @@
+// Markdown heading tree for section-level access to the ORD specification - pure logic, no I/O
+
+const HEADING_PATTERN = /^(#{1,6})\s+(.+?)(?:\s+#+)?\s*$/;
+const FENCE_PATTERN = /^\s*(`{3,}|~{3,})/;
+// Docusaurus-style explicit anchors: "### API Resource {#api-resource}"
+const CUSTOM_ANCHOR_PATTERN = /\s*\{#([\w.-]+)\}\s*$/;
+
+// Returns the top-level sections; every node is { title, anchor, level, path, content, body, children }.
+// A section's content runs from its heading up to the next heading of the same or a higher level;
+// body is only the text below the heading and above the first subsection.
+export function parseSpecificationSections(markdown) {
+    const lines = markdown.split(/\r?\n/);
+    const roots = [];
+    const open = [];
+    const anchorCounts = new Map();
+    let fence = null;
+
+    const close = (node, endLine) => {
+        node.content = lines.slice(node.startLine, endLine).join("\n").trim();
+        node.body = lines
+            .slice(node.startLine + 1, node.bodyEndLine ?? endLine)
+            .join("\n")
+            .trim();
+        delete node.startLine;
+        delete node.bodyEndLine;
+    };
+
+    lines.forEach((line, index) => {
+        const fenceMatch = line.match(FENCE_PATTERN);
+        if (fenceMatch) {
+            // Headings inside code blocks are example content, not structure
+            if (!fence) {
+                fence = fenceMatch[1];
+            } else if (fenceMatch[1].startsWith(fence)) {
+                fence = null;
+            }
+            return;
+        }
+
+        const heading = !fence && line.match(HEADING_PATTERN);
+        if (!heading) {
+            return;
+        }
+
+        const level = heading[1].length;
+        while (open.length > 0 && open[open.length - 1].level >= level) {
+            close(open.pop(), index);
+        }
+
+        const { title, anchor } = parseHeadingText(heading[2], anchorCounts);
+        const parent = open[open.length - 1];
+        const node = {
+            title,
+            anchor,
+            level,
+            path: parent ? [...parent.path, title] : [title],
+            content: "",
+            body: "",
+            children: [],
+            startLine: index,
+        };
+
+        if (parent && parent.children.length === 0) {
+            parent.bodyEndLine = index;
+        }
+        (parent ? parent.children : roots).push(node);
+        open.push(node);
+    });
+
+    while (open.length > 0) {
+        close(open.pop(), lines.length);
+    }
+
+    return roots;
+}
+
+// Depth-first list of every section in document order
+export function flattenSections(sections) {
+    return sections.flatMap((section) => [section, ...flattenSections(section.children)]);
+}
+
+// Query is an anchor ("#api-resource"), a heading title, or a heading path such as
+// "API Resource > apiProtocol"; path segments may skip intermediate headings.
+export function findSpecificationSection(sections, query) {
+    const segments = query.replace(/^#/, "").split(">").map(normalizeTitle).filter(Boolean);
+
+    if (segments.length === 0) {
+        throw new Error("Section query cannot be empty");
+    }
+
+    const match = findInTree(sections, segments, []);
+    if (match) {
+        return match;
+    }
+
+    const last = segments[segments.length - 1];
+    const suggestions = flattenSections(sections)
+        .filter((section) => normalizeTitle(section.title).includes(last))
+        .slice(0, 5)
+        .map((section) => section.path.join(" > "));
+    const hint = suggestions.length > 0 ? ` Did you mean: ${suggestions.join("; ")}?` : "";
+    throw new Error(`Unknown specification section: ${query}.${hint}`);
+}
+
+// GitHub-compatible heading slug
+export function slugifyHeading(text) {
+    return text
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}\s_-]/gu, "")
+        .trim()
+        .replace(/\s/g, "-");
+}
+
+// Explicit anchors win; repeated generated slugs get -1, -2, ... suffixes like on GitHub
+function parseHeadingText(rawText, anchorCounts) {
+    const customAnchor = rawText.match(CUSTOM_ANCHOR_PATTERN);
+    const title = stripInlineMarkdown(rawText.replace(CUSTOM_ANCHOR_PATTERN, ""));
+
+    if (customAnchor) {
+        return { title, anchor: customAnchor[1] };
+    }
+
+    const slug = slugifyHeading(title);
+    const count = anchorCounts.get(slug) ?? 0;
+    anchorCounts.set(slug, count + 1);
+    return { title, anchor: count === 0 ? slug : `${slug}-${count}` };
+}
+
+function stripInlineMarkdown(text) {
+    return text
+        .replace(/!?\[([^\]]*)\]\([^)]*\)/g, "$1")
+        .replace(/<[^>]+>/g, "")
+        .replace(/[`*]/g, "")
+        .trim();
+}
+
+function normalizeTitle(text) {
+    return text.trim().toLowerCase().replace(/\s+/g, " ");
+}
+
+function matchesSegment(section, segment) {
+    return normalizeTitle(section.title) === segment || section.anchor.toLowerCase() === segment;
+}
+
+// Depth-first in document order, carrying the ancestor chain for path matching
+function findInTree(sections, segments, ancestors) {
+    for (const section of sections) {
+        if (
+            matchesSegment(section, segments[segments.length - 1]) &&
+            ancestorsMatch(ancestors, segments.slice(0, -1))
+        ) {
+            return section;
+        }
+        const nested = findInTree(section.children, segments, [...ancestors, section]);
+        if (nested) {
+            return nested;
+        }
+    }
+    return null;
+}
+
+// Segments must appear in order among the ancestors, not necessarily adjacent
+function ancestorsMatch(ancestors, segments) {
+    let position = 0;
+    for (const segment of segments) {
+        while (position < ancestors.length && !matchesSegment(ancestors[position], segment)) {
+            position++;
+        }
+        if (position === ancestors.length) {
+            return false;
+        }
+        position++;
+    }
+    return true;
+}
@@ -0,0 +1,271 @@
+#!/usr/bin/env node
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { spawn } from 'child_process';
+import { get } from 'http';
+import { Server } from '@modelcontextprotocol/sdk/server/index.js';
+import { CallToolRequestSchema } from '@modelcontextprotocol/sdk/types.js';
+import { startHttpServer } from '../../src/http-transport.js';
+
+describe('HTTP Transport Integration Tests', () => {
+
+    // Port 0 lets the OS pick a free port; the server logs the URL it listens on
+    async function createHttpServerInstance() {
+        const server = spawn('node', ['src/ord-mcp-server.js', '--transport', 'http', '--port', '0'], {
+            stdio: ['ignore', 'ignore', 'pipe'],
+            cwd: process.cwd()
+        });
+
+        const url = await new Promise((resolve, reject) => {
+            const timeout = setTimeout(() => reject(new Error('Server did not start')), 10000);
+            let log = '';
+            server.stderr.on('data', (data) => {
+                log += data.toString();
+                const match = log.match(/listening on (http:\/\/\S+)/);
+                if (match) {
+                    clearTimeout(timeout);
+                    resolve(match[1]);
+                }
+            });
+        });
+
+        return { server, url };
+    }
+
+    // Opens an SSE stream; resolves with the session's message endpoint and a way to await responses
+    function openSession(url) {
+        return new Promise((resolve, reject) => {
+            const request = get(`${url}/sse`, (response) => {
+                const waiting = new Map();
+                let buffer = '';
+
+                response.on('data', (chunk) => {
+                    buffer += chunk.toString();
+                    const events = buffer.split('\n\n');
+                    buffer = events.pop();
+
+                    for (const event of events) {
+                        const type = event.match(/^event: (.*)$/m)?.[1];
+                        const data = event.match(/^data: (.*)$/m)?.[1];
+                        if (type === 'endpoint') {
+                            resolve({ endpoint: `${url}${data}`, response: (id) => new Promise((done) => waiting.set(id, done)), close: () => request.destroy() });
+                        } else if (type === 'message') {
+                            const message = JSON.parse(data);
+                            waiting.get(message.id)?.(message);
+                        }
+                    }
+                });
+            });
+            request.on('error', reject);
+        });
+    }
+
+    async function post(session, message) {
+        const reply = session.response(message.id);
+        const result = await fetch(session.endpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(message)
+        });
+        assert.strictEqual(result.status, 202, 'Messages should be accepted');
+        return reply;
+    }
+
+    test('should report health', async () => {
+        const { server, url } = await createHttpServerInstance();
+
+        try {
+            const response = await fetch(`${url}/health`);
+            const health = await response.json();
+
+            assert.strictEqual(response.status, 200, 'Health endpoint should answer 200');
+            assert.strictEqual(health.status, 'ok', 'Should report ok');
+            assert.strictEqual(health.name, 'ord-mcp-server', 'Should name the server');
+            assert.strictEqual(health.sessions, 0, 'Should have no sessions yet');
+
+        } finally {
+            server.kill();
+        }
+    });
+
+    test('should serve concurrent sessions', async () => {
+        const { server, url } = await createHttpServerInstance();
+
+        try {
+            const first = await openSession(url);
+            const second = await openSession(url);
+            assert.notStrictEqual(first.endpoint, second.endpoint, 'Each session should get its own endpoint');
+
+            const [tools, explanation] = await Promise.all([
+                post(first, { jsonrpc: '2.0', id: 1, method: 'tools/list' }),
+                post(second, { jsonrpc: '2.0', id: 1, method: 'tools/call', params: { name: 'explain_ord_concept', arguments: { concept: 'Product' } } })
+            ]);
+
+            assert(tools.result.tools.some((tool) => tool.name === 'explain_ord_concept'), 'First session should list tools');
+            assert(explanation.result.content[0].text.includes('# ORD Concept: Product'), 'Second session should run tools');
+
+            const health = await (await fetch(`${url}/health`)).json();
+            assert.strictEqual(health.sessions, 2, 'Should count open sessions');
+
+            first.close();
+            second.close();
+
+        } finally {
+            server.kill();
+        }
+    });
+
+    test('should keep one builder draft per session', async () => {
+        const { server, url } = await createHttpServerInstance();
+
+        try {
+            const first = await openSession(url);
+            const second = await openSession(url);
+            const call = (session, id, name, args) =>
+                post(session, { jsonrpc: '2.0', id, method: 'tools/call', params: { name, arguments: args } });
+
+            await call(first, 1, 'ord_builder_start', { properties: { openResourceDiscovery: '1.9' } });
+            await call(first, 2, 'ord_builder_add_entity', { concept: 'Vendor', entity: { ordId: 'sap:vendor:SAP:', title: 'SAP SE' } });
+
+            const exported = await call(first, 3, 'ord_builder_export', {});
+            assert(exported.result.content[0].text.includes('"ordId": "sap:vendor:SAP:"'), 'First session should export its draft');
+
+            const other = await call(second, 1, 'ord_builder_export', {});
+            assert.strictEqual(other.result.isError, true, 'Second session should have no draft');
+            assert(other.result.content[0].text.includes('Call ord_builder_start first'));
+
+            first.close();
+            second.close();
+
+        } finally {
+            server.kill();
+        }
+    });
+
+    test('should reject messages for unknown sessions', async () => {
+        const { server, url } = await createHttpServerInstance();
+
+        try {
+            const response = await fetch(`${url}/messages?sessionId=nope`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: '{}'
+            });
+            assert.strictEqual(response.status, 404, 'Unknown sessions should get 404');
+
+        } finally {
+            server.kill();
+        }
+    });
+
+    test('should shut down gracefully with open sessions', async () => {
+        const { server, url } = await createHttpServerInstance();
+        const session = await openSession(url);
+
+        const exitCode = await new Promise((resolve) => {
+            server.on('exit', resolve);
+            server.kill('SIGTERM');
+        });
+
+        assert.strictEqual(exitCode, 0, 'Server should exit cleanly');
+        session.close();
+    });
+
+    test('should answer running tool calls before closing sessions', async () => {
+        // A session server whose only tool takes a while to answer
+        const createSessionServer = ({ trackRequest }) => {
+            const server = new Server({ name: 'slow', version: '0.0.0' }, { capabilities: { tools: {} } });
+            server.setRequestHandler(CallToolRequestSchema, () => trackRequest((async () => {
+                await new Promise((resolve) => setTimeout(resolve, 300));
+                return { content: [{ type: 'text', text: 'done' }] };
+            })()));
+            return server;
+        };
+        const http = await startHttpServer({ host: '127.0.0.1', port: 0, createSessionServer, serverInfo: {} });
+        const session = await openSession(http.url);
+
+        try {
+            await post(session, {
+                jsonrpc: '2.0',
+                id: 1,
+                method: 'initialize',
+                params: { protocolVersion: '2024-11-05', capabilities: {}, clientInfo: { name: 'test', version: '0.0.0' } }
+            });
+            const reply = post(session, { jsonrpc: '2.0', id: 2, method: 'tools/call', params: { name: 'slow', arguments: {} } });
+            // Give the request time to reach the tool before shutting down
+            await new Promise((resolve) => setTimeout(resolve, 50));
+            const closed = http.close({ timeoutMs: 5000 });
+
+            // Idle connections are closed right away; a request that still gets through is answered 503
+            const status = await fetch(session.endpoint, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ jsonrpc: '2.0', id: 3, method: 'tools/list' })
+            }).then((response) => response.status, () => 'refused');
+            assert.ok([503, 'refused'].includes(status), `New messages should be refused while shutting down, got ${status}`);
+
+            const response = await reply;
+            assert.strictEqual(response.result.content[0].text, 'done', 'Running call should still be answered');
+            await closed;
+            assert.strictEqual(http.sessions.size, 0, 'Sessions should be closed');
+
+        } finally {
+            session.close();
+        }
+    });
+
+    test('should cut off tool calls that outlast the shutdown timeout', async () => {
+        const createSessionServer = ({ trackRequest }) => {
+            const server = new Server({ name: 'stuck', version: '0.0.0' }, { capabilities: { tools: {} } });
+            server.setRequestHandler(CallToolRequestSchema, () => trackRequest(new Promise(() => {})));
+            return server;
+        };
+        const http = await startHttpServer({ host: '127.0.0.1', port: 0, createSessionServer, serverInfo: {} });
+        const session = await openSession(http.url);
+
+        try {
+            session.response(1);
+            await fetch(session.endpoint, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'tools/call', params: { name: 'stuck', arguments: {} } })
+            });
+
+            const started = Date.now();
+            await http.close({ timeoutMs: 200 });
+            assert.ok(Date.now() - started < 2000, 'Shutdown should not wait for the stuck call');
+
+        } finally {
+            session.close();
+        }
+    });
+
+    test('should close the session server when its stream closes', async () => {
+        let closeCalls = 0;
+        const createSessionServer = () => {
+            const server = new Server({ name: 'closing', version: '0.0.0' }, { capabilities: {} });
+            const close = server.close.bind(server);
+            server.close = () => {
+                closeCalls++;
+                return close();
+            };
+            return server;
+        };
+        const http = await startHttpServer({ host: '127.0.0.1', port: 0, createSessionServer, serverInfo: {} });
+
+        try {
+            const session = await openSession(http.url);
+            session.close();
+            for (let attempt = 0; attempt < 50 && http.sessions.size > 0; attempt++) {
+                await new Promise((resolve) => setTimeout(resolve, 20));
+            }
+            assert.strictEqual(http.sessions.size, 0, 'Session should be removed');
+            assert.strictEqual(closeCalls, 1, 'Session server should be closed once');
+
+        } finally {
+            await http.close({ timeoutMs: 200 });
+        }
+        assert.strictEqual(closeCalls, 1, 'Shutdown should not close the session server again');
+    });
+});
@@ -3,11 +3,15 @@
 import { test, describe } from 'node:test';
 import assert from 'node:assert';
 import { spawn } from 'child_process';
+import { createServer } from 'http';
+import { mkdtemp, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
 
 describe('MCP Server Integration Tests', () => {
     
-    async function createServerInstance() {
-        const server = spawn('node', ['src/ord-mcp-server.js'], {
+    async function createServerInstance(args = []) {
+        const server = spawn('node', ['src/ord-mcp-server.js', ...args], {
             stdio: ['pipe', 'pipe', 'inherit'],
             cwd: process.cwd()
         });
@@ -76,11 +80,32 @@ describe('MCP Server Integration Tests', () => {
             assert.strictEqual(response.id, 1, 'Should have matching request ID');
             assert(response.result, 'Should have result');
             assert(Array.isArray(response.result.tools), 'Should have tools array');
-            assert.strictEqual(response.result.tools.length, 2, 'Should have 2 tools');
+            assert.strictEqual(response.result.tools.length, 26, 'Should have 26 tools');
             
             const toolNames = response.result.tools.map(tool => tool.name);
             assert(toolNames.includes('get_ord_specification'), 'Should have get_ord_specification tool');
+            assert(toolNames.includes('list_ord_specification_versions'), 'Should have list_ord_specification_versions tool');
+            assert(toolNames.includes('diff_ord_specification'), 'Should have diff_ord_specification tool');
+            assert(toolNames.includes('list_ord_specification_sections'), 'Should have list_ord_specification_sections tool');
+            assert(toolNames.includes('get_ord_specification_section'), 'Should have get_ord_specification_section tool');
+            assert(toolNames.includes('search_ord_specification'), 'Should have search_ord_specification tool');
+            assert(toolNames.includes('validate_ord_document'), 'Should have validate_ord_document tool');
+            assert(toolNames.includes('parse_ord_id'), 'Should have parse_ord_id tool');
+            assert(toolNames.includes('validate_ord_id'), 'Should have validate_ord_id tool');
+            assert(toolNames.includes('check_ord_references'), 'Should have check_ord_references tool');
+            assert(toolNames.includes('generate_ord_from_cds'), 'Should have generate_ord_from_cds tool');
+            assert(toolNames.includes('generate_ord_resource_from_definition'), 'Should have generate_ord_resource_from_definition tool');
+            assert(toolNames.includes('scaffold_ord_entity'), 'Should have scaffold_ord_entity tool');
+            assert(toolNames.includes('ord_builder_start'), 'Should have ord_builder_start tool');
+            assert(toolNames.includes('ord_builder_export'), 'Should have ord_builder_export tool');
+            assert(toolNames.includes('crawl_ord_provider'), 'Should have crawl_ord_provider tool');
+            assert(toolNames.includes('query_ord_catalog'), 'Should have query_ord_catalog tool');
+            assert(toolNames.includes('check_ord_policy_compliance'), 'Should have check_ord_policy_compliance tool');
+            assert(toolNames.includes('lint_ord_document'), 'Should have lint_ord_document tool');
+            assert(toolNames.includes('compare_ord_documents'), 'Should have compare_ord_documents tool');
+            assert(toolNames.includes('plan_ord_deprecation'), 'Should have plan_ord_deprecation tool');
             assert(toolNames.includes('explain_ord_concept'), 'Should have explain_ord_concept tool');
+            assert(toolNames.includes('ord_concept_graph'), 'Should have ord_concept_graph tool');
             
         } finally {
             server.kill();
@@ -103,11 +128,235 @@ describe('MCP Server Integration Tests', () => {
             assert.strictEqual(response.id, 2, 'Should have matching request ID');
             assert(response.result, 'Should have result');
             assert(Array.isArray(response.result.resources), 'Should have resources array');
-            assert.strictEqual(response.result.resources.length, 1, 'Should have 1 resource');
             
             const resource = response.result.resources[0];
             assert.strictEqual(resource.uri, 'ord://specification/latest', 'Should have correct URI');
             assert.strictEqual(resource.name, 'ORD Specification', 'Should have correct name');
+
+            const mimeTypes = Object.fromEntries(response.result.resources.map(item => [item.uri, item.mimeType]));
+            assert.strictEqual(mimeTypes['ord://concept/APIResource'], 'text/markdown', 'Should list concept explanations');
+            assert.strictEqual(mimeTypes['ord://concept/APIResource/example'], 'application/json', 'Should list concept examples');
+            
+        } finally {
+            server.kill();
+        }
+    });
+
+    test('should list resource templates', async () => {
+        const server = await createServerInstance();
+        
+        try {
+            const request = {
+                jsonrpc: '2.0',
+                id: 8,
+                method: 'resources/templates/list'
+            };
+
+            const response = await sendRequest(server, request);
+            
+            assert.strictEqual(response.id, 8, 'Should have matching request ID');
+            const uriTemplates = response.result.resourceTemplates.map(template => template.uriTemplate);
+            assert(uriTemplates.includes('ord://specification/{version}'), 'Should have versioned specification template');
+            assert(uriTemplates.includes('ord://specification/section/{anchor}'), 'Should have specification section template');
+            assert(uriTemplates.includes('ord://concept/{name}'), 'Should have concept template');
+            assert(uriTemplates.includes('ord://concept/{name}/example'), 'Should have concept example template');
+            
+        } finally {
+            server.kill();
+        }
+    });
+
+    test('should read concept resources', async () => {
+        const server = await createServerInstance();
+        
+        try {
+            const explanation = await sendRequest(server, {
+                jsonrpc: '2.0',
+                id: 13,
+                method: 'resources/read',
+                params: { uri: 'ord://concept/apiresource' }
+            }, 30000);
+            
+            const [content] = explanation.result.contents;
+            assert.strictEqual(content.mimeType, 'text/markdown', 'Explanations should be markdown');
+            assert(content.text.includes('# ORD Concept: APIResource'), 'Should resolve names case insensitively');
+
+            const example = await sendRequest(server, {
+                jsonrpc: '2.0',
+                id: 14,
+                method: 'resources/read',
+                params: { uri: 'ord://concept/Package/example' }
+            });
+            
+            assert.strictEqual(example.result.contents[0].mimeType, 'application/json', 'Examples should be JSON');
+            assert(JSON.parse(example.result.contents[0].text).ordId, 'Example should be a Package');
+
+            const unknown = await sendRequest(server, {
+                jsonrpc: '2.0',
+                id: 15,
+                method: 'resources/read',
+                params: { uri: 'ord://concept/Widget' }
+            });
+            
+            assert(unknown.error, 'Should return a JSON-RPC error');
+            assert(unknown.error.message.includes('Unknown concept: Widget'), 'Should explain the error');
+            
+        } finally {
+            server.kill();
+        }
+    });
+
+    test('should crawl a local ORD provider', async () => {
+        // Stand-in for a running system that publishes ORD documents
+        const files = {
+            '/.well-known/open-resource-discovery': {
+                openResourceDiscoveryV1: { documents: [{ url: '/ord/v1/document', accessStrategies: [{ type: 'open' }] }] }
+            },
+            '/ord/v1/document': {
+                openResourceDiscovery: '1.9',
+                packages: [{ ordId: 'sap.test:package:Orders:v1', title: 'Orders' }],
+                apiResources: [{ ordId: 'sap.test:apiResource:Orders:v1', title: 'Orders API', visibility: 'public' }]
+            }
+        };
+        const provider = createServer((req, res) => {
+            const body = files[req.url];
+            res.writeHead(body ? 200 : 404, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(body ?? {}));
+        });
+        await new Promise((resolve) => provider.listen(0, '127.0.0.1', resolve));
+        const server = await createServerInstance();
+        
+        try {
+            const request = {
+                jsonrpc: '2.0',
+                id: 16,
+                method: 'tools/call',
+                params: {
+                    name: 'crawl_ord_provider',
+                    arguments: { baseUrl: `http://127.0.0.1:${provider.address().port}` }
+                }
+            };
+
+            const response = await sendRequest(server, request);
+            const text = response.result.content[0].text;
+            
+            assert(!response.result.isError, 'Should crawl without errors');
+            assert(text.includes('## Documents (1 of 1 fetched)'), 'Should fetch the listed document');
+            assert(text.includes('- `sap.test:apiResource:Orders:v1` - Orders API (public)'), 'Should list the API');
+
+            const query = await sendRequest(server, {
+                jsonrpc: '2.0',
+                id: 17,
+                method: 'tools/call',
+                params: { name: 'query_ord_catalog', arguments: { filter: 'type=APIResource visibility=public' } }
+            });
+            const queryText = query.result.content[0].text;
+
+            assert(!query.result.isError, 'Should query the crawled catalog');
+            assert(queryText.includes('Found 1 match(es) - APIResource: 1'), 'Should find the API of the crawled provider');
+            
+        } finally {
+            server.kill();
+            provider.close();
+        }
+    });
+
+    test('should expose local ORD documents and announce changes', async () => {
+        const directory = await mkdtemp(join(tmpdir(), 'ord-local-'));
+        await writeFile(join(directory, 'document.json'), JSON.stringify({
+            openResourceDiscovery: '1.9',
+            apiResources: [{ ordId: 'sap.test:apiResource:Orders:v1', title: 'Orders API' }]
+        }));
+        const server = await createServerInstance(['--ord-dir', directory]);
+
+        try {
+            const list = await sendRequest(server, { jsonrpc: '2.0', id: 18, method: 'resources/list' });
+            const uris = list.result.resources.map((resource) => resource.uri);
+            const entityUri = `ord://local/${directory.split('/').pop()}/document.json/sap.test:apiResource:Orders:v1`;
+
+            assert(uris.includes(entityUri), 'Should list the API of the local document');
+
+            const read = await sendRequest(server, { jsonrpc: '2.0', id: 19, method: 'resources/read', params: { uri: entityUri } });
+            assert.strictEqual(JSON.parse(read.result.contents[0].text).title, 'Orders API', 'Should read the entity');
+
+            const notified = new Promise((resolve) => {
+                server.stdout.on('data', (data) => {
+                    if (data.toString().includes('notifications/resources/list_changed')) resolve(true);
+                });
+            });
+            await writeFile(join(directory, 'events.json'), JSON.stringify({ openResourceDiscovery: '1.9' }));
+            const timeout = new Promise((resolve) => setTimeout(() => resolve(false), 5000));
+            assert(await Promise.race([notified, timeout]), 'Should notify about the new file');
+
+            const relisted = await sendRequest(server, { jsonrpc: '2.0', id: 20, method: 'resources/list' });
+            assert(
+                relisted.result.resources.some((resource) => resource.uri.endsWith('/events.json')),
+                'Should list the new document'
+            );
+            
+        } finally {
+            server.kill();
+            await rm(directory, { recursive: true, force: true });
+        }
+    });
+
+    test('should reject invalid specification versions', async () => {
+        const server = await createServerInstance();
+        
+        try {
+            const request = {
+                jsonrpc: '2.0',
+                id: 9,
+                method: 'resources/read',
+                params: { uri: 'ord://specification/main' }
+            };
+
+            const response = await sendRequest(server, request);
+            
+            assert.strictEqual(response.id, 9, 'Should have matching request ID');
+            assert(response.error, 'Should return a JSON-RPC error');
+            assert(response.error.message.includes('Invalid specification version'), 'Should explain the error');
+            
+        } finally {
+            server.kill();
+        }
+    });
+
+    test('should list and get prompts', async () => {
+        const server = await createServerInstance();
+        
+        try {
+            const listResponse = await sendRequest(server, {
+                jsonrpc: '2.0',
+                id: 10,
+                method: 'prompts/list'
+            });
+            
+            const promptNames = listResponse.result.prompts.map(prompt => prompt.name);
+            assert(promptNames.includes('describe_cap_service_as_api_resource'), 'Should have CAP service prompt');
+            assert(promptNames.includes('review_ord_policy_compliance'), 'Should have policy review prompt');
+            assert(promptNames.includes('plan_tombstone_deprecation'), 'Should have deprecation prompt');
+
+            const getResponse = await sendRequest(server, {
+                jsonrpc: '2.0',
+                id: 11,
+                method: 'prompts/get',
+                params: { name: 'plan_tombstone_deprecation', arguments: { ordId: 'sap.s4:apiResource:Orders:v1' } }
+            }, 30000);
+            
+            const text = getResponse.result.messages[0].content.text;
+            assert(text.includes('sap.s4:apiResource:Orders:v1'), 'Should include the argument');
+            assert(text.includes('# ORD Concept: Tombstone'), 'Should include the concept explanation');
+
+            const errorResponse = await sendRequest(server, {
+                jsonrpc: '2.0',
+                id: 12,
+                method: 'prompts/get',
+                params: { name: 'plan_tombstone_deprecation', arguments: {} }
+            });
+            
+            assert(errorResponse.error, 'Should return a JSON-RPC error');
+            assert(errorResponse.error.message.includes('Missing required argument: ordId'), 'Should explain the error');
             
         } finally {
             server.kill();
@@ -200,6 +449,37 @@ describe('MCP Server Integration Tests', () => {
         }
     });
 
+    test('should execute validate_ord_document tool', async () => {
+        const server = await createServerInstance();
+        
+        try {
+            const request = {
+                jsonrpc: '2.0',
+                id: 7,
+                method: 'tools/call',
+                params: {
+                    name: 'validate_ord_document',
+                    arguments: {
+                        document: '{"openResourceDiscovery": "1.9", "apiResources": [{"ordId": "sap.s4:apiResource:X:v1"}]}'
+                    }
+                }
+            };
+
+            const response = await sendRequest(server, request);
+            
+            assert.strictEqual(response.id, 7, 'Should have matching request ID');
+            assert(!response.result.isError, 'Validation findings are not tool errors');
+            
+            const text = response.result.content[0].text;
+            assert(text.includes('# ORD Document Validation'), 'Should contain validation title');
+            assert(text.includes('"valid": false'), 'Should report the document as invalid');
+            assert(text.includes('/apiResources/0/partOfPackage'), 'Should report JSON pointer paths');
+            
+        } finally {
+            server.kill();
+        }
+    });
+
     test('should handle invalid tool calls', async () => {
         const server = await createServerInstance();
         
@@ -0,0 +1,46 @@
+#!/usr/bin/env node
+
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { mkdir, mkdtemp, rm, symlink, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { resolveAllowedPath, resolveRoots } from '../../src/allowed-paths.js';
+
+describe('Allowed Paths Unit Tests', () => {
+    let directory;
+    let roots;
+
+    beforeEach(async () => {
+        directory = await mkdtemp(join(tmpdir(), 'ord-allowed-'));
+        await mkdir(join(directory, 'root', 'nested'), { recursive: true });
+        await mkdir(join(directory, 'root-sibling'));
+        await writeFile(join(directory, 'root', 'nested', 'api.json'), '{}');
+        await writeFile(join(directory, 'secret.txt'), 'secret');
+        await symlink(join(directory, 'secret.txt'), join(directory, 'root', 'link.txt'));
+        roots = await resolveRoots([join(directory, 'root')], 'read root');
+    });
+
+    afterEach(async () => {
+        await rm(directory, { recursive: true, force: true });
+    });
+
+    test('should resolve paths within the roots', async () => {
+        const path = await resolveAllowedPath(join(directory, 'root', 'nested', 'api.json'), roots, 'API definition');
+        assert.strictEqual(path, join(roots[0], 'nested', 'api.json'));
+        assert.strictEqual(await resolveAllowedPath(join(directory, 'root'), roots, 'Project'), roots[0]);
+    });
+
+    test('should reject paths outside the roots', async () => {
+        for (const path of [join(directory, 'secret.txt'), join(directory, 'root', 'link.txt'), join(directory, 'root-sibling')]) {
+            await assert.rejects(resolveAllowedPath(path, roots, 'API definition'), /outside the directories the server may read/, path);
+        }
+        await assert.rejects(resolveAllowedPath(join(directory, 'secret.txt'), [], 'API definition'), /--allow-read/);
+    });
+
+    test('should report missing files and roots', async () => {
+        await assert.rejects(resolveAllowedPath(join(directory, 'root', 'missing.json'), roots, 'API definition'), /API definition not found/);
+        await assert.rejects(resolveAllowedPath(join(directory, 'missing.json'), roots, 'API definition'), /outside the directories/);
+        await assert.rejects(resolveRoots([join(directory, 'missing')], 'read root'), /Invalid read root .*missing/);
+    });
+});
@@ -0,0 +1,103 @@
+#!/usr/bin/env node
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { parseApiDefinition, generateOrdResourceFromDefinition } from '../../src/api-definition-to-ord.js';
+
+const OPENAPI_YAML = `
+openapi: 3.0.3
+info:
+  title: Sales Order API
+  description: |-
+    Create and manage sales orders.
+    Supports bulk operations.
+  version: "2.1"
+servers:
+  - url: https://api.example.com/sales/v2
+  - url: https://{tenant}.example.com/sales/v2
+paths: {}
+`;
+
+const ASYNCAPI = {
+    asyncapi: '2.6.0',
+    info: { title: 'Order Events', version: '1.0.0', description: 'Order lifecycle events.' },
+    channels: {},
+};
+
+describe('API Definition to ORD Unit Tests', () => {
+
+    describe('parseApiDefinition', () => {
+        test('should parse JSON and YAML text', () => {
+            assert.strictEqual(parseApiDefinition(OPENAPI_YAML).mediaType, 'text/yaml');
+            assert.strictEqual(parseApiDefinition(OPENAPI_YAML).definition.info.title, 'Sales Order API');
+            assert.deepStrictEqual(parseApiDefinition(JSON.stringify(ASYNCAPI)), { definition: ASYNCAPI, mediaType: 'application/json' });
+            assert.strictEqual(parseApiDefinition(ASYNCAPI).definition, ASYNCAPI);
+        });
+
+        test('should reject invalid input', () => {
+            assert.throws(() => parseApiDefinition('{"openapi":'), /not valid JSON/);
+            assert.throws(() => parseApiDefinition('a: [b'), /not valid YAML/);
+            assert.throws(() => parseApiDefinition('just text'), /expected an object at the top level/);
+            assert.throws(() => parseApiDefinition(''), /expected JSON or YAML text or an object/);
+        });
+    });
+
+    describe('generateOrdResourceFromDefinition', () => {
+        test('should map an OpenAPI definition to an APIResource', () => {
+            const { definition, mediaType } = parseApiDefinition(OPENAPI_YAML);
+            const result = generateOrdResourceFromDefinition(definition, {
+                mediaType,
+                url: '/specs/sales.yaml',
+                namespace: 'sap.s4',
+                packageOrdId: 'sap.s4:package:Sales:v2',
+            });
+
+            assert.strictEqual(result.concept, 'APIResource');
+            assert.strictEqual(result.documentArray, 'apiResources');
+            assert.deepStrictEqual(result.resource, {
+                ordId: 'sap.s4:apiResource:SalesOrderAPI:v2',
+                title: 'Sales Order API',
+                shortDescription: 'Create and manage sales orders.',
+                description: 'Create and manage sales orders.\nSupports bulk operations.',
+                version: '2.1.0',
+                partOfPackage: 'sap.s4:package:Sales:v2',
+                apiProtocol: 'rest',
+                entryPoints: ['https://api.example.com/sales/v2'],
+                resourceDefinitions: [
+                    { type: 'openapi-v3', mediaType: 'text/yaml', url: '/specs/sales.yaml', accessStrategies: [{ type: 'open' }] },
+                ],
+            });
+            assert.deepStrictEqual(result.missing.map((item) => item.property), ['visibility', 'releaseStatus']);
+            assert(result.notes.includes('version: info.version 2.1 was read as 2.1.0'), 'Should note the padded version');
+            assert(result.notes.includes('entryPoints: server URLs with variables were left out'));
+        });
+
+        test('should map an AsyncAPI definition to an EventResource', () => {
+            const result = generateOrdResourceFromDefinition(ASYNCAPI);
+
+            assert.strictEqual(result.concept, 'EventResource');
+            assert.strictEqual(result.resource.resourceDefinitions[0].type, 'asyncapi-v2');
+            assert.strictEqual(result.resource.apiProtocol, undefined, 'Events have no API protocol');
+            assert.deepStrictEqual(
+                result.missing.map((item) => item.property),
+                ['ordId', 'partOfPackage', 'visibility', 'releaseStatus'],
+                'Should list every MANDATORY property that was not inferred',
+            );
+            assert(result.notes.some((note) => note.startsWith('resourceDefinitions[0].url')), 'Should note the missing URL');
+        });
+
+        test('should recognize OpenAPI 2 and 3.1', () => {
+            const swagger = generateOrdResourceFromDefinition({ swagger: '2.0', host: 'api.example.com', basePath: '/v1', info: { title: 'Legacy', version: '1.0.0' } });
+            assert.strictEqual(swagger.resource.resourceDefinitions[0].type, 'openapi-v2');
+            assert.deepStrictEqual(swagger.resource.entryPoints, ['https://api.example.com/v1']);
+
+            const openapi31 = generateOrdResourceFromDefinition({ openapi: '3.1.0', info: { title: 'New', version: '1.0.0' } });
+            assert.strictEqual(openapi31.resource.resourceDefinitions[0].type, 'openapi-v3.1+');
+        });
+
+        test('should reject unsupported definitions', () => {
+            assert.throws(() => generateOrdResourceFromDefinition({ asyncapi: '3.0.0' }), /Unsupported API definition: asyncapi 3\.0\.0/);
+            assert.throws(() => generateOrdResourceFromDefinition({ info: {} }), /Expected OpenAPI 2 \/ 3 or AsyncAPI 2/);
+        });
+    });
+});
@@ -0,0 +1,102 @@
+#!/usr/bin/env node
+
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { mkdir, mkdtemp, rm, symlink, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { loadCdsProject, parseCsn } from '../../src/cds-model-loader.js';
+import { resolveRoots } from '../../src/allowed-paths.js';
+
+const CSN = { definitions: { CatalogService: { kind: 'service' } } };
+
+describe('CDS Model Loader Unit Tests', () => {
+    let project;
+    let readRoots;
+
+    beforeEach(async () => {
+        project = await mkdtemp(join(tmpdir(), 'ord-cds-project-'));
+        await writeFile(join(project, 'package.json'), JSON.stringify({ name: 'bookshop', version: '2.1.0' }));
+        readRoots = await resolveRoots([project], 'read root');
+    });
+
+    afterEach(async () => {
+        await rm(project, { recursive: true, force: true });
+    });
+
+    test('should read a compiled model from the project', async () => {
+        await mkdir(join(project, 'gen', 'srv'), { recursive: true });
+        await writeFile(join(project, 'gen', 'srv', 'csn.json'), JSON.stringify(CSN));
+
+        const result = await loadCdsProject(project, { readRoots });
+        assert.deepStrictEqual(result.csn, CSN);
+        assert.strictEqual(result.source, join(readRoots[0], 'gen', 'srv', 'csn.json'));
+        assert.strictEqual(result.packageJson.name, 'bookshop', 'Should read the package.json');
+    });
+
+    test('should read a CSN file directly', async () => {
+        const file = join(project, 'model.json');
+        await writeFile(file, JSON.stringify(CSN));
+
+        assert.deepStrictEqual((await loadCdsProject(file, { readRoots })).csn, CSN);
+    });
+
+    test('should compile CDS sources of allowed projects with their own cds CLI', async () => {
+        await mkdir(join(project, 'node_modules', '.bin'), { recursive: true });
+        await writeFile(join(project, 'node_modules', '.bin', 'cds'), '');
+        const compileRoots = await resolveRoots([project], 'CDS compile root');
+        const calls = [];
+        const run = async (file, args, options) => {
+            calls.push({ file, args, cwd: options.cwd });
+            return { stdout: JSON.stringify(CSN) };
+        };
+
+        const result = await loadCdsProject(project, { compileRoots, run });
+        assert.deepStrictEqual(result.csn, CSN);
+        assert.deepStrictEqual(calls, [{ file: join(compileRoots[0], 'node_modules', '.bin', 'cds'), args: ['compile', '*', '--to', 'json'], cwd: compileRoots[0] }]);
+    });
+
+    test('should not compile projects that are not allowed', async () => {
+        await mkdir(join(project, 'node_modules', '.bin'), { recursive: true });
+        await writeFile(join(project, 'node_modules', '.bin', 'cds'), '');
+        const run = async () => assert.fail('cds should not run');
+
+        await assert.rejects(loadCdsProject(project, { readRoots, run }), /No compiled CSN found .* --allow-cds-compile/, 'Compiling is off by default');
+
+        const other = join(project, 'other');
+        await mkdir(join(other, 'node_modules', '.bin'), { recursive: true });
+        await writeFile(join(other, 'node_modules', '.bin', 'cds'), '');
+        const compileRoots = await resolveRoots([project], 'CDS compile root');
+        await assert.rejects(loadCdsProject(other, { compileRoots, run }), /--allow-cds-compile/, 'Subdirectories are not allowed roots');
+    });
+
+    test('should only read paths within the allowed directories', async () => {
+        const file = join(project, 'model.json');
+        await writeFile(file, JSON.stringify(CSN));
+        const other = await mkdtemp(join(tmpdir(), 'ord-cds-other-'));
+        try {
+            const otherRoots = await resolveRoots([other], 'read root');
+            await symlink(file, join(other, 'link.json'));
+
+            await assert.rejects(loadCdsProject(file), /outside the directories the server may read/, 'Nothing is readable by default');
+            await assert.rejects(loadCdsProject(file, { readRoots: otherRoots }), /outside the directories/);
+            await assert.rejects(loadCdsProject(join(other, 'link.json'), { readRoots: otherRoots }), /outside the directories/, 'Symlinks are followed');
+            await assert.rejects(loadCdsProject(join(project, 'missing'), { readRoots: otherRoots }), /outside the directories/, 'Existence is not revealed');
+        } finally {
+            await rm(other, { recursive: true, force: true });
+        }
+    });
+
+    test('should explain what is missing', async () => {
+        const compileRoots = await resolveRoots([project], 'CDS compile root');
+        await assert.rejects(loadCdsProject(join(project, 'missing'), { readRoots }), /CDS project not found/);
+        await assert.rejects(loadCdsProject(project, { compileRoots }), /No compiled CSN found .* @sap\/cds is not installed/);
+        await assert.rejects(resolveRoots([join(project, 'missing')], 'CDS compile root'), /Invalid CDS compile root/);
+    });
+
+    test('should reject invalid CSN', () => {
+        assert.throws(() => parseCsn('{nope'), /Invalid CSN in CSN: not valid JSON/);
+        assert.throws(() => parseCsn({ kind: 'service' }), /expected an object with definitions/);
+        assert.deepStrictEqual(parseCsn(JSON.stringify(CSN)), CSN);
+    });
+});
@@ -0,0 +1,92 @@
+#!/usr/bin/env node
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { readFileSync } from 'node:fs';
+import { generateOrdFromCsn } from '../../src/cds-to-ord.js';
+import { validateOrdDocument } from '../../src/document-validator.js';
+import { checkOrdReferences } from '../../src/reference-checker.js';
+import { BUNDLED_DOCUMENT_SCHEMA_PATH } from '../../src/constants.js';
+
+const SCHEMA = readFileSync(BUNDLED_DOCUMENT_SCHEMA_PATH, 'utf8');
+
+// Shaped like `cds compile '*' --to json` of the CAP bookshop sample
+const BOOKSHOP = {
+    namespace: 'sap.capire.bookshop',
+    definitions: {
+        'sap.capire.bookshop.Books': {
+            kind: 'entity',
+            doc: 'Books in the catalog.\nWith authors and stock.',
+            elements: { ID: { key: true, type: 'cds.Integer' }, chapters: { type: 'cds.Composition', target: 'sap.capire.bookshop.Chapters' } },
+        },
+        'sap.capire.bookshop.Books.texts': { kind: 'entity', elements: {} },
+        'sap.capire.bookshop.Chapters': { kind: 'entity', elements: { ID: { key: true, type: 'cds.Integer' } } },
+        'sap.common.Currencies': { kind: 'entity', elements: {} },
+        'CatalogService': { 'kind': 'service', '@path': 'browse', '@title': 'Catalog' },
+        'CatalogService.Books': { kind: 'entity', projection: { from: { ref: ['sap.capire.bookshop.Books'] } } },
+        'CatalogService.ListOfBooks': { kind: 'entity', query: { SELECT: { from: { ref: ['sap.capire.bookshop.Books'] } } } },
+        'CatalogService.BookOrdered': { kind: 'event', elements: { book: { type: 'cds.Integer' } } },
+        'AdminService': { 'kind': 'service', '@protocol': ['rest'], '@Core.Description': 'Manage books' },
+        'InternalService': { 'kind': 'service', '@protocol': 'none' },
+    },
+};
+
+describe('CDS to ORD Unit Tests', () => {
+
+    test('should map services, events and entities', () => {
+        const { document } = generateOrdFromCsn(BOOKSHOP, { appName: '@capire/bookshop' });
+
+        assert.deepStrictEqual(document.apiResources.map((api) => [api.ordId, api.apiProtocol, api.entryPoints[0]]), [
+            ['customer.bookshop:apiResource:CatalogService:v1', 'odata-v4', '/odata/v4/browse'],
+            ['customer.bookshop:apiResource:AdminService:v1', 'rest', '/rest/admin'],
+        ]);
+        assert.deepStrictEqual(document.eventResources.map((event) => event.ordId), ['customer.bookshop:eventResource:CatalogService:v1']);
+        assert.deepStrictEqual(
+            document.entityTypes.map((entity) => [entity.localId, entity.level]),
+            [['Books', 'aggregate'], ['Chapters', 'sub-entity']],
+            'Texts and sap.common entities are not entity types',
+        );
+        assert.deepStrictEqual(document.packages.map((pkg) => pkg.ordId), [
+            'customer.bookshop:package:bookshop-api:v1',
+            'customer.bookshop:package:bookshop-event:v1',
+        ]);
+        assert.deepStrictEqual(document.apiResources[0].partOfConsumptionBundles, [{ ordId: document.consumptionBundles[0].ordId }]);
+    });
+
+    test('should link projections to the entity types they expose', () => {
+        const { document } = generateOrdFromCsn(BOOKSHOP, { appName: 'bookshop' });
+
+        assert.deepStrictEqual(document.apiResources[0].exposedEntityTypes, [
+            { ordId: 'customer.bookshop:entityType:sap.capire.bookshop.Books:v1' },
+        ]);
+        assert.strictEqual(document.apiResources[1].exposedEntityTypes, undefined, 'AdminService exposes no entities');
+    });
+
+    test('should take descriptions from doc comments and annotations', () => {
+        const { document, notes } = generateOrdFromCsn(BOOKSHOP, { appName: 'bookshop' });
+
+        const books = document.entityTypes[0];
+        assert.strictEqual(books.shortDescription, 'Books in the catalog.', 'Short descriptions are one line');
+        assert.strictEqual(books.description, 'Books in the catalog.\nWith authors and stock.');
+        assert.strictEqual(document.apiResources[1].shortDescription, 'Manage books');
+        assert(notes.includes('CatalogService: no doc comment or @Core.Description, descriptions were generated'));
+        assert(notes.includes('InternalService: skipped, @protocol is none'));
+    });
+
+    test('should produce a valid, self-consistent document', () => {
+        const { document, notes } = generateOrdFromCsn(BOOKSHOP, { appName: 'bookshop', namespace: 'sap.bookshop', vendor: 'sap:vendor:SAP:' });
+
+        const validation = validateOrdDocument(document, SCHEMA);
+        assert.deepStrictEqual(validation.errors, [], 'Should be valid against the bundled schema');
+        assert(!notes.some((note) => note.includes('missing MANDATORY')), 'Should fill every MANDATORY property');
+
+        const references = checkOrdReferences([document]);
+        assert.deepStrictEqual(references.issues.danglingReferences.filter((issue) => issue.field !== 'vendor'), []);
+        assert.deepStrictEqual(references.issues.emptyPackages, []);
+    });
+
+    test('should reject invalid input', () => {
+        assert.throws(() => generateOrdFromCsn({}), /Invalid CSN/);
+        assert.throws(() => generateOrdFromCsn(BOOKSHOP, { namespace: 'Sap_Bookshop' }), /Invalid namespace: Sap_Bookshop/);
+    });
+});
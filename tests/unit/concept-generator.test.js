@@ -0,0 +1,155 @@
+#!/usr/bin/env node
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { readFileSync } from 'node:fs';
+import { generateOrdConcepts, renderConceptsModule } from '../../src/concept-generator.js';
+
+const BUNDLED_SCHEMA = JSON.parse(readFileSync(new URL('../../data/schemas/Document.schema.json', import.meta.url), 'utf8'));
+
+// Shaped like an old schema release: no Data Products yet
+const SCHEMA = {
+    description: 'The ORD Document.\n\nMore details.',
+    required: ['openResourceDiscovery'],
+    properties: {
+        openResourceDiscovery: { type: 'string', description: 'ORD version.', enum: ['1.0', '1.1'] },
+        packages: { type: 'array', items: { $ref: '#/definitions/Package' } },
+    },
+    definitions: {
+        Package: {
+            description: 'A [**Package**](../concepts#package) organizes resources. It has a vendor.\n\nSecond paragraph.',
+            required: ['ordId', 'title'],
+            'x-recommended': ['version'],
+            properties: {
+                ordId: { type: 'string', description: 'The ORD ID, e.g. sap:package:X:v1. More text.', pattern: '^x$', examples: ['sap:package:X:v1'] },
+                title: { type: 'string', description: 'Title.', examples: ['Sales'] },
+                version: { type: 'string', description: 'Semantic version.' },
+                visibility: {
+                    type: 'string',
+                    description: 'Who may see it.',
+                    oneOf: [{ const: 'public', description: 'Everyone. Really.' }, { const: 'internal' }],
+                },
+                tags: { type: 'array', description: 'Tags.', items: { type: 'string', pattern: '^[a-z]+$', minLength: 1 } },
+                vendor: {
+                    type: 'string',
+                    description: 'The [vendor](#vendor).\n\nMUST be a valid reference.',
+                    maxLength: 255,
+                    'x-introduced-in-version': '1.2.0',
+                    'x-association-target': ['#/definitions/Vendor/ordId'],
+                },
+                bundles: { type: 'array', description: 'Bundles.', items: { $ref: '#/definitions/BundleReference' } },
+                labels: { $ref: '#/definitions/Labels' },
+            },
+        },
+        Labels: { type: 'object', description: 'Generic labels.' },
+        BundleReference: {
+            type: 'object',
+            required: ['ordId'],
+            properties: {
+                ordId: { type: 'string', description: 'Bundle ID.', 'x-association-target': ['#/definitions/ConsumptionBundle/ordId'] },
+            },
+        },
+    },
+};
+
+describe('Concept Generator Unit Tests', () => {
+
+    test('should derive descriptions, document arrays and requirement levels', () => {
+        const { Package } = generateOrdConcepts(SCHEMA);
+
+        assert.strictEqual(Package.description, 'A Package organizes resources. It has a vendor.');
+        assert.strictEqual(Package.documentArray, 'packages');
+        assert.deepStrictEqual(
+            Package.keyProperties.map((property) => [property.name, property.requirement]),
+            [
+                ['ordId', 'MANDATORY'],
+                ['title', 'MANDATORY'],
+                ['version', 'RECOMMENDED'],
+                ['visibility', 'OPTIONAL'],
+                ['tags', 'OPTIONAL'],
+                ['vendor', 'OPTIONAL'],
+                ['bundles', 'OPTIONAL'],
+                ['labels', 'OPTIONAL'],
+            ],
+        );
+    });
+
+    test('should capture types, allowed values and patterns', () => {
+        const properties = Object.fromEntries(generateOrdConcepts(SCHEMA).Package.keyProperties.map((property) => [property.name, property]));
+
+        assert.strictEqual(properties.ordId.description, 'The ORD ID, e.g.', 'Only the first sentence is kept');
+        assert.strictEqual(properties.ordId.pattern, '^x$');
+        assert.deepStrictEqual(properties.visibility.enum, ['public', 'internal']);
+        assert.strictEqual(properties.tags.type, 'array<string>');
+        assert.strictEqual(properties.tags.pattern, '^[a-z]+$', 'Item patterns apply to arrays');
+        assert.strictEqual(properties.labels.type, 'Labels');
+        assert.strictEqual(properties.labels.description, 'Generic labels.', 'References fall back to the referenced definition');
+    });
+
+    test('should capture property metadata for property-level explanations', () => {
+        const properties = Object.fromEntries(generateOrdConcepts(SCHEMA).Package.keyProperties.map((property) => [property.name, property]));
+
+        assert.deepStrictEqual(properties.visibility.enumDescriptions, { public: 'Everyone.' });
+        assert.deepStrictEqual(properties.tags.constraints, { 'items.minLength': 1 });
+        assert.deepStrictEqual(properties.vendor.constraints, { maxLength: 255, introducedInVersion: '1.2.0' });
+        assert.deepStrictEqual(properties.vendor.relatedConcepts, ['Vendor']);
+        assert.strictEqual(properties.vendor.details, 'The vendor.\n\nMUST be a valid reference.', 'Details keep paragraphs');
+        assert.strictEqual(properties.title.details, undefined, 'Details are left out when nothing is added');
+        assert.strictEqual(properties.ordId.example, 'sap:package:X:v1');
+    });
+
+    test('should describe referenced object structures one level deep', () => {
+        const bundles = generateOrdConcepts(SCHEMA).Package.keyProperties.find((property) => property.name === 'bundles');
+
+        assert.strictEqual(bundles.type, 'array<BundleReference>');
+        assert.deepStrictEqual(bundles.relatedConcepts, ['ConsumptionBundle'], 'Targets of nested references count');
+        assert.deepStrictEqual(bundles.structure, [
+            { name: 'ordId', description: 'Bundle ID.', requirement: 'MANDATORY', type: 'string' },
+        ]);
+    });
+
+    test('should describe the document root without the entity arrays', () => {
+        const { DocumentProperties } = generateOrdConcepts(SCHEMA);
+
+        assert.deepStrictEqual(DocumentProperties.keyProperties.map((property) => property.name), ['openResourceDiscovery']);
+        assert.deepStrictEqual(DocumentProperties.keyProperties[0].enum, ['1.0', '1.1']);
+    });
+
+    test('should leave out concepts the schema does not define', () => {
+        assert.deepStrictEqual(Object.keys(generateOrdConcepts(SCHEMA)), ['DocumentProperties', 'Package']);
+    });
+
+    test('should prefer curated examples and build the others from schema examples', () => {
+        const curated = { ordId: 'sap.s4:package:Curated:v1' };
+        assert.deepStrictEqual(generateOrdConcepts(SCHEMA, { examples: { Package: curated } }).Package.example, curated);
+        assert.deepStrictEqual(generateOrdConcepts(SCHEMA).Package.example, { ordId: 'sap:package:X:v1', title: 'Sales' });
+    });
+
+    test('should reject documents that are not the ORD Document schema', () => {
+        assert.throws(() => generateOrdConcepts({ type: 'object' }), /Invalid schema/);
+        assert.throws(() => generateOrdConcepts(null), /Invalid schema/);
+    });
+
+    test('should follow the bundled schema requirement levels', () => {
+        const concepts = generateOrdConcepts(BUNDLED_SCHEMA);
+        const requirementOf = (concept, name) =>
+            concepts[concept].keyProperties.find((property) => property.name === name).requirement;
+
+        assert.strictEqual(requirementOf('ConsumptionBundle', 'version'), 'RECOMMENDED');
+        assert.strictEqual(requirementOf('APIResource', 'apiProtocol'), 'MANDATORY');
+        assert(
+            concepts.APIResource.keyProperties.find((property) => property.name === 'apiProtocol').enum.includes('odata-v4'),
+            'Should collect const alternatives as allowed values',
+        );
+    });
+
+    test('should render a module that evaluates to the same concepts', async () => {
+        const concepts = generateOrdConcepts(BUNDLED_SCHEMA);
+        const source = renderConceptsModule(concepts, { source: 'a test' });
+
+        assert(source.startsWith('// Generated by `npm run refresh-concepts` from a test'), 'Should name its source');
+        const module = await import(`data:text/javascript,${encodeURIComponent(source)}`);
+        assert.deepStrictEqual(module.ORD_CONCEPTS, concepts);
+        assert(Object.isFrozen(module.ORD_CONCEPTS), 'Should be frozen like the hand-written object was');
+    });
+});
@@ -0,0 +1,78 @@
+#!/usr/bin/env node
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { buildConceptGraph, buildDocumentGraph, renderGraph } from '../../src/concept-graph.js';
+
+const DOCUMENT = {
+    openResourceDiscovery: '1.9',
+    packages: [{ ordId: 'sap.s4:package:Sales:v1', title: 'Sales "Core"' }],
+    apiResources: [{
+        ordId: 'sap.s4:apiResource:Orders:v1',
+        title: 'Orders',
+        partOfPackage: 'sap.s4:package:Sales:v1',
+        exposedEntityTypes: [{ ordId: 'sap.s4:entityType:SalesOrder:v1' }],
+        partOfGroups: ['sap.foo:domain:sap.s4:Sales'],
+    }],
+};
+
+const hasEdge = (graph, from, property, to) =>
+    graph.edges.some((edge) => edge.from === from && edge.property === property && edge.to === to);
+
+describe('Concept Graph Unit Tests', () => {
+
+    test('should derive the concept relationships from reference properties', () => {
+        const graph = buildConceptGraph();
+
+        assert.strictEqual(graph.kind, 'concepts');
+        assert(!graph.nodes.some((node) => node.id === 'Tombstone'), 'Tombstones are left out by default');
+        assert(hasEdge(graph, 'APIResource', 'partOfPackage', 'Package'), 'APIResource belongs to a Package');
+        assert(hasEdge(graph, 'APIResource', 'exposedEntityTypes', 'EntityType'), 'APIResource exposes EntityTypes');
+        assert(hasEdge(graph, 'EventResource', 'partOfGroups', 'Group'), 'EventResource is part of Groups');
+        assert(hasEdge(graph, 'DataProduct', 'outputPorts', 'EventResource'), 'Every related concept gets an edge');
+        assert.strictEqual(graph.edges.find((edge) => edge.property === 'partOfPackage').requirement, 'MANDATORY');
+    });
+
+    test('should limit the graph to the given concepts', () => {
+        const graph = buildConceptGraph({ concepts: ['Package', 'APIResource'] });
+
+        assert.deepStrictEqual(graph.nodes.map((node) => node.id), ['Package', 'APIResource']);
+        assert(graph.edges.every((edge) => ['Package', 'APIResource'].includes(edge.to)), 'Only edges between them are kept');
+        assert.throws(() => buildConceptGraph({ concepts: ['Nope'] }), /Unknown concept\(s\): Nope/);
+    });
+
+    test('should graph the entities of a document and mark missing targets', () => {
+        const graph = buildDocumentGraph(DOCUMENT);
+
+        assert.strictEqual(graph.kind, 'document');
+        assert(hasEdge(graph, 'sap.s4:apiResource:Orders:v1', 'partOfPackage', 'sap.s4:package:Sales:v1'));
+        assert(hasEdge(graph, 'sap.s4:apiResource:Orders:v1', 'exposedEntityTypes', 'sap.s4:entityType:SalesOrder:v1'), '{ ordId } references are unwrapped');
+        assert.deepStrictEqual(graph.nodes.find((node) => node.id === 'sap.s4:entityType:SalesOrder:v1'), {
+            id: 'sap.s4:entityType:SalesOrder:v1',
+            concept: 'EntityType',
+            label: 'sap.s4:entityType:SalesOrder:v1',
+            missing: true,
+        });
+
+        const limited = buildDocumentGraph(DOCUMENT, { concepts: ['Package', 'APIResource'] });
+        assert.strictEqual(limited.edges.length, 1, 'References to other concepts are left out');
+    });
+
+    test('should render Mermaid and DOT', () => {
+        const graph = buildDocumentGraph(DOCUMENT);
+        const mermaid = renderGraph(graph, 'mermaid');
+        assert(mermaid.startsWith('flowchart LR'));
+        assert(mermaid.includes('n0["Sales #quot;Core#quot;<br/>sap.s4:package:Sales:v1"]'), 'Labels are escaped');
+        assert(mermaid.includes('n1 -->|partOfPackage| n0'), 'MANDATORY references are solid');
+        assert(mermaid.includes('n1 -.->|exposedEntityTypes| n3'), 'Optional references are dashed');
+        assert(mermaid.includes('n3["sap.s4:entityType:SalesOrder:v1"]:::missing'));
+
+        const dot = renderGraph(graph, 'dot');
+        assert(dot.startsWith('digraph ORDDocument {'));
+        assert(dot.includes('"sap.s4:package:Sales:v1" [label="Sales \\"Core\\"\\nsap.s4:package:Sales:v1"];'));
+        assert(dot.includes('"sap.s4:apiResource:Orders:v1" -> "sap.s4:package:Sales:v1" [label="partOfPackage"];'));
+
+        assert.deepStrictEqual(JSON.parse(renderGraph(graph, 'json')), graph);
+        assert.throws(() => renderGraph(graph, 'svg'), /Unknown graph format: svg/);
+    });
+});
@@ -0,0 +1,127 @@
+#!/usr/bin/env node
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { planOrdDeprecation } from '../../src/deprecation-planner.js';
+import { diffOrdDocuments } from '../../src/document-diff.js';
+
+const ORDERS_V1 = {
+    ordId: 'sap.s4:apiResource:Orders:v1',
+    version: '1.4.0',
+    releaseStatus: 'active',
+    lastUpdate: '2025-01-01T00:00:00Z',
+    changelogEntries: [{ version: '1.4.0', releaseStatus: 'active', date: '2025-01-01' }],
+};
+const ORDERS_V2 = { ordId: 'sap.s4:apiResource:Orders:v2', version: '2.0.0', releaseStatus: 'active' };
+const DOCUMENT = { openResourceDiscovery: '1.9', apiResources: [ORDERS_V1, ORDERS_V2] };
+
+const plan = (options, document = DOCUMENT) =>
+    planOrdDeprecation(document, { ordId: ORDERS_V1.ordId, sunsetDate: '2027-01-01T00:00:00Z', ...options });
+
+describe('Deprecation Planner Unit Tests', () => {
+
+    test('should deprecate the resource and replace it by a tombstone at sunset', () => {
+        const result = plan({ deprecationDate: '2026-01-01T00:00:00Z', successors: [ORDERS_V2.ordId] });
+        const deprecated = result.deprecated.apiResources[0];
+
+        assert.strictEqual(result.valid, true, `Unexpected issues: ${JSON.stringify(result.issues)}`);
+        assert.deepStrictEqual(result.resource.path, '/apiResources/0');
+        assert.strictEqual(deprecated.releaseStatus, 'deprecated');
+        assert.strictEqual(deprecated.deprecationDate, '2026-01-01T00:00:00Z');
+        assert.strictEqual(deprecated.sunsetDate, '2027-01-01T00:00:00Z');
+        assert.deepStrictEqual(deprecated.successors, [ORDERS_V2.ordId]);
+        assert.strictEqual(deprecated.lastUpdate, '2026-01-01T00:00:00Z', 'The deprecation is the last update');
+        assert.strictEqual(deprecated.version, '1.5.0', 'Deprecating is a minor change');
+        assert.strictEqual(result.resource.version, '1.5.0');
+        assert.deepStrictEqual(deprecated.changelogEntries[1], {
+            version: '1.5.0',
+            releaseStatus: 'deprecated',
+            date: '2026-01-01',
+            description: 'Deprecated, to be removed on 2027-01-01. Use sap.s4:apiResource:Orders:v2 instead.',
+        });
+
+        assert.deepStrictEqual(result.sunset.apiResources, [ORDERS_V2], 'The resource is removed at sunset');
+        assert.deepStrictEqual(result.sunset.tombstones, [{
+            ordId: ORDERS_V1.ordId,
+            removalDate: '2027-01-01T00:00:00Z',
+            description: 'Removed on 2027-01-01. Use sap.s4:apiResource:Orders:v2 instead.',
+        }]);
+        assert.strictEqual(DOCUMENT.apiResources[0].releaseStatus, 'active', 'The input is not modified');
+    });
+
+    test('should plan a deprecation that the document diff accepts', () => {
+        const original = { ...DOCUMENT, apiResources: [{ ...ORDERS_V1, version: '1.2.0', changelogEntries: [{ ...ORDERS_V1.changelogEntries[0], version: '1.2.0' }] }, ORDERS_V2] };
+        const result = plan({ deprecationDate: '2026-01-01T00:00:00Z', successors: [ORDERS_V2.ordId] }, original);
+
+        assert.deepStrictEqual(diffOrdDocuments(original, result.deprecated).issues, []);
+    });
+
+    test('should leave resources without a semantic version at their version', () => {
+        const unversioned = { ...DOCUMENT, apiResources: [{ ...ORDERS_V1, version: 'latest' }, ORDERS_V2] };
+        const result = plan({ deprecationDate: '2026-01-01T00:00:00Z' }, unversioned);
+
+        assert.strictEqual(result.deprecated.apiResources[0].version, 'latest');
+        assert.strictEqual(result.resource.version, null);
+        assert.strictEqual(result.deprecated.apiResources[0].changelogEntries.length, 1, 'No entry without a version');
+    });
+
+    test('should check the date order', () => {
+        const result = plan({ deprecationDate: '2027-06-01T00:00:00Z' });
+        assert.deepStrictEqual(result.issues, [{
+            kind: 'date',
+            message: 'sunsetDate 2027-01-01T00:00:00Z must be after deprecationDate 2027-06-01T00:00:00Z',
+        }]);
+        assert.strictEqual(result.valid, false);
+
+        const beforeUpdate = plan({ deprecationDate: '2024-06-01T00:00:00Z' });
+        assert.match(beforeUpdate.issues[0].message, /is before the lastUpdate 2025-01-01T00:00:00Z/);
+
+        const defaulted = plan({ now: new Date('2026-03-01T12:00:00.000Z') });
+        assert.strictEqual(defaulted.resource.deprecationDate, '2026-03-01T12:00:00Z', 'Defaults to now');
+
+        assert.throws(() => plan({ sunsetDate: '2027-01-01' }), /Invalid sunsetDate: 2027-01-01\. Expected an RFC 3339 date-time/);
+    });
+
+    test('should check that every successor exists and outlives the resource', () => {
+        const retiring = { ...ORDERS_V2, ordId: 'sap.s4:apiResource:Orders:v3', sunsetDate: '2026-06-01T00:00:00Z' };
+        const document = {
+            ...DOCUMENT,
+            apiResources: [...DOCUMENT.apiResources, retiring],
+            eventResources: [{ ordId: 'sap.s4:eventResource:OrderEvents:v1', releaseStatus: 'deprecated' }],
+        };
+        const result = plan(
+            {
+                deprecationDate: '2026-01-01T00:00:00Z',
+                successors: ['sap.s4:apiResource:Missing:v1', retiring.ordId, 'sap.s4:eventResource:OrderEvents:v1'],
+            },
+            document,
+        );
+
+        assert.deepStrictEqual(result.issues.map((issue) => issue.message), [
+            'Successor sap.s4:apiResource:Missing:v1 is not defined in the document',
+            'Successor sap.s4:apiResource:Orders:v3 is sunset on 2026-06-01T00:00:00Z, before sap.s4:apiResource:Orders:v1',
+            'Successor sap.s4:eventResource:OrderEvents:v1 is of type EventResource, expected APIResource',
+            'Successor sap.s4:eventResource:OrderEvents:v1 is deprecated itself',
+        ]);
+    });
+
+    test('should report references that dangle after the sunset', () => {
+        const document = {
+            ...DOCUMENT,
+            apiResources: [...DOCUMENT.apiResources, { ordId: 'sap.s4:apiResource:Legacy:v1', successors: [ORDERS_V1.ordId] }],
+        };
+        const result = plan({ deprecationDate: '2026-01-01T00:00:00Z' }, document);
+
+        assert.deepStrictEqual(result.issues, [{
+            kind: 'reference',
+            message: '/apiResources/1/successors/0 (successors) still references sap.s4:apiResource:Orders:v1; update it before the sunset date',
+        }]);
+    });
+
+    test('should reject resources without a release status', () => {
+        assert.throws(
+            () => planOrdDeprecation({ packages: [{ ordId: 'sap.s4:package:Sales:v1' }] }, { ordId: 'sap.s4:package:Sales:v1', sunsetDate: '2027-01-01T00:00:00Z' }),
+            /Resource not found: sap.s4:package:Sales:v1\. Only APIResource, .* can be deprecated/,
+        );
+    });
+});
@@ -0,0 +1,116 @@
+#!/usr/bin/env node
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import {
+    addOrdEntity,
+    checkOrdDocumentDraft,
+    countOrdEntities,
+    removeOrdEntity,
+    startOrdDocument,
+    updateOrdEntity,
+} from '../../src/document-builder.js';
+
+const PACKAGE = {
+    ordId: 'sap.s4:package:Sales:v1',
+    title: 'Sales',
+    shortDescription: 'Sales APIs',
+    description: 'APIs for sales processes.',
+    version: '1.0.0',
+    vendor: 'sap:vendor:SAP:',
+};
+const VENDOR = { ordId: 'sap:vendor:SAP:', title: 'SAP SE' };
+const API = {
+    ordId: 'sap.s4:apiResource:Orders:v1',
+    title: 'Orders',
+    shortDescription: 'Sales orders',
+    description: 'Create and read sales orders.',
+    partOfPackage: 'sap.s4:package:Sales:v1',
+    version: '1.0.0',
+    visibility: 'public',
+    releaseStatus: 'active',
+    apiProtocol: 'rest',
+};
+
+const messagesOf = (document) => checkOrdDocumentDraft(document).issues.map((issue) => issue.message);
+
+describe('Document Builder Unit Tests', () => {
+
+    test('should start with the latest ORD version or the given properties', () => {
+        const latest = startOrdDocument();
+        assert.match(latest.openResourceDiscovery, /^1\.\d+$/);
+        assert.deepStrictEqual(checkOrdDocumentDraft(latest), { complete: true, issues: [] });
+
+        const resumed = startOrdDocument({ openResourceDiscovery: '1.9', packages: [PACKAGE] });
+        assert.deepStrictEqual(resumed.packages, [PACKAGE], 'Entities of a resumed draft are kept');
+        assert.throws(() => startOrdDocument({ openResourceDiscovery: '2.0' }), /Unsupported openResourceDiscovery version: 2\.0/);
+    });
+
+    test('should add entities to the array of their concept', () => {
+        const started = startOrdDocument({ openResourceDiscovery: '1.9' });
+        const added = addOrdEntity(started, 'APIResource', API);
+
+        assert.deepStrictEqual(added.document.apiResources, [API]);
+        assert.strictEqual(added.path, '/apiResources/0');
+        assert.strictEqual(added.id, API.ordId);
+        assert.strictEqual(started.apiResources, undefined, 'The previous document is not modified');
+        assert.deepStrictEqual(messagesOf(added.document), ['partOfPackage Package is not defined in any of the documents']);
+
+        const group = addOrdEntity(started, 'GroupType', { groupTypeId: 'sap.foo:domain', title: 'Domain' });
+        assert.strictEqual(group.path, '/groupTypes/0', 'Groups are identified by their own IDs');
+
+        assert.throws(() => addOrdEntity(added.document, 'APIResource', API), /sap.s4:apiResource:Orders:v1 already exists at \/apiResources\/0/);
+        assert.throws(() => addOrdEntity(started, 'APIResource', { title: 'Orders' }), /The APIResource has no ordId/);
+        assert.throws(() => addOrdEntity(started, 'DocumentProperties', {}), /Cannot add DocumentProperties entities/);
+    });
+
+    test('should report missing MANDATORY properties and invalid values after every change', () => {
+        let document = startOrdDocument({ openResourceDiscovery: '1.9', packages: [PACKAGE], vendors: [VENDOR] });
+        document = addOrdEntity(document, 'APIResource', { ordId: API.ordId, partOfPackage: PACKAGE.ordId, visibility: 'Public' }).document;
+
+        const { complete, issues } = checkOrdDocumentDraft(document);
+        assert.strictEqual(complete, false);
+        assert.deepStrictEqual(
+            issues.map((issue) => issue.path),
+            ['/apiResources/0/title', '/apiResources/0/shortDescription', '/apiResources/0/description', '/apiResources/0/version', '/apiResources/0/visibility', '/apiResources/0/releaseStatus', '/apiResources/0/apiProtocol'],
+        );
+        assert.strictEqual(issues[4].message, 'Public is not one of public, internal, private');
+        assert(issues.every((issue) => issue.id === API.ordId), 'Issues name the entity');
+
+        document = updateOrdEntity(document, API.ordId, { ...API, visibility: 'public' }).document;
+        assert.deepStrictEqual(checkOrdDocumentDraft(document), { complete: true, issues: [] });
+        assert.deepStrictEqual(countOrdEntities(document), { packages: 1, apiResources: 1, vendors: 1 });
+    });
+
+    test('should update entities and document properties', () => {
+        const document = startOrdDocument({ openResourceDiscovery: '1.9', apiResources: [API] });
+
+        const updated = updateOrdEntity(document, API.ordId, { releaseStatus: 'beta', description: null });
+        assert.strictEqual(updated.document.apiResources[0].releaseStatus, 'beta');
+        assert(!('description' in updated.document.apiResources[0]), 'null removes a property');
+        assert.strictEqual(updated.path, '/apiResources/0');
+
+        const properties = updateOrdEntity(document, undefined, { policyLevels: ['sap:core:v1'] });
+        assert.deepStrictEqual(properties.document.policyLevels, ['sap:core:v1']);
+        assert.strictEqual(properties.concept, 'DocumentProperties');
+
+        assert.throws(() => updateOrdEntity(document, undefined, { apiResources: [] }), /use ord_builder_add_entity/);
+        assert.throws(() => updateOrdEntity(document, API.ordId, { ordId: 'sap.s4:apiResource:Other:v1' }), /ordId cannot be changed/);
+        assert.throws(() => updateOrdEntity(document, 'sap.s4:apiResource:Missing:v1', {}), /No entity with ID sap.s4:apiResource:Missing:v1/);
+    });
+
+    test('should remove entities and report references left behind', () => {
+        const document = startOrdDocument({ openResourceDiscovery: '1.9', packages: [PACKAGE], vendors: [VENDOR], apiResources: [API] });
+        const removed = removeOrdEntity(document, PACKAGE.ordId);
+
+        assert.deepStrictEqual(removed.entity, PACKAGE);
+        assert.strictEqual(removed.concept, 'Package');
+        assert(!('packages' in removed.document), 'Empty arrays are dropped');
+        assert.deepStrictEqual(checkOrdDocumentDraft(removed.document).issues, [{
+            path: '/apiResources/0/partOfPackage',
+            id: PACKAGE.ordId,
+            message: 'partOfPackage Package is not defined in any of the documents',
+        }]);
+        assert.throws(() => removeOrdEntity(document, 'nope'), /No entity with ID nope/);
+    });
+});
@@ -0,0 +1,118 @@
+#!/usr/bin/env node
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { diffOrdDocuments } from '../../src/document-diff.js';
+
+const ORDERS = {
+    ordId: 'sap.s4:apiResource:Orders:v1',
+    version: '1.2.0',
+    visibility: 'public',
+    releaseStatus: 'active',
+    partOfPackage: 'sap.s4:package:Sales:v1',
+    entryPoints: ['/orders'],
+    exposedEntityTypes: [{ ordId: 'sap.s4:entityType:SalesOrder:v1' }],
+    changelogEntries: [{ version: '1.2.0', releaseStatus: 'active', date: '2024-01-01' }],
+};
+
+const resourceOf = (result, ordId) => result.resources.find((resource) => resource.ordId === ordId);
+const issuesOf = (result, kind) => result.issues.filter((issue) => issue.kind === kind);
+
+describe('Document Diff Unit Tests', () => {
+
+    test('should classify breaking changes and ask for a new major version', () => {
+        const changed = {
+            ...ORDERS,
+            visibility: 'internal',
+            partOfPackage: 'sap.s4:package:Other:v1',
+            exposedEntityTypes: [],
+        };
+        const result = diffOrdDocuments({ apiResources: [ORDERS] }, { apiResources: [changed] });
+        const orders = resourceOf(result, ORDERS.ordId);
+
+        assert.strictEqual(orders.classification, 'breaking');
+        assert.deepStrictEqual(
+            orders.changes.map((change) => change.description),
+            [
+                'visibility narrowed from public to internal',
+                'moved from package sap.s4:package:Sales:v1 to sap.s4:package:Other:v1',
+                'exposedEntityTypes entry sap.s4:entityType:SalesOrder:v1 removed',
+            ],
+        );
+        assert.match(issuesOf(result, 'version')[0].message, /publish it as sap.s4:apiResource:Orders:v2 with version 2.0.0/);
+        assert.strictEqual(result.summary.classification, 'breaking');
+    });
+
+    test('should require a minor bump and a changelog entry for minor changes', () => {
+        const widened = { ...ORDERS, entryPoints: ['/orders', '/orders/v1'] };
+        const notBumped = diffOrdDocuments({ apiResources: [ORDERS] }, { apiResources: [widened] });
+
+        assert.strictEqual(resourceOf(notBumped, ORDERS.ordId).classification, 'minor');
+        assert.strictEqual(issuesOf(notBumped, 'version')[0].message, 'minor change needs version 1.3.0 or later, found 1.2.0');
+
+        const bumped = diffOrdDocuments({ apiResources: [ORDERS] }, { apiResources: [{ ...widened, version: '1.3.0' }] });
+        assert.strictEqual(issuesOf(bumped, 'version').length, 0, 'A minor bump is enough');
+        assert.strictEqual(issuesOf(bumped, 'changelog')[0].message, 'No changelogEntries entry for version 1.3.0');
+
+        const documented = diffOrdDocuments({ apiResources: [ORDERS] }, {
+            apiResources: [{ ...widened, version: '1.3.0', changelogEntries: [...ORDERS.changelogEntries, { version: '1.3.0' }] }],
+        });
+        assert.deepStrictEqual(documented.issues, [], 'Bumped and documented changes have no issues');
+    });
+
+    test('should treat other changes as patch', () => {
+        const result = diffOrdDocuments(
+            { apiResources: [ORDERS] },
+            { apiResources: [{ ...ORDERS, title: 'Sales Orders', version: '1.2.1', lastUpdate: '2024-02-01T00:00:00Z' }] },
+        );
+
+        assert.deepStrictEqual(resourceOf(result, ORDERS.ordId).changes, [
+            { property: 'title', classification: 'patch', description: 'title changed' },
+        ]);
+        assert.strictEqual(issuesOf(result, 'version').length, 0);
+    });
+
+    test('should report removed and added resources with their successors', () => {
+        const successor = { ...ORDERS, ordId: 'sap.s4:apiResource:Orders:v2', version: '2.0.0' };
+        const result = diffOrdDocuments({ apiResources: [ORDERS] }, { apiResources: [successor] });
+
+        assert.strictEqual(resourceOf(result, ORDERS.ordId).status, 'removed');
+        assert.strictEqual(resourceOf(result, ORDERS.ordId).replacedBy, successor.ordId);
+        assert.strictEqual(resourceOf(result, successor.ordId).replaces, ORDERS.ordId);
+        assert.strictEqual(resourceOf(result, successor.ordId).classification, 'minor');
+        assert.strictEqual(issuesOf(result, 'tombstone').length, 1, 'Removal needs a tombstone');
+
+        const tombstoned = diffOrdDocuments(
+            { apiResources: [ORDERS] },
+            { apiResources: [successor], tombstones: [{ ordId: ORDERS.ordId, removalDate: '2024-06-01T00:00:00Z' }] },
+        );
+        assert.strictEqual(issuesOf(tombstoned, 'tombstone').length, 0);
+    });
+
+    test('should report unchanged documents as such', () => {
+        const result = diffOrdDocuments({ apiResources: [ORDERS] }, { apiResources: [structuredClone(ORDERS)] });
+
+        assert.deepStrictEqual(result.summary, { added: 0, removed: 0, changed: 0, unchanged: 1, classification: 'none' });
+        assert.deepStrictEqual(result.issues, []);
+    });
+
+    test('should ignore the order of object keys', () => {
+        const before = {
+            ...ORDERS,
+            extensible: { supported: 'manual', description: 'Custom fields' },
+            resourceDefinitions: [{ type: 'openapi-v3', mediaType: 'application/json', url: '/orders.json' }],
+            entryPoints: undefined,
+            partOfConsumptionBundles: [{ defaultEntryPoint: '/orders', ordId: 'sap.s4:consumptionBundle:Sales:v1' }],
+        };
+        const after = {
+            ...before,
+            extensible: { description: 'Custom fields', supported: 'manual' },
+            resourceDefinitions: [{ url: '/orders.json', mediaType: 'application/json', type: 'openapi-v3' }],
+            partOfConsumptionBundles: [{ ordId: 'sap.s4:consumptionBundle:Sales:v1', defaultEntryPoint: '/orders' }],
+        };
+        const result = diffOrdDocuments({ apiResources: [before] }, { apiResources: [after] });
+
+        assert.strictEqual(resourceOf(result, ORDERS.ordId).status, 'unchanged');
+        assert.deepStrictEqual(result.issues, []);
+    });
+});
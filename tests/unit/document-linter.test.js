@@ -0,0 +1,141 @@
+#!/usr/bin/env node
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { lintOrdDocument } from '../../src/document-linter.js';
+import { checkOrdReferences } from '../../src/reference-checker.js';
+
+const NOW = new Date('2024-06-01T12:00:00Z');
+const OFF = { 'recommended-property': 'off' };
+
+const findingsOf = (document, rule, options = {}) =>
+    lintOrdDocument(document, { now: NOW, severities: OFF, ...options }).findings.filter((finding) => finding.rule === rule);
+
+// Minimal RFC 6902 replace/add for the tests, to check that patches apply cleanly
+function applyPatch(document, patch) {
+    const copy = structuredClone(document);
+    for (const { op, path, value } of patch) {
+        const segments = path.split('/').slice(1);
+        const parent = segments.slice(0, -1).reduce((node, segment) => node[segment], copy);
+        assert(op === 'replace' || op === 'add', `Unexpected op ${op}`);
+        parent[segments[segments.length - 1]] = value;
+    }
+    return copy;
+}
+
+describe('Document Linter Unit Tests', () => {
+
+    test('should flag a shortDescription that repeats the title', () => {
+        const document = {
+            openResourceDiscovery: '1.9',
+            apiResources: [
+                { ordId: 'sap.s4:apiResource:Orders:v1', title: 'Orders API', shortDescription: 'Orders API.', description: 'Manage sales orders. Create and change them.' },
+                { ordId: 'sap.s4:apiResource:Items:v1', title: 'Items', shortDescription: 'items' },
+            ],
+        };
+        const [first, second] = findingsOf(document, 'short-description-repeats-title');
+
+        assert.strictEqual(first.severity, 'warning');
+        assert.strictEqual(first.path, '/apiResources/0/shortDescription');
+        assert.strictEqual(applyPatch(document, first.patch).apiResources[0].shortDescription, 'Manage sales orders.');
+        assert.deepStrictEqual(second.patch, [], 'Without a description, the fix needs a human');
+    });
+
+    test('should flag escaped line breaks and unclosed code blocks in descriptions', () => {
+        const document = {
+            openResourceDiscovery: '1.9',
+            packages: [{ ordId: 'sap.s4:package:Sales:v1', description: 'Line one\\nLine <b>two</b>\n```json\n{}' }],
+        };
+        const findings = findingsOf(document, 'description-escapes-and-fences');
+
+        assert.strictEqual(findings.length, 2, 'Should report escaped newlines and the open fence');
+        assert.strictEqual(
+            applyPatch(document, findings.flatMap((finding) => finding.patch)).packages[0].description,
+            'Line one\nLine <b>two</b>\n```json\n{}\n```',
+            'One patch should fix everything and keep inline HTML',
+        );
+    });
+
+    test('should leave code and inline HTML in descriptions alone', () => {
+        const description = 'Use `printf("a\\n")` to <em>print</em>.\n```c\nputs("b\\n");\n```\nSee <a href="https://example.com">docs</a>.';
+        const document = { packages: [{ ordId: 'sap.s4:package:Sales:v1', description }] };
+
+        assert.deepStrictEqual(findingsOf(document, 'description-escapes-and-fences'), []);
+    });
+
+    test('should unescape descriptions that were escaped as a whole', () => {
+        const document = { packages: [{ ordId: 'sap.s4:package:Sales:v1', description: 'Intro.\\n\\n```\\nputs("b");\\n```' }] };
+        const findings = findingsOf(document, 'description-escapes-and-fences');
+
+        assert.strictEqual(findings.length, 1);
+        assert.strictEqual(
+            applyPatch(document, findings[0].patch).packages[0].description,
+            'Intro.\n\n```\nputs("b");\n```',
+            'Code escaped together with the prose should be unescaped too',
+        );
+    });
+
+    test('should compare the version with the ORD ID', () => {
+        const ahead = { ordId: 'sap.s4:apiResource:Orders:v1', version: '2.1.0' };
+        const behind = { ordId: 'sap.s4:apiResource:Orders:v3', version: '1.0.0' };
+        const [aheadFinding, behindFinding] = findingsOf({ apiResources: [ahead, behind] }, 'version-matches-ord-id');
+
+        assert.deepStrictEqual(aheadFinding.patch, [{ op: 'replace', path: '/apiResources/0/ordId', value: 'sap.s4:apiResource:Orders:v2' }]);
+        assert.deepStrictEqual(behindFinding.patch, [{ op: 'replace', path: '/apiResources/1/version', value: '3.0.0' }]);
+        assert.strictEqual(aheadFinding.severity, 'error');
+        assert.strictEqual(findingsOf({ apiResources: [{ ordId: 'sap.s4:apiResource:Orders:v1', version: '1.4.2' }] }, 'version-matches-ord-id').length, 0);
+    });
+
+    test('should move references along with a new ORD ID', () => {
+        const document = {
+            apiResources: [
+                { ordId: 'sap.s4:apiResource:Orders:v1', version: '2.0.0' },
+                { ordId: 'sap.s4:apiResource:Legacy:v1', version: '1.0.0', successors: ['sap.s4:apiResource:Orders:v1'] },
+            ],
+        };
+        const [finding] = findingsOf(document, 'version-matches-ord-id');
+
+        assert.deepStrictEqual(finding.patch, [
+            { op: 'replace', path: '/apiResources/0/ordId', value: 'sap.s4:apiResource:Orders:v2' },
+            { op: 'replace', path: '/apiResources/1/successors/0', value: 'sap.s4:apiResource:Orders:v2' },
+        ]);
+        assert.match(finding.message, /the patch points its 1 reference\(s\) in this document at sap\.s4:apiResource:Orders:v2/);
+        assert.strictEqual(checkOrdReferences([applyPatch(document, finding.patch)]).issues.danglingReferences.length, 0);
+    });
+
+    test('should flag lastUpdate in the future', () => {
+        const document = { lastUpdate: '2030-01-01T00:00:00Z', packages: [{ ordId: 'sap.s4:package:Sales:v1', lastUpdate: '2024-01-01T00:00:00Z' }] };
+        const findings = findingsOf(document, 'last-update-in-future');
+
+        assert.strictEqual(findings.length, 1, 'Only the document is in the future');
+        assert.deepStrictEqual(findings[0].patch, [{ op: 'replace', path: '/lastUpdate', value: '2024-06-01T12:00:00Z' }]);
+    });
+
+    test('should fix the case of fixed values', () => {
+        const findings = findingsOf({ apiResources: [{ ordId: 'sap.s4:apiResource:Orders:v1', visibility: 'Public' }] }, 'enum-value-case');
+
+        assert.deepStrictEqual(findings[0].patch, [{ op: 'replace', path: '/apiResources/0/visibility', value: 'public' }]);
+    });
+
+    test('should suggest RECOMMENDED properties from ORD_CONCEPTS', () => {
+        const findings = lintOrdDocument({ eventResources: [{ ordId: 'sap.s4:eventResource:Orders:v1' }] }, { now: NOW })
+            .findings.filter((finding) => finding.rule === 'recommended-property');
+        const lastUpdate = findings.find((finding) => finding.path === '/eventResources/0/lastUpdate');
+        const policyLevels = findings.find((finding) => finding.path === '/policyLevels');
+
+        assert(lastUpdate, 'lastUpdate is RECOMMENDED for event resources');
+        assert.strictEqual(lastUpdate.severity, 'info');
+        assert.deepStrictEqual(lastUpdate.patch, [{ op: 'add', path: '/eventResources/0/lastUpdate', value: '2024-06-01T12:00:00Z' }]);
+        assert.deepStrictEqual(policyLevels.patch, [], 'Example values are no real content');
+        assert(policyLevels.message.includes('Example: '), 'Should show the example as a hint');
+    });
+
+    test('should apply configured severities', () => {
+        const document = { apiResources: [{ ordId: 'sap.s4:apiResource:Orders:v1', visibility: 'Public' }] };
+        const result = lintOrdDocument(document, { now: NOW, severities: { ...OFF, 'enum-value-case': 'error' } });
+
+        assert.deepStrictEqual(result.counts, { error: 1, warning: 0, info: 0 });
+        assert.throws(() => lintOrdDocument(document, { severities: { 'no-such-rule': 'off' } }), /Unknown lint rule\(s\): no-such-rule/);
+        assert.throws(() => lintOrdDocument(document, { severities: { 'enum-value-case': 'fatal' } }), /Invalid severity for enum-value-case: fatal/);
+    });
+});
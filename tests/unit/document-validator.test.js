@@ -0,0 +1,79 @@
+#!/usr/bin/env node
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { readFileSync } from 'node:fs';
+import { parseOrdDocument, validateOrdDocument } from '../../src/document-validator.js';
+import { BUNDLED_DOCUMENT_SCHEMA_PATH } from '../../src/constants.js';
+import { ORD_CONCEPTS } from '../../src/ord-concepts.js';
+
+const SCHEMA = readFileSync(BUNDLED_DOCUMENT_SCHEMA_PATH, 'utf8');
+
+describe('Document Validator Unit Tests', () => {
+
+    describe('parseOrdDocument', () => {
+        test('should accept JSON text and objects', () => {
+            assert.deepStrictEqual(parseOrdDocument('{"openResourceDiscovery":"1.9"}'), { openResourceDiscovery: '1.9' });
+            const document = { openResourceDiscovery: '1.9' };
+            assert.strictEqual(parseOrdDocument(document), document);
+        });
+
+        test('should reject invalid input', () => {
+            assert.throws(() => parseOrdDocument('{not json'), /not valid JSON/);
+            assert.throws(() => parseOrdDocument('[]'), /expected a JSON object/);
+            assert.throws(() => parseOrdDocument(undefined), /expected a JSON object/);
+            assert.throws(() => parseOrdDocument(42), /expected a JSON object/);
+        });
+    });
+
+    describe('validateOrdDocument', () => {
+        test('should accept a valid document', () => {
+            const document = {
+                openResourceDiscovery: '1.9',
+                apiResources: [ORD_CONCEPTS.APIResource.example],
+            };
+
+            assert.deepStrictEqual(validateOrdDocument(document, SCHEMA), { valid: true, errors: [] });
+        });
+
+        test('should report missing properties as JSON pointers', () => {
+            const { valid, errors } = validateOrdDocument({ apiResources: [{ ordId: 'sap.s4:apiResource:X:v1' }] }, SCHEMA);
+            const paths = errors.map((error) => error.path);
+
+            assert.strictEqual(valid, false);
+            assert(paths.includes('/openResourceDiscovery'), 'Should point at the missing root property');
+            assert(paths.includes('/apiResources/0/partOfPackage'), 'Should point at the missing nested property');
+            assert.strictEqual(errors.find((error) => error.path === '/openResourceDiscovery').message, 'is required');
+        });
+
+        test('should report unknown properties and invalid values', () => {
+            const document = {
+                openResourceDiscovery: '0.1',
+                apiResources: [{ ...ORD_CONCEPTS.APIResource.example, 'unknown/field': true, visibility: 'secret' }],
+            };
+            const { errors } = validateOrdDocument(document, SCHEMA);
+
+            const unknown = errors.find((error) => error.path === '/apiResources/0/unknown~1field');
+            assert(unknown, 'Should escape JSON pointer segments');
+            assert.strictEqual(unknown.keyword, 'additionalProperties');
+
+            const version = errors.find((error) => error.path === '/openResourceDiscovery');
+            assert.match(version.message, /must be equal to one of the allowed values: 1\.0/);
+            assert(errors.some((error) => error.path === '/apiResources/0/visibility'));
+        });
+
+        test('should validate ordId patterns', () => {
+            const document = {
+                openResourceDiscovery: '1.9',
+                apiResources: [{ ...ORD_CONCEPTS.APIResource.example, ordId: 'not-an-ord-id' }],
+            };
+            const { errors } = validateOrdDocument(document, SCHEMA);
+
+            assert(errors.some((error) => error.path === '/apiResources/0/ordId' && error.keyword === 'pattern'));
+        });
+
+        test('should reject a broken schema', () => {
+            assert.throws(() => validateOrdDocument({}, '{broken'), /Invalid ORD document schema/);
+        });
+    });
+});
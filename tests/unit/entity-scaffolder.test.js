@@ -0,0 +1,88 @@
+#!/usr/bin/env node
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { readFileSync } from 'node:fs';
+import { scaffoldOrdEntity, SCAFFOLD_CONCEPTS } from '../../src/entity-scaffolder.js';
+import { validateOrdDocument } from '../../src/document-validator.js';
+import { BUNDLED_DOCUMENT_SCHEMA_PATH } from '../../src/constants.js';
+
+const SCHEMA = readFileSync(BUNDLED_DOCUMENT_SCHEMA_PATH, 'utf8');
+const NOW = new Date('2026-03-01T12:00:00.000Z');
+
+describe('Entity Scaffolder Unit Tests', () => {
+
+    test('should build consistent identifiers and references', () => {
+        const result = scaffoldOrdEntity('APIResource', {
+            namespace: 'acme.shop',
+            name: 'SalesOrder_API',
+            version: '2.1.0',
+            packageOrdId: 'acme.shop:package:Sales:v1',
+            now: NOW,
+        });
+
+        assert.strictEqual(result.documentArray, 'apiResources');
+        assert.deepStrictEqual(result.entity, {
+            ordId: 'acme.shop:apiResource:SalesOrder_API:v2',
+            title: 'Sales Order API',
+            shortDescription: 'Short description of Sales Order API',
+            description: 'Description of Sales Order API.',
+            partOfPackage: 'acme.shop:package:Sales:v1',
+            version: '2.1.0',
+            visibility: 'public',
+            releaseStatus: 'active',
+            apiProtocol: 'rest',
+            lastUpdate: '2026-03-01T12:00:00Z',
+        });
+        assert.deepStrictEqual(result.placeholders, ['shortDescription', 'description']);
+        assert.deepStrictEqual(result.notes, []);
+    });
+
+    test('should produce schema-valid skeletons for every concept', () => {
+        for (const concept of SCAFFOLD_CONCEPTS) {
+            for (const includeRecommended of [false, true]) {
+                const { documentArray, entity } = scaffoldOrdEntity(concept, { namespace: 'acme.shop', name: 'SalesOrder', includeRecommended });
+                const { valid, errors } = validateOrdDocument({ openResourceDiscovery: '1.9', [documentArray]: [entity] }, SCHEMA);
+                assert(valid, `${concept} skeleton should be valid: ${JSON.stringify(errors)}`);
+            }
+        }
+    });
+
+    test('should build vendor IDs in the vendor namespace', () => {
+        const result = scaffoldOrdEntity('Vendor', { namespace: 'sap.s4', name: 'SAP' });
+
+        assert.strictEqual(result.entity.ordId, 'sap:vendor:SAP:');
+        assert.deepStrictEqual(result.notes, ['ordId: vendor IDs use the vendor namespace, so sap is used instead of sap.s4']);
+        assert.strictEqual(scaffoldOrdEntity('Vendor', { namespace: 'sap', name: 'SAP' }).notes.length, 0);
+    });
+
+    test('should add RECOMMENDED properties only on request', () => {
+        const plain = scaffoldOrdEntity('ConsumptionBundle', { namespace: 'acme.shop', name: 'Sales', now: NOW });
+        assert.deepStrictEqual(plain.entity, { ordId: 'acme.shop:consumptionBundle:Sales:v1', title: 'Sales', lastUpdate: '2026-03-01T12:00:00Z' });
+
+        const recommended = scaffoldOrdEntity('ConsumptionBundle', { namespace: 'acme.shop', name: 'Sales', includeRecommended: true, now: NOW });
+        assert.strictEqual(recommended.entity.version, '1.0.0');
+    });
+
+    test('should note defaulted references and examples used as placeholders', () => {
+        const result = scaffoldOrdEntity('DataProduct', { namespace: 'acme.shop', name: 'Orders' });
+
+        assert.strictEqual(result.entity.partOfPackage, 'acme.shop:package:Orders:v1');
+        assert.match(result.notes[0], /^partOfPackage: no package given, so it points at acme.shop:package:Orders:v1/);
+        assert(result.placeholders.includes('outputPorts'), 'outputPorts comes from the example');
+
+        const group = scaffoldOrdEntity('Group', { namespace: 'acme.shop', name: 'Sales', groupTypeId: 'acme.shop:domain' });
+        assert.strictEqual(group.entity.groupId, 'acme.shop:domain:acme.shop:Sales');
+    });
+
+    test('should reject invalid input', () => {
+        assert.throws(() => scaffoldOrdEntity('Tombstone', { namespace: 'acme', name: 'X' }), /Use plan_ord_deprecation for tombstones/);
+        assert.throws(() => scaffoldOrdEntity('APIResource', { namespace: 'Acme', name: 'X' }), /Invalid namespace: Acme/);
+        assert.throws(() => scaffoldOrdEntity('APIResource', { namespace: 'acme', name: 'Sales Order' }), /Invalid name: Sales Order/);
+        assert.throws(() => scaffoldOrdEntity('APIResource', { namespace: 'acme', name: 'X', version: '1.0' }), /Invalid version: 1\.0/);
+        assert.throws(
+            () => scaffoldOrdEntity('APIResource', { namespace: 'acme', name: 'X', packageOrdId: 'acme:apiResource:X:v1' }),
+            /Invalid partOfPackage/,
+        );
+    });
+});
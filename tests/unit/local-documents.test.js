@@ -0,0 +1,70 @@
+#!/usr/bin/env node
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { EventEmitter } from 'node:events';
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { readLocalOrdDocuments, watchLocalOrdDocuments } from '../../src/local-documents.js';
+
+describe('Local Documents Unit Tests', () => {
+
+    test('should read ORD documents and report broken files', async () => {
+        const directory = await mkdtemp(join(tmpdir(), 'ord-local-'));
+        await writeFile(join(directory, 'document.json'), JSON.stringify({ openResourceDiscovery: '1.9' }));
+        await writeFile(join(directory, 'broken.json'), '{');
+        await writeFile(join(directory, 'package.json'), '{"name": "app"}');
+        await writeFile(join(directory, 'README.md'), '# ORD');
+
+        try {
+            const files = await readLocalOrdDocuments([directory]);
+
+            assert.deepStrictEqual(files.map((file) => file.file), ['broken.json', 'document.json', 'package.json']);
+            assert.match(files[0].error, /Not valid JSON/);
+            assert.deepStrictEqual(files[1].document, { openResourceDiscovery: '1.9' });
+            assert.match(files[2].error, /Not an ORD document/);
+        } finally {
+            await rm(directory, { recursive: true, force: true });
+        }
+    });
+
+    test('should fail for missing directories', async () => {
+        await assert.rejects(readLocalOrdDocuments(['/nonexistent/ord']), /Cannot read ORD directory/);
+    });
+
+    test('should report changes once the files are quiet', async () => {
+        const directory = await mkdtemp(join(tmpdir(), 'ord-local-'));
+        let changes = 0;
+        const watcher = watchLocalOrdDocuments([directory], () => changes++, { debounceMs: 50 });
+
+        try {
+            await writeFile(join(directory, 'document.json'), '{}');
+            await writeFile(join(directory, 'document.json'), JSON.stringify({ openResourceDiscovery: '1.9' }));
+            await new Promise((resolve) => setTimeout(resolve, 300));
+
+            assert.strictEqual(changes, 1, 'Should debounce consecutive writes');
+        } finally {
+            watcher.close();
+            await rm(directory, { recursive: true, force: true });
+        }
+    });
+
+    test('should close a watcher that fails instead of crashing', async (t) => {
+        const logged = t.mock.method(console, 'error', () => {});
+        const watchers = [];
+        const watchDirectory = () => {
+            const watcher = Object.assign(new EventEmitter(), { closed: 0, close: () => watcher.closed++ });
+            watchers.push(watcher);
+            return watcher;
+        };
+        const watcher = watchLocalOrdDocuments(['/ord/a', '/ord/b'], () => {}, { watchDirectory });
+
+        watchers[0].emit('error', new Error('EPERM: operation not permitted, watch'));
+
+        assert.strictEqual(watchers[0].closed, 1, 'The failed watcher should be closed');
+        assert.strictEqual(watchers[1].closed, 0, 'Other directories should stay watched');
+        assert.match(logged.mock.calls[0].arguments[0], /Stopped watching ORD directory .*a: EPERM/);
+        watcher.close();
+    });
+});
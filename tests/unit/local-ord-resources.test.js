@@ -0,0 +1,52 @@
+#!/usr/bin/env node
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { buildLocalResources } from '../../src/local-ord-resources.js';
+
+const DOCUMENT = {
+    openResourceDiscovery: '1.9',
+    packages: [{ ordId: 'sap.test:package:Orders:v1', title: 'Orders' }],
+    apiResources: [{ ordId: 'sap.test:apiResource:Orders:v1', title: 'Orders API' }],
+};
+
+describe('Local ORD Resources Unit Tests', () => {
+
+    test('should expose documents and their entities', () => {
+        const { resources, contents } = buildLocalResources([
+            { directory: '/repo/ord', file: 'document.json', path: '/repo/ord/document.json', document: DOCUMENT, error: null },
+        ]);
+
+        assert.deepStrictEqual(
+            resources.map((resource) => resource.uri),
+            [
+                'ord://local/ord/document.json',
+                'ord://local/ord/document.json/sap.test:package:Orders:v1',
+                'ord://local/ord/document.json/sap.test:apiResource:Orders:v1',
+            ],
+            'Should list the document, then its entities',
+        );
+        assert.strictEqual(resources[0].description, 'Local ORD document with 1 Package, 1 APIResource');
+        assert.strictEqual(resources[2].name, 'APIResource sap.test:apiResource:Orders:v1');
+        assert.strictEqual(resources[2].description, 'Orders API - from ord/document.json');
+        assert.deepStrictEqual(
+            JSON.parse(contents.get('ord://local/ord/document.json/sap.test:apiResource:Orders:v1')),
+            DOCUMENT.apiResources[0],
+            'Should serve the entity as JSON',
+        );
+    });
+
+    test('should number directories with the same name and skip broken files', () => {
+        const { resources } = buildLocalResources([
+            { directory: '/a/ord', file: 'one.json', path: '/a/ord/one.json', document: { openResourceDiscovery: '1.9' }, error: null },
+            { directory: '/b/ord', file: 'two.json', path: '/b/ord/two.json', document: { openResourceDiscovery: '1.9' }, error: null },
+            { directory: '/b/ord', file: 'broken.json', path: '/b/ord/broken.json', document: null, error: 'Not valid JSON' },
+        ]);
+
+        assert.deepStrictEqual(
+            resources.map((resource) => resource.uri),
+            ['ord://local/ord/one.json', 'ord://local/ord-2/two.json'],
+            'Should keep URIs unique and leave out broken files',
+        );
+    });
+});
@@ -2,7 +2,35 @@
 
 import { test, describe } from 'node:test';
 import assert from 'node:assert';
-import { handleGetSpecification, handleExplainConcept } from '../../src/mcp-handlers.js';
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import {
+    handleGetSpecification,
+    handleDiffSpecification,
+    handleExplainConcept,
+    handleConceptGraph,
+    handleGenerateOrdFromCds,
+    handleGenerateOrdResource,
+    handleScaffoldEntity,
+    handleBuilderStart,
+    handleBuilderAddEntity,
+    handleBuilderUpdateEntity,
+    handleBuilderRemoveEntity,
+    handleBuilderExport,
+    handleQueryCatalog,
+    handleLintDocument,
+    handleCompareDocuments,
+    handlePlanDeprecation,
+    handleCheckPolicyCompliance,
+    handleReadConceptResource,
+    handleReadSpecificationSectionResource,
+    handleReadLocalResource,
+    listLocalResources,
+    loadLocalDocuments,
+    loadCustomRuleSets,
+    allowRead,
+} from '../../src/mcp-handlers.js';
 
 describe('MCP Handlers Unit Tests', () => {
     
@@ -28,6 +56,45 @@ describe('MCP Handlers Unit Tests', () => {
         });
     });
 
+    describe('handleDiffSpecification', () => {
+        test('should reject invalid version pairs before fetching', async () => {
+            await assert.rejects(handleDiffSpecification({}), /from must be a non-empty string/);
+            await assert.rejects(handleDiffSpecification({ from: 'main' }), /Invalid specification version/);
+            await assert.rejects(
+                handleDiffSpecification({ from: '1.9.0', to: 'v1.9.0' }),
+                /from and to must be different/,
+                'Versions are compared after normalization',
+            );
+        });
+    });
+
+    describe('handleConceptGraph', () => {
+        test('should render the concept graph as Mermaid by default', async () => {
+            const result = await handleConceptGraph({ concepts: ['Package', 'APIResource'] });
+            const text = result.content[0].text;
+
+            assert(text.startsWith('# ORD Concept Graph'), 'Should have a heading');
+            assert(text.includes('2 concepts and'), 'Should count the nodes');
+            assert(text.includes('```mermaid\nflowchart LR'), 'Should default to Mermaid');
+            assert(text.includes('APIResource -->|partOfPackage| Package'));
+        });
+
+        test('should graph a document', async () => {
+            const document = { openResourceDiscovery: '1.9', apiResources: [{ ordId: 'sap.s4:apiResource:Orders:v1', partOfPackage: 'sap.s4:package:Sales:v1' }] };
+            const result = await handleConceptGraph({ document: JSON.stringify(document), format: 'dot' });
+            const text = result.content[0].text;
+
+            assert(text.startsWith('# ORD Document Graph'), 'Should have a heading');
+            assert(text.includes('2 entities and 1 references, 1 of the referenced IDs not defined in the document.'));
+            assert(text.includes('```dot\ndigraph ORDDocument {'));
+        });
+
+        test('should validate arguments', async () => {
+            await assert.rejects(handleConceptGraph({ format: 'svg' }), /format must be one of: json, mermaid, dot/);
+            await assert.rejects(handleConceptGraph({ concepts: 'Package' }), /concepts must be an array of concept names/);
+        });
+    });
+
     describe('handleExplainConcept', () => {
         test('should explain valid concepts', async () => {
             const args = { concept: 'Product' };
@@ -64,6 +131,24 @@ describe('MCP Handlers Unit Tests', () => {
             }
         });
 
+        test('should name the schema the explanation was generated from', async () => {
+            const result = await handleExplainConcept({ concept: 'ConsumptionBundle' });
+            const text = result.content[0].text;
+
+            assert(/^> Concepts (from the latest ORD Document schema|from the built-in snapshot)/m.test(text), 'Should state where the concepts came from');
+            assert(text.includes('version (string)'), 'Should list schema properties');
+        });
+
+        test('should explain a single property', async () => {
+            const result = await handleExplainConcept({ concept: 'apiresource', property: 'apiProtocol' });
+            assert(result.content[0].text.includes('# ORD Concept Property: APIResource.apiProtocol'), 'Should explain the property');
+            await assert.rejects(handleExplainConcept({ concept: 'Vendor', property: 'nope' }), /Unknown property: nope/);
+        });
+
+        test('should reject invalid specification versions', async () => {
+            await assert.rejects(handleExplainConcept({ concept: 'Product', version: 'main' }), /Invalid specification version/);
+        });
+
         test('should validate all available concepts', async () => {
             const concepts = [
                 'Product', 'Package', 'APIResource', 'EventResource',
@@ -96,4 +181,360 @@ describe('MCP Handlers Unit Tests', () => {
             }
         });
     });
+
+    describe('handleReadConceptResource', () => {
+        test('should read explanations as markdown and examples as JSON', async () => {
+            const explanation = await handleReadConceptResource({ name: 'tombstone' });
+            assert.strictEqual(explanation.mimeType, 'text/markdown');
+            assert(explanation.text.includes('# ORD Concept: Tombstone'), 'Should contain the explanation');
+
+            const example = await handleReadConceptResource({ name: 'Tombstone', example: true });
+            assert.strictEqual(example.mimeType, 'application/json');
+            assert(JSON.parse(example.text).removalDate, 'Should contain the example');
+        });
+
+        test('should reject unknown concepts', async () => {
+            await assert.rejects(handleReadConceptResource({ name: 'Widget' }), /Unknown concept: Widget/);
+            await assert.rejects(handleReadConceptResource(null), /Invalid arguments/);
+        });
+    });
+
+    describe('handleReadSpecificationSectionResource', () => {
+        test('should reject missing anchors before fetching', async () => {
+            await assert.rejects(handleReadSpecificationSectionResource({}), /anchor must be a non-empty string/);
+        });
+    });
+
+    describe('handleGenerateOrdFromCds', () => {
+        test('should generate and validate a document from CSN', async () => {
+            const csn = {
+                definitions: {
+                    'my.Books': { kind: 'entity', elements: {} },
+                    'CatalogService': { kind: 'service', doc: 'Browse books' },
+                    'CatalogService.Books': { kind: 'entity', projection: { from: { ref: ['my.Books'] } } },
+                },
+            };
+            const result = await handleGenerateOrdFromCds({ csn: JSON.stringify(csn), appName: 'bookshop' });
+            const text = result.content[0].text;
+
+            assert(text.startsWith('# ORD Document from CDS'), 'Should contain the title');
+            assert(text.includes('- apiResources: 1'), 'Should count the API resources');
+            assert(text.includes('The generated document is valid'), 'Should report the validation result');
+            assert(text.includes('"ordId": "customer.bookshop:apiResource:CatalogService:v1"'), 'Should contain the document');
+        });
+
+        test('should require exactly one model source', async () => {
+            await assert.rejects(handleGenerateOrdFromCds({}), /Provide either csn or projectPath/);
+            await assert.rejects(handleGenerateOrdFromCds({ csn: {}, projectPath: '.' }), /Provide either csn or projectPath/);
+            await assert.rejects(handleGenerateOrdFromCds({ csn: '{}' }), /Invalid CSN/);
+        });
+    });
+
+    describe('handleGenerateOrdResource', () => {
+        test('should read a YAML definition and point at its published URL', async () => {
+            const directory = await mkdtemp(join(tmpdir(), 'ord-api-definition-'));
+            const path = join(directory, 'orders.yaml');
+            await writeFile(path, 'openapi: 3.0.0\ninfo:\n  title: Orders\n  version: 1.0.0\npaths: {}\n');
+
+            try {
+                const url = 'https://api.example.com/specs/orders.yaml';
+                await assert.rejects(
+                    handleGenerateOrdResource({ path, url }),
+                    /outside the directories the server may read/,
+                    'Paths are not readable by default',
+                );
+
+                await allowRead([directory]);
+                const result = await handleGenerateOrdResource({ path, url, namespace: 'sap.s4' });
+                const text = result.content[0].text;
+
+                assert(text.startsWith('# ORD APIResource Skeleton'), 'Should name the concept');
+                assert(text.includes('`apiResources` array'), 'Should name the document array');
+                assert(text.includes('- `partOfPackage`:'), 'Should list missing MANDATORY properties');
+                assert(text.includes(`"url": "${url}"`), 'Should point at the published URL');
+                assert(!text.includes(directory), 'Should not publish the local path');
+                assert(text.includes('"mediaType": "text/yaml"'), 'Should keep the YAML media type');
+            } finally {
+                await allowRead([]);
+                await rm(directory, { recursive: true, force: true });
+            }
+        });
+
+        test('should require exactly one definition source', async () => {
+            await assert.rejects(handleGenerateOrdResource({}), /Provide either definition or path/);
+            await assert.rejects(handleGenerateOrdResource({ path: '/nonexistent/api.yaml' }), /url is required with path/);
+            await assert.rejects(
+                handleGenerateOrdResource({ path: '/etc/passwd', url: '/specs/api.yaml' }),
+                /API definition \/etc\/passwd is outside the directories the server may read/,
+            );
+        });
+    });
+
+    describe('handleScaffoldEntity', () => {
+        test('should return the skeleton with its placeholders', async () => {
+            const result = await handleScaffoldEntity({
+                concept: 'apiresource',
+                namespace: 'sap.s4',
+                name: 'SalesOrder',
+                packageOrdId: 'sap.s4:package:Sales:v1',
+            });
+            const text = result.content[0].text;
+
+            assert(text.startsWith('# ORD APIResource Skeleton'), 'Should resolve the concept name case-insensitively');
+            assert(text.includes('Add this entry to the `apiResources` array of an ORD document.'));
+            assert(text.includes('## Placeholders\n\nReplace the made-up values of: `shortDescription`, `description`.'));
+            assert(!text.includes('## Notes'), 'A given package needs no note');
+            assert(text.includes('"ordId": "sap.s4:apiResource:SalesOrder:v1"'));
+            assert(text.includes('"partOfPackage": "sap.s4:package:Sales:v1"'));
+        });
+
+        test('should validate arguments', async () => {
+            await assert.rejects(handleScaffoldEntity({ concept: 'Nope', namespace: 'sap', name: 'X' }), /Unknown concept: Nope/);
+            await assert.rejects(
+                handleScaffoldEntity({ concept: 'Package', namespace: 'sap', name: 'X', includeRecommended: 'yes' }),
+                /includeRecommended must be a boolean/,
+            );
+        });
+    });
+
+    describe('ord_builder handlers', () => {
+        const api = {
+            ordId: 'sap.s4:apiResource:Orders:v1',
+            title: 'Orders',
+            shortDescription: 'Sales orders',
+            description: 'Create and read sales orders.',
+            partOfPackage: 'sap.s4:package:Sales:v1',
+            version: '1.0.0',
+            visibility: 'public',
+            releaseStatus: 'active',
+            apiProtocol: 'rest',
+        };
+
+        test('should keep the draft in the session and check it after every change', async () => {
+            const session = { document: null };
+            await handleBuilderStart({ properties: { openResourceDiscovery: '1.9' } }, session);
+            assert.deepStrictEqual(session.document, { openResourceDiscovery: '1.9' });
+
+            const added = await handleBuilderAddEntity({ concept: 'apiresource', entity: api }, session);
+            const text = added.content[0].text;
+            assert(text.startsWith('# ORD Document Builder'), 'Should have a heading');
+            assert(text.includes('Added APIResource `sap.s4:apiResource:Orders:v1` at `/apiResources/0`.'));
+            assert(text.includes('Entities: apiResources: 1.'));
+            assert(text.includes('## Open issues (1)\n\n- `/apiResources/0/partOfPackage`: partOfPackage Package is not defined'));
+
+            const updated = await handleBuilderUpdateEntity({ id: api.ordId, properties: { partOfPackage: null } }, session);
+            assert(updated.content[0].text.includes('`/apiResources/0/partOfPackage`: Missing MANDATORY partOfPackage'));
+
+            const removed = await handleBuilderRemoveEntity({ id: api.ordId }, session);
+            assert(removed.content[0].text.includes('Entities: none yet.'));
+            assert(removed.content[0].text.includes('All MANDATORY properties are set and all references resolve.'));
+        });
+
+        test('should export the draft with its schema validation', async () => {
+            const session = { document: null };
+            await handleBuilderStart({ document: { openResourceDiscovery: '1.9', apiResources: [{ ...api, visibility: 'nope' }] } }, session);
+
+            const result = await handleBuilderExport({}, session);
+            const text = result.content[0].text;
+            assert(text.startsWith('# ORD Document Export'), 'Should have a heading');
+            assert(text.includes('## Schema violations'), 'Should validate against the schema');
+            assert(text.includes('- `/apiResources/0/visibility`: nope is not one of public, internal, private'));
+            assert(text.includes('"ordId": "sap.s4:apiResource:Orders:v1"'), 'Should include the document');
+        });
+
+        test('should require a started draft', async () => {
+            await assert.rejects(handleBuilderExport({}, { document: null }), /No ORD document in progress. Call ord_builder_start first/);
+            await assert.rejects(
+                handleBuilderAddEntity({ concept: 'Nope', entity: {} }, { document: { openResourceDiscovery: '1.9' } }),
+                /Unknown concept: Nope/,
+            );
+        });
+    });
+
+    describe('handleQueryCatalog', () => {
+        test('should query inline documents', async () => {
+            const document = {
+                openResourceDiscovery: '1.9',
+                apiResources: [
+                    { ordId: 'sap.s4:apiResource:Orders:v1', title: 'Orders', visibility: 'public' },
+                    { ordId: 'sap.s4:apiResource:Invoices:v1', title: 'Invoices', visibility: 'internal' },
+                ],
+            };
+            const result = await handleQueryCatalog({ filter: 'visibility=public', documents: [JSON.stringify(document)] });
+            const text = result.content[0].text;
+
+            assert(text.startsWith('# ORD Catalog Query'), 'Should have a heading');
+            assert(text.includes('Found 1 match(es) - APIResource: 1'), 'Should summarize the matches');
+            assert(text.includes('- **APIResource** `sap.s4:apiResource:Orders:v1` - Orders (public) from documents[0]'));
+            assert(!text.includes('sap.s4:apiResource:Invoices:v1'), 'Should leave out non-matching entities');
+        });
+
+        test('should require loaded ORD data', async () => {
+            await assert.rejects(handleQueryCatalog({}), /No ORD documents loaded/);
+            await assert.rejects(handleQueryCatalog({ baseUrl: 'http://localhost:1' }), /Provider not crawled yet/);
+            await assert.rejects(handleQueryCatalog({ documents: ['{}'], filter: '(' }), /Invalid filter/);
+        });
+    });
+
+    describe('local ORD documents', () => {
+        test('should serve local documents as resources and in catalog queries', async () => {
+            const directory = await mkdtemp(join(tmpdir(), 'ord-local-'));
+            const document = {
+                openResourceDiscovery: '1.9',
+                apiResources: [{ ordId: 'sap.test:apiResource:Orders:v1', title: 'Orders', visibility: 'public' }],
+            };
+            await writeFile(join(directory, 'document.json'), JSON.stringify(document));
+
+            try {
+                await loadLocalDocuments([directory]);
+                const uris = listLocalResources().map((resource) => resource.uri);
+                const entityUri = uris.find((uri) => uri.endsWith('/sap.test:apiResource:Orders:v1'));
+                const entity = await handleReadLocalResource({ uri: entityUri });
+                const query = await handleQueryCatalog({ filter: 'visibility=public' });
+
+                assert.strictEqual(uris.length, 2, 'Should list the document and its API');
+                assert.deepStrictEqual(JSON.parse(entity.text), document.apiResources[0]);
+                assert(query.content[0].text.includes('Found 1 match(es) - APIResource: 1'), 'Should query local documents');
+                await assert.rejects(handleReadLocalResource({ uri: 'ord://local/ord/gone.json' }), /Unknown local resource/);
+            } finally {
+                await loadLocalDocuments([]);
+                await rm(directory, { recursive: true, force: true });
+            }
+        });
+    });
+
+    describe('handleCheckPolicyCompliance', () => {
+        const document = {
+            openResourceDiscovery: '1.9',
+            policyLevel: 'sap:core:v1',
+            packages: [{ ordId: 'sap.test:package:Orders:v1', lastUpdate: '2024-01-01T00:00:00Z' }],
+        };
+
+        test('should report failed rules with their violations', async () => {
+            const result = await handleCheckPolicyCompliance({ document: JSON.stringify(document) });
+            const text = result.content[0].text;
+
+            assert(text.startsWith('# ORD Policy Compliance'), 'Should have a heading');
+            assert(text.includes('1 of 2 applicable rule(s) failed.'), 'Should summarize the result');
+            assert(text.includes('- **fail** `sap-core-part-of-products` (sap:core:v1)'), 'Should list the failed rule');
+            assert(text.includes('  - `/packages/0` (sap.test:package:Orders:v1): Missing partOfProducts'));
+        });
+
+        test('should apply custom and inline rule sets', async () => {
+            const directory = await mkdtemp(join(tmpdir(), 'ord-rules-'));
+            const path = join(directory, 'rules.json');
+            await writeFile(path, JSON.stringify({
+                policyLevel: 'acme:strict:v1',
+                rules: [{ id: 'acme-description', concepts: ['DocumentProperties'], required: ['description'] }],
+            }));
+
+            try {
+                await loadCustomRuleSets([path]);
+                const result = await handleCheckPolicyCompliance({
+                    document: { ...document, policyLevels: ['acme:strict:v1', 'acme:inline:v1'] },
+                    ruleSets: [{ policyLevel: 'acme:inline:v1', rules: [{ id: 'acme-packages', concepts: ['DocumentProperties'], required: ['packages'] }] }],
+                });
+                const text = result.content[0].text;
+
+                assert(text.includes('- **fail** `acme-description`'), 'Should apply the loaded rule set');
+                assert(text.includes('- **pass** `acme-packages`'), 'Should apply the inline rule set');
+            } finally {
+                await loadCustomRuleSets([]);
+                await rm(directory, { recursive: true, force: true });
+            }
+        });
+
+        test('should name policy levels without rules', async () => {
+            const result = await handleCheckPolicyCompliance({ document, policyLevel: 'acme:unknown:v1' });
+
+            assert(result.content[0].text.includes('No rule set for acme:unknown:v1. Known policy levels: sap:core:v1'));
+            await assert.rejects(handleCheckPolicyCompliance({ document, ruleSets: [{}] }), /Invalid rule set ruleSets\[0\]/);
+        });
+    });
+
+    describe('handleLintDocument', () => {
+        test('should list findings with their fixes', async () => {
+            const document = {
+                openResourceDiscovery: '1.9',
+                apiResources: [{ ordId: 'sap.s4:apiResource:Orders:v1', title: 'Orders', shortDescription: 'Orders', version: '2.0.0' }],
+            };
+            const result = await handleLintDocument({ document, severities: { 'recommended-property': 'off' } });
+            const text = result.content[0].text;
+
+            assert(text.startsWith('# ORD Document Lint'), 'Should have a heading');
+            assert(text.includes('2 finding(s): 1 error, 1 warning, 0 info.'), 'Should count findings by severity');
+            assert(text.includes('- **error** `version-matches-ord-id` at `/apiResources/0/ordId`'), 'Should list errors first');
+            assert(text.includes('(no automatic fix)'), 'Should mark findings without a patch');
+            assert(text.includes('- `recommended-property` (off)'), 'Should show the configured severities');
+        });
+
+        test('should reject unknown rules', async () => {
+            await assert.rejects(handleLintDocument({ document: '{}', severities: { nope: 'off' } }), /Unknown lint rule/);
+        });
+    });
+
+    describe('handleCompareDocuments', () => {
+        test('should list changed resources and issues', async () => {
+            const from = { openResourceDiscovery: '1.9', apiResources: [{ ordId: 'sap.s4:apiResource:Orders:v1', version: '1.0.0', visibility: 'public' }] };
+            const to = { openResourceDiscovery: '1.9', apiResources: [{ ordId: 'sap.s4:apiResource:Orders:v1', version: '1.0.0', visibility: 'private' }] };
+            const result = await handleCompareDocuments({ from: JSON.stringify(from), to });
+            const text = result.content[0].text;
+
+            assert(text.startsWith('# ORD Document Comparison'), 'Should have a heading');
+            assert(text.includes('1 changed, 0 added, 0 removed, 0 unchanged. Highest impact: breaking.'));
+            assert(text.includes('- `sap.s4:apiResource:Orders:v1` (APIResource) - changed, breaking'));
+            assert(text.includes('  - breaking: visibility narrowed from public to private'));
+            assert(text.includes('## Issues (1)'), 'Should report the missing major version');
+        });
+
+        test('should name the invalid document', async () => {
+            await assert.rejects(handleCompareDocuments({ from: '{}', to: 'nope' }), /^Error: to: Invalid ORD document/);
+        });
+    });
+
+    describe('handlePlanDeprecation', () => {
+        const document = {
+            openResourceDiscovery: '1.9',
+            apiResources: [
+                { ordId: 'sap.s4:apiResource:Orders:v1', version: '1.3.2', releaseStatus: 'active' },
+                { ordId: 'sap.s4:apiResource:Orders:v2', version: '2.0.0', releaseStatus: 'active' },
+            ],
+        };
+
+        test('should list the steps and return both documents', async () => {
+            const result = await handlePlanDeprecation({
+                document,
+                ordId: 'sap.s4:apiResource:Orders:v1',
+                deprecationDate: '2026-01-01T00:00:00Z',
+                sunsetDate: '2027-01-01T00:00:00Z',
+                successors: ['sap.s4:apiResource:Orders:v2'],
+            });
+            const text = result.content[0].text;
+
+            assert(text.startsWith('# Deprecation Plan for sap.s4:apiResource:Orders:v1'), 'Should have a heading');
+            assert(text.includes('Dates, successors and references are consistent.'));
+            assert(text.includes('1. On 2026-01-01T00:00:00Z: publish the `deprecated` document'));
+            assert(text.includes('version 1.4.0, and successors `sap.s4:apiResource:Orders:v2`'), 'Should name the new version');
+            assert(text.includes('"removalDate": "2027-01-01T00:00:00Z"'), 'Should include the tombstone');
+        });
+
+        test('should report issues', async () => {
+            const result = await handlePlanDeprecation({
+                document: JSON.stringify(document),
+                ordId: 'sap.s4:apiResource:Orders:v1',
+                deprecationDate: '2026-01-01T00:00:00Z',
+                sunsetDate: '2027-01-01T00:00:00Z',
+                successors: ['sap.s4:apiResource:Orders:v3'],
+            });
+            assert(result.content[0].text.includes('## Issues\n\n- **successor**: Successor sap.s4:apiResource:Orders:v3 is not defined'));
+        });
+
+        test('should validate arguments', async () => {
+            await assert.rejects(handlePlanDeprecation({ document, sunsetDate: '2027-01-01T00:00:00Z' }), /ordId must be a non-empty string/);
+            await assert.rejects(
+                handlePlanDeprecation({ document, ordId: 'sap.s4:apiResource:Orders:v1', sunsetDate: '2027-01-01T00:00:00Z', successors: 'x' }),
+                /successors must be an array of ORD IDs/,
+            );
+        });
+    });
 });
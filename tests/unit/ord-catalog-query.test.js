@@ -0,0 +1,132 @@
+#!/usr/bin/env node
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { aggregateOrdDocuments } from '../../src/ord-catalog.js';
+import { parseCatalogQuery, queryOrdCatalog } from '../../src/ord-catalog-query.js';
+
+const CATALOG = aggregateOrdDocuments([
+    {
+        source: 'http://provider/ord/v1/documents/1',
+        document: {
+            openResourceDiscovery: '1.9',
+            packages: [
+                { ordId: 'sap.s4:package:Sales:v1', title: 'Sales Order Management', labels: { country: ['DE'] } },
+                { ordId: 'sap.s4:package:Finance:v1', title: 'Finance' },
+            ],
+            entityTypes: [{ ordId: 'sap.s4:entityType:BusinessPartner:v1', title: 'Business Partner' }],
+            apiResources: [
+                {
+                    ordId: 'sap.s4:apiResource:Orders:v1',
+                    title: 'Orders',
+                    visibility: 'public',
+                    releaseStatus: 'deprecated',
+                    partOfPackage: 'sap.s4:package:Sales:v1',
+                    tags: ['sales', 'orders'],
+                    exposedEntityTypes: [{ ordId: 'sap.s4:entityType:BusinessPartner:v1' }],
+                },
+                {
+                    ordId: 'sap.s4:apiResource:Invoices:v1',
+                    title: 'Invoices',
+                    visibility: 'internal',
+                    releaseStatus: 'active',
+                    partOfPackage: 'sap.s4:package:Finance:v1',
+                },
+            ],
+            eventResources: [
+                {
+                    ordId: 'sap.s4:eventResource:OrderEvents:v1',
+                    title: 'Order Events',
+                    visibility: 'public',
+                    releaseStatus: 'active',
+                    partOfPackage: 'sap.s4:package:Sales:v1',
+                },
+            ],
+        },
+    },
+]);
+
+const ids = (result) => result.items.map((item) => item.id);
+
+describe('ORD Catalog Query Unit Tests', () => {
+
+    test('should match everything with an empty filter', () => {
+        const result = queryOrdCatalog(CATALOG, '');
+
+        assert.strictEqual(result.total, 6, 'Should return all entities');
+        assert.deepStrictEqual(
+            result.counts,
+            { Package: 2, APIResource: 2, EventResource: 1, EntityType: 1 },
+            'Should count matches per concept',
+        );
+    });
+
+    test('should combine conditions with an implicit AND', () => {
+        const result = queryOrdCatalog(CATALOG, 'type=apiresource visibility=public releaseStatus=deprecated');
+
+        assert.deepStrictEqual(ids(result), ['sap.s4:apiResource:Orders:v1'], 'Should match the deprecated public API');
+    });
+
+    test('should support OR, NOT and parentheses', () => {
+        const result = queryOrdCatalog(CATALOG, '(type=APIResource OR type=EventResource) AND NOT visibility=internal');
+
+        assert.deepStrictEqual(
+            ids(result),
+            ['sap.s4:apiResource:Orders:v1', 'sap.s4:eventResource:OrderEvents:v1'],
+            'Should exclude the internal API',
+        );
+    });
+
+    test('should match array fields, labels and contains', () => {
+        assert.deepStrictEqual(ids(queryOrdCatalog(CATALOG, 'tags=sales')), ['sap.s4:apiResource:Orders:v1']);
+        assert.deepStrictEqual(ids(queryOrdCatalog(CATALOG, 'labels.country=DE')), ['sap.s4:package:Sales:v1']);
+        assert.deepStrictEqual(
+            ids(queryOrdCatalog(CATALOG, 'type=Package title~"order man"')),
+            ['sap.s4:package:Sales:v1'],
+            'Should match case-insensitive substrings in quoted values',
+        );
+    });
+
+    test('should treat missing fields as different for !=', () => {
+        const result = queryOrdCatalog(CATALOG, 'type=Package releaseStatus!=active');
+
+        assert.strictEqual(result.total, 2, 'Packages without releaseStatus should match');
+    });
+
+    test('should traverse references', () => {
+        assert.deepStrictEqual(
+            ids(queryOrdCatalog(CATALOG, 'partOfPackage.title~sales')),
+            ['sap.s4:apiResource:Orders:v1', 'sap.s4:eventResource:OrderEvents:v1'],
+            'Should follow partOfPackage to the package',
+        );
+        assert.deepStrictEqual(
+            ids(queryOrdCatalog(CATALOG, 'exposedEntityTypes.title="Business Partner"')),
+            ['sap.s4:apiResource:Orders:v1'],
+            'Should follow { ordId } references',
+        );
+        assert.deepStrictEqual(
+            ids(queryOrdCatalog(CATALOG, 'references=sap.s4:package:Sales:v1')),
+            ['sap.s4:apiResource:Orders:v1', 'sap.s4:eventResource:OrderEvents:v1'],
+            'Should find everything referencing the package',
+        );
+    });
+
+    test('should paginate', () => {
+        const first = queryOrdCatalog(CATALOG, '', { page: 1, pageSize: 4 });
+        const second = queryOrdCatalog(CATALOG, '', { page: 2, pageSize: 4 });
+
+        assert.strictEqual(first.pages, 2, 'Should compute the number of pages');
+        assert.strictEqual(first.items.length, 4, 'Should fill the first page');
+        assert.strictEqual(second.items.length, 2, 'Should return the rest on the second page');
+        assert.throws(() => queryOrdCatalog(CATALOG, '', { pageSize: 500 }), /pageSize must be an integer between 1 and 100/);
+        assert.throws(() => queryOrdCatalog(CATALOG, '', { page: 0 }), /page must be a positive integer/);
+    });
+
+    test('should report syntax errors', () => {
+        assert.deepStrictEqual(parseCatalogQuery('  '), { type: 'all' });
+        assert.throws(() => parseCatalogQuery('visibility'), /expected field=value/);
+        assert.throws(() => parseCatalogQuery('(type=Package'), /missing \)/);
+        assert.throws(() => parseCatalogQuery('type=Package OR'), /unexpected end of filter/);
+        assert.throws(() => parseCatalogQuery('type=Package )'), /unexpected \)/);
+    });
+});
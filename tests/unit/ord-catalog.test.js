@@ -0,0 +1,79 @@
+#!/usr/bin/env node
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { ENTITY_CONCEPTS, aggregateOrdDocuments, findEntityConcept } from '../../src/ord-catalog.js';
+
+const FIRST = {
+    openResourceDiscovery: '1.9',
+    perspective: 'system-instance',
+    products: [{ ordId: 'sap:product:S4:', title: 'S/4' }],
+    packages: [{ ordId: 'sap.s4:package:Sales:v1', title: 'Sales' }],
+    apiResources: [
+        { ordId: 'sap.s4:apiResource:Orders:v1', title: 'Orders' },
+        { ordId: 'sap.s4:apiResource:Legacy:v1', title: 'Legacy' },
+    ],
+};
+
+const SECOND = {
+    openResourceDiscovery: '1.9',
+    apiResources: [{ ordId: 'sap.s4:apiResource:Orders:v1', title: 'Orders again' }, { title: 'No ID' }],
+    eventResources: [{ ordId: 'sap.s4:eventResource:OrderEvents:v1' }],
+    tombstones: [{ ordId: 'sap.s4:apiResource:Legacy:v1', removalDate: '2024-01-01T00:00:00Z' }],
+};
+
+describe('ORD Catalog Unit Tests', () => {
+
+    test('should merge entities of all documents', () => {
+        const catalog = aggregateOrdDocuments([
+            { source: 'http://a/1', document: FIRST },
+            { source: 'http://a/2', document: SECOND },
+        ]);
+
+        assert.deepStrictEqual(catalog.sources, ['http://a/1', 'http://a/2']);
+        assert.deepStrictEqual(catalog.counts, { Product: 1, Package: 1, APIResource: 1, EventResource: 1, Tombstone: 1 });
+        assert.deepStrictEqual(catalog.entries.find((entry) => entry.concept === 'EventResource'), {
+            concept: 'EventResource',
+            id: 'sap.s4:eventResource:OrderEvents:v1',
+            source: 'http://a/2',
+            path: '/eventResources/0',
+            entity: SECOND.eventResources[0],
+        });
+        assert.strictEqual(catalog.documents[0].perspective, 'system-instance');
+    });
+
+    test('should keep the first definition and report conflicts', () => {
+        const catalog = aggregateOrdDocuments([
+            { source: 'http://a/1', document: FIRST },
+            { source: 'http://a/2', document: SECOND },
+        ]);
+
+        const orders = catalog.entries.filter((entry) => entry.id === 'sap.s4:apiResource:Orders:v1');
+        assert.strictEqual(orders.length, 1, 'Duplicate IDs appear once');
+        assert.strictEqual(orders[0].entity.title, 'Orders', 'The first definition wins');
+        assert.deepStrictEqual(catalog.conflicts, [{ id: 'sap.s4:apiResource:Orders:v1', sources: ['http://a/1', 'http://a/2'] }]);
+    });
+
+    test('should drop tombstoned resources', () => {
+        const catalog = aggregateOrdDocuments([
+            { source: 'http://a/1', document: FIRST },
+            { source: 'http://a/2', document: SECOND },
+        ]);
+
+        assert(!catalog.entries.some((entry) => entry.concept === 'APIResource' && entry.id.includes('Legacy')), 'Legacy API is removed');
+        assert.deepStrictEqual(catalog.removed, [{ id: 'sap.s4:apiResource:Legacy:v1', concept: 'APIResource', source: 'http://a/1' }]);
+    });
+
+    test('should handle empty input', () => {
+        const catalog = aggregateOrdDocuments([]);
+        assert.deepStrictEqual(catalog.entries, []);
+        assert.deepStrictEqual(catalog.counts, {});
+    });
+
+    test('should list the concepts of the document arrays with their identifiers', () => {
+        assert.deepStrictEqual(findEntityConcept('APIResource'), { name: 'APIResource', documentArray: 'apiResources', identity: 'ordId' });
+        assert.strictEqual(findEntityConcept('Group').identity, 'groupId');
+        assert.strictEqual(findEntityConcept('DocumentProperties'), undefined);
+        assert(ENTITY_CONCEPTS.every((concept) => Object.isFrozen(concept)), 'entries are frozen');
+    });
+});
@@ -2,7 +2,16 @@
 
 import { test, describe } from 'node:test';
 import assert from 'node:assert';
-import { validateConceptName, buildConceptExplanation, ORD_CONCEPTS } from '../../src/ord-concepts.js';
+import { readFileSync } from 'node:fs';
+import {
+    validateConceptName,
+    buildConceptExplanation,
+    buildPropertyExplanation,
+    findConceptProperty,
+    buildOrdConcepts,
+    getConceptProperties,
+    ORD_CONCEPTS,
+} from '../../src/ord-concepts.js';
 
 describe('ORD Concepts Unit Tests', () => {
     
@@ -43,8 +52,9 @@ describe('ORD Concepts Unit Tests', () => {
             const explanation = buildConceptExplanation('APIResource');
             
             assert(explanation.includes('# ORD Concept: APIResource'), 'Should have concept title');
-            assert(explanation.includes('High-level description of an exposed API'), 'Should contain concept description');
-            assert(explanation.includes('ordId: Unique API identifier (MANDATORY)'), 'Should contain mandatory properties');
+            assert(explanation.includes('high-level description of an exposed API'), 'Should contain concept description');
+            assert(explanation.includes('- ordId (string): The ORD ID is'), 'Should contain properties with their type');
+            assert(explanation.includes('Allowed values: `public`, `internal`, `private`. (MANDATORY)'), 'Should list allowed values');
             assert(explanation.includes('```json'), 'Should contain JSON example');
         });
 
@@ -53,6 +63,74 @@ describe('ORD Concepts Unit Tests', () => {
         });
     });
 
+    describe('buildPropertyExplanation', () => {
+        test('should explain allowed values with their semantics', () => {
+            const explanation = buildPropertyExplanation('APIResource', 'visibility');
+
+            assert(explanation.includes('# ORD Concept Property: APIResource.visibility'), 'Should have property title');
+            assert(explanation.includes('- Requirement: MANDATORY'), 'Should state the requirement level');
+            assert(explanation.includes('- `internal`: Visible to other applications'), 'Should describe each value');
+            assert(explanation.includes('"visibility": "public"'), 'Should use the curated concept example');
+        });
+
+        test('should mention custom values for open enumerations', () => {
+            const explanation = buildPropertyExplanation('APIResource', 'apiProtocol');
+            assert(explanation.includes('- `odata-v4`'), 'Should list known protocols');
+            assert(explanation.includes('Other values must match'), 'Should explain the pattern for custom values');
+        });
+
+        test('should explain object structures and related concepts', () => {
+            const explanation = buildPropertyExplanation('APIResource', 'partOfConsumptionBundles');
+
+            assert(explanation.includes('## Structure\n- ordId (string):'), 'Should list nested properties');
+            assert(explanation.includes('## Related Concepts\n- ConsumptionBundle'), 'Should name the referenced concept');
+        });
+
+        test('should list constraints', () => {
+            const explanation = buildPropertyExplanation('APIResource', 'ordId');
+            assert(explanation.includes('- maxLength: `255`'), 'Should list maxLength');
+        });
+    });
+
+    describe('findConceptProperty', () => {
+        test('should match property names case insensitively', () => {
+            assert.strictEqual(findConceptProperty('APIResource', 'APIPROTOCOL').name, 'apiProtocol');
+        });
+
+        test('should list available properties for unknown names', () => {
+            assert.throws(() => findConceptProperty('Vendor', 'apiProtocol'), /Unknown property: apiProtocol for concept Vendor. Available properties: ordId, title/);
+            assert.throws(() => findConceptProperty('Vendor', ' '), /Property name must be a non-empty string/);
+        });
+    });
+
+    describe('getConceptProperties', () => {
+        test('should list properties in declaration order', () => {
+            const properties = getConceptProperties('Product');
+
+            assert.strictEqual(properties[0].name, 'ordId', 'The identifier comes first');
+            assert.strictEqual(properties[0].requirement, 'MANDATORY');
+            assert(properties.some((property) => property.name === 'parent' && property.requirement === 'OPTIONAL'));
+        });
+
+        test('should throw error for non-existent concepts', () => {
+            assert.throws(() => getConceptProperties('NonExistent'), /Concept NonExistent not found/);
+        });
+    });
+
+    describe('buildOrdConcepts', () => {
+        test('should generate concepts from schema text and keep curated examples', () => {
+            const schema = readFileSync(new URL('../../data/schemas/Document.schema.json', import.meta.url), 'utf8');
+            const concepts = buildOrdConcepts(schema);
+
+            assert.deepStrictEqual(Object.keys(concepts), Object.keys(ORD_CONCEPTS));
+            assert.deepStrictEqual(concepts.APIResource.example, ORD_CONCEPTS.APIResource.example);
+        });
+
+        test('should reject schema text that is not JSON', () => {
+            assert.throws(() => buildOrdConcepts('{'), /Invalid schema/);
+        });
+    });
+
     describe('ORD_CONCEPTS data integrity', () => {
         test('should have all expected core concepts', () => {
             const expectedConcepts = [
@@ -73,6 +151,23 @@ describe('ORD Concepts Unit Tests', () => {
             });
         });
 
+        test('should have well-formed key properties', () => {
+            Object.keys(ORD_CONCEPTS).forEach((name) => {
+                getConceptProperties(name).forEach((property) => {
+                    assert.strictEqual(typeof property.name, 'string', `${name} properties should have a name`);
+                    assert.match(property.requirement, /^(MANDATORY|RECOMMENDED|OPTIONAL)$/, `${name}.${property.name} requirement`);
+                });
+            });
+        });
+
+        test('should name the document array of every entity concept', () => {
+            Object.entries(ORD_CONCEPTS)
+                .filter(([name]) => name !== 'DocumentProperties')
+                .forEach(([name, concept]) => {
+                    assert.strictEqual(typeof concept.documentArray, 'string', `${name} should have documentArray`);
+                });
+        });
+
         test('should have properly formatted examples', () => {
             Object.entries(ORD_CONCEPTS).forEach(([name, concept]) => {
                 assert(typeof concept.example === 'object', `${name} example should be an object`);
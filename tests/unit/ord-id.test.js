@@ -0,0 +1,96 @@
+#!/usr/bin/env node
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { parseOrdId, validateOrdId, resolveOrdIdType } from '../../src/ord-id.js';
+import { ORD_CONCEPTS } from '../../src/ord-concepts.js';
+
+describe('ORD ID Unit Tests', () => {
+
+    describe('parseOrdId', () => {
+        test('should split a versioned ORD ID', () => {
+            assert.deepStrictEqual(parseOrdId('sap.s4:apiResource:API_SALES_ORDER_SRV:v1'), {
+                ordId: 'sap.s4:apiResource:API_SALES_ORDER_SRV:v1',
+                namespace: 'sap.s4',
+                vendorNamespace: 'sap',
+                conceptType: 'apiResource',
+                resourceName: 'API_SALES_ORDER_SRV',
+                majorVersion: 'v1',
+            });
+        });
+
+        test('should parse unversioned product and vendor IDs', () => {
+            assert.strictEqual(parseOrdId('sap:product:S4HANA_OD:').majorVersion, null);
+            assert.strictEqual(parseOrdId('sap:vendor:SAP:').conceptType, 'vendor');
+        });
+
+        test('should reject IDs with the wrong shape', () => {
+            assert.throws(() => parseOrdId('sap.s4:apiResource:X'), /Expected 4 colon-separated parts/);
+            assert.throws(() => parseOrdId(''), /non-empty string/);
+            assert.throws(() => parseOrdId(null), /non-empty string/);
+        });
+    });
+
+    describe('validateOrdId', () => {
+        test('should accept the ORD IDs used in ORD_CONCEPTS examples', () => {
+            Object.entries(ORD_CONCEPTS)
+                .filter(([name, concept]) => concept.example.ordId && name !== 'Tombstone')
+                .forEach(([name, concept]) => {
+                    const result = validateOrdId(concept.example.ordId, { expectedType: name });
+                    assert.deepStrictEqual(result.errors, [], `${name} example ID should be valid`);
+                });
+        });
+
+        test('should report syntax problems', () => {
+            const { valid, errors } = validateOrdId('SAP.S4:apiResource:Sales Order:1');
+
+            assert.strictEqual(valid, false);
+            assert(errors.some((error) => error.includes('Namespace "SAP.S4"')));
+            assert(errors.some((error) => error.includes('Resource name "Sales Order"')));
+            assert(errors.some((error) => error.includes('must end with a major version')));
+        });
+
+        test('should enforce version rules per concept type', () => {
+            assert.match(validateOrdId('sap:product:S4HANA:v1').errors[0], /must not carry a version/);
+            assert.match(validateOrdId('sap.s4:vendor:SAP:').errors[0], /single lowercase alphanumeric segment/);
+            assert.strictEqual(validateOrdId('sap.s4:package:Beta:v0').valid, true, 'v0 is allowed');
+            assert.strictEqual(validateOrdId('sap.s4:package:X:v01').valid, false, 'Leading zeros are not allowed');
+        });
+
+        test('should reject unknown concept types and overlong IDs', () => {
+            assert.match(validateOrdId('sap.s4:apiresource:X:v1').errors[0], /Unknown concept type "apiresource"/);
+            assert.match(validateOrdId(`sap:package:${'a'.repeat(260)}:v1`).errors[0], /maximum is 255/);
+        });
+
+        test('should flag IDs used in the wrong reference field', () => {
+            const result = validateOrdId('sap.s4:apiResource:API_SALES_ORDER_SRV:v1', { field: 'partOfPackage' });
+
+            assert.strictEqual(result.valid, false);
+            assert.deepStrictEqual(result.errors, ['An ID of type apiResource cannot be used in partOfPackage; expected type package']);
+            assert.strictEqual(validateOrdId('sap.s4:package:SalesOrder:v1', { field: 'partOfPackage' }).valid, true);
+        });
+
+        test('should flag IDs of an unexpected concept type', () => {
+            const result = validateOrdId('sap.s4:eventResource:Events:v1', { expectedType: 'APIResource' });
+            assert.deepStrictEqual(result.errors, ['Expected an ID of type apiResource, got eventResource']);
+        });
+
+        test('should return malformed IDs as errors instead of throwing', () => {
+            assert.deepStrictEqual(validateOrdId('nope').parsed, null);
+            assert.strictEqual(validateOrdId('nope').valid, false);
+        });
+
+        test('should reject unknown expectations', () => {
+            assert.throws(() => validateOrdId('sap:vendor:SAP:', { field: 'title' }), /Unknown reference field: title/);
+            assert.throws(() => validateOrdId('sap:vendor:SAP:', { expectedType: 'Group' }), /Unknown ORD ID concept type/);
+        });
+    });
+
+    describe('resolveOrdIdType', () => {
+        test('should accept concept types and concept names', () => {
+            assert.strictEqual(resolveOrdIdType('APIResource'), 'apiResource');
+            assert.strictEqual(resolveOrdIdType('dataproduct'), 'dataProduct');
+            assert.strictEqual(resolveOrdIdType('package'), 'package');
+        });
+    });
+});
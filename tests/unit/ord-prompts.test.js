@@ -0,0 +1,75 @@
+#!/usr/bin/env node
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { buildOrdPrompt } from '../../src/ord-prompts.js';
+import { ORD_CONCEPTS } from '../../src/ord-concepts.js';
+import { PROMPTS } from '../../src/mcp-definitions.js';
+import { parseSpecificationSections } from '../../src/specification-sections.js';
+import { buildSearchIndex } from '../../src/specification-search.js';
+
+const SPEC = [
+    '# ORD Specification',
+    '## API Resource',
+    'An API resource exposes an API with resource definitions such as OpenAPI or EDMX.',
+    '## Version and Lifecycle',
+    '### Deprecation',
+    'A deprecated resource MUST define a sunset date and SHOULD name its successors.',
+    '### Tombstone',
+    'A Tombstone indicates that a resource has been removed.',
+].join('\n');
+
+const sections = parseSpecificationSections(SPEC);
+const specification = { sections, searchIndex: buildSearchIndex(sections) };
+const context = { concepts: ORD_CONCEPTS, specification };
+
+describe('ORD Prompts Unit Tests', () => {
+
+    test('should have a template for every listed prompt', () => {
+        for (const prompt of PROMPTS) {
+            const args = Object.fromEntries(prompt.arguments.map((argument) => [argument.name, 'x']));
+            const result = buildOrdPrompt(prompt.name, args, context);
+            assert.strictEqual(result.messages.length, 1, `${prompt.name} should have one message`);
+            assert.strictEqual(result.messages[0].role, 'user');
+        }
+    });
+
+    test('should include the arguments, concept texts and spec sections', () => {
+        const { messages } = buildOrdPrompt(
+            'plan_tombstone_deprecation',
+            { ordId: 'sap.s4:apiResource:Orders:v1', successor: 'sap.s4:apiResource:Orders:v2' },
+            context,
+        );
+        const text = messages[0].content.text;
+
+        assert(text.startsWith('# Plan a deprecation with a Tombstone'), 'Should start with the prompt title');
+        assert(text.includes('`sap.s4:apiResource:Orders:v1`'), 'Should include the resource');
+        assert(text.includes('Point `successors` at `sap.s4:apiResource:Orders:v2`'), 'Should include the successor');
+        assert(text.includes('# ORD Concept: Tombstone'), 'Should include the Tombstone explanation');
+        assert(text.includes('### ORD Specification > Version and Lifecycle > Deprecation (`#deprecation`)'), 'Should include the deprecation section');
+        assert(text.includes('has been removed'), 'Should include the Tombstone section body');
+    });
+
+    test('should point at the section tools when the specification is unavailable', () => {
+        const { messages } = buildOrdPrompt(
+            'describe_cap_service_as_api_resource',
+            { service: 'service CatalogService {}' },
+            { concepts: ORD_CONCEPTS, specification: { error: 'getaddrinfo ENOTFOUND' } },
+        );
+        const text = messages[0].content.text;
+
+        assert(text.includes('service CatalogService {}'), 'Should include the service');
+        assert(text.includes('# ORD Concept: APIResource'), 'Should still include concept texts');
+        assert(text.includes('could not be loaded (getaddrinfo ENOTFOUND)'), 'Should explain the missing excerpts');
+        assert(text.includes('`get_ord_specification_section`'), 'Should point at the section tool');
+    });
+
+    test('should reject unknown prompts and missing arguments', () => {
+        assert.throws(() => buildOrdPrompt('write_poem', {}, context), /Unknown prompt: write_poem/);
+        assert.throws(() => buildOrdPrompt('review_ord_policy_compliance', {}, context), /Missing required argument: document/);
+        assert.throws(
+            () => buildOrdPrompt('plan_tombstone_deprecation', { ordId: '  ' }, context),
+            /Missing required argument: ordId/,
+        );
+    });
+});
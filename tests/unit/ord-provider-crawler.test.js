@@ -0,0 +1,121 @@
+#!/usr/bin/env node
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { crawlOrdProvider } from '../../src/ord-provider-crawler.js';
+
+const CONFIG = {
+    openResourceDiscoveryV1: {
+        documents: [
+            { url: '/ord/v1/documents/open', accessStrategies: [{ type: 'open' }] },
+            { url: '/ord/v1/documents/protected', accessStrategies: [{ type: 'basic-auth' }] },
+            { url: 'https://other.example.test/ord/mtls', accessStrategies: [{ type: 'sap:cmp-mtls:v1' }] },
+        ],
+    },
+};
+
+// Fake axios.get serving JSON by URL; 401 unless the request carries the expected credentials
+function provider(files, { credentials } = {}) {
+    const calls = [];
+    const httpGet = async (url, config) => {
+        calls.push({ url, auth: config.auth ?? null });
+        const file = files[url];
+        if (file === undefined) {
+            throw Object.assign(new Error('not found'), { response: { status: 404 } });
+        }
+        if (file.protected && JSON.stringify(config.auth) !== JSON.stringify(credentials)) {
+            throw Object.assign(new Error('unauthorized'), { response: { status: 401 } });
+        }
+        return { status: 200, data: typeof file.body === 'string' ? file.body : JSON.stringify(file.body) };
+    };
+    return { httpGet, calls };
+}
+
+const FILES = {
+    'http://localhost:4004/.well-known/open-resource-discovery': { body: CONFIG },
+    'http://localhost:4004/ord/v1/documents/open': { body: { openResourceDiscovery: '1.9', apiResources: [] } },
+    'http://localhost:4004/ord/v1/documents/protected': { body: { openResourceDiscovery: '1.9' }, protected: true },
+};
+
+describe('ORD Provider Crawler Unit Tests', () => {
+
+    test('should follow the discovery flow with supported access strategies', async () => {
+        const { httpGet, calls } = provider(FILES);
+        const result = await crawlOrdProvider({ baseUrl: 'http://localhost:4004/', httpGet });
+
+        assert.strictEqual(result.configUrl, 'http://localhost:4004/.well-known/open-resource-discovery');
+        assert.deepStrictEqual(
+            result.documents.map(({ url, status, accessStrategy }) => [url, status, accessStrategy]),
+            [
+                ['http://localhost:4004/ord/v1/documents/open', 'ok', 'open'],
+                ['http://localhost:4004/ord/v1/documents/protected', 'skipped', null],
+                ['https://other.example.test/ord/mtls', 'skipped', null],
+            ],
+        );
+        assert.deepStrictEqual(result.documents[0].document, { openResourceDiscovery: '1.9', apiResources: [] });
+        assert.match(result.documents[2].error, /No supported access strategy \(sap:cmp-mtls:v1\)/);
+        assert.strictEqual(calls.length, 2, 'Skipped documents are not requested');
+    });
+
+    test('should use basic auth when credentials are given', async () => {
+        const credentials = { username: 'alice', password: 'secret' };
+        const { httpGet, calls } = provider(FILES, { credentials });
+        const result = await crawlOrdProvider({
+            baseUrl: 'http://localhost:4004/.well-known/open-resource-discovery',
+            credentials,
+            httpGet,
+        });
+
+        assert.strictEqual(result.documents[1].status, 'ok');
+        assert.strictEqual(result.documents[1].accessStrategy, 'basic-auth');
+        const open = calls.find((call) => call.url.endsWith('/open'));
+        assert.strictEqual(open.auth, null, 'Open documents are fetched without credentials');
+    });
+
+    test('should not send credentials to other origins', async () => {
+        const credentials = { username: 'alice', password: 'secret' };
+        const config = {
+            openResourceDiscoveryV1: {
+                documents: [
+                    { url: 'https://attacker.example.test/ord/protected', accessStrategies: [{ type: 'basic-auth' }] },
+                    { url: 'http://localhost:8080/ord/both', accessStrategies: [{ type: 'basic-auth' }, { type: 'open' }] },
+                ],
+            },
+        };
+        const { httpGet, calls } = provider({
+            'http://localhost:4004/.well-known/open-resource-discovery': { body: config },
+            'http://localhost:8080/ord/both': { body: { openResourceDiscovery: '1.9' } },
+        });
+        const result = await crawlOrdProvider({ baseUrl: 'http://localhost:4004', credentials, httpGet });
+
+        assert.strictEqual(result.documents[0].status, 'skipped');
+        assert.match(result.documents[0].error, /another origin than http:\/\/localhost:4004/);
+        assert.strictEqual(result.documents[1].status, 'ok');
+        assert.strictEqual(result.documents[1].accessStrategy, 'open');
+        assert.deepStrictEqual(
+            calls.filter((call) => call.auth).map((call) => call.url),
+            ['http://localhost:4004/.well-known/open-resource-discovery'],
+        );
+    });
+
+    test('should report failed documents and keep going', async () => {
+        const files = {
+            ...FILES,
+            'http://localhost:4004/ord/v1/documents/open': { body: 'not json' },
+        };
+        const { httpGet } = provider(files);
+        const result = await crawlOrdProvider({ baseUrl: 'http://localhost:4004', httpGet });
+
+        assert.strictEqual(result.documents[0].status, 'failed');
+        assert.match(result.documents[0].error, /not valid JSON/);
+    });
+
+    test('should fail on unusable providers', async () => {
+        const { httpGet } = provider({ 'http://localhost:4004/.well-known/open-resource-discovery': { body: {} } });
+
+        await assert.rejects(crawlOrdProvider({ baseUrl: 'http://localhost:4004', httpGet }), /Invalid ORD configuration/);
+        await assert.rejects(crawlOrdProvider({ baseUrl: 'http://localhost:9/', httpGet }), /HTTP 404/);
+        await assert.rejects(crawlOrdProvider({ baseUrl: 'ftp://localhost', httpGet }), /Expected http or https/);
+        await assert.rejects(crawlOrdProvider({ baseUrl: 'localhost:4004', httpGet }), /Invalid base URL/);
+    });
+});
@@ -0,0 +1,20 @@
+#!/usr/bin/env node
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { parseSemanticVersion, toTimestamp } from '../../src/ord-values.js';
+
+describe('ORD Values Unit Tests', () => {
+
+    test('should parse semantic versions', () => {
+        assert.deepStrictEqual(parseSemanticVersion('2.10.3'), { major: 2, minor: 10, patch: 3 });
+        assert.deepStrictEqual(parseSemanticVersion('1.0.0-beta.1+build.5'), { major: 1, minor: 0, patch: 0 });
+        for (const version of ['1.0', '01.0.0', '1.0.0.1', '1.0.0x', 'v1.0.0', '', undefined, 1]) {
+            assert.strictEqual(parseSemanticVersion(version), null, `${version} is no semantic version`);
+        }
+    });
+
+    test('should format timestamps without milliseconds', () => {
+        assert.strictEqual(toTimestamp(new Date('2026-03-01T12:00:00.123Z')), '2026-03-01T12:00:00Z');
+    });
+});
@@ -0,0 +1,55 @@
+#!/usr/bin/env node
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { loadPolicyRuleSets } from '../../src/policy-rule-loader.js';
+
+const RULE_SET = {
+    policyLevel: 'acme:strict:v1',
+    rules: [{ id: 'acme-last-update', concepts: ['APIResource'], required: ['lastUpdate'] }],
+};
+
+describe('Policy Rule Loader Unit Tests', () => {
+
+    test('should load JSON and JS rule sets', async () => {
+        const directory = await mkdtemp(join(tmpdir(), 'ord-rules-'));
+        await writeFile(join(directory, 'rules.json'), JSON.stringify([RULE_SET]));
+        await writeFile(
+            join(directory, 'rules.mjs'),
+            "export default { policyLevel: 'acme:js:v1', rules: [{ id: 'acme-js', concepts: ['Package'], check: () => [] }] };",
+        );
+
+        try {
+            const ruleSets = await loadPolicyRuleSets([join(directory, 'rules.json'), join(directory, 'rules.mjs')]);
+
+            assert.deepStrictEqual(ruleSets.map((ruleSet) => ruleSet.policyLevel), ['acme:strict:v1', 'acme:js:v1']);
+            assert.strictEqual(typeof ruleSets[1].rules[0].check, 'function', 'Should keep check functions');
+        } finally {
+            await rm(directory, { recursive: true, force: true });
+        }
+    });
+
+    test('should report unreadable and invalid rule sets', async () => {
+        const directory = await mkdtemp(join(tmpdir(), 'ord-rules-'));
+        await writeFile(join(directory, 'broken.json'), '{');
+        await writeFile(join(directory, 'empty.json'), JSON.stringify({ policyLevel: 'a:b:v1', rules: [] }));
+        await writeFile(join(directory, 'named.mjs'), 'export const rules = [];');
+        await writeFile(
+            join(directory, 'nested.json'),
+            JSON.stringify({ policyLevel: 'a:b:v1', rules: [{ id: 'r', concepts: ['Package'], required: [['title']] }] }),
+        );
+
+        try {
+            await assert.rejects(loadPolicyRuleSets([join(directory, 'missing.json')]), /Cannot read rule set/);
+            await assert.rejects(loadPolicyRuleSets([join(directory, 'broken.json')]), /not valid JSON/);
+            await assert.rejects(loadPolicyRuleSets([join(directory, 'empty.json')]), /rules must be a non-empty array/);
+            await assert.rejects(loadPolicyRuleSets([join(directory, 'named.mjs')]), /expected a default export/);
+            await assert.rejects(loadPolicyRuleSets([join(directory, 'nested.json')]), /required must be an array of property names/);
+        } finally {
+            await rm(directory, { recursive: true, force: true });
+        }
+    });
+});
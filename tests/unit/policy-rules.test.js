@@ -0,0 +1,118 @@
+#!/usr/bin/env node
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import {
+    BUILT_IN_RULE_SETS,
+    checkPolicyCompliance,
+    getEffectivePolicyLevels,
+    validateRuleSet,
+} from '../../src/policy-rules.js';
+
+const DOCUMENT = {
+    openResourceDiscovery: '1.9',
+    policyLevel: 'sap:core:v1',
+    packages: [
+        { ordId: 'sap.s4:package:Sales:v1', lastUpdate: '2024-01-01T00:00:00Z', partOfProducts: ['sap:product:S4:'] },
+        { ordId: 'sap.s4:package:Sandbox:v1', policyLevel: 'none' },
+    ],
+    apiResources: [
+        {
+            ordId: 'sap.s4:apiResource:Orders:v1',
+            partOfPackage: 'sap.s4:package:Sales:v1',
+            visibility: 'public',
+            releaseStatus: 'active',
+            shortDescription: 'Orders',
+            lastUpdate: '2024-01-01T00:00:00Z',
+        },
+        { ordId: 'sap.s4:apiResource:Playground:v1', partOfPackage: 'sap.s4:package:Sandbox:v1', visibility: 'public' },
+    ],
+};
+
+const ruleOf = (result, id) => result.rules.find((rule) => rule.id === id);
+
+describe('Policy Rules Unit Tests', () => {
+
+    test('should inherit policy levels from document to package to resource', () => {
+        assert.deepStrictEqual(getEffectivePolicyLevels(DOCUMENT.apiResources[0], DOCUMENT), ['sap:core:v1']);
+        assert.deepStrictEqual(getEffectivePolicyLevels(DOCUMENT.apiResources[1], DOCUMENT), [], 'Package opts out');
+        assert.deepStrictEqual(
+            getEffectivePolicyLevels({ policyLevel: 'custom', customPolicyLevel: 'acme:strict:v1' }, DOCUMENT),
+            ['acme:strict:v1'],
+            'Should read custom policy levels',
+        );
+        assert.deepStrictEqual(
+            getEffectivePolicyLevels({ policyLevels: ['a:b:v1', 'c:d:v2'], policyLevel: 'none' }, DOCUMENT),
+            ['a:b:v1', 'c:d:v2'],
+            'policyLevels should win',
+        );
+    });
+
+    test('should report pass and fail per rule', () => {
+        const result = checkPolicyCompliance(DOCUMENT, BUILT_IN_RULE_SETS);
+
+        assert.strictEqual(result.passed, false, 'Should fail overall');
+        assert.strictEqual(ruleOf(result, 'sap-core-last-update').status, 'pass');
+        assert.strictEqual(ruleOf(result, 'sap-core-part-of-products').status, 'pass', 'Sandbox package is exempt');
+        assert.strictEqual(ruleOf(result, 'sap-core-deprecation-date').status, 'not-applicable');
+
+        const documentation = ruleOf(result, 'sap-core-public-api-documentation');
+        assert.strictEqual(documentation.status, 'fail');
+        assert.strictEqual(documentation.checked, 1, 'Only the Orders API is on sap:core:v1');
+        assert.deepStrictEqual(
+            documentation.violations.map((violation) => violation.message),
+            ['Missing description', 'Missing resourceDefinitions'],
+        );
+        assert.strictEqual(documentation.violations[0].path, '/apiResources/0');
+    });
+
+    test('should check everything against an explicit policy level', () => {
+        const result = checkPolicyCompliance(DOCUMENT, BUILT_IN_RULE_SETS, { policyLevel: 'sap:core:v1' });
+
+        assert.strictEqual(ruleOf(result, 'sap-core-part-of-products').violations[0].ordId, 'sap.s4:package:Sandbox:v1');
+        assert.strictEqual(ruleOf(result, 'sap-core-public-api-documentation').checked, 2);
+    });
+
+    test('should apply custom rule sets with check functions', () => {
+        const ruleSet = validateRuleSet({
+            policyLevel: 'acme:strict:v1',
+            rules: [
+                {
+                    id: 'acme-title-prefix',
+                    description: 'API titles start with ACME',
+                    concepts: ['APIResource'],
+                    check: (entity) => (entity.title?.startsWith('ACME') ? [] : [`Title of ${entity.ordId} lacks ACME`]),
+                },
+                { id: 'acme-document-description', concepts: ['DocumentProperties'], required: ['description'] },
+            ],
+        });
+        const result = checkPolicyCompliance({ ...DOCUMENT, policyLevels: ['acme:strict:v1', 'other:level:v1'] }, [
+            ruleSet,
+        ]);
+
+        assert.strictEqual(ruleOf(result, 'acme-title-prefix').violations.length, 1, 'Sandbox API has no policy level');
+        assert.strictEqual(ruleOf(result, 'acme-document-description').violations[0].path, '');
+        assert.deepStrictEqual(result.unknownPolicyLevels, ['other:level:v1']);
+    });
+
+    test('should reject invalid rule sets', () => {
+        assert.throws(() => validateRuleSet([], 'x.json'), /Invalid rule set x.json: expected an object/);
+        assert.throws(() => validateRuleSet({ policyLevel: 'a:b:v1', rules: [] }), /rules must be a non-empty array/);
+        assert.throws(
+            () => validateRuleSet({ policyLevel: 'a:b:v1', rules: [{ id: 'r', concepts: ['Widget'], required: [] }] }),
+            /unknown concept\(s\) Widget/,
+        );
+        assert.throws(
+            () => validateRuleSet({ policyLevel: 'a:b:v1', rules: [{ id: 'r', concepts: ['Package'] }] }),
+            /needs required properties or a check function/,
+        );
+        assert.throws(
+            () => validateRuleSet({ policyLevel: 'a:b:v1', rules: [{ id: 'r', concepts: ['Package'], required: ['title', 42] }] }),
+            /r: required must be an array of property names/,
+        );
+        assert.throws(
+            () => validateRuleSet({ policyLevel: 'a:b:v1', rules: [{ id: 'r', concepts: ['Package'], required: [''] }] }),
+            /r: required must be an array of property names/,
+        );
+    });
+});
@@ -0,0 +1,128 @@
+#!/usr/bin/env node
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { checkOrdReferences, listOrdReferences } from '../../src/reference-checker.js';
+
+const VENDOR = { ordId: 'sap:vendor:SAP:', title: 'SAP SE' };
+const PRODUCT = { ordId: 'sap:product:S4:', title: 'S/4', vendor: 'sap:vendor:SAP:' };
+const PACKAGE = { ordId: 'sap.s4:package:Sales:v1', vendor: 'sap:vendor:SAP:', partOfProducts: ['sap:product:S4:'] };
+const BUNDLE = { ordId: 'sap.s4:consumptionBundle:Sales:v1' };
+const API = {
+    ordId: 'sap.s4:apiResource:Sales:v1',
+    partOfPackage: 'sap.s4:package:Sales:v1',
+    partOfConsumptionBundles: [{ ordId: 'sap.s4:consumptionBundle:Sales:v1' }],
+};
+
+function document(overrides = {}) {
+    return {
+        openResourceDiscovery: '1.9',
+        vendors: [VENDOR],
+        products: [PRODUCT],
+        packages: [PACKAGE],
+        consumptionBundles: [BUNDLE],
+        apiResources: [API],
+        ...overrides,
+    };
+}
+
+describe('Reference Checker Unit Tests', () => {
+
+    test('should accept a consistent document', () => {
+        const result = checkOrdReferences([document()]);
+
+        assert.strictEqual(result.valid, true);
+        assert.strictEqual(result.definitions, 5);
+    });
+
+    test('should report dangling references with their location', () => {
+        const api = { ...API, partOfPackage: 'sap.s4:package:Missing:v1', partOfGroups: ['sap:tax:sap.s4:Sales'] };
+        const { valid, issues } = checkOrdReferences([document({ apiResources: [api] })]);
+
+        assert.strictEqual(valid, false);
+        assert.deepStrictEqual(issues.danglingReferences.map((issue) => [issue.path, issue.id]), [
+            ['/apiResources/0/partOfPackage', 'sap.s4:package:Missing:v1'],
+            ['/apiResources/0/partOfGroups/0', 'sap:tax:sap.s4:Sales'],
+        ]);
+        assert.match(issues.danglingReferences[0].problem, /Package is not defined/);
+    });
+
+    test('should resolve references across documents', () => {
+        const shared = { openResourceDiscovery: '1.9', vendors: [VENDOR], products: [PRODUCT] };
+        const own = document({ vendors: [], products: [] });
+
+        assert.strictEqual(checkOrdReferences([own, shared]).valid, true);
+        assert.strictEqual(checkOrdReferences([own]).issues.danglingReferences.length, 2, 'Package vendor and product are missing');
+    });
+
+    test('should unwrap object references and flag wrong target types', () => {
+        const api = { ...API, partOfConsumptionBundles: [{ ordId: 'sap.s4:package:Sales:v1' }] };
+        const { issues } = checkOrdReferences([document({ apiResources: [api] })]);
+
+        assert.strictEqual(issues.danglingReferences[0].path, '/apiResources/0/partOfConsumptionBundles/0/ordId');
+        assert.match(issues.danglingReferences[0].problem, /points at a Package, expected a ConsumptionBundle/);
+    });
+
+    test('should list the references of a document with their location', () => {
+        assert.deepStrictEqual(listOrdReferences(document({ products: [], packages: [] })), [
+            { path: '/apiResources/0/partOfPackage', field: 'partOfPackage', id: 'sap.s4:package:Sales:v1' },
+            { path: '/apiResources/0/partOfConsumptionBundles/0/ordId', field: 'partOfConsumptionBundles', id: 'sap.s4:consumptionBundle:Sales:v1' },
+        ]);
+    });
+
+    test('should check successors against the declaring concept', () => {
+        const successor = { ...API, ordId: 'sap.s4:apiResource:Sales:v2' };
+        const ok = checkOrdReferences([document({ apiResources: [{ ...API, successors: [successor.ordId] }, successor] })]);
+        assert.strictEqual(ok.valid, true);
+
+        const removed = checkOrdReferences([
+            document({
+                apiResources: [{ ...API, successors: ['sap.s4:apiResource:Old:v1'] }],
+                tombstones: [{ ordId: 'sap.s4:apiResource:Old:v1', removalDate: '2024-01-01T00:00:00Z' }],
+            }),
+        ]);
+        assert.match(removed.issues.danglingReferences[0].problem, /tombstoned/);
+    });
+
+    test('should report duplicate ordIds across documents', () => {
+        const { issues } = checkOrdReferences([document(), { openResourceDiscovery: '1.9', packages: [PACKAGE] }]);
+
+        assert.deepStrictEqual(issues.duplicateIds, [
+            {
+                id: 'sap.s4:package:Sales:v1',
+                definitions: [
+                    { document: 0, path: '/packages/0' },
+                    { document: 1, path: '/packages/0' },
+                ],
+            },
+        ]);
+    });
+
+    test('should report product parent cycles once', () => {
+        const products = [
+            { ...PRODUCT, ordId: 'sap:product:B:', parent: 'sap:product:C:' },
+            { ...PRODUCT, ordId: 'sap:product:C:', parent: 'sap:product:A:' },
+            { ...PRODUCT, ordId: 'sap:product:A:', parent: 'sap:product:B:' },
+            { ...PRODUCT, ordId: 'sap:product:Self:', parent: 'sap:product:Self:' },
+            PRODUCT,
+        ];
+        const { issues } = checkOrdReferences([document({ products })]);
+
+        assert.deepStrictEqual(issues.parentCycles, [
+            { cycle: ['sap:product:A:', 'sap:product:B:', 'sap:product:C:', 'sap:product:A:'] },
+            { cycle: ['sap:product:Self:', 'sap:product:Self:'] },
+        ]);
+    });
+
+    test('should report packages without resources', () => {
+        const empty = { ...PACKAGE, ordId: 'sap.s4:package:Empty:v1' };
+        const { issues } = checkOrdReferences([document({ packages: [PACKAGE, empty] })]);
+
+        assert.deepStrictEqual(issues.emptyPackages, [{ id: 'sap.s4:package:Empty:v1', document: 0, path: '/packages/1' }]);
+    });
+
+    test('should ignore entities without identifiers', () => {
+        const result = checkOrdReferences([document({ apiResources: [API, { title: 'no id' }, null] })]);
+        assert.strictEqual(result.valid, true);
+    });
+});
@@ -0,0 +1,94 @@
+#!/usr/bin/env node
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { delimiter } from 'node:path';
+import { parseServerOptions } from '../../src/server-options.js';
+
+describe('Server Options Unit Tests', () => {
+
+    test('should default to stdio', () => {
+        assert.deepStrictEqual(parseServerOptions([], {}), {
+            transport: 'stdio',
+            host: '127.0.0.1',
+            port: 3000,
+            ordDirectories: [],
+            policyRules: [],
+            readRoots: [],
+            cdsCompileRoots: [],
+            refreshConcepts: false,
+        });
+    });
+
+    test('should read flags in both notations', () => {
+        const options = parseServerOptions(['--transport', 'HTTP', '--host=0.0.0.0', '--port', '8080'], {});
+
+        assert.strictEqual(options.transport, 'http', 'Transport names are case insensitive');
+        assert.strictEqual(options.host, '0.0.0.0');
+        assert.strictEqual(options.port, 8080);
+    });
+
+    test('should fall back to environment variables and let flags win', () => {
+        const env = { ORD_MCP_TRANSPORT: 'http', ORD_MCP_HOST: '::', ORD_MCP_PORT: '9000' };
+
+        assert.deepStrictEqual(parseServerOptions([], env), {
+            transport: 'http',
+            host: '::',
+            port: 9000,
+            ordDirectories: [],
+            policyRules: [],
+            readRoots: [],
+            cdsCompileRoots: [],
+            refreshConcepts: false,
+        });
+        assert.strictEqual(parseServerOptions(['--port=0'], env).port, 0, 'Flags override the environment');
+    });
+
+    test('should recognize --refresh-concepts', () => {
+        assert.strictEqual(parseServerOptions(['--refresh-concepts'], {}).refreshConcepts, true);
+    });
+
+    test('should collect local ORD directories and policy rule modules', () => {
+        const env = { ORD_MCP_ORD_DIRS: ['ord', '', '../other/ord'].join(delimiter) };
+
+        assert.deepStrictEqual(parseServerOptions([], env).ordDirectories, ['ord', '../other/ord'], 'Should split the variable');
+        assert.deepStrictEqual(
+            parseServerOptions(['--ord-dir', 'a', '--ord-dir=b'], env).ordDirectories,
+            ['a', 'b'],
+            'The flag repeats and overrides the environment',
+        );
+        assert.deepStrictEqual(
+            parseServerOptions(['--policy-rules', 'rules.json'], { ORD_MCP_POLICY_RULES: 'other.js' }).policyRules,
+            ['rules.json'],
+            'Policy rule modules work the same way',
+        );
+        assert.deepStrictEqual(
+            parseServerOptions(['--allow-cds-compile', 'bookshop'], { ORD_MCP_CDS_COMPILE_ROOTS: 'other' }).cdsCompileRoots,
+            ['bookshop'],
+            'CDS compile roots work the same way',
+        );
+        assert.deepStrictEqual(
+            parseServerOptions(['--allow-read', 'specs'], { ORD_MCP_READ_ROOTS: 'other' }).readRoots,
+            ['specs'],
+            'Read roots work the same way',
+        );
+    });
+
+    test('should treat an empty port as unset', () => {
+        assert.strictEqual(parseServerOptions([], { ORD_MCP_PORT: '' }).port, 3000);
+        assert.strictEqual(parseServerOptions([], { ORD_MCP_PORT: '  ' }).port, 3000);
+        assert.strictEqual(parseServerOptions(['--port='], { ORD_MCP_PORT: '9000' }).port, 9000);
+        assert.strictEqual(parseServerOptions([], { ORD_MCP_PORT: '0' }).port, 0, 'Port 0 is still a free port');
+    });
+
+    test('should reject invalid options', () => {
+        assert.throws(() => parseServerOptions(['--transport', 'websocket'], {}), /Unknown transport: websocket/);
+        assert.throws(() => parseServerOptions(['--port', '70000'], {}), /Invalid port: 70000/);
+        assert.throws(() => parseServerOptions([], { ORD_MCP_PORT: 'http' }), /Invalid port: http/);
+        assert.throws(() => parseServerOptions(['--port'], {}), /Missing value for --port/);
+        assert.throws(() => parseServerOptions(['--host', '--port', '1'], {}), /Missing value for --host/);
+        assert.throws(() => parseServerOptions(['--ord-dir'], {}), /Missing value for --ord-dir/);
+        assert.throws(() => parseServerOptions(['--verbose'], {}), /Unknown option: --verbose/);
+        assert.throws(() => parseServerOptions(['http'], {}), /Unexpected argument: http/);
+    });
+});
@@ -0,0 +1,119 @@
+#!/usr/bin/env node
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { readFileSync } from 'node:fs';
+import { BUNDLED_DOCUMENT_SCHEMA_PATH } from '../../src/constants.js';
+import { diffSpecifications } from '../../src/specification-diff.js';
+
+const BEFORE_MARKDOWN = [
+    '# ORD Specification',
+    '## API Resource',
+    'An API resource.',
+    '## Event Resource',
+    'An event resource.',
+    '## Legacy',
+    'To be removed.',
+].join('\n');
+
+const AFTER_MARKDOWN = [
+    '# ORD Specification',
+    '## API Resource',
+    'An API resource.',
+    '## Event Resource',
+    'An event resource with a reworded description.',
+    '## Integration Dependency',
+    'An integration dependency.',
+].join('\n');
+
+// The bundled schema as the newer version, and an older version derived from it
+const AFTER_SCHEMA = readFileSync(BUNDLED_DOCUMENT_SCHEMA_PATH, 'utf8');
+
+function olderSchema() {
+    const schema = JSON.parse(AFTER_SCHEMA);
+    const { ApiResource, EventResource } = schema.definitions;
+    ApiResource.required = ApiResource.required.filter((name) => name !== 'partOfPackage');
+    delete ApiResource.properties.responsible;
+    ApiResource.properties.legacyField = { type: 'string' };
+    EventResource.required = EventResource.required.filter((name) => name !== 'visibility');
+    delete EventResource.properties.visibility;
+    delete EventResource['x-recommended'];
+    delete schema['x-recommended'];
+    return JSON.stringify(schema);
+}
+
+const BEFORE = { markdown: BEFORE_MARKDOWN, schema: olderSchema() };
+const AFTER = { markdown: AFTER_MARKDOWN, schema: AFTER_SCHEMA };
+
+describe('Specification Diff Unit Tests', () => {
+
+    test('should report added, removed and changed sections', () => {
+        const { sections } = diffSpecifications(BEFORE, AFTER);
+
+        assert.deepStrictEqual(sections.added, [
+            { section: 'ORD Specification > Integration Dependency', anchor: 'integration-dependency' },
+        ]);
+        assert.deepStrictEqual(sections.removed, [{ section: 'ORD Specification > Legacy', anchor: 'legacy' }]);
+        assert.deepStrictEqual(
+            sections.changed.map((section) => section.section),
+            ['ORD Specification > Event Resource'],
+        );
+    });
+
+    test('should diff the properties and requirement levels of the schema definitions', () => {
+        const { properties } = diffSpecifications(BEFORE, AFTER);
+
+        assert.deepStrictEqual(
+            properties.added.map(({ definition, property, requirement }) => [definition, property, requirement]),
+            [
+                ['ApiResource', 'responsible', 'OPTIONAL'],
+                ['EventResource', 'visibility', 'MANDATORY'],
+            ],
+        );
+        assert.deepStrictEqual(properties.removed, [
+            { definition: 'ApiResource', property: 'legacyField', requirement: 'OPTIONAL' },
+        ]);
+        assert.deepStrictEqual(
+            properties.changed.map(({ definition, property, changes }) => [definition, property, changes.requirement]),
+            [
+                ['Document', 'policyLevels', { from: 'OPTIONAL', to: 'RECOMMENDED' }],
+                ['ApiResource', 'partOfPackage', { from: 'OPTIONAL', to: 'MANDATORY' }],
+                ['EventResource', 'lastUpdate', { from: 'OPTIONAL', to: 'RECOMMENDED' }],
+            ],
+            'x-recommended markers count as well',
+        );
+    });
+
+    test('should summarize new MANDATORY fields', () => {
+        const { summary, newMandatoryFields } = diffSpecifications(BEFORE, AFTER);
+
+        assert.deepStrictEqual(
+            newMandatoryFields.map(({ definition, property, previously }) => [definition, property, previously]),
+            [
+                ['EventResource', 'visibility', null],
+                ['ApiResource', 'partOfPackage', 'OPTIONAL'],
+            ],
+        );
+        assert.strictEqual(summary.newMandatoryFields, 2);
+        assert.strictEqual(summary.addedSections, 1);
+    });
+
+    test('should report nothing for identical versions', () => {
+        const { summary } = diffSpecifications(AFTER, AFTER);
+        assert(Object.values(summary).every((count) => count === 0), 'Identical specifications have no changes');
+    });
+
+    test('should ignore whitespace-only edits and keep repeated headings apart', () => {
+        const before = '# Spec\n## Example\nOne.\n## Example\nTwo.';
+        const after = '# Spec\n## Example\nOne.\n\n## Example\nTwo,  changed.';
+        const { sections } = diffSpecifications({ markdown: before, schema: AFTER_SCHEMA }, { markdown: after, schema: AFTER_SCHEMA });
+
+        assert.deepStrictEqual(sections.changed, [{ section: 'Spec > Example (2)', anchor: 'example-1' }]);
+        assert.deepStrictEqual(sections.added, []);
+    });
+
+    test('should reject invalid schemas', () => {
+        assert.throws(() => diffSpecifications({ ...BEFORE, schema: '{nope' }, AFTER), /Invalid schema/);
+        assert.throws(() => diffSpecifications(BEFORE, { ...AFTER, schema: '[]' }), /expected the ORD Document JSON schema/);
+    });
+});
@@ -0,0 +1,285 @@
+#!/usr/bin/env node
+
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { execFile } from 'node:child_process';
+import { mkdtemp, readdir, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { promisify } from 'node:util';
+import {
+    fetchCachedText,
+    fetchSpecification,
+    fetchDocumentSchema,
+    listSpecificationVersions,
+    normalizeSpecificationVersion,
+} from '../../src/specification-fetcher.js';
+import { readCacheEntry, writeCacheEntry } from '../../src/specification-cache.js';
+
+const URL = 'https://example.test/spec.md';
+
+// Fake axios.get that records requests and replays scripted responses
+function scriptedHttp(...responses) {
+    const calls = [];
+    const httpGet = async (url, config) => {
+        calls.push({ url, headers: config.headers });
+        const next = responses.shift();
+        if (next instanceof Error) {
+            throw next;
+        }
+        if (!config.validateStatus(next.status)) {
+            throw Object.assign(new Error(`status ${next.status}`), { response: { status: next.status } });
+        }
+        return next;
+    };
+    return { httpGet, calls };
+}
+
+describe('Specification Fetcher Unit Tests', () => {
+    let cacheDir;
+    let clock;
+
+    beforeEach(async () => {
+        cacheDir = await mkdtemp(join(tmpdir(), 'ord-spec-cache-'));
+        clock = 1_000_000;
+    });
+
+    afterEach(async () => {
+        await rm(cacheDir, { recursive: true, force: true });
+    });
+
+    const options = (httpGet) => ({ url: URL, cacheDir, ttlMs: 1000, httpGet, now: () => clock });
+
+    test('should fetch from network and cache on first call', async () => {
+        const { httpGet, calls } = scriptedHttp({ status: 200, data: '# Spec', headers: { etag: '"a"' } });
+
+        const result = await fetchCachedText(options(httpGet));
+
+        assert.strictEqual(result.content, '# Spec');
+        assert.strictEqual(result.fromCache, false, 'First call should come from network');
+        assert.strictEqual(calls.length, 1);
+        assert.deepStrictEqual(calls[0].headers, {}, 'No validators without a cache entry');
+    });
+
+    test('should serve fresh cache entries without a request', async () => {
+        const { httpGet, calls } = scriptedHttp({ status: 200, data: '# Spec', headers: {} });
+        await fetchCachedText(options(httpGet));
+
+        clock += 500;
+        const result = await fetchCachedText(options(httpGet));
+
+        assert.strictEqual(result.fromCache, true);
+        assert.strictEqual(result.stale, false);
+        assert.strictEqual(result.fetchedAt, 1_000_000, 'Should report original fetch time');
+        assert.strictEqual(calls.length, 1, 'Should not hit the network within TTL');
+    });
+
+    test('should revalidate expired entries with ETag and If-Modified-Since', async () => {
+        const { httpGet, calls } = scriptedHttp(
+            { status: 200, data: '# Spec', headers: { 'etag': '"a"', 'last-modified': 'Mon, 01 Jan 2024 00:00:00 GMT' } },
+            { status: 304, data: '', headers: {} },
+        );
+        await fetchCachedText(options(httpGet));
+
+        clock += 5000;
+        const result = await fetchCachedText(options(httpGet));
+
+        assert.strictEqual(calls[1].headers['If-None-Match'], '"a"');
+        assert.strictEqual(calls[1].headers['If-Modified-Since'], 'Mon, 01 Jan 2024 00:00:00 GMT');
+        assert.strictEqual(result.content, '# Spec', 'Should keep cached content on 304');
+        assert.strictEqual(result.fromCache, true);
+        assert.strictEqual(result.fetchedAt, clock, 'Revalidation should refresh the entry age');
+    });
+
+    test('should replace cached content when the document changed', async () => {
+        const { httpGet } = scriptedHttp(
+            { status: 200, data: '# Old', headers: { etag: '"a"' } },
+            { status: 200, data: '# New', headers: { etag: '"b"' } },
+        );
+        await fetchCachedText(options(httpGet));
+
+        clock += 5000;
+        const result = await fetchCachedText(options(httpGet));
+
+        assert.strictEqual(result.content, '# New');
+        assert.strictEqual(result.fromCache, false);
+    });
+
+    test('should fall back to stale cache when the network fails', async () => {
+        const { httpGet } = scriptedHttp(
+            { status: 200, data: '# Spec', headers: {} },
+            Object.assign(new Error('getaddrinfo ENOTFOUND'), { code: 'ENOTFOUND' }),
+        );
+        await fetchCachedText(options(httpGet));
+
+        clock += 5000;
+        const result = await fetchCachedText(options(httpGet));
+
+        assert.strictEqual(result.content, '# Spec');
+        assert.strictEqual(result.stale, true, 'Should mark content as stale');
+        assert.match(result.error, /Network error/);
+    });
+
+    test('should throw contextual errors when nothing is cached', async () => {
+        const timeout = scriptedHttp(Object.assign(new Error('timeout'), { code: 'ECONNABORTED' }));
+        await assert.rejects(fetchCachedText(options(timeout.httpGet)), /Request timeout/);
+
+        const notFound = scriptedHttp({ status: 404, data: 'nope', headers: {} });
+        await assert.rejects(fetchCachedText(options(notFound.httpGet)), /HTTP 404/);
+    });
+
+    test('should keep content and metadata together under concurrent writes', async () => {
+        const writes = Array.from({ length: 10 }, (_, index) =>
+            writeCacheEntry(cacheDir, URL, { content: `# Spec ${index}`, etag: `"${index}"`, fetchedAt: index }),
+        );
+        await Promise.all(writes);
+
+        const entry = await readCacheEntry(cacheDir, URL);
+        assert.strictEqual(entry.content, `# Spec ${entry.fetchedAt}`, 'Content should match its metadata');
+        assert.strictEqual(entry.etag, `"${entry.fetchedAt}"`);
+        assert.deepStrictEqual(
+            (await readdir(cacheDir)).filter((name) => name.endsWith('.tmp')),
+            [],
+            'No temp files should be left behind',
+        );
+    });
+
+    test('should read ORD_SPEC_CACHE_TTL_MS, including 0', async () => {
+        // The TTL is read once at import, so each value needs a fresh process
+        const script = `import('${import.meta.resolve('../../src/constants.js')}')
+            .then((constants) => console.log(constants.SPEC_CACHE_TTL_MS))`;
+        const ttlFor = async (value) => {
+            const { stdout } = await promisify(execFile)(process.execPath, ['--input-type=module', '-e', script], {
+                env: { ...process.env, ORD_SPEC_CACHE_TTL_MS: value },
+            });
+            return Number(stdout);
+        };
+
+        assert.strictEqual(await ttlFor('0'), 0, 'Zero should disable the freshness window');
+        assert.strictEqual(await ttlFor('5000'), 5000);
+        assert.strictEqual(await ttlFor('-1'), 3600000, 'Negative values fall back to the default');
+        assert.strictEqual(await ttlFor('soon'), 3600000);
+        assert.strictEqual(await ttlFor(''), 3600000);
+    });
+
+    test('should fall back to the bundled document schema when offline', async () => {
+        const { httpGet } = scriptedHttp(Object.assign(new Error('getaddrinfo ENOTFOUND'), { code: 'ENOTFOUND' }));
+
+        const result = await fetchDocumentSchema({ cacheDir, httpGet, now: () => clock });
+
+        assert.strictEqual(result.bundled, true);
+        assert.match(result.error, /Network error/);
+        assert.strictEqual(JSON.parse(result.content).title, 'Ord Document');
+    });
+
+    test('should prefer the fetched document schema', async () => {
+        const { httpGet, calls } = scriptedHttp({ status: 200, data: '{"title":"Remote"}', headers: {} });
+
+        const result = await fetchDocumentSchema({ cacheDir, httpGet, now: () => clock });
+
+        assert.strictEqual(result.bundled, false);
+        assert.strictEqual(result.content, '{"title":"Remote"}');
+        assert.match(calls[0].url, /Document\.schema\.json$/);
+    });
+
+    test('should fetch the document schema of a release tag without a bundled fallback', async () => {
+        const { httpGet, calls } = scriptedHttp(
+            { status: 200, data: '{"title":"v1.9.0"}', headers: {} },
+            { status: 404, data: 'Not Found', headers: {} },
+        );
+
+        const result = await fetchDocumentSchema({ version: '1.9.0', cacheDir, httpGet, now: () => clock });
+
+        assert.strictEqual(result.version, 'v1.9.0');
+        assert.strictEqual(result.bundled, false);
+        assert.match(calls[0].url, /\/v1\.9\.0\/static\/spec-v1\/interfaces\/Document\.schema\.json$/);
+        await assert.rejects(
+            fetchDocumentSchema({ version: 'v9.9.9', cacheDir, httpGet, now: () => clock }),
+            /Unknown specification version: v9\.9\.9/,
+        );
+    });
+
+    test('should fetch release tags from the tagged file and never revalidate them', async () => {
+        const { httpGet, calls } = scriptedHttp({ status: 200, data: '# v1.9.0', headers: {} });
+
+        const first = await fetchSpecification({ version: '1.9.0', cacheDir, httpGet, now: () => clock });
+        clock += 365 * 24 * 60 * 60 * 1000;
+        const second = await fetchSpecification({ version: 'v1.9.0', cacheDir, httpGet, now: () => clock });
+
+        assert.strictEqual(first.version, 'v1.9.0');
+        assert.match(calls[0].url, /\/specification\/v1\.9\.0\/docs\/spec-v1\/index\.md$/);
+        assert.strictEqual(second.fromCache, true, 'Tagged releases are immutable');
+        assert.strictEqual(calls.length, 1);
+    });
+
+    test('should cache each version separately', async () => {
+        const { httpGet } = scriptedHttp(
+            { status: 200, data: '# latest', headers: {} },
+            { status: 200, data: '# v1.8.0', headers: {} },
+        );
+
+        const latest = await fetchSpecification({ cacheDir, httpGet, now: () => clock });
+        const tagged = await fetchSpecification({ version: 'v1.8.0', cacheDir, httpGet, now: () => clock });
+
+        assert.strictEqual(latest.version, 'latest');
+        assert.strictEqual(latest.content, '# latest');
+        assert.strictEqual(tagged.content, '# v1.8.0');
+    });
+
+    test('should explain unknown versions', async () => {
+        const { httpGet } = scriptedHttp({ status: 404, data: 'Not Found', headers: {} });
+
+        await assert.rejects(
+            fetchSpecification({ version: 'v9.9.9', cacheDir, httpGet, now: () => clock }),
+            /Unknown specification version: v9\.9\.9/,
+        );
+    });
+
+    test('should list release tags newest first', async () => {
+        const tags = [{ name: 'v1.9.0' }, { name: 'v1.10.0' }, { name: 'nightly' }, { name: 'v1.0.0' }];
+        const { httpGet, calls } = scriptedHttp({ status: 200, data: JSON.stringify(tags), headers: {} });
+
+        const result = await listSpecificationVersions({ cacheDir, httpGet, now: () => clock });
+
+        assert.deepStrictEqual(result.versions, ['v1.10.0', 'v1.9.0', 'v1.0.0']);
+        assert.match(calls[0].url, /api\.github\.com\/repos\/open-resource-discovery\/specification\/tags/);
+    });
+
+    test('should follow the Link header through every page of tags', async () => {
+        const page2 = 'https://api.github.com/repositories/1/tags?per_page=100&page=2';
+        const { httpGet, calls } = scriptedHttp(
+            {
+                status: 200,
+                data: JSON.stringify([{ name: 'v1.9.0' }]),
+                headers: { link: `<${page2}>; rel="next", <${page2}>; rel="last"` },
+            },
+            {
+                status: 200,
+                data: JSON.stringify([{ name: 'v1.0.0' }, { name: 'v1.10.0' }]),
+                headers: { link: '<https://api.github.com/repositories/1/tags?per_page=100&page=1>; rel="first"' },
+            },
+        );
+
+        const result = await listSpecificationVersions({ cacheDir, httpGet, now: () => clock });
+
+        assert.deepStrictEqual(result.versions, ['v1.10.0', 'v1.9.0', 'v1.0.0'], 'Older pages should be included');
+        assert.deepStrictEqual(
+            calls.map((call) => call.url),
+            [calls[0].url, page2],
+        );
+
+        const cached = await listSpecificationVersions({ cacheDir, httpGet, now: () => clock });
+        assert.deepStrictEqual(cached.versions, result.versions, 'Links should be cached with their page');
+        assert.strictEqual(cached.fromCache, true);
+        assert.strictEqual(calls.length, 2);
+    });
+
+    test('should normalize version arguments', () => {
+        assert.strictEqual(normalizeSpecificationVersion(), 'latest');
+        assert.strictEqual(normalizeSpecificationVersion('LATEST'), 'latest');
+        assert.strictEqual(normalizeSpecificationVersion(' 1.9.0 '), 'v1.9.0');
+        assert.throws(() => normalizeSpecificationVersion('main'), /Invalid specification version: main/);
+        assert.throws(() => normalizeSpecificationVersion('v1.9'), /Invalid specification version/);
+        assert.throws(() => normalizeSpecificationVersion(''), /non-empty string/);
+    });
+});
@@ -0,0 +1,72 @@
+#!/usr/bin/env node
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { parseSpecificationSections } from '../../src/specification-sections.js';
+import { buildSearchIndex, searchIndex, tokenize } from '../../src/specification-search.js';
+
+const SPEC = [
+    '# ORD Specification',
+    'Open Resource Discovery describes resources.',
+    '## API Resource',
+    'An API resource bundles endpoints.',
+    '',
+    'The releaseStatus of a deprecated API MUST be set to deprecated and a sunsetDate SHOULD be given.',
+    '### apiProtocol',
+    'Allowed values are odata-v2, odata-v4 and rest.',
+    '## Event Resource',
+    'Events also carry a releaseStatus.',
+    '## Glossary',
+    `${'Filler text about nothing in particular. '.repeat(20)}The word needle appears late in this paragraph. ${'More filler. '.repeat(20)}`,
+].join('\n');
+
+describe('Specification Search Unit Tests', () => {
+    const index = buildSearchIndex(parseSpecificationSections(SPEC));
+
+    describe('tokenize', () => {
+        test('should lowercase and split camelCase identifiers', () => {
+            assert.deepStrictEqual(tokenize('releaseStatus'), ['releasestatus', 'release', 'status']);
+            assert.deepStrictEqual(tokenize('The API is public'), ['api', 'public']);
+        });
+    });
+
+    describe('searchIndex', () => {
+        test('should rank the most relevant paragraph first', () => {
+            const hits = searchIndex(index, 'releaseStatus deprecated');
+
+            assert(hits.length >= 2, 'Should find both releaseStatus mentions');
+            assert.strictEqual(hits[0].title, 'API Resource');
+            assert.strictEqual(hits[0].anchor, 'api-resource');
+            assert.match(hits[0].snippet, /MUST be set to deprecated/, 'Snippet should be the matching paragraph');
+            assert(hits[0].score > hits[1].score, 'Results should be sorted by score');
+        });
+
+        test('should match heading titles', () => {
+            const hits = searchIndex(index, 'apiProtocol');
+            assert.deepStrictEqual(hits[0].path, ['ORD Specification', 'API Resource', 'apiProtocol']);
+        });
+
+        test('should match spaced words against camelCase identifiers', () => {
+            const hits = searchIndex(index, 'release status');
+            assert(hits.some((hit) => hit.title === 'Event Resource'));
+        });
+
+        test('should respect the limit', () => {
+            assert.strictEqual(searchIndex(index, 'resource', { limit: 1 }).length, 1);
+        });
+
+        test('should return no hits for unknown words', () => {
+            assert.deepStrictEqual(searchIndex(index, 'kubernetes'), []);
+        });
+
+        test('should centre long snippets on the match', () => {
+            const [hit] = searchIndex(index, 'needle');
+            assert(hit.snippet.includes('needle'), 'Snippet should contain the match');
+            assert(hit.snippet.startsWith('…') && hit.snippet.endsWith('…'), 'Snippet should be truncated on both sides');
+        });
+
+        test('should reject queries without searchable words', () => {
+            assert.throws(() => searchIndex(index, 'the of ?!'), /at least one searchable word/);
+        });
+    });
+});
@@ -0,0 +1,124 @@
+#!/usr/bin/env node
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import {
+    parseSpecificationSections,
+    flattenSections,
+    findSpecificationSection,
+    slugifyHeading,
+} from '../../src/specification-sections.js';
+
+const SPEC = [
+    '# ORD Specification',
+    'Intro text.',
+    '## Terminology',
+    'Terms.',
+    '## ORD Document {#ord-document}',
+    'Document text.',
+    '### API Resource',
+    'API text.',
+    '```markdown',
+    '# Not a heading',
+    '```',
+    '#### `apiProtocol`',
+    'Protocol values.',
+    '### Event Resource',
+    '#### Example',
+    'Event example.',
+    '## Examples',
+    '### Example',
+    'Generic example.',
+].join('\n');
+
+describe('Specification Sections Unit Tests', () => {
+
+    describe('parseSpecificationSections', () => {
+        test('should build a heading tree with paths', () => {
+            const sections = parseSpecificationSections(SPEC);
+
+            assert.strictEqual(sections.length, 1, 'Should have one top-level section');
+            const titles = flattenSections(sections).map((section) => section.path.join(' > '));
+            assert.deepStrictEqual(titles, [
+                'ORD Specification',
+                'ORD Specification > Terminology',
+                'ORD Specification > ORD Document',
+                'ORD Specification > ORD Document > API Resource',
+                'ORD Specification > ORD Document > API Resource > apiProtocol',
+                'ORD Specification > ORD Document > Event Resource',
+                'ORD Specification > ORD Document > Event Resource > Example',
+                'ORD Specification > Examples',
+                'ORD Specification > Examples > Example',
+            ]);
+        });
+
+        test('should ignore headings inside code fences', () => {
+            const titles = flattenSections(parseSpecificationSections(SPEC)).map((section) => section.title);
+            assert(!titles.includes('Not a heading'), 'Fenced headings are not sections');
+        });
+
+        test('should scope content to the section and its subsections', () => {
+            const apiResource = findSpecificationSection(parseSpecificationSections(SPEC), 'API Resource');
+
+            assert(apiResource.content.startsWith('### API Resource'));
+            assert(apiResource.content.includes('Protocol values.'), 'Should include subsections');
+            assert(!apiResource.content.includes('Event Resource'), 'Should stop at sibling heading');
+        });
+
+        test('should keep the body text above the first subsection', () => {
+            const ordDocument = findSpecificationSection(parseSpecificationSections(SPEC), '#ord-document');
+
+            assert.strictEqual(ordDocument.body, 'Document text.');
+            assert.strictEqual(ordDocument.children[0].children[0].body, 'Protocol values.');
+        });
+
+        test('should honour explicit anchors and de-duplicate generated ones', () => {
+            const all = flattenSections(parseSpecificationSections(SPEC));
+            const anchors = all.map((section) => section.anchor);
+
+            assert(anchors.includes('ord-document'));
+            assert(anchors.includes('example'));
+            assert(anchors.includes('example-1'), 'Repeated headings get numbered anchors');
+        });
+
+        test('should handle documents without headings', () => {
+            assert.deepStrictEqual(parseSpecificationSections('just text'), []);
+        });
+    });
+
+    describe('findSpecificationSection', () => {
+        const sections = parseSpecificationSections(SPEC);
+
+        test('should find sections by heading path, skipping intermediate levels', () => {
+            const section = findSpecificationSection(sections, 'API Resource > apiProtocol');
+            assert.strictEqual(section.title, 'apiProtocol');
+
+            const nested = findSpecificationSection(sections, 'ORD Specification > apiProtocol');
+            assert.strictEqual(nested, section);
+        });
+
+        test('should disambiguate repeated titles by path', () => {
+            const section = findSpecificationSection(sections, 'examples > example');
+            assert.strictEqual(section.content, '### Example\nGeneric example.');
+        });
+
+        test('should find sections by anchor', () => {
+            assert.strictEqual(findSpecificationSection(sections, '#ord-document').title, 'ORD Document');
+            assert.strictEqual(findSpecificationSection(sections, 'example-1').path[1], 'Examples');
+        });
+
+        test('should throw with suggestions for unknown sections', () => {
+            assert.throws(() => findSpecificationSection(sections, 'Resource'), /Did you mean: .*API Resource/);
+            assert.throws(() => findSpecificationSection(sections, 'Nope'), /Unknown specification section: Nope/);
+            assert.throws(() => findSpecificationSection(sections, ' > '), /cannot be empty/);
+        });
+    });
+
+    describe('slugifyHeading', () => {
+        test('should produce GitHub-style slugs', () => {
+            assert.strictEqual(slugifyHeading('API Resource'), 'api-resource');
+            assert.strictEqual(slugifyHeading('What is ORD?'), 'what-is-ord');
+            assert.strictEqual(slugifyHeading('ORD ID & Namespaces'), 'ord-id--namespaces');
+        });
+    });
+});